@@ -0,0 +1,15 @@
+/**
+ * Vercel Serverless Function for the whole API
+ * 
+ * Every /api/* request is rewritten here (see vercel.json) and routed by the
+ * service core, so Vercel serves exactly the routes token-server.js does:
+ * see lib/service.js for the route table.
+ *
+ * Caption workers need a long-lived process, so /api/captions/start reports
+ * that they are unavailable here; run caption-worker.js on another host.
+ */
+
+const { createService } = require('../lib/service');
+const { createVercelHandler } = require('../lib/adapters/vercel');
+
+module.exports = createVercelHandler(createService({ longLived: false }));
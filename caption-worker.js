@@ -0,0 +1,32 @@
+/**
+ * Live Caption Worker
+ *
+ * Joins a room as a hidden participant and publishes live captions on the
+ * `captions` data topic until everyone has left (see lib/captions.js).
+ * The token server starts workers itself; run this when the API is
+ * deployed somewhere that cannot keep a worker alive (e.g. Vercel).
+ *
+ * Usage: node caption-worker.js <room>
+ */
+
+import dotenv from 'dotenv';
+import { RoomEvent } from '@livekit/rtc-node';
+import { runCaptionWorker } from './lib/captions.js';
+
+dotenv.config();
+
+const [roomName] = process.argv.slice(2);
+
+if (!roomName) {
+  console.error('Usage: node caption-worker.js <room>');
+  process.exit(1);
+}
+
+const room = await runCaptionWorker(roomName);
+
+room.once(RoomEvent.Disconnected, () => process.exit(0));
+
+process.on('SIGINT', async () => {
+  await room.disconnect();
+  process.exit(0);
+});
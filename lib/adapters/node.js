@@ -0,0 +1,139 @@
+/**
+ * Node `http` Adapter
+ *
+ * Serves the service core (lib/service.js) from a plain Node HTTP server:
+ *   http.createServer(createNodeHandler(createService()))
+ *
+ * API responses may be read from any origin. Origins listed in
+ * CORS_ALLOWED_ORIGINS (comma separated) may also send the session cookie:
+ * browsers only do so when the response names their origin, never with `*`.
+ *
+ * Request bodies are limited to what the largest upload takes once
+ * base64-encoded in JSON; anything bigger is answered with 413 and the
+ * connection dropped without reading the rest.
+ */
+
+const { HttpError } = require('../errors');
+const { getUploadMaxBytes } = require('../storage');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function getCorsHeaders(req) {
+  const allowed = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  if (!allowed.length) {
+    return CORS_HEADERS;
+  }
+  const { origin } = req.headers;
+  if (!origin || !allowed.includes(origin)) {
+    return { ...CORS_HEADERS, Vary: 'Origin' };
+  }
+  return {
+    ...CORS_HEADERS,
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    Vary: 'Origin'
+  };
+}
+
+// Base64 takes 4 bytes for every 3, plus room for the rest of the JSON
+function getMaxBodyBytes() {
+  const uploadMaxBytes = Math.max(getUploadMaxBytes('CHAT_ATTACHMENT_MAX_BYTES'), getUploadMaxBytes('ANNOTATION_MAX_BYTES'));
+  return Math.ceil(uploadMaxBytes / 3) * 4 + 64 * 1024;
+}
+
+// Read the raw request body; webhook signatures cover the exact bytes.
+// Throws a 413 HttpError as soon as the body is larger than maxBytes.
+function readRawBody(req, maxBytes = getMaxBodyBytes()) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => reject(new HttpError(413, 'payload_too_large', 'Request body is too large'));
+    if (Number(req.headers['content-length']) > maxBytes) {
+      tooLarge();
+      return;
+    }
+
+    const chunks = [];
+    let length = 0;
+    req.on('data', chunk => {
+      length += chunk.length;
+      if (length > maxBytes) {
+        req.removeAllListeners('data');
+        req.pause();
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Answer a request whose body was refused, then drop the connection
+function refuseBody(req, res, error) {
+  res.writeHead(error.status, { 'Content-Type': 'application/json', Connection: 'close' });
+  res.end(JSON.stringify({ error: error.message, code: error.code }), () => req.destroy());
+}
+
+// The request body, or null once refuseBody has answered for it
+async function readBodyOrRefuse(req, res) {
+  try {
+    return await readRawBody(req);
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      throw error;
+    }
+    refuseBody(req, res, error);
+    return null;
+  }
+}
+
+// Object bodies go out as JSON, strings and Buffers as-is
+function serializeBody(result) {
+  const isRaw = typeof result.body === 'string' || Buffer.isBuffer(result.body);
+  return {
+    headers: isRaw ? result.headers : { 'Content-Type': 'application/json', ...result.headers },
+    payload: isRaw ? result.body : JSON.stringify(result.body)
+  };
+}
+
+function createNodeHandler(service) {
+  return async (req, res) => {
+    Object.entries(getCorsHeaders(req)).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    const rawBody = await readBodyOrRefuse(req, res);
+    if (!rawBody) {
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const result = await service.handle({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      rawBody
+    });
+
+    const { headers, payload } = serializeBody(result);
+    res.writeHead(result.status, headers);
+    res.end(payload);
+  };
+}
+
+module.exports = {
+  getCorsHeaders,
+  readRawBody,
+  readBodyOrRefuse,
+  serializeBody,
+  createNodeHandler
+};
@@ -0,0 +1,46 @@
+/**
+ * Vercel Adapter
+ *
+ * Serves the service core (lib/service.js) from one Vercel function.
+ * vercel.json rewrites every /api/* path to api/index.js; Vercel keeps the
+ * original URL in req.url, which is what gets routed.
+ *
+ * The body is read from the stream rather than req.body, so webhook
+ * signatures can be checked against the exact bytes, and is limited in size
+ * as in the Node adapter. CORS headers are set
+ * here, as in the Node adapter, rather than in vercel.json.
+ */
+
+const { getCorsHeaders, readBodyOrRefuse, serializeBody } = require('./node');
+
+function createVercelHandler(service) {
+  return async (req, res) => {
+    Object.entries(getCorsHeaders(req)).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    const rawBody = await readBodyOrRefuse(req, res);
+    if (!rawBody) {
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const result = await service.handle({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      rawBody
+    });
+
+    const { headers, payload } = serializeBody(result);
+    Object.entries(headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+    return res.status(result.status).send(payload);
+  };
+}
+
+module.exports = {
+  createVercelHandler
+};
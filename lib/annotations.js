@@ -0,0 +1,103 @@
+/**
+ * Visit Annotations
+ *
+ * Clinicians mark up a shared screen or an uploaded image (lab results,
+ * imaging) on a whiteboard layer during a visit. The strokes themselves
+ * travel between participants on the `annotation` data topic; this module
+ * keeps the files:
+ *
+ *   image    - a picture uploaded to be annotated, shown to everyone in the call
+ *   snapshot - the annotated result, saved to the visit record
+ *
+ * Both are stored through the recording storage provider (see
+ * lib/storage.js) under annotations/{room}/{id}{ext} and listed in the
+ * `annotations` store, tied to the room and its appointment:
+ *
+ *   { id, room, appointmentId, kind, name, key, contentType, size, createdBy, createdAt }
+ *
+ * Files are at most ANNOTATION_MAX_BYTES (see getUploadMaxBytes).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { getRoomAppointmentId } = require('./appointments');
+const { getStorage, getUploadMaxBytes } = require('./storage');
+const { HttpError } = require('./errors');
+
+const KINDS = ['image', 'snapshot'];
+
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+const store = createFileStore('annotations');
+
+// Records as clients see them: storage keys stay on the server
+function toPublicAnnotation({ key, ...annotation }) {
+  return annotation;
+}
+
+/**
+ * Store an image posted as { name, contentType, data (base64) }. kind is
+ * 'image' or 'snapshot'. Returns the record as clients see it.
+ */
+async function saveAnnotationFile(room, identity, kind, { name, contentType, data } = {}) {
+  if (!KINDS.includes(kind)) {
+    throw new HttpError(400, 'invalid_kind', `kind must be one of: ${KINDS.join(', ')}`);
+  }
+  if (!IMAGE_TYPES[contentType]) {
+    throw new HttpError(415, 'unsupported_image', `Images must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+  }
+  const body = Buffer.from(data || '', 'base64');
+  if (body.length === 0) {
+    throw new HttpError(400, 'empty_image', 'Image is empty');
+  }
+  const maxBytes = getUploadMaxBytes('ANNOTATION_MAX_BYTES');
+  if (body.length > maxBytes) {
+    throw new HttpError(413, 'image_too_large', `Images are limited to ${maxBytes} bytes`);
+  }
+
+  const id = crypto.randomUUID();
+  const key = `annotations/${room}/${id}${IMAGE_TYPES[contentType]}`;
+  await getStorage().upload(key, body, contentType);
+
+  const safeName = path.posix.basename(String(name || kind)).replace(/[^\w.\- ]/g, '_').slice(0, 120);
+  return toPublicAnnotation(await store.insert({
+    id,
+    room,
+    appointmentId: getRoomAppointmentId(room),
+    kind,
+    name: safeName || kind,
+    key,
+    contentType,
+    size: body.length,
+    createdBy: identity,
+    createdAt: new Date().toISOString()
+  }));
+}
+
+// A room's annotation files, oldest first, optionally of one kind
+function listAnnotations(room, { kind } = {}) {
+  return store
+    .list(annotation => annotation.room === room && (!kind || annotation.kind === kind))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toPublicAnnotation);
+}
+
+// File contents: { body, contentType, name }
+async function getAnnotationFile(room, id) {
+  const annotation = store.get(id);
+  if (!annotation || annotation.room !== room) {
+    throw new HttpError(404, 'annotation_not_found', 'Annotation not found');
+  }
+  return { body: await getStorage().fetch(annotation.key), contentType: annotation.contentType, name: annotation.name };
+}
+
+module.exports = {
+  saveAnnotationFile,
+  listAnnotations,
+  getAnnotationFile
+};
@@ -0,0 +1,199 @@
+/**
+ * Scheduled Appointments
+ *
+ * Each visit gets its own LiveKit room, a clinician, a patient and a time
+ * window. Both parties receive a signed join link (`?visit=<join token>`)
+ * that the token server exchanges for a room token while the visit is open:
+ * from APPOINTMENT_EARLY_JOIN_MINUTES (default 10) before the start until
+ * APPOINTMENT_GRACE_MINUTES (default 15) after the end.
+ *
+ * Join links are signed with APPOINTMENT_LINK_SECRET (falls back to
+ * LIVEKIT_API_SECRET) and point at APP_URL.
+ *
+ * A visit is rescheduled or cancelled by its own clinician, or an admin.
+ */
+
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { base64UrlDecode, base64UrlEncode, hmacSha256, safeEqual } = require('./jwt');
+const { HttpError } = require('./errors');
+
+const store = createFileStore('appointments');
+
+function getLinkSecret() {
+  return process.env.APPOINTMENT_LINK_SECRET || process.env.LIVEKIT_API_SECRET;
+}
+
+function minutes(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function sign(data) {
+  return hmacSha256(getLinkSecret(), data);
+}
+
+function parseWindow(startsAt, endsAt) {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (!startsAt || !endsAt || isNaN(start) || isNaN(end)) {
+    throw new HttpError(400, 'invalid_time', 'startsAt and endsAt must be ISO 8601 timestamps');
+  }
+  if (end <= start) {
+    throw new HttpError(400, 'invalid_time', 'endsAt must be after startsAt');
+  }
+  return { startsAt: start.toISOString(), endsAt: end.toISOString() };
+}
+
+function getAppointment(id) {
+  const appointment = store.get(id);
+  if (!appointment) {
+    throw new HttpError(404, 'appointment_not_found', 'Appointment not found');
+  }
+  return appointment;
+}
+
+// When tokens may be issued for a visit
+function getJoinWindow(appointment) {
+  const opensAt = new Date(appointment.startsAt).getTime() - minutes('APPOINTMENT_EARLY_JOIN_MINUTES', 10) * 60 * 1000;
+  const closesAt = new Date(appointment.endsAt).getTime() + minutes('APPOINTMENT_GRACE_MINUTES', 15) * 60 * 1000;
+  return {
+    opensAt: new Date(opensAt).toISOString(),
+    closesAt: new Date(closesAt).toISOString()
+  };
+}
+
+// Throws unless a token can be issued for this visit right now
+function assertJoinable(appointment, now = Date.now()) {
+  if (appointment.status === 'cancelled') {
+    throw new HttpError(403, 'appointment_cancelled', 'This visit has been cancelled');
+  }
+
+  const { opensAt, closesAt } = getJoinWindow(appointment);
+  if (now < new Date(opensAt).getTime()) {
+    throw new HttpError(403, 'visit_not_open', `This visit opens at ${opensAt}`);
+  }
+  if (now > new Date(closesAt).getTime()) {
+    throw new HttpError(403, 'visit_closed', 'This visit has ended');
+  }
+}
+
+// Signed join token for one party of a visit
+function createJoinToken(appointment, role) {
+  const payload = {
+    apt: appointment.id,
+    sub: role === 'clinician' ? appointment.clinician : appointment.patient,
+    role
+  };
+  const payloadEncoded = base64UrlEncode(JSON.stringify(payload));
+  return `${payloadEncoded}.${sign(payloadEncoded)}`;
+}
+
+function getJoinLinks(appointment) {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return {
+    clinician: `${appUrl}/?visit=${createJoinToken(appointment, 'clinician')}`,
+    patient: `${appUrl}/?visit=${createJoinToken(appointment, 'patient')}`
+  };
+}
+
+/**
+ * Verify a join token from a visit link.
+ * Returns { appointment, identity, role } or throws an HttpError.
+ */
+function verifyJoinToken(joinToken) {
+  const [payloadEncoded, signature] = (joinToken || '').split('.');
+  if (!payloadEncoded || !signature || !safeEqual(sign(payloadEncoded), signature)) {
+    throw new HttpError(401, 'invalid_visit_link', 'Visit link is invalid');
+  }
+
+  const payload = JSON.parse(base64UrlDecode(payloadEncoded).toString());
+  const appointment = getAppointment(payload.apt);
+  return { appointment, identity: payload.sub, role: payload.role };
+}
+
+async function createAppointment({ clinician, patient, startsAt, endsAt, waitingRoom = true }) {
+  if (!clinician || !patient) {
+    throw new HttpError(400, 'invalid_appointment', 'Missing clinician or patient');
+  }
+
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const appointment = {
+    id,
+    room: `visit-${id.slice(0, 8)}-${crypto.randomBytes(4).toString('hex')}`,
+    clinician,
+    patient,
+    ...parseWindow(startsAt, endsAt),
+    waitingRoom: waitingRoom !== false,
+    status: 'scheduled',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return store.insert(appointment);
+}
+
+function listAppointments({ clinician, patient, room, from, to, status } = {}) {
+  return store
+    .list(appointment =>
+      (!clinician || appointment.clinician === clinician) &&
+      (!room || appointment.room === room) &&
+      (!patient || appointment.patient === patient) &&
+      (!status || appointment.status === status) &&
+      (!from || appointment.endsAt >= new Date(from).toISOString()) &&
+      (!to || appointment.startsAt <= new Date(to).toISOString())
+    )
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+// The appointment a visit room was created for; rooms are unique to one
+function findRoomAppointment(room) {
+  return listAppointments({ room })[0] || null;
+}
+
+// For records that belong to a visit: null for unscheduled rooms
+function getRoomAppointmentId(room) {
+  return findRoomAppointment(room)?.id || null;
+}
+
+// Throws unless the principal may change the appointment
+function assertManagedBy(appointment, principal) {
+  if (!principal.admin && appointment.clinician !== principal.identity) {
+    throw new HttpError(403, 'not_your_appointment', "Only the visit's clinician can change it");
+  }
+}
+
+async function rescheduleAppointment(id, { startsAt, endsAt }, principal) {
+  const appointment = getAppointment(id);
+  assertManagedBy(appointment, principal);
+  if (appointment.status === 'cancelled') {
+    throw new HttpError(409, 'appointment_cancelled', 'Cannot reschedule a cancelled visit');
+  }
+  return store.update(id, parseWindow(startsAt, endsAt));
+}
+
+async function cancelAppointment(id, principal) {
+  assertManagedBy(getAppointment(id), principal);
+  return store.update(id, { status: 'cancelled' });
+}
+
+// Appointment details safe to show on the join screen
+function toPublicAppointment(appointment) {
+  const { id, room, clinician, patient, startsAt, endsAt, status } = appointment;
+  return { id, room, clinician, patient, startsAt, endsAt, status, ...getJoinWindow(appointment) };
+}
+
+module.exports = {
+  getAppointment,
+  assertJoinable,
+  getJoinLinks,
+  verifyJoinToken,
+  createAppointment,
+  listAppointments,
+  findRoomAppointment,
+  getRoomAppointmentId,
+  rescheduleAppointment,
+  cancelAppointment,
+  toPublicAppointment
+};
@@ -0,0 +1,439 @@
+/**
+ * Audio Post-processing
+ *
+ * Turns a recording's files (the mixed egress file, or one file per
+ * participant track) into outputs for downstream consumers:
+ *
+ *   mix.<format>          - everything, loudness-normalized
+ *   mix.trimmed.<format>  - the mix with long silences cut out
+ *   stems/<speaker>.<fmt> - one mono file per speaker, normalized on its
+ *                           own, aligned to the start of the recording
+ *   manifest.json         - loudness before and after, durations, and the
+ *                           trimmed segments mapped back to original time
+ *
+ * Formats are wav, flac and mp3. The processing itself is plain JavaScript
+ * on mono float samples: resampling, loudness measurement (ITU-R BS.1770
+ * integrated loudness, K-weighted and gated), gain with a peak ceiling, and
+ * silence detection. ffmpeg (FFMPEG_COMMAND, default `ffmpeg`) only sits at
+ * the edges, to decode inputs that are not WAV and to encode FLAC and MP3;
+ * WAV in and out needs nothing else. Audio is held in memory, so a long
+ * recording at a high sample rate needs a lot of it.
+ *
+ * Used by the session processor's audio stage (lib/sessionProcessor.js) and
+ * by tools/audio.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { encodeWav, floatToPcm16, decodeWav } = require('./wav');
+
+const OUTPUT_FORMATS = {
+  wav: { contentType: 'audio/wav' },
+  flac: { contentType: 'audio/flac', codec: ['-c:a', 'flac'] },
+  mp3: { contentType: 'audio/mpeg', codec: ['-c:a', 'libmp3lame', '-q:a', '2'] }
+};
+
+const DEFAULT_OPTIONS = {
+  sampleRate: 16000,
+  formats: ['wav', 'flac', 'mp3'],
+  targetLufs: -16,
+  peakDb: -1,
+  silenceThresholdDb: -45,
+  minSilenceMs: 500,
+  paddingMs: 150
+};
+
+// Defaults overridden by AUDIO_SAMPLE_RATE, AUDIO_FORMATS (comma-separated)
+// and AUDIO_TARGET_LUFS
+function getAudioOptions() {
+  const options = { ...DEFAULT_OPTIONS };
+  const sampleRate = Number(process.env.AUDIO_SAMPLE_RATE);
+  if (Number.isInteger(sampleRate) && sampleRate > 0) {
+    options.sampleRate = sampleRate;
+  }
+  if (process.env.AUDIO_FORMATS) {
+    options.formats = process.env.AUDIO_FORMATS.split(',').map(format => format.trim()).filter(Boolean);
+  }
+  const targetLufs = Number(process.env.AUDIO_TARGET_LUFS);
+  if (process.env.AUDIO_TARGET_LUFS && Number.isFinite(targetLufs)) {
+    options.targetLufs = targetLufs;
+  }
+  return options;
+}
+
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const SILENCE_FRAME_SECONDS = 0.02;
+
+// Run ffmpeg with input on stdin (if any); resolves with its stdout
+function runFfmpeg(args, input) {
+  return new Promise((resolve, reject) => {
+    const command = process.env.FFMPEG_COMMAND || 'ffmpeg';
+    const ffmpeg = spawn(command, ['-hide_banner', '-loglevel', 'error', ...args]);
+    const stdout = [];
+    const stderr = [];
+    ffmpeg.stdout.on('data', chunk => stdout.push(chunk));
+    ffmpeg.stderr.on('data', chunk => stderr.push(chunk));
+    ffmpeg.on('error', error => {
+      reject(error.code === 'ENOENT'
+        ? new Error(`${command} not found: FLAC, MP3 and non-WAV input need ffmpeg (set FFMPEG_COMMAND)`)
+        : error);
+    });
+    ffmpeg.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+      }
+    });
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(input);
+  });
+}
+
+function downmix(channels) {
+  if (channels.length === 1) {
+    return channels[0];
+  }
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Resample with a windowed-sinc filter, which also keeps frequencies above
+ * the new Nyquist limit out when downsampling.
+ */
+function resample(samples, fromRate, toRate, taps = 16) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+  const ratio = fromRate / toRate;
+  const cutoff = Math.min(1, toRate / fromRate);
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const center = i * ratio;
+    const first = Math.floor(center) - taps + 1;
+    let sum = 0;
+    for (let k = first; k <= Math.floor(center) + taps; k++) {
+      if (k < 0 || k >= samples.length) {
+        continue;
+      }
+      const x = center - k;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (taps + 1));
+      sum += samples[k] * sinc * window * cutoff;
+    }
+    output[i] = sum;
+  }
+  return output;
+}
+
+// Mono samples at sampleRate from any file ffmpeg can read; WAV is read directly
+async function readAudioFile(file, sampleRate) {
+  const buffer = fs.readFileSync(file);
+  const isWav = buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+  const wav = decodeWav(isWav
+    ? buffer
+    : await runFfmpeg(['-i', file, '-ac', '1', '-ar', String(sampleRate), '-c:a', 'pcm_s16le', '-f', 'wav', 'pipe:1']));
+  return resample(downmix(wav.channels), wav.sampleRate, sampleRate);
+}
+
+// Write samples as WAV, or through ffmpeg as FLAC/MP3, by file extension
+async function writeAudioFile(file, samples, sampleRate) {
+  const format = path.extname(file).slice(1);
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+  const wav = encodeWav(floatToPcm16(samples), sampleRate);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (format === 'wav') {
+    fs.writeFileSync(file, wav);
+    return;
+  }
+  await runFfmpeg(['-y', '-f', 'wav', '-i', 'pipe:0', ...OUTPUT_FORMATS[format].codec, file], wav);
+}
+
+// The two K-weighting stages (a high shelf, then a high-pass) for any
+// sample rate; at 48 kHz these are the coefficients given in BS.1770
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b: [
+        (Vh + (Vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+        (2 * (shelfK * shelfK - Vh)) / shelfA0,
+        (Vh - (Vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0
+      ],
+      a: [1, (2 * (shelfK * shelfK - 1)) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+    },
+    {
+      b: [1, -2, 1],
+      a: [1, (2 * (passK * passK - 1)) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+    }
+  ];
+}
+
+function applyBiquad(samples, { b, a }) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+/**
+ * Integrated loudness in LUFS (ITU-R BS.1770-4, mono). Returns -Infinity
+ * for audio that is silent or too short to measure (under 400 ms).
+ */
+function measureLoudness(samples, sampleRate) {
+  const weighted = kWeightingFilters(sampleRate).reduce(applyBiquad, samples);
+  const blockSize = Math.round(BLOCK_SECONDS * sampleRate);
+  const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+
+  const powers = [];
+  for (let start = 0; start + blockSize <= weighted.length; start += step) {
+    let sum = 0;
+    for (let i = start; i < start + blockSize; i++) {
+      sum += weighted[i] * weighted[i];
+    }
+    powers.push(sum / blockSize);
+  }
+
+  const loudness = power => -0.691 + 10 * Math.log10(power);
+  const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+  const aboveAbsolute = powers.filter(power => loudness(power) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) {
+    return -Infinity;
+  }
+  const relativeGate = loudness(mean(aboveAbsolute)) - 10;
+  return loudness(mean(aboveAbsolute.filter(power => loudness(power) > relativeGate)));
+}
+
+function peakOf(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  return peak;
+}
+
+/**
+ * Apply gain so the audio measures targetLufs, but never past a peak of
+ * peakDb (dBFS). Silent audio is left as it is.
+ * Returns { samples, inputLufs, outputLufs, gainDb }.
+ */
+function normalizeLoudness(samples, sampleRate, { targetLufs = DEFAULT_OPTIONS.targetLufs, peakDb = DEFAULT_OPTIONS.peakDb } = {}) {
+  const inputLufs = measureLoudness(samples, sampleRate);
+  const peak = peakOf(samples);
+  if (!Number.isFinite(inputLufs) || peak === 0) {
+    return { samples, inputLufs: null, outputLufs: null, gainDb: 0 };
+  }
+
+  const ceilingGainDb = peakDb - 20 * Math.log10(peak);
+  const gainDb = Math.min(targetLufs - inputLufs, ceilingGainDb);
+  const gain = 10 ** (gainDb / 20);
+  const output = samples.map(sample => sample * gain);
+  return { samples: output, inputLufs, outputLufs: measureLoudness(output, sampleRate), gainDb };
+}
+
+/**
+ * Find where there is sound: [{ start, end }] in samples. Quieter than
+ * thresholdDb (dBFS, over 20 ms frames) is silence; gaps shorter than
+ * minSilenceMs are kept, and paddingMs is kept around each part.
+ */
+function detectSound(samples, sampleRate, {
+  silenceThresholdDb = DEFAULT_OPTIONS.silenceThresholdDb,
+  minSilenceMs = DEFAULT_OPTIONS.minSilenceMs,
+  paddingMs = DEFAULT_OPTIONS.paddingMs
+} = {}) {
+  const frameSize = Math.max(1, Math.round(SILENCE_FRAME_SECONDS * sampleRate));
+  const threshold = 10 ** (silenceThresholdDb / 20);
+  const padding = Math.round((paddingMs / 1000) * sampleRate);
+  const minSilence = Math.round((minSilenceMs / 1000) * sampleRate);
+
+  const parts = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    if (Math.sqrt(sum / (end - start)) < threshold) {
+      continue;
+    }
+    const last = parts[parts.length - 1];
+    if (last && start - last.end < minSilence) {
+      last.end = end;
+    } else {
+      parts.push({ start, end });
+    }
+  }
+
+  const padded = [];
+  for (const part of parts) {
+    const start = Math.max(0, part.start - padding);
+    const end = Math.min(samples.length, part.end + padding);
+    const last = padded[padded.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      padded.push({ start, end });
+    }
+  }
+  return padded;
+}
+
+/**
+ * Cut long silences out. Returns { samples, segments }, where each segment
+ * maps a stretch of the trimmed audio back to the original, in seconds:
+ * { start, end, originalStart, originalEnd }.
+ */
+function trimSilence(samples, sampleRate, options = {}) {
+  const parts = detectSound(samples, sampleRate, options);
+  const output = new Float32Array(parts.reduce((total, part) => total + part.end - part.start, 0));
+  const segments = [];
+  let position = 0;
+  for (const part of parts) {
+    output.set(samples.subarray(part.start, part.end), position);
+    segments.push({
+      start: position / sampleRate,
+      end: (position + part.end - part.start) / sampleRate,
+      originalStart: part.start / sampleRate,
+      originalEnd: part.end / sampleRate
+    });
+    position += part.end - part.start;
+  }
+  return { samples: output, segments };
+}
+
+// Time in the original audio for a time (seconds) in the trimmed audio
+function toOriginalTime(segments, time) {
+  const segment = segments.find(candidate => time <= candidate.end) || segments[segments.length - 1];
+  if (!segment) {
+    return time;
+  }
+  return segment.originalStart + Math.max(0, Math.min(time, segment.end) - segment.start);
+}
+
+function safeFileName(name) {
+  return name.replace(/[^\w.-]+/g, '_');
+}
+
+async function writeOutputs(outDir, name, samples, sampleRate, formats) {
+  const files = [];
+  for (const format of formats) {
+    const file = `${name}.${format}`;
+    await writeAudioFile(path.join(outDir, file), samples, sampleRate);
+    files.push(file);
+  }
+  return files;
+}
+
+function roundLoudness({ inputLufs, outputLufs, gainDb }) {
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  return { inputLufs: round(inputLufs), outputLufs: round(outputLufs), gainDb: round(gainDb) };
+}
+
+/**
+ * Process a recording's files into outDir (see the top of this file).
+ * sources: [{ path, speaker, offset }], offset in seconds from the start of
+ * the recording; sources without a speaker (a mixed file) get no stem.
+ * Returns the manifest, which is also written to outDir/manifest.json.
+ */
+async function processAudio(sources, outDir, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { sampleRate, formats } = settings;
+  const unknown = formats.filter(format => !OUTPUT_FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported output format: ${unknown.join(', ')}. Use: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const decoded = [];
+  for (const source of sources) {
+    decoded.push({ ...source, samples: await readAudioFile(source.path, sampleRate), start: Math.round((source.offset || 0) * sampleRate) });
+  }
+  const length = Math.max(0, ...decoded.map(source => source.start + source.samples.length));
+
+  const mix = new Float32Array(length);
+  const stems = new Map();
+  for (const source of decoded) {
+    mix.set(source.samples.map((sample, i) => sample + mix[source.start + i]), source.start);
+    if (source.speaker) {
+      const stem = stems.get(source.speaker) || new Float32Array(length);
+      stem.set(source.samples.map((sample, i) => sample + stem[source.start + i]), source.start);
+      stems.set(source.speaker, stem);
+    }
+  }
+
+  const normalizedMix = normalizeLoudness(mix, sampleRate, settings);
+  const trimmed = trimSilence(normalizedMix.samples, sampleRate, settings);
+
+  const manifest = {
+    sampleRate,
+    formats,
+    targetLufs: settings.targetLufs,
+    duration: length / sampleRate,
+    mix: {
+      files: await writeOutputs(outDir, 'mix', normalizedMix.samples, sampleRate, formats),
+      loudness: roundLoudness(normalizedMix)
+    },
+    trimmed: {
+      files: await writeOutputs(outDir, 'mix.trimmed', trimmed.samples, sampleRate, formats),
+      duration: trimmed.samples.length / sampleRate,
+      segments: trimmed.segments
+    },
+    stems: []
+  };
+
+  for (const [speaker, samples] of stems) {
+    const normalized = normalizeLoudness(samples, sampleRate, settings);
+    manifest.stems.push({
+      speaker,
+      files: await writeOutputs(outDir, `stems/${safeFileName(speaker)}`, normalized.samples, sampleRate, formats),
+      loudness: roundLoudness(normalized)
+    });
+  }
+
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OPTIONS,
+  getAudioOptions,
+  resample,
+  readAudioFile,
+  writeAudioFile,
+  measureLoudness,
+  normalizeLoudness,
+  detectSound,
+  trimSilence,
+  toOriginalTime,
+  processAudio
+};
@@ -0,0 +1,185 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of who did what during visits, for compliance: token
+ * issuance, joins and leaves, the recording lifecycle, consent answers and
+ * every access to a recording. Entries are JSON lines in DATA_DIR/audit.jsonl:
+ *
+ *   { seq, at, action, actor, room, target, details, prevHash, hash }
+ *
+ * Each hash is SHA-256 over the previous entry's hash and the entry itself,
+ * so editing, reordering or deleting a line breaks the chain from that
+ * point on (see verifyAuditLog). The token server and the worker both
+ * append, so each append holds the log's lock file from reading the head
+ * to writing the entry.
+ *
+ * Actions:
+ *   token.issued, participant.joined, participant.left, room.finished,
+ *   consent.requested, consent.accepted, consent.declined,
+ *   recording.started, recording.stopped, recording.completed, recording.failed,
+ *   recording.viewed, recording.downloaded, recording.deleted,
+ *   recording.manifest_viewed, transcript.viewed, chat.exported,
+ *   note.drafted, note.signed, note.amended, screen_share.allowed,
+ *   screen_share.revoked, annotation.saved, invite.created, invite.revoked,
+ *   moderation.muted, moderation.unmuted, participant.removed, room.locked,
+ *   room.unlocked, visit.ended, access.revoked, access.restored,
+ *   waiting_room.admitted, waiting_room.denied, audit.exported
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, withFileLock } = require('./fileStore');
+const { HttpError } = require('./errors');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+const CSV_COLUMNS = ['seq', 'at', 'action', 'actor', 'room', 'target', 'details', 'prevHash', 'hash'];
+
+// Entries are small; the last one always fits in this much of the file's tail
+const TAIL_BYTES = 64 * 1024;
+
+function getAuditFile() {
+  return path.join(getDataDir(), 'audit.jsonl');
+}
+
+function hashEntry(entry) {
+  const { seq, at, action, actor, room, target, details, prevHash } = entry;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([prevHash, seq, at, action, actor, room, target, details]))
+    .digest('hex');
+}
+
+function readEntries() {
+  let content;
+  try {
+    content = fs.readFileSync(getAuditFile(), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// The chain's head, read from the end of the file so other processes' appends are seen
+function getHead(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return { seq: 0, hash: GENESIS_HASH };
+    }
+    throw e;
+  }
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const last = buffer.toString('utf8').split('\n').filter(Boolean).pop();
+    return last ? JSON.parse(last) : { seq: 0, hash: GENESIS_HASH };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append an entry to the audit log. actor is the identity responsible
+ * ('system' for server-side events); target is what was acted on, such as
+ * a recording ID. Resolves to the entry.
+ */
+function recordAuditEvent({ action, actor, room = null, target = null, details = {} }) {
+  const file = getAuditFile();
+
+  return withFileLock(file, () => {
+    const head = getHead(file);
+    const entry = {
+      seq: head.seq + 1,
+      at: new Date().toISOString(),
+      action,
+      actor: actor || 'system',
+      room,
+      target,
+      details,
+      prevHash: head.hash
+    };
+    entry.hash = hashEntry(entry);
+
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  });
+}
+
+/**
+ * Entries matching the filters, oldest first. action matches exactly or by
+ * prefix ending in a dot (`recording.`); from/to bound the timestamp.
+ */
+function queryAuditLog({ from, to, action, actor, room, target, limit } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    throw new HttpError(400, 'invalid_date', 'from and to must be ISO 8601 dates');
+  }
+  const fromIso = fromDate?.toISOString();
+  const toIso = toDate?.toISOString();
+
+  const entries = readEntries().filter(entry =>
+    (!action || entry.action === action || (action.endsWith('.') && entry.action.startsWith(action))) &&
+    (!actor || entry.actor === actor) &&
+    (!room || entry.room === room) &&
+    (!target || entry.target === target) &&
+    (!fromIso || entry.at >= fromIso) &&
+    (!toIso || entry.at <= toIso)
+  );
+  return limit ? entries.slice(-Number(limit)) : entries;
+}
+
+// Recompute the chain; brokenAt is the seq of the first entry that does not match
+function verifyAuditLog() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  const entries = readEntries();
+
+  for (const entry of entries) {
+    if (entry.seq !== expectedSeq || entry.prevHash !== prevHash || hashEntry(entry) !== entry.hash) {
+      return { valid: false, entries: entries.length, brokenAt: entry.seq ?? expectedSeq };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+  }
+  return { valid: true, entries: entries.length, brokenAt: null };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render entries as JSON Lines or CSV
+function renderAuditLog(entries, format) {
+  if (format === 'csv') {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  recordAuditEvent,
+  queryAuditLog,
+  verifyAuditLog,
+  renderAuditLog
+};
@@ -0,0 +1,199 @@
+/**
+ * Token Issuance Authentication
+ *
+ * Verifies the caller's credential before a room token is issued. Accepted:
+ *   - Authorization: Bearer <JWT> issued by our IdP, signed HS256 with
+ *     AUTH_JWT_SECRET or RS256/ES256 with a key from the AUTH_JWKS_FILE
+ *   - a `session` cookie signed by our portal with AUTH_SESSION_SECRET
+ *     (format: base64url(JSON claims).base64url(HMAC-SHA256))
+ *
+ * Identity and permissions come from the verified claims, never the query:
+ *   sub            - participant identity
+ *   rooms          - rooms the user may join (['*'] for any room)
+ *   role | roles   - visit role(s) the user may join as
+ *   admin          - true for practice administrators (e.g. may manage all recordings)
+ *
+ * Optional: AUTH_ISSUER and AUTH_AUDIENCE are checked against iss/aud.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { base64UrlDecode, hmacSha256, safeEqual, verifyJwt } = require('./jwt');
+const { DEFAULT_ROLE, isValidRole } = require('./roles');
+const { HttpError } = require('./errors');
+
+const SESSION_COOKIE = 'session';
+
+let cachedJwks = null;
+
+// Load the JWKS file once; keys are matched by `kid`
+function getJwks() {
+  if (!cachedJwks) {
+    const file = fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8');
+    cachedJwks = JSON.parse(file).keys || [];
+  }
+  return cachedJwks;
+}
+
+// The public key for an RS256/ES256 credential, matched by `kid`
+function getPublicKey(header) {
+  if (!process.env.AUTH_JWKS_FILE) {
+    return null;
+  }
+  const jwk = getJwks().find(key => key.kid === header.kid);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+const JWT_ERRORS = {
+  malformed: 'Malformed bearer token',
+  invalid_signature: 'Bearer token signature is invalid',
+  not_yet_valid: 'Credentials are not yet valid'
+};
+
+// Verify an IdP bearer JWT and return its claims
+function verifyBearerToken(token) {
+  let claims;
+  try {
+    claims = verifyJwt(token, { secret: process.env.AUTH_JWT_SECRET, getKey: getPublicKey });
+  } catch (error) {
+    if (error.code === 'expired') {
+      throw new HttpError(401, 'credentials_expired', 'Credentials have expired');
+    }
+    // Anything else, e.g. a JWKS key that is not a usable public key
+    throw new HttpError(401, 'invalid_credentials', JWT_ERRORS[error.code] || 'Bearer token is invalid');
+  }
+
+  const { AUTH_ISSUER, AUTH_AUDIENCE } = process.env;
+  if (AUTH_ISSUER && claims.iss !== AUTH_ISSUER) {
+    throw new HttpError(401, 'invalid_credentials', 'Bearer token issuer is not trusted');
+  }
+  if (AUTH_AUDIENCE && ![].concat(claims.aud).includes(AUTH_AUDIENCE)) {
+    throw new HttpError(401, 'invalid_credentials', 'Bearer token audience does not match');
+  }
+
+  return claims;
+}
+
+// Verify a signed session cookie and return its claims
+function verifySessionCookie(value) {
+  const secret = process.env.AUTH_SESSION_SECRET;
+  const [payloadEncoded, signature] = value.split('.');
+  if (!secret || !payloadEncoded || !signature || !safeEqual(hmacSha256(secret, payloadEncoded), signature)) {
+    throw new HttpError(401, 'invalid_credentials', 'Session cookie is invalid');
+  }
+
+  try {
+    return JSON.parse(base64UrlDecode(payloadEncoded).toString());
+  } catch (e) {
+    throw new HttpError(401, 'invalid_credentials', 'Session cookie is invalid');
+  }
+}
+
+function getCookie(headers, name) {
+  const cookies = (headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...rest] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Authenticate a request from its headers.
+ * Returns { identity, name, rooms, roles, admin } or throws an HttpError.
+ */
+function authenticate(headers) {
+  if (!process.env.AUTH_JWT_SECRET && !process.env.AUTH_JWKS_FILE && !process.env.AUTH_SESSION_SECRET) {
+    throw new HttpError(500, 'auth_not_configured', 'Server not configured. Set AUTH_JWT_SECRET, AUTH_JWKS_FILE or AUTH_SESSION_SECRET.');
+  }
+
+  const authHeader = headers.authorization || '';
+  const bearer = authHeader.match(/^Bearer\s+(.+)$/i);
+  const session = getCookie(headers, SESSION_COOKIE);
+
+  let claims;
+  if (bearer) {
+    claims = verifyBearerToken(bearer[1].trim());
+  } else if (session) {
+    claims = verifySessionCookie(session);
+  } else {
+    throw new HttpError(401, 'missing_credentials', 'Sign in required');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new HttpError(401, 'credentials_expired', 'Credentials have expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new HttpError(401, 'invalid_credentials', 'Credentials are not yet valid');
+  }
+  if (!claims.sub) {
+    throw new HttpError(401, 'invalid_credentials', 'Credentials have no subject');
+  }
+
+  return {
+    identity: claims.sub,
+    name: claims.name || claims.sub,
+    rooms: [].concat(claims.rooms || []),
+    roles: [].concat(claims.roles || claims.role || DEFAULT_ROLE).filter(isValidRole),
+    admin: claims.admin === true
+  };
+}
+
+// Pick the room to join: the requested one if allowed, else the user's only room
+function resolveRoom(principal, requestedRoom) {
+  const allowsAny = principal.rooms.includes('*');
+
+  if (!requestedRoom) {
+    if (principal.rooms.length === 1 && !allowsAny) {
+      return principal.rooms[0];
+    }
+    throw new HttpError(400, 'room_required', 'Missing room parameter');
+  }
+
+  if (!allowsAny && !principal.rooms.includes(requestedRoom)) {
+    throw new HttpError(403, 'room_not_allowed', `Not allowed to join room: ${requestedRoom}`);
+  }
+  return requestedRoom;
+}
+
+// Pick the role to join as: the requested one if allowed, else the user's first role
+function resolveRole(principal, requestedRole) {
+  if (!requestedRole) {
+    if (principal.roles.length === 0) {
+      throw new HttpError(403, 'role_not_allowed', 'No visit role granted');
+    }
+    return principal.roles[0];
+  }
+
+  if (!principal.roles.includes(requestedRole)) {
+    throw new HttpError(403, 'role_not_allowed', `Not allowed to join as: ${requestedRole}`);
+  }
+  return requestedRole;
+}
+
+// Throws unless the principal holds the given role
+function requireRole(principal, role) {
+  if (!principal.roles.includes(role)) {
+    throw new HttpError(403, 'role_not_allowed', `Requires the ${role} role`);
+  }
+  return principal;
+}
+
+// Throws unless the principal is a practice administrator
+function requireAdmin(principal) {
+  if (!principal.admin) {
+    throw new HttpError(403, 'admin_required', 'Requires an administrator');
+  }
+  return principal;
+}
+
+module.exports = {
+  authenticate,
+  resolveRoom,
+  resolveRole,
+  requireRole,
+  requireAdmin
+};
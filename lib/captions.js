@@ -0,0 +1,402 @@
+/**
+ * Live Captions
+ *
+ * A caption worker joins a room as a hidden participant, runs streaming
+ * speech-to-text on every audio track and publishes the results on the
+ * `captions` data topic:
+ *
+ *   { type: 'caption', id, speaker, name, text, final, at }
+ *
+ * Interim results for a segment share its id and are replaced by the final
+ * one. Speech-to-text adapters (CAPTION_ADAPTER):
+ *
+ *   whisper - sends the segment so far to a Whisper server every
+ *             CAPTION_STEP_SECONDS (default 1) for an interim result, and
+ *             ends the segment with a final one after CAPTION_WINDOW_SECONDS
+ *             (default 6) (default)
+ *   stub    - emits placeholder captions while audio flows, for development
+ *
+ * An adapter is { createStream({ sampleRate, onResult }) } returning
+ * { write(samples), close() }, where samples are 16-bit mono PCM and
+ * onResult({ text, final }) may be called at any time.
+ *
+ * The Whisper server is a long-running command (CAPTION_WHISPER_COMMAND,
+ * default tools/whisper-server.py) that loads the model once and answers
+ * requests on stdin, each a 4-byte little-endian length and that many bytes
+ * of PCM, with a JSON line { "text": ... }. It runs while any track is being
+ * captioned. Each track has one request in flight at a time; audio arriving
+ * meanwhile joins the next request, and when Whisper falls further behind
+ * than two windows the oldest audio is dropped.
+ *
+ * Workers are started on demand by the token server (startCaptionWorker) or
+ * run standalone with caption-worker.js, and leave once the room is empty.
+ * All join as CAPTION_WORKER_IDENTITY, so a second worker would take the
+ * first one's place: startCaptionWorker leaves a room alone while a worker,
+ * from this or any other process, is in it. Joining a room needs the
+ * optional @livekit/rtc-node package.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+const { AccessToken } = require('livekit-server-sdk');
+const { getLivekitUrl, getRoomServiceClient } = require('./livekit');
+const { HttpError } = require('./errors');
+
+const CAPTIONS_TOPIC = 'captions';
+const CAPTION_WORKER_IDENTITY = 'caption-worker';
+const SAMPLE_RATE = 16000;
+
+// Audio quieter than this (RMS of 16-bit samples) is not sent to Whisper,
+// which tends to invent text for silence
+const SILENCE_RMS = 200;
+
+// The native WebRTC module is an optional dependency, needed only to join rooms
+function loadRtc() {
+  try {
+    return require('@livekit/rtc-node');
+  } catch (error) {
+    throw new HttpError(501, 'captions_unavailable', 'Live captions need the @livekit/rtc-node package on this host');
+  }
+}
+
+function rms(samples) {
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / (samples.length || 1));
+}
+
+function concatSamples(chunks, length) {
+  const samples = new Int16Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    samples.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return samples;
+}
+
+function getWhisperServerCommand() {
+  return process.env.CAPTION_WHISPER_COMMAND ||
+    `python3 "${path.join(__dirname, '..', 'tools', 'whisper-server.py')}"`;
+}
+
+// Start the Whisper server; requests are answered in the order they are sent
+function startWhisperServer() {
+  const child = spawn(getWhisperServerCommand(), { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+  const pending = [];
+  let exited = false;
+
+  readline.createInterface({ input: child.stdout }).on('line', line => {
+    const request = pending.shift();
+    try {
+      request?.resolve(String(JSON.parse(line).text || '').trim());
+    } catch (error) {
+      request?.reject(new Error(`Unexpected answer from the Whisper server: ${line}`));
+    }
+  });
+  // A server that died is noticed on exit; writing to it only fails
+  child.stdin.on('error', () => {});
+  child.on('exit', code => {
+    exited = true;
+    if (whisperServer?.child === child) {
+      whisperServer = null;
+    }
+    for (const request of pending.splice(0)) {
+      request.reject(new Error(`Whisper server exited with code ${code}`));
+    }
+  });
+
+  return {
+    child,
+    transcribe(samples) {
+      if (exited) {
+        return Promise.reject(new Error('Whisper server has exited'));
+      }
+      return new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+        const header = Buffer.alloc(4);
+        header.writeUInt32LE(samples.byteLength);
+        child.stdin.write(header);
+        child.stdin.write(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+      });
+    },
+    // It answers what it was already sent, then exits
+    stop() {
+      child.stdin.end();
+    }
+  };
+}
+
+let whisperServer = null;
+let whisperStreams = 0;
+
+// Started (again, if it died) for the first request, stopped after the last stream closes
+function transcribeWithWhisper(samples) {
+  if (!whisperServer) {
+    whisperServer = startWhisperServer();
+  }
+  return whisperServer.transcribe(samples);
+}
+
+function releaseWhisperServer() {
+  whisperStreams -= 1;
+  if (whisperStreams === 0 && whisperServer) {
+    whisperServer.stop();
+    whisperServer = null;
+  }
+}
+
+const ADAPTERS = {
+  whisper: {
+    createStream({ sampleRate, onResult }) {
+      const windowSize = sampleRate * (Number(process.env.CAPTION_WINDOW_SECONDS) || 6);
+      const stepSize = sampleRate * (Number(process.env.CAPTION_STEP_SECONDS) || 1);
+      const maxBuffered = windowSize * 2;
+      let chunks = [];
+      let length = 0;
+      // How much of the segment the last interim result covered, and its text
+      let requestedLength = 0;
+      let interimText = '';
+      let busy = false;
+      let closing = false;
+      let released = false;
+
+      whisperStreams += 1;
+
+      async function send(final) {
+        const samples = concatSamples(chunks, length);
+        const shown = interimText;
+        if (final) {
+          chunks = [];
+          length = 0;
+          requestedLength = 0;
+          interimText = '';
+        } else {
+          requestedLength = length;
+        }
+
+        // A final result is still owed for a segment that showed an interim one
+        if (rms(samples) >= SILENCE_RMS || (final && shown)) {
+          busy = true;
+          try {
+            const text = await transcribeWithWhisper(samples);
+            if (final && (text || shown)) {
+              onResult({ text: text || shown, final: true });
+            } else if (!final && text) {
+              interimText = text;
+              onResult({ text, final: false });
+            }
+          } catch (error) {
+            console.error('Caption transcription failed:', error.message);
+          }
+          busy = false;
+        }
+        next();
+      }
+
+      function next() {
+        if (busy) {
+          return;
+        }
+        if (length > 0 && (closing || length >= windowSize)) {
+          send(true);
+        } else if (!closing && length - requestedLength >= stepSize) {
+          send(false);
+        } else if (closing && !released) {
+          released = true;
+          releaseWhisperServer();
+        }
+      }
+
+      return {
+        write(samples) {
+          chunks.push(samples);
+          length += samples.length;
+
+          let dropped = 0;
+          while (length - chunks[0].length >= maxBuffered) {
+            dropped += chunks[0].length;
+            length -= chunks.shift().length;
+          }
+          if (dropped > 0) {
+            requestedLength = Math.max(0, requestedLength - dropped);
+            console.log(`Captions: Whisper is behind; dropped ${(dropped / sampleRate).toFixed(1)}s of audio`);
+          }
+          next();
+        },
+        close() {
+          closing = true;
+          next();
+        }
+      };
+    }
+  },
+
+  stub: {
+    createStream({ sampleRate, onResult }) {
+      let samplesSeen = 0;
+      let count = 0;
+
+      return {
+        write(samples) {
+          samplesSeen += samples.length;
+          if (samplesSeen >= sampleRate * 3) {
+            count += 1;
+            onResult({ text: `Caption ${count}`, final: true });
+            samplesSeen = 0;
+          } else if (samplesSeen >= sampleRate && samplesSeen - samples.length < sampleRate) {
+            onResult({ text: `Caption ${count + 1}...`, final: false });
+          }
+        },
+        close() {}
+      };
+    }
+  }
+};
+
+function getAdapter() {
+  const name = process.env.CAPTION_ADAPTER || 'whisper';
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown CAPTION_ADAPTER: ${name}`);
+  }
+  return ADAPTERS[name];
+}
+
+// A hidden, subscribe-only token that can still publish data
+async function createWorkerToken(roomName) {
+  const token = new AccessToken(process.env.LIVEKIT_API_KEY, process.env.LIVEKIT_API_SECRET, {
+    identity: CAPTION_WORKER_IDENTITY,
+    name: 'Captions',
+    ttl: '6h'
+  });
+  token.addGrant({
+    room: roomName,
+    roomJoin: true,
+    hidden: true,
+    canPublish: false,
+    canSubscribe: true,
+    canPublishData: true
+  });
+  return token.toJwt();
+}
+
+/**
+ * Caption one participant's audio frames, handing each caption message to
+ * publish. Resolves once the frames end.
+ */
+async function captionFrames(frames, { trackSid, participant, adapter, publish }) {
+  let segment = 0;
+
+  const stream = adapter.createStream({
+    sampleRate: SAMPLE_RATE,
+    onResult: ({ text, final }) => {
+      publish({
+        type: 'caption',
+        id: `${trackSid}-${segment}`,
+        speaker: participant.identity,
+        name: participant.name || participant.identity,
+        text,
+        final,
+        at: new Date().toISOString()
+      });
+      if (final) {
+        segment += 1;
+      }
+    }
+  });
+
+  try {
+    for await (const frame of frames) {
+      stream.write(frame.data);
+    }
+  } finally {
+    stream.close();
+  }
+}
+
+async function captionTrack(room, track, participant, adapter) {
+  const { AudioStream } = loadRtc();
+  const encoder = new TextEncoder();
+
+  await captionFrames(new AudioStream(track, { sampleRate: SAMPLE_RATE, numChannels: 1 }), {
+    trackSid: track.sid,
+    participant,
+    adapter,
+    publish: message => room.localParticipant
+      .publishData(encoder.encode(JSON.stringify(message)), { reliable: true, topic: CAPTIONS_TOPIC })
+      .catch(error => console.error('Failed to publish caption:', error.message))
+  });
+}
+
+/**
+ * Join a room and caption it until everyone else has left.
+ * Resolves with the connected Room; `room.disconnect()` stops it early.
+ */
+async function runCaptionWorker(roomName) {
+  const { Room, RoomEvent, TrackKind } = loadRtc();
+  const adapter = getAdapter();
+  const room = new Room();
+
+  room.on(RoomEvent.TrackSubscribed, (track, publication, participant) => {
+    if (track.kind === TrackKind.KIND_AUDIO) {
+      captionTrack(room, track, participant, adapter).catch(error => {
+        console.error(`Captions stopped for ${participant.identity}:`, error.message);
+      });
+    }
+  });
+
+  room.on(RoomEvent.ParticipantDisconnected, () => {
+    if (room.remoteParticipants.size === 0) {
+      console.log(`Captions: room ${roomName} is empty, leaving`);
+      room.disconnect();
+    }
+  });
+
+  const url = getLivekitUrl().replace(/^http/, 'ws');
+  await room.connect(url, await createWorkerToken(roomName), { autoSubscribe: true, dynacast: false });
+  console.log(`Captions: joined room ${roomName}`);
+  return room;
+}
+
+const workers = new Map();
+
+async function isWorkerInRoom(roomName) {
+  try {
+    await getRoomServiceClient().getParticipant(roomName, CAPTION_WORKER_IDENTITY);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Start captioning a room from this process unless it already is captioned
+async function startCaptionWorker(roomName) {
+  if (workers.has(roomName) || await isWorkerInRoom(roomName)) {
+    return { status: 200, body: { success: true, message: 'Captions already running' } };
+  }
+
+  const starting = runCaptionWorker(roomName);
+  workers.set(roomName, starting);
+
+  try {
+    const room = await starting;
+    room.once(loadRtc().RoomEvent.Disconnected, () => workers.delete(roomName));
+  } catch (error) {
+    workers.delete(roomName);
+    throw error;
+  }
+
+  return { status: 200, body: { success: true, message: 'Captions started' } };
+}
+
+module.exports = {
+  CAPTIONS_TOPIC,
+  CAPTION_WORKER_IDENTITY,
+  captionFrames,
+  getAdapter,
+  runCaptionWorker,
+  startCaptionWorker
+};
@@ -0,0 +1,228 @@
+/**
+ * Visit Chat
+ *
+ * Text messages and file attachments (e.g. a photo of a rash) exchanged
+ * during a visit. Clients post messages here; each one is saved in the
+ * `chat` store, tied to the room and its appointment, and then relayed to
+ * everyone in the call on the `chat` data topic:
+ *
+ *   { type: 'chat_message', message }
+ *
+ * so the history survives the call and is reloaded when someone rejoins.
+ * Only people admitted to the call can read or post (observers can read);
+ * see assertInCall.
+ *
+ * Attachments are stored through the recording storage provider (see
+ * lib/storage.js) under chat/{room}/{messageId}{ext} and are at most
+ * CHAT_ATTACHMENT_MAX_BYTES (see getUploadMaxBytes). Clinicians can export
+ * the chat merged with the visit's transcripts.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { getRoomServiceClient, sendRoomData } = require('./livekit');
+const { getRoomAppointmentId } = require('./appointments');
+const { parseParticipantMetadata } = require('./roles');
+const { getRecordingStore } = require('./recordingStore');
+const { getStorage, getUploadMaxBytes } = require('./storage');
+const { getTranscripts } = require('./transcription');
+const { HttpError } = require('./errors');
+
+const CHAT_TOPIC = 'chat';
+
+const MAX_TEXT_LENGTH = 4000;
+
+const ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  txt: 'text/plain'
+};
+
+const store = createFileStore('chat');
+
+// Messages as clients see them: attachment storage keys stay on the server
+function toPublicMessage(message) {
+  const { id, room, sender, senderName, text, sentAt, attachment } = message;
+  return {
+    id,
+    room,
+    sender,
+    senderName,
+    text,
+    sentAt,
+    attachment: attachment && { name: attachment.name, contentType: attachment.contentType, size: attachment.size }
+  };
+}
+
+/**
+ * Throws unless the identity is in the call right now and out of the
+ * waiting room; with `send`, they must also be allowed to publish data.
+ * Checked against the live participant because admitting a patient changes
+ * their permissions but not their token.
+ */
+async function assertInCall(room, identity, { send = false } = {}) {
+  let participant;
+  try {
+    participant = await getRoomServiceClient().getParticipant(room, identity);
+  } catch (error) {
+    throw new HttpError(403, 'not_in_call', 'Join the visit to use its chat');
+  }
+  if (parseParticipantMetadata(participant).waiting || !participant.permission?.canSubscribe) {
+    throw new HttpError(403, 'not_in_call', 'Chat opens once you are admitted to the visit');
+  }
+  if (send && !participant.permission.canPublishData) {
+    throw new HttpError(403, 'chat_not_allowed', 'You cannot send messages in this visit');
+  }
+}
+
+// Decode and check an attachment posted as { name, contentType, data (base64) }
+function parseAttachment({ name, contentType, data } = {}) {
+  if (!ATTACHMENT_TYPES[contentType]) {
+    throw new HttpError(415, 'unsupported_attachment', `Attachments must be one of: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+  }
+  const body = Buffer.from(data || '', 'base64');
+  if (body.length === 0) {
+    throw new HttpError(400, 'empty_attachment', 'Attachment is empty');
+  }
+  const maxBytes = getUploadMaxBytes('CHAT_ATTACHMENT_MAX_BYTES');
+  if (body.length > maxBytes) {
+    throw new HttpError(413, 'attachment_too_large', `Attachments are limited to ${maxBytes} bytes`);
+  }
+  const safeName = path.posix.basename(String(name || 'attachment')).replace(/[^\w.\- ]/g, '_').slice(0, 120);
+  return { body, name: safeName || 'attachment', contentType };
+}
+
+/**
+ * Save a message and relay it to the call. sender is { identity, name }.
+ * Returns the message as clients see it.
+ */
+async function sendChatMessage(room, sender, { text, attachment } = {}) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed && !attachment) {
+    throw new HttpError(400, 'empty_message', 'Message has no text or attachment');
+  }
+  if (trimmed.length > MAX_TEXT_LENGTH) {
+    throw new HttpError(400, 'message_too_long', `Messages are limited to ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  const id = crypto.randomUUID();
+  let storedAttachment = null;
+  if (attachment) {
+    const { body, name, contentType } = parseAttachment(attachment);
+    const key = `chat/${room}/${id}${ATTACHMENT_TYPES[contentType]}`;
+    await getStorage().upload(key, body, contentType);
+    storedAttachment = { key, name, contentType, size: body.length };
+  }
+
+  const message = await store.insert({
+    id,
+    room,
+    appointmentId: getRoomAppointmentId(room),
+    sender: sender.identity,
+    senderName: sender.name || sender.identity,
+    text: trimmed,
+    attachment: storedAttachment,
+    sentAt: new Date().toISOString()
+  });
+
+  // The message is saved either way; anyone who missed it gets it on reload
+  try {
+    await sendRoomData(room, CHAT_TOPIC, { type: 'chat_message', message: toPublicMessage(message) });
+  } catch (error) {
+    console.error(`Chat message ${id} saved but not relayed: ${error.message}`);
+  }
+  return toPublicMessage(message);
+}
+
+function listStoredMessages(room) {
+  return store
+    .list(message => message.room === room)
+    .sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+}
+
+// A room's chat history, oldest first
+function listChatMessages(room) {
+  return listStoredMessages(room).map(toPublicMessage);
+}
+
+// Attachment contents: { body, contentType, name }
+async function getChatAttachment(room, messageId) {
+  const message = store.get(messageId);
+  if (!message || message.room !== room || !message.attachment) {
+    throw new HttpError(404, 'attachment_not_found', 'Attachment not found');
+  }
+  const { key, contentType, name } = message.attachment;
+  return { body: await getStorage().fetch(key), contentType, name };
+}
+
+// Spoken lines from the room's completed transcripts, on the wall clock
+async function getSpokenEntries(room, recordingId) {
+  const { body } = await getTranscripts(room, recordingId, 'json');
+  const entries = [];
+  for (const transcript of body.transcripts.filter(item => item.status === 'complete')) {
+    const recording = await getRecordingStore().get(transcript.recordingId);
+    if (!recording) {
+      continue;
+    }
+    const startedAt = Date.parse(recording.startedAt);
+    for (const segment of transcript.segments) {
+      entries.push({
+        at: new Date(startedAt + segment.start * 1000).toISOString(),
+        kind: 'speech',
+        speaker: segment.speaker,
+        text: segment.text,
+        recordingId: transcript.recordingId
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * The chat merged with the room's transcripts (or one recording's) into a
+ * single timeline, as json or txt. Returns { body, contentType }.
+ */
+async function exportChat(room, { recordingId, format = 'json' } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new HttpError(400, 'invalid_format', `Invalid format. Use: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const chatEntries = listStoredMessages(room).map(message => ({
+    at: message.sentAt,
+    kind: 'chat',
+    speaker: message.senderName,
+    text: message.text,
+    ...(message.attachment && { attachment: message.attachment.name })
+  }));
+  const entries = [...chatEntries, ...(await getSpokenEntries(room, recordingId))]
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  if (format === 'txt') {
+    const lines = entries.map(entry => {
+      const attachment = entry.attachment ? ` [attachment: ${entry.attachment}]` : '';
+      return `[${entry.at}] ${entry.speaker} (${entry.kind === 'chat' ? 'chat' : 'spoken'}): ${entry.text}${attachment}`;
+    });
+    return { body: lines.join('\n') + '\n', contentType: EXPORT_FORMATS.txt };
+  }
+
+  const appointmentId = getRoomAppointmentId(room);
+  return { body: { room, appointmentId, entries }, contentType: EXPORT_FORMATS.json };
+}
+
+module.exports = {
+  CHAT_TOPIC,
+  assertInCall,
+  sendChatMessage,
+  listChatMessages,
+  getChatAttachment,
+  exportChat
+};
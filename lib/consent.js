@@ -0,0 +1,414 @@
+/**
+ * Recording Consent
+ *
+ * A recording only starts once everyone in the visit has agreed to it:
+ *
+ *   1. The clinician asks to start recording; every participant is sent a
+ *      consent request on the `recording-consent` data topic.
+ *   2. Each participant accepts or declines. Every answer is stored as an
+ *      acknowledgement signed by this server (HMAC with CONSENT_SIGNING_SECRET,
+ *      falling back to LIVEKIT_API_SECRET).
+ *   3. When all have accepted the egress starts and the acknowledgements are
+ *      saved on the recording entry. A single decline cancels the request.
+ *
+ * Someone who leaves before answering is no longer waited for (see
+ * dropLeavingParticipant); if the clinician who asked leaves, the request is
+ * cancelled.
+ *
+ * Anyone who joins while a recording is running has their publishing
+ * suspended and is asked too. Accepting restores their microphone and camera;
+ * declining keeps them out of the recording until it ends.
+ *
+ * Data messages sent to clients:
+ *   { type: 'consent_request', requestId, requestedBy, midRecording }
+ *   { type: 'consent_granted', requestId, recordingId }
+ *   { type: 'consent_declined', requestId, identity }
+ *   { type: 'publishing_restored' }
+ */
+
+const crypto = require('crypto');
+const { recordAuditEvent } = require('./audit');
+const { createFileStore } = require('./fileStore');
+const { getRoomServiceClient, sendRoomData } = require('./livekit');
+const { DEFAULT_ROLE, getParticipantPermission, isValidRole, parseParticipantMetadata } = require('./roles');
+const { getRecordingStore } = require('./recordingStore');
+const { startRecording } = require('./recordings');
+
+const CONSENT_TOPIC = 'recording-consent';
+
+const store = createFileStore('consents');
+
+function signAcknowledgement({ requestId, room, recordingId, identity, decision, at }) {
+  const secret = process.env.CONSENT_SIGNING_SECRET || process.env.LIVEKIT_API_SECRET;
+  return crypto
+    .createHmac('sha256', secret)
+    .update(JSON.stringify([requestId, room, recordingId || null, identity, decision, at]))
+    .digest('hex');
+}
+
+function createAcknowledgement(request, identity, decision) {
+  const acknowledgement = {
+    requestId: request.id,
+    room: request.room,
+    recordingId: request.recordingId || null,
+    identity,
+    decision,
+    at: new Date().toISOString()
+  };
+  return { ...acknowledgement, signature: signAcknowledgement(acknowledgement) };
+}
+
+// Everyone who has to agree: skips the egress recorder, other hidden
+// participants and patients still in the waiting room
+async function listVisitParticipants(room) {
+  const participants = await getRoomServiceClient().listParticipants(room);
+  return participants.filter(participant =>
+    !participant.permission?.hidden &&
+    !participant.permission?.recorder &&
+    !parseParticipantMetadata(participant).waiting
+  );
+}
+
+async function suspendPublishing(room, identity) {
+  await getRoomServiceClient().updateParticipant(room, identity, undefined, {
+    canPublish: false,
+    canSubscribe: true,
+    canPublishData: true
+  });
+}
+
+async function restorePublishing(room, identity) {
+  const roomService = getRoomServiceClient();
+  try {
+    const participant = await roomService.getParticipant(room, identity);
+    const { role, screenShare } = parseParticipantMetadata(participant);
+    await roomService.updateParticipant(
+      room,
+      identity,
+      undefined,
+      getParticipantPermission(isValidRole(role) ? role : DEFAULT_ROLE, { screenShare })
+    );
+    await sendRoomData(room, CONSENT_TOPIC, { type: 'publishing_restored' }, [identity]);
+  } catch (error) {
+    // They have already left the room
+    console.log(`Consent: could not restore publishing for ${identity}: ${error.message}`);
+  }
+}
+
+// Ask someone who joined during a recording for consent before they are heard
+async function promptLateJoiner(room, participant) {
+  if (participant.permission?.hidden || participant.permission?.recorder || parseParticipantMetadata(participant).waiting) {
+    return;
+  }
+
+  const recording = await getRecordingStore().getActiveByRoom(room);
+  if (!recording?.consent) {
+    return;
+  }
+
+  const alreadyAccepted = recording.consent.acknowledgements
+    .some(ack => ack.identity === participant.identity && ack.decision === 'accept');
+  if (alreadyAccepted) {
+    return;
+  }
+
+  await suspendPublishing(room, participant.identity);
+
+  const pending = store.list(request =>
+    request.kind === 'join' &&
+    request.recordingId === recording.id &&
+    request.status === 'pending' &&
+    request.required[0] === participant.identity
+  )[0];
+
+  const now = new Date().toISOString();
+  const request = pending || await store.insert({
+    id: crypto.randomUUID(),
+    kind: 'join',
+    room,
+    recordingId: recording.id,
+    requestedBy: recording.startedBy,
+    required: [participant.identity],
+    responses: {},
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now
+  });
+  if (!pending) {
+    await recordAuditEvent({
+      action: 'consent.requested',
+      actor: request.requestedBy,
+      room,
+      target: request.id,
+      details: { required: request.required, recordingId: recording.id }
+    });
+  }
+
+  await sendRoomData(room, CONSENT_TOPIC, {
+    type: 'consent_request',
+    requestId: request.id,
+    requestedBy: request.requestedBy,
+    midRecording: true
+  }, [participant.identity]);
+}
+
+async function startConsentedRecording(request) {
+  // The last answer can race the last one left to answer leaving; one starts it
+  let claimed = false;
+  const current = await store.update(request.id, latest => {
+    claimed = latest.status === 'pending';
+    return claimed ? { status: 'starting' } : null;
+  });
+  if (!claimed) {
+    return { status: 409, body: { error: `Consent request is ${current.status}` } };
+  }
+
+  let result;
+  try {
+    result = await startRecording(request.room, request.requestedBy);
+  } catch (error) {
+    await store.update(request.id, { status: 'failed' });
+    throw error;
+  }
+
+  if (result.status !== 200) {
+    await store.update(request.id, { status: 'failed' });
+    return result;
+  }
+
+  const { recordingId } = result.body;
+  await getRecordingStore().update(recordingId, {
+    consent: {
+      requestId: request.id,
+      acknowledgements: Object.values(request.responses),
+      declined: []
+    }
+  });
+  await store.update(request.id, { status: 'granted', recordingId });
+
+  await sendRoomData(request.room, CONSENT_TOPIC, { type: 'consent_granted', requestId: request.id, recordingId });
+
+  // Anyone who arrived while consent was being collected is asked now
+  const participants = await listVisitParticipants(request.room);
+  for (const participant of participants) {
+    if (!request.responses[participant.identity]) {
+      await promptLateJoiner(request.room, participant);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Begin recording a room: ask everyone present for consent.
+ * The requester's own click counts as their acceptance.
+ */
+async function requestRecordingConsent(room, requestedBy) {
+  const existing = await getRecordingStore().getActiveByRoom(room);
+  if (existing) {
+    return {
+      status: 409,
+      body: {
+        error: 'Recording already in progress',
+        startedBy: existing.startedBy,
+        egressId: existing.egressId
+      }
+    };
+  }
+
+  // A new request replaces any earlier one still waiting for answers
+  for (const stale of store.list(request => request.room === room && request.kind === 'start' && request.status === 'pending')) {
+    await store.update(stale.id, { status: 'cancelled' });
+  }
+
+  const participants = await listVisitParticipants(room);
+  const now = new Date().toISOString();
+  const request = {
+    id: crypto.randomUUID(),
+    kind: 'start',
+    room,
+    recordingId: null,
+    requestedBy,
+    required: participants.map(participant => participant.identity),
+    responses: {},
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now
+  };
+  if (!request.required.includes(requestedBy)) {
+    request.required.push(requestedBy);
+  }
+  request.responses[requestedBy] = createAcknowledgement(request, requestedBy, 'accept');
+  await store.insert(request);
+  await recordAuditEvent({
+    action: 'consent.requested',
+    actor: requestedBy,
+    room,
+    target: request.id,
+    details: { required: request.required }
+  });
+
+  const waitingFor = request.required.filter(identity => !request.responses[identity]);
+  if (waitingFor.length === 0) {
+    return startConsentedRecording(request);
+  }
+
+  await sendRoomData(room, CONSENT_TOPIC, {
+    type: 'consent_request',
+    requestId: request.id,
+    requestedBy,
+    midRecording: false
+  }, waitingFor);
+
+  console.log(`Consent requested for recording room: ${room}, waiting for: ${waitingFor.join(', ')}`);
+
+  return {
+    status: 202,
+    body: {
+      consentRequestId: request.id,
+      status: 'pending',
+      waitingFor,
+      message: 'Waiting for all participants to consent'
+    }
+  };
+}
+
+async function handleJoinResponse(request, acknowledgement) {
+  const recordingStore = getRecordingStore();
+  const recording = await recordingStore.get(request.recordingId);
+  const accepted = acknowledgement.decision === 'accept';
+
+  if (recording?.consent) {
+    await recordingStore.update(recording.id, {
+      consent: {
+        ...recording.consent,
+        acknowledgements: accepted
+          ? [...recording.consent.acknowledgements, acknowledgement]
+          : recording.consent.acknowledgements,
+        declined: accepted
+          ? recording.consent.declined
+          : [...recording.consent.declined, acknowledgement]
+      }
+    });
+  }
+
+  await store.update(request.id, { status: accepted ? 'granted' : 'declined' });
+
+  // Accepting lets them be heard again; declining keeps them out until the recording ends
+  if (accepted) {
+    await restorePublishing(request.room, acknowledgement.identity);
+  }
+
+  return { status: 200, body: { status: accepted ? 'granted' : 'declined' } };
+}
+
+async function handleStartResponse(request, acknowledgement) {
+  if (acknowledgement.decision === 'decline') {
+    await store.update(request.id, { status: 'declined' });
+    await sendRoomData(request.room, CONSENT_TOPIC, {
+      type: 'consent_declined',
+      requestId: request.id,
+      identity: acknowledgement.identity
+    });
+    console.log(`Consent declined by ${acknowledgement.identity} for room: ${request.room}`);
+    return { status: 200, body: { status: 'declined' } };
+  }
+
+  const waitingFor = request.required.filter(identity => !request.responses[identity]);
+  if (waitingFor.length > 0) {
+    return { status: 200, body: { status: 'pending', waitingFor } };
+  }
+
+  const result = await startConsentedRecording(request);
+  return result.status === 200
+    ? { status: 200, body: { status: 'granted', recordingId: result.body.recordingId } }
+    : result;
+}
+
+// Record a participant's answer to a consent request
+async function respondToConsent(requestId, room, identity, decision) {
+  if (decision !== 'accept' && decision !== 'decline') {
+    return { status: 400, body: { error: 'Invalid decision. Use: accept or decline' } };
+  }
+
+  const request = store.get(requestId);
+  if (!request || request.room !== room) {
+    return { status: 404, body: { error: 'Consent request not found' } };
+  }
+  if (!request.required.includes(identity)) {
+    return { status: 403, body: { error: 'You were not asked for consent on this request' } };
+  }
+  if (request.status !== 'pending') {
+    return { status: 409, body: { error: `Consent request is ${request.status}` } };
+  }
+
+  const acknowledgement = createAcknowledgement(request, identity, decision);
+  const updated = await store.update(request.id, {
+    responses: { ...request.responses, [identity]: acknowledgement }
+  });
+  await recordAuditEvent({
+    action: decision === 'accept' ? 'consent.accepted' : 'consent.declined',
+    actor: identity,
+    room,
+    target: request.id,
+    details: { kind: request.kind, recordingId: request.recordingId, signature: acknowledgement.signature }
+  });
+
+  return request.kind === 'join'
+    ? handleJoinResponse(updated, acknowledgement)
+    : handleStartResponse(updated, acknowledgement);
+}
+
+/**
+ * Someone left the visit: stop waiting for their answer, starting the
+ * recording if everyone still there has accepted. A request whose requester
+ * left is cancelled, and their own request to join a recording expires.
+ */
+async function dropLeavingParticipant(room, identity) {
+  const pending = store.list(request =>
+    request.room === room && request.status === 'pending' && request.required.includes(identity)
+  );
+  for (const request of pending) {
+    if (request.kind === 'join' || request.requestedBy === identity) {
+      await store.update(request.id, { status: request.kind === 'join' ? 'expired' : 'cancelled' });
+      continue;
+    }
+
+    const updated = await store.update(request.id, current => (
+      current.status === 'pending' && !current.responses[identity]
+        ? { required: current.required.filter(required => required !== identity) }
+        : null
+    ));
+    if (updated.status === 'pending' && updated.required.every(required => updated.responses[required])) {
+      console.log(`Consent: ${identity} left; everyone still in room ${room} has accepted`);
+      await startConsentedRecording(updated);
+    }
+  }
+}
+
+// Once a recording has ended, let anyone kept out of it publish again
+async function releaseRecordingConsent(recording) {
+  const pendingJoins = store.list(request =>
+    request.kind === 'join' && request.recordingId === recording.id && request.status === 'pending'
+  );
+  for (const request of pendingJoins) {
+    await store.update(request.id, { status: 'expired' });
+  }
+
+  const identities = new Set([
+    ...(recording.consent?.declined || []).map(ack => ack.identity),
+    ...pendingJoins.map(request => request.required[0])
+  ]);
+  for (const identity of identities) {
+    await restorePublishing(recording.room, identity);
+  }
+}
+
+module.exports = {
+  CONSENT_TOPIC,
+  requestRecordingConsent,
+  respondToConsent,
+  promptLateJoiner,
+  dropLeavingParticipant,
+  releaseRecordingConsent
+};
@@ -0,0 +1,20 @@
+/**
+ * Client Errors
+ *
+ * Modules throw an HttpError for requests that should fail with a given
+ * status and code; the service core turns it into { error, code }. Anything
+ * else is an internal error.
+ */
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  HttpError
+};
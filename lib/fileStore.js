@@ -0,0 +1,177 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistent collection backed by a JSON file in DATA_DIR
+ * (default ./data, or /tmp on Vercel where the deployment is read-only).
+ * Writes go to a temp file first and are renamed into place so a crash
+ * never leaves a half-written collection behind.
+ *
+ * withFileLock serialises changes to a file across every process sharing
+ * DATA_DIR (token server, worker, CLI tools); every insert, update and
+ * remove holds the collection's lock from reading the file to renaming the
+ * new one into place, so no process overwrites another's changes. Writes
+ * are therefore async; reads are not, as a rename never shows a half-written
+ * file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// A lock older than this was left by a process that died holding it
+const STALE_LOCK_MS = 10 * 1000;
+const MIN_RETRY_MS = 5;
+const MAX_RETRY_MS = 100;
+
+// Lock holders in this process, by file, so they queue rather than poll
+const queues = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireLock(lockFile) {
+  for (let delay = MIN_RETRY_MS; ; delay = Math.min(delay * 2, MAX_RETRY_MS)) {
+    try {
+      await (await fs.promises.open(lockFile, 'wx')).close();
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+    try {
+      const { mtimeMs } = await fs.promises.stat(lockFile);
+      if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+        await fs.promises.rm(lockFile, { force: true });
+        continue;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      continue;
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Run fn while holding `<file>.lock`, created exclusively like job locks
+ * (see lib/jobQueue.js). Waiting never blocks the event loop. Resolves to
+ * what fn returns.
+ */
+function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const run = (queues.get(file) || Promise.resolve()).then(async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await acquireLock(lockFile);
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.rm(lockFile, { force: true });
+    }
+  });
+
+  const settled = run.then(() => {}, () => {});
+  queues.set(file, settled);
+  settled.then(() => {
+    if (queues.get(file) === settled) {
+      queues.delete(file);
+    }
+  });
+  return run;
+}
+
+function getDataDir() {
+  if (process.env.DATA_DIR) {
+    return process.env.DATA_DIR;
+  }
+  return process.env.VERCEL ? '/tmp/telehealth-data' : path.join(process.cwd(), 'data');
+}
+
+function createFileStore(name) {
+  const getFile = () => path.join(getDataDir(), `${name}.json`);
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(getFile(), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {};
+      }
+      throw e;
+    }
+  }
+
+  function writeAll(records) {
+    const file = getFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  // Read, change and write back the collection under its lock
+  function change(fn) {
+    return withFileLock(getFile(), () => {
+      const records = readAll();
+      const result = fn(records);
+      writeAll(records);
+      return result;
+    });
+  }
+
+  return {
+    list(filter = () => true) {
+      return Object.values(readAll()).filter(filter);
+    },
+
+    get(id) {
+      return readAll()[id] || null;
+    },
+
+    insert(record) {
+      return change(records => {
+        records[record.id] = record;
+        return record;
+      });
+    },
+
+    // Insert the record unless its id is taken; resolves to the stored one
+    insertIfAbsent(record) {
+      return change(records => {
+        records[record.id] = records[record.id] || record;
+        return records[record.id];
+      });
+    },
+
+    /**
+     * Merge changes into a record. changes may be a function of the current
+     * record, called under the lock; returning null leaves the record as is.
+     */
+    update(id, changes) {
+      return change(records => {
+        if (!records[id]) {
+          return null;
+        }
+        const merged = typeof changes === 'function' ? changes(records[id]) : changes;
+        if (merged) {
+          records[id] = { ...records[id], ...merged, updatedAt: new Date().toISOString() };
+        }
+        return records[id];
+      });
+    },
+
+    remove(id) {
+      return change(records => {
+        const existed = !!records[id];
+        delete records[id];
+        return existed;
+      });
+    }
+  };
+}
+
+module.exports = {
+  getDataDir,
+  withFileLock,
+  createFileStore
+};
@@ -0,0 +1,209 @@
+/**
+ * Visit Invitations
+ *
+ * A clinician can bring extra parties into a live visit: a medical
+ * interpreter, a family caregiver or a specialist (INVITE_ROLES in
+ * lib/roles.js). Each invite is a link (`?invite=<code>`) that works once,
+ * before it expires (INVITE_TTL_MINUTES, default 60, at most a day), and is
+ * exchanged by the token server for a room token with the invite's role.
+ * Invites are kept in the `invites` store; only a hash of the code is:
+ *
+ *   { id, room, appointmentId, role, name, identity, codeHash, createdBy,
+ *     createdAt, expiresAt, usedAt, revokedAt, revokedBy }
+ *
+ * The clinician can mute an invited participant, remove them from the call
+ * or revoke the invite. Revoking also revokes the invitee's access to the
+ * room (see lib/revocations.js): they are removed, cannot refresh the room
+ * token they were given, and are removed again should they rejoin with it.
+ */
+
+const crypto = require('crypto');
+const { TrackType } = require('livekit-server-sdk');
+const { createFileStore } = require('./fileStore');
+const { getRoomAppointmentId } = require('./appointments');
+const { getRoomServiceClient } = require('./livekit');
+const { revokeAccess } = require('./revocations');
+const { INVITE_ROLES } = require('./roles');
+const { HttpError } = require('./errors');
+
+const MAX_TTL_MINUTES = 24 * 60;
+const MAX_NAME_LENGTH = 80;
+
+const store = createFileStore('invites');
+
+function getDefaultTtlMinutes() {
+  const value = Number(process.env.INVITE_TTL_MINUTES);
+  return Number.isFinite(value) && value > 0 ? Math.min(value, MAX_TTL_MINUTES) : 60;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function getStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) {
+    return 'revoked';
+  }
+  if (invite.usedAt) {
+    return 'used';
+  }
+  return now > new Date(invite.expiresAt).getTime() ? 'expired' : 'pending';
+}
+
+// Invites as clients see them: the code hash stays on the server
+function toPublicInvite({ codeHash, ...invite }) {
+  return { ...invite, status: getStatus(invite) };
+}
+
+/**
+ * Mint an invite to a room. Returns { invite, link }; the link carries the
+ * code and is only available now.
+ */
+async function createInvite(room, createdBy, { role, name, expiresInMinutes } = {}) {
+  if (!INVITE_ROLES.includes(role)) {
+    throw new HttpError(400, 'invalid_role', `Invites are for: ${INVITE_ROLES.join(', ')}`);
+  }
+  const ttl = expiresInMinutes === undefined ? getDefaultTtlMinutes() : Number(expiresInMinutes);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_TTL_MINUTES) {
+    throw new HttpError(400, 'invalid_expiry', `expiresInMinutes must be between 1 and ${MAX_TTL_MINUTES}`);
+  }
+
+  const id = crypto.randomUUID();
+  const code = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  const displayName = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  const invite = await store.insert({
+    id,
+    room,
+    appointmentId: getRoomAppointmentId(room),
+    role,
+    name: displayName || role.charAt(0).toUpperCase() + role.slice(1),
+    identity: `${role}-${id.slice(0, 8)}`,
+    codeHash: hashCode(code),
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl * 60 * 1000).toISOString(),
+    usedAt: null,
+    revokedAt: null,
+    revokedBy: null
+  });
+
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return { invite: toPublicInvite(invite), link: `${appUrl}/?invite=${code}` };
+}
+
+/**
+ * The invite an invite code belongs to, while it can still be used.
+ * Throws an HttpError otherwise.
+ */
+function verifyInviteCode(code, now = Date.now()) {
+  const codeHash = code ? hashCode(code) : null;
+  const invite = codeHash && store.list(item => item.codeHash === codeHash)[0];
+  if (!invite) {
+    throw new HttpError(401, 'invalid_invite', 'Invite link is invalid');
+  }
+
+  switch (getStatus(invite, now)) {
+    case 'revoked':
+      throw new HttpError(403, 'invite_revoked', 'This invite has been withdrawn');
+    case 'used':
+      throw new HttpError(403, 'invite_used', 'This invite has already been used');
+    case 'expired':
+      throw new HttpError(403, 'invite_expired', 'This invite has expired');
+    default:
+      return toPublicInvite(invite);
+  }
+}
+
+// Use up an invite; returns it as it was when it was still pending
+async function redeemInvite(code, now = Date.now()) {
+  const invite = verifyInviteCode(code, now);
+  // Only one of two requests racing with the same code gets it
+  let redeemed = false;
+  await store.update(invite.id, current => {
+    if (current.usedAt) {
+      return null;
+    }
+    redeemed = true;
+    return { usedAt: new Date(now).toISOString() };
+  });
+  if (!redeemed) {
+    throw new HttpError(403, 'invite_used', 'This invite has already been used');
+  }
+  return invite;
+}
+
+// A room's invites, newest first
+function listInvites(room) {
+  return store
+    .list(invite => invite.room === room)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicInvite);
+}
+
+function getRoomInvite(room, id) {
+  const invite = store.get(id);
+  if (!invite || invite.room !== room) {
+    throw new HttpError(404, 'invite_not_found', 'Invite not found');
+  }
+  return invite;
+}
+
+async function getInvitee(room, invite) {
+  try {
+    return await getRoomServiceClient().getParticipant(room, invite.identity);
+  } catch (error) {
+    throw new HttpError(409, 'not_in_call', `${invite.name} is not in the visit`);
+  }
+}
+
+// Mute the microphone of an invited participant; only they can unmute it
+async function muteInvitee(room, id) {
+  const invite = getRoomInvite(room, id);
+  const participant = await getInvitee(room, invite);
+  const audioTracks = (participant.tracks || []).filter(track => track.type === TrackType.AUDIO && !track.muted);
+  for (const track of audioTracks) {
+    await getRoomServiceClient().mutePublishedTrack(room, invite.identity, track.sid, true);
+  }
+  return { muted: audioTracks.length };
+}
+
+async function removeInvitee(room, id) {
+  const invite = getRoomInvite(room, id);
+  await getInvitee(room, invite);
+  await getRoomServiceClient().removeParticipant(room, invite.identity);
+}
+
+// Withdraw an invite, removing whoever used it from the call
+async function revokeInvite(room, id, revokedBy) {
+  const invite = getRoomInvite(room, id);
+  const revoked = invite.revokedAt
+    ? invite
+    : await store.update(id, { revokedAt: new Date().toISOString(), revokedBy });
+  await revokeAccess(room, invite.identity, revokedBy, { reason: 'Invite revoked' });
+  return toPublicInvite(revoked);
+}
+
+/**
+ * Remove a participant who joined on a revoked invite. Returns whether they
+ * were removed.
+ */
+async function removeIfRevoked(room, identity) {
+  const revoked = store.list(invite => invite.room === room && invite.identity === identity && invite.revokedAt)[0];
+  if (!revoked) {
+    return false;
+  }
+  await getRoomServiceClient().removeParticipant(room, identity);
+  return true;
+}
+
+module.exports = {
+  createInvite,
+  verifyInviteCode,
+  redeemInvite,
+  listInvites,
+  muteInvitee,
+  removeInvitee,
+  revokeInvite,
+  removeIfRevoked
+};
@@ -0,0 +1,251 @@
+/**
+ * Durable Job Queue
+ *
+ * A local queue for background work, shared between the API (which enqueues)
+ * and worker.js (which runs jobs). Each job is its own JSON file in
+ * DATA_DIR/jobs, so processes never overwrite each other's jobs, and a
+ * worker claims a job by creating its lock file exclusively:
+ *
+ *   { id, type, key, payload, status, attempts, maxAttempts, runAt,
+ *     lastError, result, lockedBy, startedAt, completedAt, createdAt, updatedAt }
+ *
+ * status: pending -> running -> complete, or back to pending for a retry
+ * after an exponential backoff (JOB_RETRY_BASE_MS, default 5000, doubling
+ * up to JOB_RETRY_MAX_MS, default 10 minutes). After maxAttempts
+ * (JOB_MAX_ATTEMPTS, default 5) the job is dead: it stays for inspection
+ * until someone retries it. A running job whose worker died is picked up
+ * again once its lock is older than JOB_LOCK_TIMEOUT_MS (default 15 minutes);
+ * a live worker keeps the lock fresh (keepJobLocked) however long it runs.
+ *
+ * Jobs with the same key are enqueued once, so enqueuing is idempotent.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./fileStore');
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getJobsDir() {
+  return path.join(getDataDir(), 'jobs');
+}
+
+function jobFile(id) {
+  return path.join(getJobsDir(), `${id}.json`);
+}
+
+function lockFile(id) {
+  return path.join(getJobsDir(), `${id}.lock`);
+}
+
+function writeJob(job) {
+  fs.mkdirSync(getJobsDir(), { recursive: true });
+  const tmpFile = `${jobFile(job.id)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(job, null, 2));
+  fs.renameSync(tmpFile, jobFile(job.id));
+  return job;
+}
+
+function getJob(id) {
+  try {
+    return JSON.parse(fs.readFileSync(jobFile(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+function updateJob(id, changes) {
+  const job = getJob(id);
+  if (!job) {
+    throw new Error(`Job not found: ${id}`);
+  }
+  return writeJob({ ...job, ...changes, updatedAt: new Date().toISOString() });
+}
+
+// Jobs matching the filter, oldest first
+function listJobs(filter = () => true) {
+  let files;
+  try {
+    files = fs.readdirSync(getJobsDir()).filter(file => file.endsWith('.json'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+  return files
+    .map(file => getJob(path.basename(file, '.json')))
+    .filter(job => job && filter(job))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Add a job, unless one with the same key exists already (that one is
+ * returned instead). payload is passed to the job's handler.
+ */
+function enqueueJob({ type, key, payload = {}, runAt, maxAttempts }) {
+  if (key) {
+    const existing = listJobs(job => job.key === key)[0];
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const now = new Date().toISOString();
+  return writeJob({
+    id: crypto.randomUUID(),
+    type,
+    key: key || null,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: maxAttempts || numberFromEnv('JOB_MAX_ATTEMPTS', 5),
+    runAt: runAt || now,
+    lastError: null,
+    result: null,
+    lockedBy: null,
+    startedAt: null,
+    completedAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+function releaseLock(id) {
+  fs.rmSync(lockFile(id), { force: true });
+}
+
+// Take the lock file; a stale lock (its worker died) is broken first
+function tryLock(id, now) {
+  const file = lockFile(id);
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (now - mtimeMs < numberFromEnv('JOB_LOCK_TIMEOUT_MS', 15 * 60 * 1000)) {
+      return false;
+    }
+    releaseLock(id);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+
+  try {
+    fs.closeSync(fs.openSync(file, 'wx'));
+    return true;
+  } catch (e) {
+    if (e.code === 'EEXIST') {
+      return false;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Claim the next job that is due, optionally only of the given types.
+ * Returns the job, now running, or null when there is nothing to do.
+ */
+function claimNextJob(workerId, { types, now = Date.now() } = {}) {
+  const nowIso = new Date(now).toISOString();
+  const candidates = listJobs(job =>
+    (!types || types.includes(job.type)) &&
+    (job.status === 'pending' || job.status === 'running') &&
+    job.runAt <= nowIso
+  );
+
+  for (const candidate of candidates) {
+    if (!tryLock(candidate.id, now)) {
+      continue;
+    }
+    // Re-read under the lock: another worker may have finished it meanwhile
+    const job = getJob(candidate.id);
+    if (job.status !== 'pending' && job.status !== 'running') {
+      releaseLock(job.id);
+      continue;
+    }
+    if (job.status === 'running') {
+      console.log(`Job ${job.id} (${job.type}) was abandoned by ${job.lockedBy}; running it again`);
+    }
+    return updateJob(job.id, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      lockedBy: workerId,
+      startedAt: nowIso
+    });
+  }
+  return null;
+}
+
+/**
+ * Refresh a claimed job's lock while it runs, so a long job is not taken for
+ * abandoned. Returns a function that stops refreshing it.
+ */
+function keepJobLocked(id) {
+  const timer = setInterval(() => {
+    const now = new Date();
+    try {
+      fs.utimesSync(lockFile(id), now, now);
+    } catch (e) {
+      console.error(`Could not refresh the lock of job ${id}:`, e.message);
+    }
+  }, numberFromEnv('JOB_LOCK_TIMEOUT_MS', 15 * 60 * 1000) / 3);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+function completeJob(id, result = null) {
+  const job = updateJob(id, { status: 'complete', result, lastError: null, lockedBy: null, completedAt: new Date().toISOString() });
+  releaseLock(id);
+  return job;
+}
+
+// Delay before retry number `attempt` (1-based)
+function getRetryDelay(attempt) {
+  const base = numberFromEnv('JOB_RETRY_BASE_MS', 5000);
+  return Math.min(base * 2 ** (attempt - 1), numberFromEnv('JOB_RETRY_MAX_MS', 10 * 60 * 1000));
+}
+
+// Schedule a retry with backoff, or move the job to the dead-letter state
+function failJob(id, error, { now = Date.now() } = {}) {
+  const current = getJob(id);
+  const dead = current.attempts >= current.maxAttempts;
+  const job = updateJob(id, {
+    status: dead ? 'dead' : 'pending',
+    lastError: error.message || String(error),
+    lockedBy: null,
+    runAt: dead ? current.runAt : new Date(now + getRetryDelay(current.attempts)).toISOString()
+  });
+  releaseLock(id);
+  return job;
+}
+
+// Give a dead job a fresh set of attempts
+function retryJob(id) {
+  const job = getJob(id);
+  if (!job) {
+    return null;
+  }
+  if (job.status !== 'dead') {
+    return job;
+  }
+  return updateJob(id, { status: 'pending', attempts: 0, runAt: new Date().toISOString() });
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs,
+  claimNextJob,
+  keepJobLocked,
+  completeJob,
+  failJob,
+  retryJob,
+  getRetryDelay
+};
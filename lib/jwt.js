@@ -0,0 +1,132 @@
+/**
+ * JSON Web Tokens
+ *
+ * Signing and verifying the compact JWTs the token server deals in: the
+ * LiveKit room tokens it issues (lib/livekit.js), the IdP credentials it
+ * accepts (lib/auth.js) and the development credentials printed by
+ * tools/issue-credential.js. The base64url and HMAC helpers are shared with
+ * the other signed values (visit links, session cookies).
+ *
+ * Tokens are signed HS256. Verification takes HS256 with a secret, and
+ * RS256 or ES256 when the caller can find the public key for a token's
+ * header (getKey). It checks exp and nbf, and throws a JwtError:
+ *
+ *   malformed         - not a JWT of base64url JSON parts
+ *   invalid_signature - wrong key, or an algorithm there is no key for
+ *   expired           - past exp, or no exp at all
+ *   not_yet_valid     - before nbf
+ */
+
+const crypto = require('crypto');
+
+class JwtError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'JwtError';
+    this.code = code;
+  }
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+// HMAC-SHA256, base64url encoded
+function hmacSha256(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Compare signatures in constant time
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Sign claims as an HS256 JWT
+function signJwt(payload, secret) {
+  const signingInput = `${base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  return `${signingInput}.${hmacSha256(secret, signingInput)}`;
+}
+
+/**
+ * Split a JWT without verifying it.
+ * Returns { header, payload, signingInput, signature }.
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => !part)) {
+    throw new JwtError('malformed', 'Malformed token');
+  }
+
+  const [headerEncoded, payloadEncoded, signature] = parts;
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(headerEncoded).toString()),
+      payload: JSON.parse(base64UrlDecode(payloadEncoded).toString()),
+      signingInput: `${headerEncoded}.${payloadEncoded}`,
+      signature
+    };
+  } catch (e) {
+    throw new JwtError('malformed', 'Malformed token');
+  }
+}
+
+function verifySignature({ header, signingInput, signature }, { secret, getKey }) {
+  if (header.alg === 'HS256') {
+    return !!secret && safeEqual(hmacSha256(secret, signingInput), signature);
+  }
+
+  if (header.alg === 'RS256' || header.alg === 'ES256') {
+    const publicKey = getKey ? getKey(header) : null;
+    if (!publicKey) {
+      return false;
+    }
+    return crypto.verify(
+      'sha256',
+      Buffer.from(signingInput),
+      header.alg === 'ES256' ? { key: publicKey, dsaEncoding: 'ieee-p1363' } : publicKey,
+      base64UrlDecode(signature)
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Verify a JWT and return its claims. Options:
+ *   secret - HS256 secret
+ *   getKey - (header) => public KeyObject for RS256/ES256, or null
+ *   now    - the time to check exp and nbf against (ms), default now
+ */
+function verifyJwt(token, { secret, getKey, now = Date.now() } = {}) {
+  const decoded = decodeJwt(token);
+  if (!verifySignature(decoded, { secret, getKey })) {
+    throw new JwtError('invalid_signature', 'Token signature is invalid');
+  }
+
+  const { payload } = decoded;
+  const seconds = Math.floor(now / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp <= seconds) {
+    throw new JwtError('expired', 'Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > seconds) {
+    throw new JwtError('not_yet_valid', 'Token is not yet valid');
+  }
+  return payload;
+}
+
+module.exports = {
+  JwtError,
+  base64UrlEncode,
+  base64UrlDecode,
+  hmacSha256,
+  safeEqual,
+  signJwt,
+  decodeJwt,
+  verifyJwt
+};
@@ -0,0 +1,170 @@
+/**
+ * LiveKit Server API Helpers
+ *
+ * Shared access to the LiveKit room service, and issuing and verifying the
+ * room tokens this server hands out (see lib/jwt.js). Credentials are read
+ * lazily so dotenv can load them after this module is imported.
+ *
+ * Room tokens are short-lived: ROOM_TOKEN_TTL_MINUTES (default 15, at most
+ * a day). A token only has to be valid to connect, so the LiveKit server
+ * keeps a live connection going past it; clients refresh theirs before it
+ * expires (POST /token/refresh) to call the API and to reconnect.
+ *
+ * Refreshing cannot go on forever: each token carries the end of the
+ * session it started (`sessionExp`, in seconds), ROOM_SESSION_MAX_MINUTES
+ * (default 240, at most a day) after the first token, and no token outlives
+ * it. Tokens from a visit link also carry the appointment (`apt`), so a
+ * refresh can check the visit is still open.
+ */
+
+const crypto = require('crypto');
+const {
+  DataPacket_Kind,
+  EgressClient,
+  RoomServiceClient
+} = require('livekit-server-sdk');
+const { signJwt, verifyJwt } = require('./jwt');
+const { DEFAULT_ROLE, getVideoGrant, getParticipantMetadata } = require('./roles');
+
+const MAX_ROOM_TOKEN_TTL_MINUTES = 24 * 60;
+const MAX_ROOM_SESSION_MINUTES = 24 * 60;
+
+function getLivekitUrl() {
+  return process.env.LIVEKIT_URL || 'https://livekit.simarjeet.dev';
+}
+
+function getRoomServiceClient() {
+  return new RoomServiceClient(
+    getLivekitUrl(),
+    process.env.LIVEKIT_API_KEY,
+    process.env.LIVEKIT_API_SECRET
+  );
+}
+
+function getEgressClient() {
+  return new EgressClient(
+    getLivekitUrl(),
+    process.env.LIVEKIT_API_KEY,
+    process.env.LIVEKIT_API_SECRET
+  );
+}
+
+function getRoomTokenTtlSeconds() {
+  const value = Number(process.env.ROOM_TOKEN_TTL_MINUTES);
+  const minutes = Number.isFinite(value) && value > 0 ? Math.min(value, MAX_ROOM_TOKEN_TTL_MINUTES) : 15;
+  return Math.round(minutes * 60);
+}
+
+function getRoomSessionSeconds() {
+  const value = Number(process.env.ROOM_SESSION_MAX_MINUTES);
+  const minutes = Number.isFinite(value) && value > 0 ? Math.min(value, MAX_ROOM_SESSION_MINUTES) : 240;
+  return Math.round(minutes * 60);
+}
+
+// Rooms for the pre-join network test: one per test, never a real visit
+const NETWORK_TEST_ROOM_PREFIX = 'network-test-';
+
+function isNetworkTestRoom(roomName) {
+  return typeof roomName === 'string' && roomName.startsWith(NETWORK_TEST_ROOM_PREFIX);
+}
+
+// Sign a LiveKit JWT for the given identity, lifetime and claims
+function signToken(identity, ttlSeconds, claims) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({
+    exp: now + ttlSeconds,
+    iss: process.env.LIVEKIT_API_KEY,
+    name: identity,
+    nbf: now,
+    sub: identity,
+    ...claims
+  }, process.env.LIVEKIT_API_SECRET);
+}
+
+/**
+ * Create a JWT for joining a LiveKit room with the grants of a visit role.
+ * Options:
+ *   name          - display name, when it differs from the identity
+ *   sessionExp    - end of the session being refreshed; a new one otherwise
+ *   appointmentId - the visit the token was issued for by its link
+ */
+function createRoomToken(identity, roomName, role = DEFAULT_ROLE, { waiting = false, name, sessionExp, appointmentId } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const sessionEnd = sessionExp || now + getRoomSessionSeconds();
+  return signToken(identity, Math.min(getRoomTokenTtlSeconds(), sessionEnd - now), {
+    ...(name && { name }),
+    ...(appointmentId && { apt: appointmentId }),
+    sessionExp: sessionEnd,
+    metadata: getParticipantMetadata(role, { waiting }),
+    video: getVideoGrant(role, roomName, { waiting })
+  });
+}
+
+/**
+ * A short-lived token for measuring the connection before joining: a fresh
+ * room of its own, where the caller can only publish, unseen.
+ * Returns { token, room }.
+ */
+function createNetworkTestToken(identity) {
+  const room = `${NETWORK_TEST_ROOM_PREFIX}${crypto.randomUUID()}`;
+  const token = signToken(identity, 10 * 60, {
+    video: {
+      room,
+      roomJoin: true,
+      canPublish: true,
+      canSubscribe: false,
+      canPublishData: false,
+      hidden: true
+    }
+  });
+  return { token, room };
+}
+
+// Send a JSON message on a data topic to everyone in the room, or only to the given identities
+async function sendRoomData(room, topic, message, destinationIdentities) {
+  const data = new TextEncoder().encode(JSON.stringify(message));
+  await getRoomServiceClient().sendData(room, data, DataPacket_Kind.RELIABLE, {
+    topic,
+    ...(destinationIdentities && { destinationIdentities })
+  });
+}
+
+/**
+ * Check the caller's room token (Authorization: Bearer) carries a video grant
+ * such as roomRecord or roomAdmin. When a room is given, the token must be for it.
+ * Returns the verified claims, or null. Throws a 403 HttpError when the
+ * holder's access to the token's room has been revoked since it was issued.
+ */
+async function verifyRoomGrant(headers, room, grant) {
+  const authHeader = headers.authorization || '';
+  const token = authHeader.replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = verifyJwt(token, { secret: process.env.LIVEKIT_API_SECRET });
+  } catch (e) {
+    return null;
+  }
+  if (claims.iss !== process.env.LIVEKIT_API_KEY || !claims.video?.[grant] || (room && claims.video.room !== room)) {
+    return null;
+  }
+
+  // Required here: lib/revocations.js uses this module
+  const { assertNotRevoked } = require('./revocations');
+  assertNotRevoked(claims.video.room, claims.sub);
+  return claims;
+}
+
+module.exports = {
+  createRoomToken,
+  createNetworkTestToken,
+  isNetworkTestRoom,
+  getLivekitUrl,
+  getEgressClient,
+  getRoomServiceClient,
+  sendRoomData,
+  verifyRoomGrant
+};
@@ -0,0 +1,190 @@
+/**
+ * Visit Moderation
+ *
+ * Clinician controls over a live visit, on top of the LiveKit room service.
+ * Callers are checked for the room admin grant by the routes in
+ * lib/service.js; only clinicians' tokens carry it (see lib/roles.js).
+ *
+ *   mute / unmute - a participant's microphone, camera or screen share
+ *                   track. Remote unmuting needs `enable_remote_unmute` in
+ *                   the LiveKit server's room config, and is refused while
+ *                   the participant is muted for a recording consent prompt
+ *   remove        - take a participant out of the call
+ *   lock / unlock - keep anyone new out of the visit. Whoever is in the room
+ *                   (waiting patients too) when it is locked may rejoin;
+ *                   others get no token (see lib/service.js) and are removed
+ *                   should they join with one they already hold (see
+ *                   lib/webhooks.js). The lock is kept in the `room-locks`
+ *                   store and mirrored to the room metadata (`{ locked }`)
+ *                   so the clients can show it:
+ *
+ *                     { id (the room), room, lockedBy, lockedAt, identities }
+ *
+ *   end           - end the visit for everyone: stop the recording and any
+ *                   other egress, then delete the room
+ */
+
+const { EgressStatus } = require('livekit-server-sdk');
+const { createFileStore } = require('./fileStore');
+const { getEgressClient, getRoomServiceClient } = require('./livekit');
+const { getRecordingStore } = require('./recordingStore');
+const { stopRecording } = require('./recordings');
+const { TRACK_SOURCES } = require('./roles');
+const { HttpError } = require('./errors');
+
+const MODERATED_SOURCES = ['microphone', 'camera', 'screen_share'];
+
+const RUNNING_EGRESS = [EgressStatus.EGRESS_STARTING, EgressStatus.EGRESS_ACTIVE];
+
+const lockStore = createFileStore('room-locks');
+
+async function getParticipant(room, identity) {
+  try {
+    return await getRoomServiceClient().getParticipant(room, identity);
+  } catch (error) {
+    throw new HttpError(404, 'participant_not_found', `${identity} is not in the visit`);
+  }
+}
+
+/**
+ * Mute or unmute one of a participant's tracks, given by trackSid or by
+ * source (microphone, camera or screen_share; default microphone).
+ * Returns the updated track.
+ */
+async function setTrackMuted(room, identity, { trackSid, source = 'microphone' } = {}, muted) {
+  if (!trackSid && !MODERATED_SOURCES.includes(source)) {
+    throw new HttpError(400, 'invalid_source', `source must be one of: ${MODERATED_SOURCES.join(', ')}`);
+  }
+
+  const participant = await getParticipant(room, identity);
+  if (!muted && participant.permission?.canPublish === false) {
+    throw new HttpError(409, 'cannot_publish', `${identity} cannot publish right now`);
+  }
+  const track = (participant.tracks || []).find(item =>
+    trackSid ? item.sid === trackSid : item.source === TRACK_SOURCES[source]
+  );
+  if (!track) {
+    throw new HttpError(404, 'track_not_found', `${identity} has no ${trackSid || source} track`);
+  }
+
+  return getRoomServiceClient().mutePublishedTrack(room, identity, track.sid, muted);
+}
+
+async function removeParticipant(room, identity, removedBy) {
+  if (identity === removedBy) {
+    throw new HttpError(400, 'cannot_remove_self', 'Leave the call, or end the visit for everyone');
+  }
+  await getParticipant(room, identity);
+  await getRoomServiceClient().removeParticipant(room, identity);
+}
+
+/**
+ * Lock or unlock a room against new joins. Returns { locked }.
+ */
+async function setRoomLocked(room, locked, lockedBy) {
+  const roomService = getRoomServiceClient();
+  let participants;
+  try {
+    participants = await roomService.listParticipants(room);
+  } catch (error) {
+    throw new HttpError(404, 'room_not_found', 'The visit is not in progress');
+  }
+
+  if (locked) {
+    await lockStore.insert({
+      id: room,
+      room,
+      lockedBy,
+      lockedAt: new Date().toISOString(),
+      identities: participants.map(participant => participant.identity)
+    });
+  } else {
+    await lockStore.remove(room);
+  }
+  await roomService.updateRoomMetadata(room, JSON.stringify({ locked }));
+  return { locked };
+}
+
+function isLockedOut(room, identity) {
+  const lock = lockStore.get(room);
+  return !!lock && !lock.identities.includes(identity);
+}
+
+// Throws unless the identity may (re)join the room
+function assertNotLockedOut(room, identity) {
+  if (isLockedOut(room, identity)) {
+    throw new HttpError(423, 'room_locked', 'The visit is locked; ask the clinician to let you in');
+  }
+}
+
+/**
+ * Remove a participant who joined a locked room they were not in when it
+ * was locked. Hidden participants (the caption worker) may join. Returns
+ * whether they were removed.
+ */
+async function removeIfLockedOut(room, participant) {
+  if (participant.permission?.hidden || !isLockedOut(room, participant.identity)) {
+    return false;
+  }
+  await getRoomServiceClient().removeParticipant(room, participant.identity);
+  return true;
+}
+
+// A finished room starts the next visit in it unlocked
+async function clearRoomLock(room) {
+  if (lockStore.get(room)) {
+    await lockStore.remove(room);
+  }
+}
+
+/**
+ * End the visit for everyone: stop the recording (so it is finalised as
+ * stopped by the clinician) and any other egress still running, then delete
+ * the room. Returns { recordingStopped, stoppedEgress }, the latter counting
+ * the other egresses stopped.
+ */
+async function endVisit(room, endedBy) {
+  let recordingStopped = false;
+  if (await getRecordingStore().getActiveByRoom(room)) {
+    try {
+      await stopRecording(room, endedBy);
+      recordingStopped = true;
+    } catch (error) {
+      console.error(`Failed to stop the recording of room ${room}:`, error.message);
+    }
+  }
+
+  let stoppedEgress = 0;
+  let egresses = [];
+  try {
+    egresses = await getEgressClient().listEgress({ roomName: room, active: true });
+  } catch (error) {
+    console.error(`Failed to list egress for room ${room}:`, error.message);
+  }
+  for (const egress of egresses.filter(item => RUNNING_EGRESS.includes(item.status))) {
+    try {
+      await getEgressClient().stopEgress(egress.egressId);
+      stoppedEgress += 1;
+    } catch (error) {
+      console.error(`Failed to stop egress ${egress.egressId}:`, error.message);
+    }
+  }
+
+  try {
+    await getRoomServiceClient().deleteRoom(room);
+  } catch (error) {
+    throw new HttpError(404, 'room_not_found', 'The visit is not in progress');
+  }
+  await clearRoomLock(room);
+  return { recordingStopped, stoppedEgress };
+}
+
+module.exports = {
+  setTrackMuted,
+  removeParticipant,
+  setRoomLocked,
+  assertNotLockedOut,
+  removeIfLockedOut,
+  clearRoomLock,
+  endVisit
+};
@@ -0,0 +1,331 @@
+/**
+ * Clinical Notes
+ *
+ * Drafts a SOAP note (Subjective, Objective, Assessment, Plan) from a
+ * recording's speaker-attributed transcript, for the clinician to edit and
+ * sign off. Drafting is a stage of the session processor (see
+ * lib/sessionProcessor.js) and runs through a summarizer adapter
+ * (NOTE_SUMMARIZER):
+ *
+ *   rules  - deterministic keyword rules, works offline (default). What the
+ *            patient says is Subjective; the clinician's findings, impressions
+ *            and instructions go to Objective, Assessment and Plan.
+ *   ollama - a local model served by Ollama at OLLAMA_URL (default
+ *            http://localhost:11434), model NOTE_MODEL (default llama3.1)
+ *
+ * Notes are kept in the `notes` store with every version:
+ *
+ *   { id, recordingId, room, appointmentId, clinician, participants, adapter,
+ *     versions: [{ version, status, content, updatedBy, updatedAt,
+ *                  signedBy, signedAt, contentHash }] }
+ *
+ * content is { subjective, objective, assessment, plan } text. Only the
+ * latest version can change, and only while it is a draft. Signing freezes
+ * it (contentHash is SHA-256 of the signed content); amending a signed note
+ * starts a new draft version from it. Access is limited to clinicians who
+ * were in the session, and admins can read.
+ */
+
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { findRoomAppointment } = require('./appointments');
+const { recordAuditEvent } = require('./audit');
+const { getRecordingStore } = require('./recordingStore');
+const { getRecordingParticipants } = require('./recordingLibrary');
+const { getTranscripts } = require('./transcription');
+const { HttpError } = require('./errors');
+
+const SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const store = createFileStore('notes');
+
+// Clinician sentences are sorted by the first rule that matches; anything
+// left over is not put in the note
+const CLINICIAN_RULES = [
+  {
+    section: 'plan',
+    pattern: /\b(prescrib\w*|start(ing)? (you|on)|take|continue|stop taking|increase|decrease|follow[- ]up|come back|refer\w*|order\w*|schedul\w*|recommend\w*|\d+\s?(mg|mcg|ml)\b|twice|once a day|daily)\b/i
+  },
+  {
+    section: 'assessment',
+    pattern: /\b(likely|probably|consistent with|suggest\w*|diagnos\w*|looks like|i think|impression|suspect\w*|rule out)\b/i
+  },
+  {
+    section: 'objective',
+    pattern: /\b(blood pressure|heart rate|pulse|temperature|oxygen|saturation|weight|exam\w*|on inspection|appears|lungs|swelling|tender\w*|rash|\d+\s?(\/\s?\d+|mmhg|bpm|°|degrees|kg|lb|%))/i
+  }
+];
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+const ADAPTERS = {
+  rules: {
+    async summarize({ segments, clinician }) {
+      const sections = { subjective: [], objective: [], assessment: [], plan: [] };
+      for (const segment of segments) {
+        for (const sentence of splitSentences(segment.text)) {
+          if (segment.speaker !== clinician) {
+            sections.subjective.push(`${segment.speaker}: ${sentence}`);
+            continue;
+          }
+          const rule = CLINICIAN_RULES.find(candidate => candidate.pattern.test(sentence));
+          if (rule) {
+            sections[rule.section].push(sentence);
+          }
+        }
+      }
+      return Object.fromEntries(
+        SECTIONS.map(section => [section, sections[section].map(line => `- ${line}`).join('\n')])
+      );
+    }
+  },
+
+  ollama: {
+    async summarize({ segments, clinician }) {
+      const transcript = segments
+        .map(segment => `${segment.speaker === clinician ? 'Clinician' : 'Patient'} (${segment.speaker}): ${segment.text}`)
+        .join('\n');
+      const response = await fetch(`${(process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '')}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: process.env.NOTE_MODEL || 'llama3.1',
+          format: 'json',
+          stream: false,
+          prompt: 'Write a SOAP note for this telehealth visit transcript. Answer with a JSON object ' +
+            `with the string fields ${SECTIONS.join(', ')}. Only use facts from the transcript.\n\n${transcript}`
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Ollama request failed: ${response.status}`);
+      }
+      const note = JSON.parse((await response.json()).response);
+      return Object.fromEntries(SECTIONS.map(section => [section, String(note[section] || '')]));
+    }
+  }
+};
+
+function getAdapter() {
+  const name = process.env.NOTE_SUMMARIZER || 'rules';
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown NOTE_SUMMARIZER: ${name}`);
+  }
+  return { name, ...ADAPTERS[name] };
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(SECTIONS.map(section => content[section]))).digest('hex');
+}
+
+function currentVersion(note) {
+  return note.versions[note.versions.length - 1];
+}
+
+// Notes as the API returns them: the current version up front, with the history
+function toPublicNote(note) {
+  const { versions, ...rest } = note;
+  return { ...rest, current: currentVersion(note), versions };
+}
+
+/**
+ * Draft the note for a recording from its completed transcript. Re-running
+ * replaces the current draft unless a clinician has edited or signed it.
+ */
+async function draftNote(recordingId) {
+  const recording = await getRecordingStore().get(recordingId);
+  if (!recording) {
+    throw new HttpError(404, 'recording_not_found', `Recording ${recordingId} not found`);
+  }
+  const { body } = await getTranscripts(recording.room, recordingId, 'json');
+  const transcript = body.transcripts[0];
+  if (transcript?.status !== 'complete') {
+    throw new HttpError(409, 'transcript_not_ready', `Recording ${recordingId} has no completed transcript`);
+  }
+
+  const existing = store.list(note => note.recordingId === recordingId)[0];
+  if (existing && currentVersion(existing).updatedBy !== 'system') {
+    console.log(`Note for recording ${recordingId} has been edited; not redrafting`);
+    return existing;
+  }
+
+  const appointment = findRoomAppointment(recording.room);
+  const clinician = appointment?.clinician || recording.startedBy;
+  const adapter = getAdapter();
+  const content = await adapter.summarize({ segments: transcript.segments, clinician });
+  const now = new Date().toISOString();
+  const version = {
+    version: existing ? currentVersion(existing).version : 1,
+    status: 'draft',
+    content,
+    updatedBy: 'system',
+    updatedAt: now,
+    signedBy: null,
+    signedAt: null,
+    contentHash: null
+  };
+
+  // A clinician may have edited the draft while it was being summarised
+  const note = existing
+    ? await store.update(existing.id, current => (currentVersion(current).updatedBy === 'system'
+      ? { adapter: adapter.name, versions: [...current.versions.slice(0, -1), version] }
+      : null))
+    : await store.insert({
+      id: crypto.randomUUID(),
+      recordingId,
+      room: recording.room,
+      appointmentId: appointment?.id || null,
+      clinician,
+      participants: await getRecordingParticipants(recording),
+      adapter: adapter.name,
+      versions: [version],
+      createdAt: now,
+      updatedAt: now
+    });
+  if (currentVersion(note).updatedBy !== 'system') {
+    console.log(`Note for recording ${recordingId} was edited while drafting; keeping the edits`);
+    return note;
+  }
+
+  await recordAuditEvent({ action: 'note.drafted', room: note.room, target: note.id, details: { recordingId, adapter: adapter.name } });
+  console.log(`Drafted ${adapter.name} note ${note.id} for recording ${recordingId}`);
+  return note;
+}
+
+// Draft on request, e.g. when the automatic stage failed; clinicians from the session only
+async function requestNote(principal, recordingId) {
+  const recording = recordingId ? await getRecordingStore().get(recordingId) : null;
+  if (!recording) {
+    throw new HttpError(404, 'recording_not_found', 'Recording not found');
+  }
+  const participants = await getRecordingParticipants(recording);
+  if (!principal.roles.includes('clinician') || !participants.includes(principal.identity)) {
+    throw new HttpError(403, 'note_not_allowed', 'Only clinicians from this visit can draft its note');
+  }
+  const note = await draftNote(recordingId);
+  return getNote(principal, note.id);
+}
+
+function canRead(principal, note) {
+  return principal.admin || (principal.roles.includes('clinician') && note.participants.includes(principal.identity));
+}
+
+function getReadableNote(principal, id) {
+  const note = id ? store.get(id) : null;
+  if (!note) {
+    throw new HttpError(404, 'note_not_found', 'Note not found');
+  }
+  if (!canRead(principal, note)) {
+    throw new HttpError(403, 'note_not_allowed', 'Only clinicians from this visit can open its note');
+  }
+  return note;
+}
+
+// Only clinicians from the visit write notes; admins can only read them
+function getWritableNote(principal, id) {
+  const note = getReadableNote(principal, id);
+  if (!principal.roles.includes('clinician') || !note.participants.includes(principal.identity)) {
+    throw new HttpError(403, 'note_not_allowed', 'Only clinicians from this visit can edit its note');
+  }
+  return note;
+}
+
+function getDraft(note) {
+  const version = currentVersion(note);
+  if (version.status !== 'draft') {
+    throw new HttpError(409, 'note_signed', `Version ${version.version} is signed; amend the note to change it`);
+  }
+  return version;
+}
+
+// Notes the principal may read, newest first; filter by room or recordingId
+function listNotes(principal, { room, recordingId } = {}) {
+  return store
+    .list(note =>
+      (!room || note.room === room) &&
+      (!recordingId || note.recordingId === recordingId) &&
+      canRead(principal, note)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicNote);
+}
+
+function getNote(principal, id) {
+  return toPublicNote(getReadableNote(principal, id));
+}
+
+// Save edits to the current draft; sections left out keep their text
+async function saveDraft(principal, id, content = {}) {
+  const note = getWritableNote(principal, id);
+  const draft = getDraft(note);
+  const updated = {
+    ...draft,
+    content: Object.fromEntries(SECTIONS.map(section => [
+      section,
+      typeof content[section] === 'string' ? content[section] : draft.content[section]
+    ])),
+    updatedBy: principal.identity,
+    updatedAt: new Date().toISOString()
+  };
+  return toPublicNote(await store.update(note.id, { versions: [...note.versions.slice(0, -1), updated] }));
+}
+
+// Sign the current draft; it can no longer change
+async function signNote(principal, id) {
+  const note = getWritableNote(principal, id);
+  const draft = getDraft(note);
+  const now = new Date().toISOString();
+  const signed = { ...draft, status: 'signed', signedBy: principal.identity, signedAt: now, contentHash: hashContent(draft.content) };
+
+  await recordAuditEvent({
+    action: 'note.signed',
+    actor: principal.identity,
+    room: note.room,
+    target: note.id,
+    details: { version: signed.version, contentHash: signed.contentHash }
+  });
+  return toPublicNote(await store.update(note.id, { versions: [...note.versions.slice(0, -1), signed] }));
+}
+
+// Start a new draft version from the signed one
+async function amendNote(principal, id) {
+  const note = getWritableNote(principal, id);
+  const signed = currentVersion(note);
+  if (signed.status !== 'signed') {
+    throw new HttpError(409, 'note_not_signed', 'Only signed notes can be amended; edit the draft instead');
+  }
+
+  const draft = {
+    version: signed.version + 1,
+    status: 'draft',
+    content: { ...signed.content },
+    updatedBy: principal.identity,
+    updatedAt: new Date().toISOString(),
+    signedBy: null,
+    signedAt: null,
+    contentHash: null
+  };
+  await recordAuditEvent({
+    action: 'note.amended',
+    actor: principal.identity,
+    room: note.room,
+    target: note.id,
+    details: { version: draft.version }
+  });
+  return toPublicNote(await store.update(note.id, { versions: [...note.versions, draft] }));
+}
+
+module.exports = {
+  SECTIONS,
+  draftNote,
+  requestNote,
+  listNotes,
+  getNote,
+  saveDraft,
+  signNote,
+  amendNote
+};
@@ -0,0 +1,239 @@
+/**
+ * Recordings Library
+ *
+ * Browse, play back and delete past recordings. Access is limited to the
+ * people who were in the session (whoever started the recording, every
+ * recorded track and everyone the session log shows in the room while it
+ * ran) and to admins. Deleting also requires the clinician role, or admin.
+ *
+ * Playback never exposes storage credentials: each file gets a signed URL
+ * that expires after RECORDING_URL_TTL_SECONDS (default 300). Providers
+ * with their own URL signing (Azure SAS, S3 presigned, GCS V4) are used
+ * directly; local storage files are served by the app behind an HMAC
+ * signature (RECORDING_URL_SECRET, falling back to LIVEKIT_API_SECRET).
+ * That signature also covers who the link was issued to, so downloads
+ * served by the app are attributed in the audit log, as are views and
+ * deletions.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { recordAuditEvent } = require('./audit');
+const { getRecordingStore } = require('./recordingStore');
+const { listSessions, getRecordingSessionId } = require('./sessions');
+const { getStorage } = require('./storage');
+const { deleteTranscripts } = require('./transcription');
+const { HttpError } = require('./errors');
+
+const CONTENT_TYPES = {
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+function getUrlTtlSeconds() {
+  const value = Number(process.env.RECORDING_URL_TTL_SECONDS);
+  return Number.isFinite(value) && value > 0 ? value : 300;
+}
+
+function signFileUrl(recordingId, key, expires, by) {
+  return crypto
+    .createHmac('sha256', process.env.RECORDING_URL_SECRET || process.env.LIVEKIT_API_SECRET)
+    .update(JSON.stringify([recordingId, key, expires, by]))
+    .digest('hex');
+}
+
+// Everyone who was in the room while the recording ran
+async function getRecordingParticipants(recording) {
+  const identities = new Set((recording.tracks || []).map(track => track.identity));
+  if (recording.startedBy && recording.startedBy !== 'unknown') {
+    identities.add(recording.startedBy);
+  }
+
+  const start = recording.startedAt;
+  const end = recording.endedAt || new Date().toISOString();
+  for (const session of listSessions({ room: recording.room })) {
+    for (const participant of Object.values(session.participants)) {
+      const joinedAt = participant.joinedAt || session.startedAt;
+      const leftAt = participant.leftAt || session.endedAt || end;
+      if (joinedAt <= end && leftAt >= start) {
+        identities.add(participant.identity);
+      }
+    }
+  }
+  return [...identities];
+}
+
+// Stored files of a recording that can be played back
+function getRecordingFiles(recording) {
+  if (recording.mode === 'tracks') {
+    return recording.tracks
+      .filter(track => track.status === 'complete')
+      .map(track => ({ key: track.filepath, participant: track.identity, offsetMs: track.offsetMs || 0 }));
+  }
+  return recording.status === 'complete'
+    ? [{ key: recording.filepath, participant: null, offsetMs: 0 }]
+    : [];
+}
+
+function toSummary(recording, participants) {
+  return {
+    id: recording.id,
+    room: recording.room,
+    sessionId: getRecordingSessionId(recording),
+    mode: recording.mode || 'composite',
+    status: recording.status,
+    startedBy: recording.startedBy,
+    startedAt: recording.startedAt,
+    endedAt: recording.endedAt || null,
+    participants
+  };
+}
+
+// Load a recording the principal may access, with its participants
+async function getAccessibleRecording(principal, id) {
+  const recording = id ? await getRecordingStore().get(id) : null;
+  if (!recording) {
+    throw new HttpError(404, 'recording_not_found', 'Recording not found');
+  }
+  const participants = await getRecordingParticipants(recording);
+  if (!principal.admin && !participants.includes(principal.identity)) {
+    throw new HttpError(403, 'recording_not_allowed', 'Only session participants can access this recording');
+  }
+  return { recording, participants };
+}
+
+/**
+ * Recordings the principal may access, newest first.
+ * Filters: room, from/to (ISO dates, on the start time) and participant.
+ */
+async function listRecordings(principal, { room, from, to, participant } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    throw new HttpError(400, 'invalid_date', 'from and to must be ISO 8601 dates');
+  }
+
+  const recordings = await getRecordingStore().list(recording =>
+    (!room || recording.room === room) &&
+    (!fromDate || recording.startedAt >= fromDate.toISOString()) &&
+    (!toDate || recording.startedAt <= toDate.toISOString())
+  );
+
+  const results = [];
+  for (const recording of recordings) {
+    const participants = await getRecordingParticipants(recording);
+    if ((principal.admin || participants.includes(principal.identity)) &&
+        (!participant || participants.includes(participant))) {
+      results.push(toSummary(recording, participants));
+    }
+  }
+  return results.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * A recording's metadata and a short-lived playback URL for each file.
+ * fileUrl(recordingId, query) builds the app URL used when the storage
+ * provider cannot sign one itself.
+ */
+async function getRecording(principal, id, { fileUrl }) {
+  const { recording, participants } = await getAccessibleRecording(principal, id);
+  const storage = getStorage();
+  const ttl = getUrlTtlSeconds();
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+
+  const files = [];
+  for (const file of getRecordingFiles(recording)) {
+    const signedUrl = await storage.getSignedUrl(file.key, ttl);
+    const query = new URLSearchParams({
+      key: file.key,
+      expires: String(expires),
+      by: principal.identity,
+      signature: signFileUrl(recording.id, file.key, expires, principal.identity)
+    });
+    files.push({
+      ...file,
+      name: path.posix.basename(file.key),
+      url: signedUrl || fileUrl(recording.id, query.toString()),
+      expiresAt: new Date(expires * 1000).toISOString()
+    });
+  }
+
+  await recordAuditEvent({
+    action: 'recording.viewed',
+    actor: principal.identity,
+    room: recording.room,
+    target: recording.id,
+    details: { files: files.map(file => file.key) }
+  });
+  return { recording: toSummary(recording, participants), files };
+}
+
+/**
+ * Serve a file behind an app-signed playback URL.
+ * Returns { body, contentType } or throws an HttpError.
+ */
+async function getSignedRecordingFile(id, { key, expires, by, signature }) {
+  const expected = key && expires && by ? signFileUrl(id, key, Number(expires), by) : '';
+  if (!signature || expected.length !== signature.length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    throw new HttpError(403, 'invalid_signature', 'Playback link is invalid');
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    throw new HttpError(403, 'link_expired', 'Playback link has expired');
+  }
+
+  const body = await getStorage().fetch(key);
+  const recording = await getRecordingStore().get(id);
+  await recordAuditEvent({
+    action: 'recording.downloaded',
+    actor: by,
+    room: recording?.room || null,
+    target: id,
+    details: { key }
+  });
+  return {
+    body,
+    contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream'
+  };
+}
+
+// Delete a finished recording: its stored files, transcripts and registry entry
+async function deleteRecording(principal, id) {
+  const { recording } = await getAccessibleRecording(principal, id);
+  if (!principal.admin && !principal.roles.includes('clinician')) {
+    throw new HttpError(403, 'role_not_allowed', 'Only clinicians and admins can delete recordings');
+  }
+  if (['starting', 'active', 'stopping'].includes(recording.status)) {
+    throw new HttpError(409, 'recording_in_progress', 'Stop the recording before deleting it');
+  }
+
+  const storage = getStorage();
+  const keys = [
+    ...(recording.mode === 'tracks' ? recording.tracks.map(track => track.filepath) : [recording.filepath]),
+    ...(recording.processedAudio?.keys || [])
+  ];
+  for (const key of keys) {
+    await storage.remove(key);
+  }
+  await deleteTranscripts(recording.id);
+  await getRecordingStore().remove(recording.id);
+
+  await recordAuditEvent({
+    action: 'recording.deleted',
+    actor: principal.identity,
+    room: recording.room,
+    target: recording.id,
+    details: { keys }
+  });
+  console.log(`Recording ${recording.id} deleted by ${principal.identity}`);
+  return { deleted: recording.id };
+}
+
+module.exports = {
+  getRecordingParticipants,
+  listRecordings,
+  getRecording,
+  getSignedRecordingFile,
+  deleteRecording
+};
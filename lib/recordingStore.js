@@ -0,0 +1,208 @@
+/**
+ * Recording Registry
+ *
+ * Persistent record of every recording and its lifecycle, shared by
+ * token-server.js and the Vercel functions so status survives restarts and
+ * cold starts:
+ *
+ *   starting -> active -> stopping -> complete
+ *                     \-------------> failed
+ *
+ * Backends (RECORDING_STORE):
+ *   file  - JSON file in DATA_DIR (default)
+ *   redis - any Redis-compatible REST endpoint (Upstash, Vercel KV), set
+ *           REDIS_REST_URL and REDIS_REST_TOKEN (or KV_REST_API_URL / KV_REST_API_TOKEN)
+ *
+ * Every method is async so the backends are interchangeable. update takes
+ * the changes, or a function from the current record to them (null for no
+ * change); either way it is atomic, so concurrent updates of one recording
+ * (e.g. its per-track egresses reporting at once) all land.
+ */
+
+const { createFileStore } = require('./fileStore');
+
+const RECORDING_STATUSES = ['starting', 'active', 'stopping', 'complete', 'failed'];
+
+// A room may only have one recording in these states at a time
+const IN_PROGRESS_STATUSES = ['starting', 'active'];
+
+// Egress IDs belonging to a recording: the composite egress, or one per track
+function getEgressIds(recording) {
+  return [recording.egressId, ...(recording.tracks || []).map(track => track.egressId)].filter(Boolean);
+}
+
+// Redis sets a recording only if nobody changed it since it was read
+const COMPARE_AND_SET = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+
+// Plenty for a handful of writers to the same recording
+const MAX_UPDATE_ATTEMPTS = 10;
+
+function createFileRecordingStore() {
+  const store = createFileStore('recordings');
+
+  return {
+    async create(recording) {
+      return store.insert(recording);
+    },
+
+    async get(id) {
+      return store.get(id);
+    },
+
+    async update(id, changes) {
+      return store.update(id, changes);
+    },
+
+    async findByEgressId(egressId) {
+      return store.list(recording => getEgressIds(recording).includes(egressId))[0] || null;
+    },
+
+    async getActiveByRoom(room) {
+      return store.list(recording =>
+        recording.room === room && IN_PROGRESS_STATUSES.includes(recording.status)
+      )[0] || null;
+    },
+
+    async list(filter = () => true) {
+      return store.list(filter);
+    },
+
+    async remove(id) {
+      return store.remove(id);
+    }
+  };
+}
+
+function createRedisRecordingStore() {
+  const baseUrl = (process.env.REDIS_REST_URL || process.env.KV_REST_API_URL || '').replace(/\/$/, '');
+  const token = process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+
+  if (!baseUrl || !token) {
+    throw new Error('RECORDING_STORE=redis requires REDIS_REST_URL and REDIS_REST_TOKEN');
+  }
+
+  // Run one Redis command over the REST API, e.g. ['GET', 'key']
+  async function command(...args) {
+    const response = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const data = await response.json();
+    if (!response.ok || data.error) {
+      throw new Error(`Redis command ${args[0]} failed: ${data.error || response.status}`);
+    }
+    return data.result;
+  }
+
+  const recordingKey = id => `recording:${id}`;
+  const egressKey = egressId => `recording:egress:${egressId}`;
+  const roomKey = room => `recording:active:${room}`;
+
+  async function get(id) {
+    const value = await command('GET', recordingKey(id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Keep the egress and active-room indexes in step with the record
+  async function index(recording) {
+    await command('SADD', 'recordings', recording.id);
+    for (const egressId of getEgressIds(recording)) {
+      await command('SET', egressKey(egressId), recording.id);
+    }
+    if (IN_PROGRESS_STATUSES.includes(recording.status)) {
+      await command('SET', roomKey(recording.room), recording.id);
+    } else if (await command('GET', roomKey(recording.room)) === recording.id) {
+      await command('DEL', roomKey(recording.room));
+    }
+    return recording;
+  }
+
+  return {
+    async create(recording) {
+      await command('SET', recordingKey(recording.id), JSON.stringify(recording));
+      return index(recording);
+    },
+
+    get,
+
+    // Read, change and write back unless someone wrote in between; then
+    // start over from what they wrote
+    async update(id, changes) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const value = await command('GET', recordingKey(id));
+        if (!value) {
+          return null;
+        }
+        const recording = JSON.parse(value);
+        const resolved = typeof changes === 'function' ? changes(recording) : changes;
+        if (!resolved) {
+          return recording;
+        }
+        const updated = { ...recording, ...resolved, updatedAt: new Date().toISOString() };
+        if (await command('EVAL', COMPARE_AND_SET, 1, recordingKey(id), value, JSON.stringify(updated))) {
+          return index(updated);
+        }
+      }
+      throw new Error(`Recording ${id} kept changing while being updated`);
+    },
+
+    async findByEgressId(egressId) {
+      const id = await command('GET', egressKey(egressId));
+      return id ? get(id) : null;
+    },
+
+    async getActiveByRoom(room) {
+      const id = await command('GET', roomKey(room));
+      const recording = id ? await get(id) : null;
+      return recording && IN_PROGRESS_STATUSES.includes(recording.status) ? recording : null;
+    },
+
+    async list(filter = () => true) {
+      const ids = await command('SMEMBERS', 'recordings');
+      const recordings = await Promise.all(ids.map(get));
+      return recordings.filter(recording => recording && filter(recording));
+    },
+
+    async remove(id) {
+      const recording = await get(id);
+      if (!recording) {
+        return false;
+      }
+      for (const egressId of getEgressIds(recording)) {
+        await command('DEL', egressKey(egressId));
+      }
+      if (await command('GET', roomKey(recording.room)) === id) {
+        await command('DEL', roomKey(recording.room));
+      }
+      await command('SREM', 'recordings', id);
+      await command('DEL', recordingKey(id));
+      return true;
+    }
+  };
+}
+
+function createRecordingStore(backend = process.env.RECORDING_STORE) {
+  return backend === 'redis' ? createRedisRecordingStore() : createFileRecordingStore();
+}
+
+let recordingStore = null;
+
+function getRecordingStore() {
+  if (!recordingStore) {
+    recordingStore = createRecordingStore();
+  }
+  return recordingStore;
+}
+
+module.exports = {
+  RECORDING_STATUSES,
+  IN_PROGRESS_STATUSES,
+  createRecordingStore,
+  getRecordingStore
+};
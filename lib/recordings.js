@@ -0,0 +1,459 @@
+/**
+ * Recording Service
+ *
+ * Starts and stops recording egress (audio only, OGG to the configured
+ * storage provider, see lib/storage.js) and tracks each recording's
+ * lifecycle in the recording registry.
+ * Served by the routes in lib/service.js.
+ *
+ * Modes (RECORDING_MODE):
+ *   composite - one mixed room composite file (default)
+ *   tracks    - one track egress per published microphone track, so each
+ *               speaker is in their own file. Tracks published after the
+ *               recording starts are added by the track_published webhook.
+ *               Files are written to {filepath template}/{identity}-{trackSid}.ogg
+ *               and listed, with each track's start offset, by getRecordingManifest.
+ *
+ * Stopping only requests the egress to end; the LiveKit webhook (see
+ * lib/webhooks.js) marks the recording complete or failed once the file is
+ * finalised.
+ *
+ * Each handler returns { status, body } for the caller to send.
+ */
+
+const crypto = require('crypto');
+const {
+  DirectFileOutput,
+  EncodedFileOutput,
+  EncodedFileType,
+  EncodingOptionsPreset,
+  EgressStatus,
+  TrackSource,
+  TrackType
+} = require('livekit-server-sdk');
+const { getEgressClient, getRoomServiceClient } = require('./livekit');
+const { recordAuditEvent } = require('./audit');
+const { getRecordingStore } = require('./recordingStore');
+const { getRecordingFilepath, getStorage } = require('./storage');
+
+const FINAL_STATUSES = ['complete', 'failed'];
+
+function getRecordingMode() {
+  return process.env.RECORDING_MODE === 'tracks' ? 'tracks' : 'composite';
+}
+
+// Egress file output settings for a storage key
+function getFileOutputOptions(filepath) {
+  const storage = getStorage();
+  return {
+    filepath: storage.getEgressFilepath(filepath),
+    output: storage.getEgressOutput()
+  };
+}
+
+function isMicrophoneTrack(track) {
+  return track.type === TrackType.AUDIO && track.source === TrackSource.MICROPHONE;
+}
+
+// Apply changes to one track of a per-track recording: an object, or a
+// function from the track as it is now to them (null for no change). Returns
+// the recording.
+async function updateRecordingTrack(recordingId, trackSid, changes) {
+  return getRecordingStore().update(recordingId, current => {
+    const track = current.tracks.find(candidate => candidate.trackSid === trackSid);
+    const resolved = track && (typeof changes === 'function' ? changes(track) : changes);
+    return resolved
+      ? { tracks: current.tracks.map(candidate => (candidate === track ? { ...track, ...resolved } : candidate)) }
+      : null;
+  });
+}
+
+/**
+ * Start a track egress for a participant's microphone track and add it to
+ * a per-track recording. Tracks already being recorded are ignored, and an
+ * egress that started after the recording was stopped is stopped again.
+ */
+async function addRecordingTrack(recordingId, identity, trackSid) {
+  const store = getRecordingStore();
+  const recording = await store.get(recordingId);
+  if (!recording) {
+    return;
+  }
+
+  const startedAt = new Date().toISOString();
+  const filepath = `${recording.filepath}${identity.replace(/[^\w.@-]/g, '_')}-${trackSid}.ogg`;
+
+  // A join and a track_published webhook can both try to add it
+  let added = false;
+  await store.update(recordingId, current => {
+    added = !current.tracks.some(track => track.trackSid === trackSid);
+    return added
+      ? {
+        tracks: [...current.tracks, {
+          trackSid,
+          identity,
+          egressId: null,
+          filepath,
+          status: 'starting',
+          startedAt,
+          offsetMs: Date.parse(startedAt) - Date.parse(recording.startedAt)
+        }]
+      }
+      : null;
+  });
+  if (!added) {
+    return;
+  }
+
+  let egressInfo;
+  try {
+    egressInfo = await getEgressClient().startTrackEgress(
+      recording.room,
+      new DirectFileOutput(getFileOutputOptions(filepath)),
+      trackSid
+    );
+  } catch (error) {
+    console.error(`Failed to start track egress for ${identity} (${trackSid}):`, error.message);
+    await updateRecordingTrack(recordingId, trackSid, { status: 'failed', error: error.message, endedAt: new Date().toISOString() });
+    return;
+  }
+
+  // egress_started may already have been handled by the webhook, and a
+  // stop may have given up on the track meanwhile
+  const updated = await updateRecordingTrack(recordingId, trackSid, track => ({
+    egressId: egressInfo.egressId,
+    status: track.status === 'starting' && egressInfo.status === EgressStatus.EGRESS_ACTIVE
+      ? 'active'
+      : track.status
+  }));
+  const track = updated.tracks.find(candidate => candidate.trackSid === trackSid);
+  const stopped = updated.status === 'stopping' || FINAL_STATUSES.includes(updated.status);
+
+  if (stopped || FINAL_STATUSES.includes(track.status)) {
+    console.log(`Track egress ${egressInfo.egressId} started after recording ${recordingId} stopped; stopping it`);
+    try {
+      await getEgressClient().stopEgress(egressInfo.egressId);
+    } catch (error) {
+      console.log(`Could not stop track egress ${egressInfo.egressId}: ${error.message}`);
+    }
+    return;
+  }
+
+  console.log(`Track egress started for ${identity} (${trackSid}) in room: ${recording.room}, egressId: ${egressInfo.egressId}`);
+}
+
+/**
+ * Mark a stopping per-track recording complete once every track egress has
+ * finished. Returns the updated recording, or null if it is not done yet.
+ */
+async function finishTrackRecording(recordingId) {
+  // The last two tracks can end at once; only one of them finishes it
+  let finished = false;
+  const recording = await getRecordingStore().update(recordingId, current => {
+    finished = current.status === 'stopping' && current.tracks.every(track => FINAL_STATUSES.includes(track.status));
+    if (!finished) {
+      return null;
+    }
+    const failed = current.tracks.length > 0 && current.tracks.every(track => track.status === 'failed');
+    return { status: failed ? 'failed' : 'complete', endedAt: new Date().toISOString() };
+  });
+  return finished ? recording : null;
+}
+
+function auditRecordingEvent(action, recording, actor) {
+  return recordAuditEvent({
+    action,
+    actor,
+    room: recording.room,
+    target: recording.id,
+    details: { mode: recording.mode || 'composite', filepath: recording.filepath }
+  });
+}
+
+async function startTrackRecording(recording) {
+  const participants = await getRoomServiceClient().listParticipants(recording.room);
+  for (const participant of participants) {
+    for (const track of participant.tracks.filter(isMicrophoneTrack)) {
+      await addRecordingTrack(recording.id, participant.identity, track.sid);
+    }
+  }
+
+  const store = getRecordingStore();
+  await store.update(recording.id, { status: 'active' });
+  const { tracks } = await store.get(recording.id);
+
+  console.log(`Per-track recording started for room: ${recording.room}, ${tracks.length} track(s)`);
+  await auditRecordingEvent('recording.started', recording, recording.startedBy);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      recordingId: recording.id,
+      mode: 'tracks',
+      egressIds: tracks.map(track => track.egressId).filter(Boolean),
+      filepath: recording.filepath,
+      message: 'Recording started'
+    }
+  };
+}
+
+async function stopTrackRecording(recording, identity) {
+  const store = getRecordingStore();
+  await store.update(recording.id, { status: 'stopping', stoppedBy: identity || 'unknown' });
+
+  for (const track of recording.tracks) {
+    if (FINAL_STATUSES.includes(track.status)) {
+      continue;
+    }
+    // Still starting, or its start was lost: nothing to stop, so it is done
+    if (!track.egressId) {
+      await updateRecordingTrack(recording.id, track.trackSid, current => (current.egressId
+        ? null
+        : { status: 'failed', error: 'Recording stopped before the track egress started', endedAt: new Date().toISOString() }
+      ));
+      continue;
+    }
+    try {
+      await getEgressClient().stopEgress(track.egressId);
+    } catch (error) {
+      // The track may have ended on its own (participant left or unpublished)
+      console.log(`Could not stop track egress ${track.egressId}: ${error.message}`);
+    }
+  }
+
+  // With nothing left running there is no egress_ended to wait for
+  await finishTrackRecording(recording.id);
+
+  console.log(`Per-track recording stopped for room: ${recording.room}`);
+  await auditRecordingEvent('recording.stopped', recording, identity);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      recordingId: recording.id,
+      mode: 'tracks',
+      filepath: recording.filepath,
+      message: 'Recording stopped'
+    }
+  };
+}
+
+// Start recording handler
+async function startRecording(room, identity) {
+  const store = getRecordingStore();
+
+  // Check if recording is already active for this room
+  const existing = await store.getActiveByRoom(room);
+  if (existing) {
+    return {
+      status: 409,
+      body: { 
+        error: 'Recording already in progress',
+        startedBy: existing.startedBy,
+        egressId: existing.egressId
+      }
+    };
+  }
+
+  // Unique storage key from the filepath template (a folder of per-track files in tracks mode)
+  const mode = getRecordingMode();
+  const id = crypto.randomUUID();
+  const startedAt = new Date().toISOString();
+  const basePath = getRecordingFilepath({ room, recordingId: id, startedAt });
+  const filepath = mode === 'tracks' ? `${basePath}/` : `${basePath}.ogg`;
+
+  const recording = await store.create({
+    id,
+    egressId: null,
+    mode,
+    room,
+    status: 'starting',
+    startedBy: identity || 'unknown',
+    startedAt,
+    filepath,
+    ...(mode === 'tracks' && { tracks: [] }),
+    createdAt: startedAt,
+    updatedAt: startedAt
+  });
+
+  if (mode === 'tracks') {
+    try {
+      return await startTrackRecording(recording);
+    } catch (error) {
+      await store.update(recording.id, { status: 'failed', error: error.message, endedAt: new Date().toISOString() });
+      throw error;
+    }
+  }
+
+  // Configure storage output for audio-only recording
+  const output = new EncodedFileOutput({
+    fileType: EncodedFileType.OGG,
+    ...getFileOutputOptions(filepath)
+  });
+
+  // Start room composite egress (audio only)
+  let egressInfo;
+  try {
+    egressInfo = await getEgressClient().startRoomCompositeEgress(
+      room,
+      output,
+      {
+        layout: 'single-speaker',
+        audioOnly: true,
+        encodingOptions: EncodingOptionsPreset.H264_720P_30
+      }
+    );
+  } catch (error) {
+    await store.update(recording.id, { status: 'failed', error: error.message, endedAt: new Date().toISOString() });
+    throw error;
+  }
+
+  // egress_started may already have been handled by the webhook
+  const current = await store.get(recording.id);
+  await store.update(recording.id, {
+    egressId: egressInfo.egressId,
+    status: current.status === 'starting' && egressInfo.status === EgressStatus.EGRESS_ACTIVE
+      ? 'active'
+      : current.status
+  });
+
+  console.log(`Recording started for room: ${room}, egressId: ${egressInfo.egressId}`);
+  await auditRecordingEvent('recording.started', recording, recording.startedBy);
+  
+  return {
+    status: 200,
+    body: { 
+      success: true,
+      recordingId: recording.id,
+      egressId: egressInfo.egressId,
+      filepath: filepath,
+      message: 'Recording started'
+    }
+  };
+}
+
+// The room of the recording an egress belongs to, or null for egress the
+// registry does not know
+async function findRecordingRoom(egressId) {
+  const recording = await getRecordingStore().findByEgressId(egressId);
+  return recording?.room || null;
+}
+
+// Stop recording handler: stops the room's active recording, never an
+// egress the registry does not know
+async function stopRecording(room, identity) {
+  const store = getRecordingStore();
+
+  const recording = await store.getActiveByRoom(room);
+  if (recording?.mode === 'tracks') {
+    return stopTrackRecording(recording, identity);
+  }
+
+  if (!recording?.egressId) {
+    return {
+      status: 404,
+      body: { error: 'No active recording found for this room' }
+    };
+  }
+
+  await store.update(recording.id, { status: 'stopping', stoppedBy: identity || 'unknown' });
+
+  // Stop the egress
+  try {
+    await getEgressClient().stopEgress(recording.egressId);
+  } catch (error) {
+    await store.update(recording.id, { status: 'failed', error: error.message, endedAt: new Date().toISOString() });
+    throw error;
+  }
+
+  console.log(`Recording stopped for egressId: ${recording.egressId}`);
+  await auditRecordingEvent('recording.stopped', recording, identity);
+  
+  return {
+    status: 200,
+    body: { 
+      success: true,
+      recordingId: recording.id,
+      egressId: recording.egressId,
+      filepath: recording.filepath,
+      message: 'Recording stopped'
+    }
+  };
+}
+
+// Get recording status handler
+async function getRecordingStatus(room) {
+  const recording = await getRecordingStore().getActiveByRoom(room);
+  
+  return {
+    status: 200,
+    body: { 
+      isRecording: !!recording,
+      ...(recording && {
+        recordingId: recording.id,
+        mode: recording.mode || 'composite',
+        status: recording.status,
+        egressId: recording.egressId,
+        startedBy: recording.startedBy,
+        startedAt: recording.startedAt
+      })
+    }
+  };
+}
+
+/**
+ * List every file of a recording with the participant it belongs to and its
+ * start offset (ms) from the beginning of the recording. Composite
+ * recordings have a single mixed file with no participant.
+ */
+async function getRecordingManifest(recordingId) {
+  const recording = await getRecordingStore().get(recordingId);
+  if (!recording) {
+    return { status: 404, body: { error: 'Recording not found' } };
+  }
+
+  const files = recording.mode === 'tracks'
+    ? recording.tracks.map(track => ({
+      file: track.location || track.filepath,
+      participant: track.identity,
+      trackSid: track.trackSid,
+      offsetMs: track.offsetMs,
+      durationMs: track.durationMs ?? null,
+      status: track.status
+    }))
+    : [{
+      file: recording.location || recording.filepath,
+      participant: null,
+      trackSid: null,
+      offsetMs: 0,
+      durationMs: recording.durationMs ?? null,
+      status: recording.status
+    }];
+
+  return {
+    status: 200,
+    body: {
+      recordingId: recording.id,
+      room: recording.room,
+      mode: recording.mode || 'composite',
+      status: recording.status,
+      startedAt: recording.startedAt,
+      endedAt: recording.endedAt || null,
+      files
+    }
+  };
+}
+
+module.exports = {
+  isMicrophoneTrack,
+  addRecordingTrack,
+  updateRecordingTrack,
+  finishTrackRecording,
+  startRecording,
+  findRecordingRoom,
+  stopRecording,
+  getRecordingStatus,
+  getRecordingManifest
+};
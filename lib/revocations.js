@@ -0,0 +1,106 @@
+/**
+ * Access Revocation
+ *
+ * Room tokens are short-lived (see lib/livekit.js), but a leaked link or a
+ * participant who must not come back has to be cut off now. A clinician
+ * revokes an identity's access to a room; revocations are kept in the
+ * `revocations` store, one per room and identity:
+ *
+ *   { id, room, identity, reason, revokedBy, revokedAt }
+ *
+ * A revoked identity gets no token for the room, whatever link or
+ * credential they come with, and cannot refresh the one they hold (see
+ * lib/service.js). Revoking also removes them from the live room, and they
+ * are removed again should they join with a token issued before (see
+ * lib/webhooks.js). Lifting the revocation lets them back in.
+ */
+
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { getRoomServiceClient } = require('./livekit');
+const { HttpError } = require('./errors');
+
+const MAX_REASON_LENGTH = 200;
+
+const store = createFileStore('revocations');
+
+function findRevocation(room, identity) {
+  return store.list(revocation => revocation.room === room && revocation.identity === identity)[0] || null;
+}
+
+function isRevoked(room, identity) {
+  return !!findRevocation(room, identity);
+}
+
+// Throws unless the identity may have a token for the room
+function assertNotRevoked(room, identity) {
+  if (isRevoked(room, identity)) {
+    throw new HttpError(403, 'access_revoked', 'Your access to this visit has been revoked');
+  }
+}
+
+/**
+ * Revoke an identity's access to a room and remove them from it.
+ * Returns { revocation, removed }; revoking twice keeps the first.
+ */
+async function revokeAccess(room, identity, revokedBy, { reason } = {}) {
+  if (identity === revokedBy) {
+    throw new HttpError(400, 'cannot_revoke_self', 'You cannot revoke your own access');
+  }
+
+  const revocation = findRevocation(room, identity) || await store.insert({
+    id: crypto.randomUUID(),
+    room,
+    identity,
+    reason: typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '',
+    revokedBy,
+    revokedAt: new Date().toISOString()
+  });
+
+  let removed = false;
+  try {
+    await getRoomServiceClient().removeParticipant(room, identity);
+    removed = true;
+  } catch (error) {
+    // Not in the call right now
+  }
+  return { revocation, removed };
+}
+
+// A room's revocations, newest first
+function listRevocations(room) {
+  return store
+    .list(revocation => revocation.room === room)
+    .sort((a, b) => b.revokedAt.localeCompare(a.revokedAt));
+}
+
+// Let a revoked identity back in; returns the lifted revocation
+async function liftRevocation(room, id) {
+  const revocation = store.get(id);
+  if (!revocation || revocation.room !== room) {
+    throw new HttpError(404, 'revocation_not_found', 'Revocation not found');
+  }
+  await store.remove(id);
+  return revocation;
+}
+
+/**
+ * Remove a participant who joined a room they were revoked from. Returns
+ * whether they were removed.
+ */
+async function removeIfAccessRevoked(room, identity) {
+  if (!isRevoked(room, identity)) {
+    return false;
+  }
+  await getRoomServiceClient().removeParticipant(room, identity);
+  return true;
+}
+
+module.exports = {
+  isRevoked,
+  assertNotRevoked,
+  revokeAccess,
+  listRevocations,
+  liftRevocation,
+  removeIfAccessRevoked
+};
@@ -0,0 +1,149 @@
+/**
+ * Visit Roles & LiveKit Grants
+ *
+ * Maps the role a participant joins a visit with to the LiveKit video grant
+ * placed in their token. Shared by token-server.js and the Vercel functions.
+ *
+ *   clinician - full media, can admin the room and start/stop recordings
+ *   patient   - camera and microphone, and subscribe; screen sharing only
+ *               while a clinician allows it (see lib/screenShare.js)
+ *   observer  - subscribe only (students)
+ *
+ * Extra parties a clinician invites to a live visit (see lib/invites.js):
+ *
+ *   interpreter - microphone only, and subscribe
+ *   caregiver   - camera and microphone, and subscribe (a family member)
+ *   specialist  - full media, without admin or recording rights
+ *
+ * A patient joining a visit with a waiting room first gets the lobby grant:
+ * connected to the room but unable to publish or subscribe until a
+ * clinician admits them (see lib/waitingRoom.js).
+ */
+
+const { TrackSource } = require('livekit-server-sdk');
+
+const ROLE_GRANTS = {
+  clinician: {
+    roomJoin: true,
+    roomAdmin: true,
+    roomRecord: true,
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true
+  },
+  patient: {
+    roomJoin: true,
+    canPublish: true,
+    canPublishSources: ['camera', 'microphone'],
+    canSubscribe: true,
+    canPublishData: true
+  },
+  observer: {
+    roomJoin: true,
+    canPublish: false,
+    canSubscribe: true,
+    canPublishData: false
+  },
+  interpreter: {
+    roomJoin: true,
+    canPublish: true,
+    canPublishSources: ['microphone'],
+    canSubscribe: true,
+    canPublishData: true
+  },
+  caregiver: {
+    roomJoin: true,
+    canPublish: true,
+    canPublishSources: ['camera', 'microphone'],
+    canSubscribe: true,
+    canPublishData: true
+  },
+  specialist: {
+    roomJoin: true,
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true
+  }
+};
+
+// Roles a clinician can invite into a live visit
+const INVITE_ROLES = ['interpreter', 'caregiver', 'specialist'];
+
+const LOBBY_GRANT = {
+  roomJoin: true,
+  canPublish: false,
+  canSubscribe: false,
+  canPublishData: false
+};
+
+// What a screen share publishes, added to a role's sources when it is allowed
+const SCREEN_SHARE_SOURCES = ['screen_share', 'screen_share_audio'];
+
+// Token grants name sources; the room service API takes TrackSource values
+const TRACK_SOURCES = {
+  camera: TrackSource.CAMERA,
+  microphone: TrackSource.MICROPHONE,
+  screen_share: TrackSource.SCREEN_SHARE,
+  screen_share_audio: TrackSource.SCREEN_SHARE_AUDIO
+};
+
+const ROLES = Object.keys(ROLE_GRANTS);
+const DEFAULT_ROLE = 'patient';
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_GRANTS, role);
+}
+
+// Build the `video` claim for a room token
+function getVideoGrant(role, roomName, { waiting = false } = {}) {
+  return {
+    room: roomName,
+    ...(waiting ? LOBBY_GRANT : ROLE_GRANTS[role])
+  };
+}
+
+// Whether the role publishes only some sources, so screen sharing has to be allowed
+function needsScreenSharePermission(role) {
+  return !!ROLE_GRANTS[role].canPublish && !!ROLE_GRANTS[role].canPublishSources;
+}
+
+// Participant permissions for the room service API (no room-level grants).
+// An update replaces all of them, so restricted sources are always listed.
+function getParticipantPermission(role, { screenShare = false } = {}) {
+  const { canPublish, canPublishSources, canSubscribe, canPublishData } = ROLE_GRANTS[role];
+  const permission = { canPublish, canSubscribe, canPublishData };
+  if (canPublishSources) {
+    const sources = screenShare ? [...canPublishSources, ...SCREEN_SHARE_SOURCES] : canPublishSources;
+    permission.canPublishSources = sources.map(source => TRACK_SOURCES[source]);
+  }
+  return permission;
+}
+
+// Participant metadata is read by the UI to show each participant's role,
+// whether they are still in the waiting room and whether a clinician has
+// allowed them to share their screen
+function getParticipantMetadata(role, { waiting = false, screenShare = false } = {}) {
+  return JSON.stringify({ role, ...(waiting && { waiting }), ...(screenShare && { screenShare }) });
+}
+
+// Metadata that is missing or not ours reads as empty
+function parseParticipantMetadata(participant) {
+  try {
+    return JSON.parse(participant.metadata || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+module.exports = {
+  ROLES,
+  INVITE_ROLES,
+  DEFAULT_ROLE,
+  TRACK_SOURCES,
+  isValidRole,
+  getVideoGrant,
+  needsScreenSharePermission,
+  getParticipantPermission,
+  getParticipantMetadata,
+  parseParticipantMetadata
+};
@@ -0,0 +1,55 @@
+/**
+ * Screen Share Permission
+ *
+ * Patients join able to publish only their camera and microphone (see
+ * lib/roles.js). A clinician can let a patient share their screen, and take
+ * it back, by updating the patient's permissions in place; the grant is
+ * kept in the participant's metadata (`screenShare: true`) so the UI can
+ * show it and restoring permissions after a consent prompt keeps it.
+ * Revoking it ends a share in progress.
+ */
+
+const { getRoomServiceClient } = require('./livekit');
+const {
+  getParticipantMetadata,
+  getParticipantPermission,
+  isValidRole,
+  needsScreenSharePermission,
+  parseParticipantMetadata
+} = require('./roles');
+const { HttpError } = require('./errors');
+
+/**
+ * Allow or stop a participant's screen sharing. Returns the updated
+ * participant.
+ */
+async function setScreenSharePermission(room, identity, allowed) {
+  const roomService = getRoomServiceClient();
+  let participant;
+  try {
+    participant = await roomService.getParticipant(room, identity);
+  } catch (error) {
+    throw new HttpError(404, 'participant_not_found', `${identity} is not in the visit`);
+  }
+
+  const { role, waiting } = parseParticipantMetadata(participant);
+  if (!isValidRole(role) || waiting) {
+    throw new HttpError(409, 'not_admitted', 'Admit the participant before changing their screen sharing');
+  }
+  if (!needsScreenSharePermission(role)) {
+    throw new HttpError(400, 'not_applicable', `Screen sharing is not granted to a ${role}`);
+  }
+
+  const permission = getParticipantPermission(role, { screenShare: allowed });
+  return roomService.updateParticipant(
+    room,
+    identity,
+    getParticipantMetadata(role, { screenShare: allowed }),
+    // Still muted for a recording consent prompt: leave it that way
+    participant.permission?.canPublish === false ? { ...permission, canPublish: false } : permission
+  );
+}
+
+module.exports = {
+  setScreenSharePermission
+};
@@ -0,0 +1,1168 @@
+/**
+ * Service Core
+ *
+ * Every HTTP endpoint of the app in one route table, independent of how it
+ * is hosted. token-server.js serves it over Node `http` and api/index.js as
+ * a single Vercel function; see lib/adapters/.
+ *
+ * Adapters pass { method, path, query, headers, rawBody }; JSON bodies are
+ * parsed here. A handler receives
+ *   { method, path, params, query, headers, body, rawBody }
+ * and returns { status, body, headers? }. Object bodies are sent as JSON,
+ * strings and Buffers as-is. An HttpError (lib/errors.js) becomes an
+ * { error, code } response; anything else is a 500 with the route's error
+ * message.
+ *
+ * Paths have no `/api` prefix; the adapters strip it, so the browser can
+ * call `/api/...` everywhere.
+ */
+
+const { HttpError } = require('./errors');
+const { ROLES, isValidRole } = require('./roles');
+const { createRoomToken, createNetworkTestToken, isNetworkTestRoom, verifyRoomGrant } = require('./livekit');
+const { findRecordingRoom, stopRecording, getRecordingStatus, getRecordingManifest } = require('./recordings');
+const { requestRecordingConsent, respondToConsent } = require('./consent');
+const { getTranscripts } = require('./transcription');
+const {
+  assertInCall,
+  sendChatMessage,
+  listChatMessages,
+  getChatAttachment,
+  exportChat
+} = require('./chat');
+const { getStorageConfigError } = require('./storage');
+const { admit, deny, isAdmitted } = require('./waitingRoom');
+const { setScreenSharePermission } = require('./screenShare');
+const { saveAnnotationFile, listAnnotations, getAnnotationFile } = require('./annotations');
+const {
+  createInvite,
+  verifyInviteCode,
+  redeemInvite,
+  listInvites,
+  muteInvitee,
+  removeInvitee,
+  revokeInvite
+} = require('./invites');
+const {
+  setTrackMuted,
+  removeParticipant,
+  setRoomLocked,
+  assertNotLockedOut,
+  endVisit
+} = require('./moderation');
+const {
+  assertNotRevoked,
+  revokeAccess,
+  listRevocations,
+  liftRevocation
+} = require('./revocations');
+const { receiveWebhook, handleWebhookEvent } = require('./webhooks');
+const { authenticate, resolveRoom, resolveRole, requireRole, requireAdmin } = require('./auth');
+const {
+  EXPORT_FORMATS,
+  recordAuditEvent,
+  queryAuditLog,
+  verifyAuditLog,
+  renderAuditLog
+} = require('./audit');
+const {
+  getAppointment,
+  assertJoinable,
+  getJoinLinks,
+  verifyJoinToken,
+  createAppointment,
+  listAppointments,
+  rescheduleAppointment,
+  cancelAppointment,
+  toPublicAppointment
+} = require('./appointments');
+const {
+  requestNote,
+  listNotes,
+  getNote,
+  saveDraft,
+  signNote,
+  amendNote
+} = require('./notes');
+const { getSessionJobs } = require('./sessionProcessor');
+const { recordTelemetry, getTelemetry } = require('./telemetry');
+const {
+  listRecordings,
+  getRecording,
+  getSignedRecordingFile,
+  deleteRecording
+} = require('./recordingLibrary');
+
+const API_PREFIX = '/api';
+
+function badRequest(error) {
+  return { status: 400, body: { error } };
+}
+
+function notConfigured(error) {
+  return { status: 500, body: { error: `Server not configured. ${error}` } };
+}
+
+// Identity and allowed rooms come from the verified credential, from a
+// signed visit link while the appointment is open, or from a single-use
+// invite. Nobody new gets into a locked visit, and nobody whose access was
+// revoked gets back in.
+async function issueToken({ headers, query }) {
+  const { room: requestedRoom, role: requestedRole, visit, invite: inviteCode } = query;
+
+  if (requestedRole && !isValidRole(requestedRole)) {
+    return { status: 400, body: { error: `Invalid role. Use: ${ROLES.join(', ')}`, code: 'invalid_role' } };
+  }
+  if (!process.env.LIVEKIT_API_KEY || !process.env.LIVEKIT_API_SECRET) {
+    return notConfigured('Missing LIVEKIT_API_KEY or LIVEKIT_API_SECRET environment variables.');
+  }
+
+  if (visit) {
+    const { appointment, identity, role } = verifyJoinToken(visit);
+    assertJoinable(appointment);
+    assertNotRevoked(appointment.room, identity);
+    assertNotLockedOut(appointment.room, identity);
+
+    // Patients wait in the lobby until the clinician admits them
+    const waiting = role === 'patient' && appointment.waitingRoom;
+    const token = createRoomToken(identity, appointment.room, role, { waiting, appointmentId: appointment.id });
+    console.log(`Token generated for user: ${identity}, visit: ${appointment.id}, role: ${role}${waiting ? ' (waiting room)' : ''}`);
+    await recordAuditEvent({
+      action: 'token.issued',
+      actor: identity,
+      room: appointment.room,
+      target: appointment.id,
+      details: { role, waiting, via: 'visit_link' }
+    });
+
+    return { status: 200, body: { token, identity, room: appointment.room, role, waiting } };
+  }
+
+  if (inviteCode) {
+    // Check before the invite is used up
+    const pending = verifyInviteCode(inviteCode);
+    assertNotRevoked(pending.room, pending.identity);
+    assertNotLockedOut(pending.room, pending.identity);
+    const invite = await redeemInvite(inviteCode);
+    const { identity, name, room, role } = invite;
+    const token = createRoomToken(identity, room, role, { name });
+    console.log(`Token generated for invited ${role}: ${identity}, room: ${room}`);
+    await recordAuditEvent({
+      action: 'token.issued',
+      actor: identity,
+      room,
+      target: invite.id,
+      details: { role, via: 'invite', invitedBy: invite.createdBy }
+    });
+
+    return { status: 200, body: { token, identity, name, room, role } };
+  }
+
+  const principal = authenticate(headers);
+  const room = resolveRoom(principal, requestedRoom);
+  const role = resolveRole(principal, requestedRole);
+  const { identity } = principal;
+  assertNotRevoked(room, identity);
+  assertNotLockedOut(room, identity);
+
+  const token = createRoomToken(identity, room, role);
+  console.log(`Token generated for user: ${identity}, room: ${room}, role: ${role}`);
+  await recordAuditEvent({ action: 'token.issued', actor: identity, room, details: { role, via: 'credential' } });
+
+  return { status: 200, body: { token, identity, room, role } };
+}
+
+/**
+ * A fresh room token for whoever holds a valid one, before it expires: to
+ * keep calling the API, to reconnect after a dropped connection and to
+ * resume a visit after a page reload. Same identity, room, role and name,
+ * until the session ends (see lib/livekit.js), unless their access was
+ * revoked or, for a visit link, the visit was cancelled or has closed. A
+ * patient who joined through the waiting room skips it again only while
+ * they are still in the room as admitted.
+ */
+async function refreshToken({ headers }) {
+  if (!process.env.LIVEKIT_API_KEY || !process.env.LIVEKIT_API_SECRET) {
+    return notConfigured('Missing LIVEKIT_API_KEY or LIVEKIT_API_SECRET environment variables.');
+  }
+
+  const claims = await verifyRoomGrant(headers, null, 'roomJoin');
+  if (!claims) {
+    return { status: 401, body: { error: 'A valid room token is required', code: 'invalid_token' } };
+  }
+
+  const { room } = claims.video;
+  let metadata;
+  try {
+    metadata = JSON.parse(claims.metadata || '{}');
+  } catch (e) {
+    metadata = {};
+  }
+  if (isNetworkTestRoom(room) || !isValidRole(metadata.role)) {
+    return { status: 400, body: { error: 'This token cannot be refreshed', code: 'not_refreshable' } };
+  }
+
+  if (typeof claims.sessionExp !== 'number' || claims.sessionExp <= Math.floor(Date.now() / 1000)) {
+    return { status: 401, body: { error: 'Your session has ended; join the visit again', code: 'session_expired' } };
+  }
+
+  const { sub: identity, apt: appointmentId } = claims;
+  const { role } = metadata;
+  if (appointmentId) {
+    assertJoinable(getAppointment(appointmentId));
+  }
+  assertNotLockedOut(room, identity);
+  const waiting = !!metadata.waiting && !(await isAdmitted(room, identity));
+  const name = claims.name && claims.name !== identity ? claims.name : undefined;
+
+  const token = createRoomToken(identity, room, role, { waiting, name, sessionExp: claims.sessionExp, appointmentId });
+  await recordAuditEvent({ action: 'token.issued', actor: identity, room, details: { role, waiting, via: 'refresh' } });
+
+  return { status: 200, body: { token, identity, name, room, role, waiting } };
+}
+
+// A token for the pre-join network test, for whoever could ask for a visit
+// token: a visit link or unused invite holder (before the visit opens too)
+// or a signed-in user
+async function issueNetworkTestToken({ headers, query }) {
+  if (!process.env.LIVEKIT_API_KEY || !process.env.LIVEKIT_API_SECRET) {
+    return notConfigured('Missing LIVEKIT_API_KEY or LIVEKIT_API_SECRET environment variables.');
+  }
+
+  const identity = query.visit
+    ? verifyJoinToken(query.visit).identity
+    : query.invite ? verifyInviteCode(query.invite).identity : authenticate(headers).identity;
+  const { token, room } = createNetworkTestToken(identity);
+  await recordAuditEvent({ action: 'token.issued', actor: identity, room, details: { purpose: 'network_test' } });
+
+  return { status: 200, body: { token, room } };
+}
+
+/**
+ * Build the route table. Options:
+ *   longLived - the process stays up between requests, so it can host
+ *               caption workers (false on serverless hosts)
+ */
+function createService({ longLived = true } = {}) {
+  const routes = [
+    {
+      method: 'GET',
+      path: '/token',
+      error: 'Failed to generate token',
+      handler: issueToken
+    },
+    {
+      method: 'POST',
+      path: '/token/refresh',
+      error: 'Failed to refresh token',
+      handler: refreshToken
+    },
+    {
+      method: 'GET',
+      path: '/token/network-test',
+      error: 'Failed to generate token',
+      handler: issueNetworkTestToken
+    },
+
+    // Appointment details for a visit link (shown on the join screen)
+    {
+      method: 'GET',
+      path: '/appointments/join',
+      error: 'Failed to load appointment',
+      handler: async ({ query }) => {
+        const { appointment, identity, role } = verifyJoinToken(query.visit);
+        return { status: 200, body: { appointment: toPublicAppointment(appointment), identity, role } };
+      }
+    },
+
+    // Scheduling is limited to clinicians; they manage their own visits,
+    // admins anyone's
+    {
+      method: 'GET',
+      path: '/appointments',
+      error: 'Appointment operation failed',
+      handler: async ({ headers, query }) => {
+        const principal = requireRole(authenticate(headers), 'clinician');
+        const { patient, from, to, status } = query;
+        const appointments = listAppointments({ clinician: principal.identity, patient, from, to, status });
+        return { status: 200, body: { appointments } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/appointments',
+      error: 'Appointment operation failed',
+      handler: async ({ headers, body }) => {
+        const principal = requireRole(authenticate(headers), 'clinician');
+        const { patient, startsAt, endsAt, waitingRoom } = body;
+        const appointment = await createAppointment({ clinician: principal.identity, patient, startsAt, endsAt, waitingRoom });
+        console.log(`Appointment ${appointment.id} scheduled in room ${appointment.room}`);
+        return { status: 201, body: { appointment, links: getJoinLinks(appointment) } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/appointments/:id/reschedule',
+      error: 'Appointment operation failed',
+      handler: async ({ headers, params, body }) => {
+        const principal = authenticate(headers);
+        if (!principal.admin) {
+          requireRole(principal, 'clinician');
+        }
+        const appointment = await rescheduleAppointment(params.id, body, principal);
+        return { status: 200, body: { appointment, links: getJoinLinks(appointment) } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/appointments/:id/cancel',
+      error: 'Appointment operation failed',
+      handler: async ({ headers, params }) => {
+        const principal = authenticate(headers);
+        if (!principal.admin) {
+          requireRole(principal, 'clinician');
+        }
+        const appointment = await cancelAppointment(params.id, principal);
+        return { status: 200, body: { appointment, links: getJoinLinks(appointment) } };
+      }
+    },
+
+    // Admit or deny a waiting patient (clinicians' roomAdmin grant)
+    ...['admit', 'deny'].map(action => ({
+      method: 'POST',
+      path: `/waiting-room/${action}`,
+      error: 'Waiting room operation failed',
+      handler: async ({ headers, body }) => {
+        const { room, identity } = body;
+        if (!room || !identity) {
+          return badRequest('Missing room or identity parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can manage the waiting room' } };
+        }
+
+        await (action === 'admit' ? admit : deny)(room, identity);
+        await recordAuditEvent({
+          action: action === 'admit' ? 'waiting_room.admitted' : 'waiting_room.denied',
+          actor: claims.sub,
+          room,
+          target: identity
+        });
+        console.log(`Waiting room: ${identity} ${action === 'admit' ? 'admitted to' : 'denied from'} room ${room}`);
+        return { status: 200, body: { success: true } };
+      }
+    })),
+
+    // Invite details for an invite link (shown on the join screen); the
+    // invite is only used up when the token is issued
+    {
+      method: 'GET',
+      path: '/invites/join',
+      error: 'Failed to load invite',
+      handler: async ({ query }) => {
+        const { name, role, identity, expiresAt } = verifyInviteCode(query.invite);
+        return { status: 200, body: { invite: { name, role, identity, expiresAt } } };
+      }
+    },
+
+    // Invites to a live visit (clinicians' roomAdmin grant; see lib/invites.js)
+    {
+      method: 'POST',
+      path: '/invites',
+      error: 'Failed to create invite',
+      handler: async ({ headers, body }) => {
+        const { room, role, name, expiresInMinutes } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can invite people to the visit' } };
+        }
+        const result = await createInvite(room, claims.sub, { role, name, expiresInMinutes });
+        await recordAuditEvent({
+          action: 'invite.created',
+          actor: claims.sub,
+          room,
+          target: result.invite.id,
+          details: { role, expiresAt: result.invite.expiresAt }
+        });
+        return { status: 201, body: result };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/invites',
+      error: 'Failed to list invites',
+      handler: async ({ headers, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        if (!(await verifyRoomGrant(headers, query.room, 'roomAdmin'))) {
+          return { status: 403, body: { error: 'Only clinicians can see the invites' } };
+        }
+        return { status: 200, body: { invites: listInvites(query.room) } };
+      }
+    },
+    ...['mute', 'remove', 'revoke'].map(action => ({
+      method: 'POST',
+      path: `/invites/:id/${action}`,
+      error: `Failed to ${action} invited participant`,
+      handler: async ({ headers, params, body }) => {
+        const { room } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can manage invited participants' } };
+        }
+
+        if (action === 'mute') {
+          return { status: 200, body: await muteInvitee(room, params.id) };
+        }
+        if (action === 'remove') {
+          await removeInvitee(room, params.id);
+          return { status: 200, body: { success: true } };
+        }
+        const invite = await revokeInvite(room, params.id, claims.sub);
+        await recordAuditEvent({ action: 'invite.revoked', actor: claims.sub, room, target: invite.id });
+        return { status: 200, body: { invite } };
+      }
+    })),
+
+    // Let a patient share their screen, or stop them (clinicians' roomAdmin grant)
+    ...['allow', 'revoke'].map(action => ({
+      method: 'POST',
+      path: `/screen-share/${action}`,
+      error: 'Screen share permission update failed',
+      handler: async ({ headers, body }) => {
+        const { room, identity } = body;
+        if (!room || !identity) {
+          return badRequest('Missing room or identity parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can manage screen sharing' } };
+        }
+
+        await setScreenSharePermission(room, identity, action === 'allow');
+        await recordAuditEvent({
+          action: action === 'allow' ? 'screen_share.allowed' : 'screen_share.revoked',
+          actor: claims.sub,
+          room,
+          target: identity
+        });
+        return { status: 200, body: { success: true } };
+      }
+    })),
+
+    // Clinician moderation (roomAdmin grant; see lib/moderation.js)
+    ...['mute', 'unmute'].map(action => ({
+      method: 'POST',
+      path: `/moderation/${action}`,
+      error: `Failed to ${action} participant`,
+      handler: async ({ headers, body }) => {
+        const { room, identity, trackSid, source } = body;
+        if (!room || !identity) {
+          return badRequest('Missing room or identity parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can moderate the visit' } };
+        }
+
+        const track = await setTrackMuted(room, identity, { trackSid, source }, action === 'mute');
+        await recordAuditEvent({
+          action: `moderation.${action}d`,
+          actor: claims.sub,
+          room,
+          target: identity,
+          details: { trackSid: track.sid }
+        });
+        return { status: 200, body: { success: true, trackSid: track.sid } };
+      }
+    })),
+    {
+      method: 'POST',
+      path: '/moderation/remove',
+      error: 'Failed to remove participant',
+      handler: async ({ headers, body }) => {
+        const { room, identity } = body;
+        if (!room || !identity) {
+          return badRequest('Missing room or identity parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can moderate the visit' } };
+        }
+
+        await removeParticipant(room, identity, claims.sub);
+        await recordAuditEvent({ action: 'participant.removed', actor: claims.sub, room, target: identity });
+        return { status: 200, body: { success: true } };
+      }
+    },
+    ...['lock', 'unlock'].map(action => ({
+      method: 'POST',
+      path: `/moderation/${action}`,
+      error: `Failed to ${action} the visit`,
+      handler: async ({ headers, body }) => {
+        const { room } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can moderate the visit' } };
+        }
+
+        const result = await setRoomLocked(room, action === 'lock', claims.sub);
+        await recordAuditEvent({ action: `room.${action}ed`, actor: claims.sub, room });
+        return { status: 200, body: result };
+      }
+    })),
+    {
+      method: 'POST',
+      path: '/moderation/end',
+      error: 'Failed to end the visit',
+      handler: async ({ headers, body }) => {
+        const { room } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can end the visit' } };
+        }
+
+        const result = await endVisit(room, claims.sub);
+        console.log(`Visit in room ${room} ended by ${claims.sub}`);
+        await recordAuditEvent({ action: 'visit.ended', actor: claims.sub, room, details: result });
+        return { status: 200, body: { success: true, ...result } };
+      }
+    },
+
+    // Revoke access to a visit, or lift a revocation (roomAdmin grant; see
+    // lib/revocations.js)
+    {
+      method: 'POST',
+      path: '/revocations',
+      error: 'Failed to revoke access',
+      handler: async ({ headers, body }) => {
+        const { room, identity, reason } = body;
+        if (!room || !identity) {
+          return badRequest('Missing room or identity parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can revoke access' } };
+        }
+
+        const result = await revokeAccess(room, identity, claims.sub, { reason });
+        await recordAuditEvent({
+          action: 'access.revoked',
+          actor: claims.sub,
+          room,
+          target: identity,
+          details: { removed: result.removed, ...(result.revocation.reason && { reason: result.revocation.reason }) }
+        });
+        return { status: 201, body: result };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/revocations',
+      error: 'Failed to list revocations',
+      handler: async ({ headers, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        if (!(await verifyRoomGrant(headers, query.room, 'roomAdmin'))) {
+          return { status: 403, body: { error: 'Only clinicians can see revocations' } };
+        }
+        return { status: 200, body: { revocations: listRevocations(query.room) } };
+      }
+    },
+    {
+      method: 'DELETE',
+      path: '/revocations/:id',
+      error: 'Failed to lift revocation',
+      handler: async ({ headers, params, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, query.room, 'roomAdmin');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can lift revocations' } };
+        }
+
+        const revocation = await liftRevocation(query.room, params.id);
+        await recordAuditEvent({ action: 'access.restored', actor: claims.sub, room: query.room, target: revocation.identity });
+        return { status: 200, body: { success: true } };
+      }
+    },
+
+    // Annotation images and snapshots (see lib/annotations.js): clinicians
+    // save them, everyone in the call can see them
+    {
+      method: 'POST',
+      path: '/annotations',
+      error: 'Failed to save annotation',
+      handler: async ({ headers, body }) => {
+        const { room, kind, name, contentType, data } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can save annotations' } };
+        }
+        const annotation = await saveAnnotationFile(room, claims.sub, kind, { name, contentType, data });
+        await recordAuditEvent({
+          action: 'annotation.saved',
+          actor: claims.sub,
+          room,
+          target: annotation.id,
+          details: { kind }
+        });
+        return { status: 201, body: { annotation } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/annotations',
+      error: 'Failed to list annotations',
+      handler: async ({ headers, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, query.room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        await assertInCall(query.room, claims.sub);
+        return { status: 200, body: { annotations: listAnnotations(query.room, { kind: query.kind }) } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/annotations/:id/file',
+      error: 'Failed to load annotation',
+      handler: async ({ headers, params, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, query.room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        await assertInCall(query.room, claims.sub);
+        const { body, contentType } = await getAnnotationFile(query.room, params.id);
+        return { status: 200, body, headers: { 'Content-Type': contentType } };
+      }
+    },
+
+    // Recording starts once every participant has consented
+    {
+      method: 'POST',
+      path: '/start-recording',
+      error: 'Failed to start recording',
+      handler: async ({ headers, body }) => {
+        const { room } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const storageError = getStorageConfigError();
+        if (storageError) {
+          return notConfigured(storageError);
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can start recordings' } };
+        }
+        return requestRecordingConsent(room, claims.sub);
+      }
+    },
+    {
+      method: 'POST',
+      path: '/consent/respond',
+      error: 'Failed to record consent',
+      handler: async ({ headers, body }) => {
+        const { room, requestId, decision } = body;
+        if (!room || !requestId || !decision) {
+          return badRequest('Missing room, requestId or decision parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        return respondToConsent(requestId, room, claims.sub, decision);
+      }
+    },
+    {
+      method: 'POST',
+      path: '/stop-recording',
+      error: 'Failed to stop recording',
+      handler: async ({ headers, body }) => {
+        const { egressId } = body;
+        if (!body.room && !egressId) {
+          return badRequest('Missing room or egressId parameter');
+        }
+        // Given only the egress, the grant is checked for its recording's room
+        const room = body.room || await findRecordingRoom(egressId);
+        if (!room) {
+          return { status: 404, body: { error: 'No recording found for this egress' } };
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can stop recordings' } };
+        }
+        return stopRecording(room, claims.sub);
+      }
+    },
+    {
+      method: 'GET',
+      path: '/recording-status',
+      error: 'Failed to get recording status',
+      handler: async ({ query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        return getRecordingStatus(query.room);
+      }
+    },
+    {
+      method: 'GET',
+      path: '/recording-manifest',
+      error: 'Failed to read recording manifest',
+      handler: async ({ headers, query }) => {
+        if (!query.recordingId) {
+          return badRequest('Missing recordingId parameter');
+        }
+        const result = await getRecordingManifest(query.recordingId);
+        if (result.status !== 200) {
+          return result;
+        }
+        const claims = await verifyRoomGrant(headers, result.body.room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can read recording manifests' } };
+        }
+        await recordAuditEvent({
+          action: 'recording.manifest_viewed',
+          actor: claims.sub,
+          room: result.body.room,
+          target: query.recordingId
+        });
+        return result;
+      }
+    },
+
+    // A caption worker stays in the room for the whole call, which a
+    // serverless function cannot do; run caption-worker.js there instead
+    {
+      method: 'POST',
+      path: '/captions/start',
+      error: 'Failed to start captions',
+      handler: async ({ headers, body }) => {
+        if (!longLived) {
+          return {
+            status: 501,
+            body: {
+              error: 'Live captions are not available on this deployment',
+              details: 'Run the caption worker (node caption-worker.js ROOM) on a long-lived host'
+            }
+          };
+        }
+        if (!body.room) {
+          return badRequest('Missing room parameter');
+        }
+        // Clinicians start captions; everyone in the visit sees them
+        if (!(await verifyRoomGrant(headers, body.room, 'roomAdmin'))) {
+          return { status: 403, body: { error: 'Only clinicians can start captions' } };
+        }
+        // Loaded on demand: the native WebRTC module is only needed here
+        const { startCaptionWorker } = require('./captions');
+        return startCaptionWorker(body.room);
+      }
+    },
+
+    {
+      method: 'GET',
+      path: '/transcripts',
+      error: 'Failed to read transcripts',
+      handler: async ({ headers, query }) => {
+        const { room, recordingId, format } = query;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can read transcripts' } };
+        }
+        const result = await getTranscripts(room, recordingId, format);
+        if (result.status === 200) {
+          await recordAuditEvent({
+            action: 'transcript.viewed',
+            actor: claims.sub,
+            room,
+            target: recordingId || null,
+            details: { format: format || 'json' }
+          });
+        }
+        return result.contentType
+          ? { status: result.status, body: result.body, headers: { 'Content-Type': result.contentType } }
+          : result;
+      }
+    },
+
+    // Call quality samples from whoever is in the call, and the visit's
+    // timeline for admins (see lib/telemetry.js)
+    {
+      method: 'POST',
+      path: '/telemetry',
+      error: 'Failed to record telemetry',
+      handler: async ({ headers, body }) => {
+        const { room, samples } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        // The pre-join network test is not a visit
+        if (isNetworkTestRoom(room)) {
+          return { status: 200, body: { accepted: 0 } };
+        }
+        return { status: 200, body: { accepted: recordTelemetry(room, claims.sub, samples) } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/telemetry',
+      error: 'Failed to read telemetry',
+      handler: async ({ headers, query }) => {
+        requireAdmin(authenticate(headers));
+        const { room, identity, from, to } = query;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        return { status: 200, body: getTelemetry(room, { identity, from, to }) };
+      }
+    },
+
+    // Visit chat, for whoever is in the call (see lib/chat.js)
+    {
+      method: 'GET',
+      path: '/chat/messages',
+      error: 'Failed to load chat',
+      handler: async ({ headers, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, query.room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        await assertInCall(query.room, claims.sub);
+        return { status: 200, body: { messages: listChatMessages(query.room) } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/chat/messages',
+      error: 'Failed to send message',
+      handler: async ({ headers, body }) => {
+        const { room, text, attachment } = body;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        await assertInCall(room, claims.sub, { send: true });
+        const message = await sendChatMessage(room, { identity: claims.sub, name: claims.name }, { text, attachment });
+        return { status: 201, body: { message } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/chat/messages/:id/attachment',
+      error: 'Failed to load attachment',
+      handler: async ({ headers, params, query }) => {
+        if (!query.room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, query.room, 'roomJoin');
+        if (!claims) {
+          return { status: 401, body: { error: 'A room token for this visit is required' } };
+        }
+        await assertInCall(query.room, claims.sub);
+        const { body, contentType } = await getChatAttachment(query.room, params.id);
+        return { status: 200, body, headers: { 'Content-Type': contentType } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/chat/export',
+      error: 'Failed to export chat',
+      handler: async ({ headers, query }) => {
+        const { room, recordingId, format } = query;
+        if (!room) {
+          return badRequest('Missing room parameter');
+        }
+        const claims = await verifyRoomGrant(headers, room, 'roomRecord');
+        if (!claims) {
+          return { status: 403, body: { error: 'Only clinicians can export the chat' } };
+        }
+        const result = await exportChat(room, { recordingId, format });
+        await recordAuditEvent({
+          action: 'chat.exported',
+          actor: claims.sub,
+          room,
+          target: recordingId || null,
+          details: { format: format || 'json' }
+        });
+        return typeof result.body === 'string'
+          ? { status: 200, body: result.body, headers: { 'Content-Type': result.contentType } }
+          : { status: 200, body: result.body };
+      }
+    },
+
+    // Recordings library (session participants and admins)
+    {
+      method: 'GET',
+      path: '/recordings',
+      error: 'Recordings library operation failed',
+      handler: async ({ headers, query }) => {
+        const principal = authenticate(headers);
+        const { room, from, to, participant } = query;
+        return { status: 200, body: { recordings: await listRecordings(principal, { room, from, to, participant }) } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/recordings/:id',
+      error: 'Recordings library operation failed',
+      handler: async ({ headers, params }) => {
+        const principal = authenticate(headers);
+        const body = await getRecording(principal, params.id, {
+          fileUrl: (id, query) => `${API_PREFIX}/recordings/${encodeURIComponent(id)}/file?${query}`
+        });
+        return { status: 200, body };
+      }
+    },
+    {
+      method: 'DELETE',
+      path: '/recordings/:id',
+      error: 'Recordings library operation failed',
+      handler: async ({ headers, params }) => {
+        return { status: 200, body: await deleteRecording(authenticate(headers), params.id) };
+      }
+    },
+
+    // Clinical notes drafted from transcripts (see lib/notes.js)
+    {
+      method: 'GET',
+      path: '/notes',
+      error: 'Clinical note operation failed',
+      handler: async ({ headers, query }) => {
+        const { room, recordingId } = query;
+        return { status: 200, body: { notes: listNotes(authenticate(headers), { room, recordingId }) } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/notes',
+      error: 'Clinical note operation failed',
+      handler: async ({ headers, body }) => {
+        return { status: 201, body: { note: await requestNote(authenticate(headers), body.recordingId) } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/notes/:id',
+      error: 'Clinical note operation failed',
+      handler: async ({ headers, params }) => {
+        return { status: 200, body: { note: getNote(authenticate(headers), params.id) } };
+      }
+    },
+    {
+      method: 'POST',
+      path: '/notes/:id/draft',
+      error: 'Clinical note operation failed',
+      handler: async ({ headers, params, body }) => {
+        return { status: 200, body: { note: await saveDraft(authenticate(headers), params.id, body.content) } };
+      }
+    },
+    ...[['sign', signNote], ['amend', amendNote]].map(([action, apply]) => ({
+      method: 'POST',
+      path: `/notes/:id/${action}`,
+      error: 'Clinical note operation failed',
+      handler: async ({ headers, params }) => {
+        return { status: 200, body: { note: await apply(authenticate(headers), params.id) } };
+      }
+    })),
+
+    // Post-visit processing progress (see lib/sessionProcessor.js)
+    {
+      method: 'GET',
+      path: '/sessions/:id/jobs',
+      error: 'Failed to read processing jobs',
+      handler: async ({ headers, params }) => {
+        return { status: 200, body: await getSessionJobs(authenticate(headers), params.id) };
+      }
+    },
+
+    // Playback of locally stored files; the signed link is the credential
+    // so <audio> elements can load it
+    {
+      method: 'GET',
+      path: '/recordings/:id/file',
+      error: 'Failed to read recording file',
+      handler: async ({ params, query }) => {
+        const { body, contentType } = await getSignedRecordingFile(params.id, query);
+        return { status: 200, body, headers: { 'Content-Type': contentType } };
+      }
+    },
+
+    // Audit log (admins only). format=jsonl or csv downloads an export,
+    // which is itself audited
+    {
+      method: 'GET',
+      path: '/audit',
+      error: 'Failed to read audit log',
+      handler: async ({ headers, query }) => {
+        const principal = requireAdmin(authenticate(headers));
+        const { from, to, action, actor, room, target, limit, format = 'json' } = query;
+        if (!EXPORT_FORMATS[format]) {
+          return badRequest(`Invalid format. Use: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const filters = { from, to, action, actor, room, target, limit };
+        const entries = queryAuditLog(filters);
+        if (format === 'json') {
+          return { status: 200, body: { entries } };
+        }
+
+        await recordAuditEvent({
+          action: 'audit.exported',
+          actor: principal.identity,
+          details: { format, entries: entries.length, filters }
+        });
+        return {
+          status: 200,
+          body: renderAuditLog(entries, format),
+          headers: {
+            'Content-Type': EXPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="audit.${format}"`
+          }
+        };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/audit/verify',
+      error: 'Failed to verify audit log',
+      handler: async ({ headers }) => {
+        requireAdmin(authenticate(headers));
+        return { status: 200, body: verifyAuditLog() };
+      }
+    },
+
+    // The signature covers the exact request bytes, hence rawBody
+    {
+      method: 'POST',
+      path: '/webhook',
+      error: 'Failed to handle webhook',
+      handler: async ({ headers, rawBody }) => {
+        let event;
+        try {
+          event = await receiveWebhook(rawBody.toString(), headers.authorization);
+        } catch (error) {
+          console.error('Rejected webhook:', error.message);
+          return { status: 401, body: { error: 'Invalid webhook signature', code: 'invalid_signature' } };
+        }
+        await handleWebhookEvent(event);
+        return { status: 200, body: { received: true } };
+      }
+    }
+  ].map(route => ({ ...route, pattern: compilePath(route.path) }));
+
+  return {
+    routes,
+
+    // Dispatch a request to its route; always resolves with a response
+    async handle(request) {
+      const path = stripApiPrefix(request.path);
+      const body = parseBody(request);
+      if (body === undefined) {
+        return badRequest('Invalid JSON body');
+      }
+      let pathMatched = false;
+
+      for (const route of routes) {
+        const match = path.match(route.pattern);
+        if (!match) {
+          continue;
+        }
+        pathMatched = true;
+        if (route.method !== request.method) {
+          continue;
+        }
+
+        try {
+          const params = Object.fromEntries(
+            Object.entries(match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)])
+          );
+          return await route.handler({ ...request, path, params, body });
+        } catch (error) {
+          if (error instanceof HttpError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+          }
+          console.error(`${route.error}:`, error);
+          return { status: 500, body: { error: route.error, details: error.message } };
+        }
+      }
+
+      return pathMatched
+        ? { status: 405, body: { error: 'Method not allowed' } }
+        : { status: 404, body: { error: 'Not found' } };
+    }
+  };
+}
+
+// '/recordings/:id/file' -> /^\/recordings\/(?<id>[^/]+)\/file$/
+function compilePath(path) {
+  const source = path
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? `(?<${segment.slice(1)}>[^/]+)` : segment))
+    .join('\\/');
+  return new RegExp(`^${source}$`);
+}
+
+// JSON request body, {} when empty, undefined when it does not parse
+function parseBody({ headers, rawBody }) {
+  const contentType = headers['content-type'] || '';
+  if (!rawBody || rawBody.length === 0 || (contentType && !contentType.includes('json'))) {
+    return {};
+  }
+  try {
+    return JSON.parse(rawBody.toString()) ?? {};
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function stripApiPrefix(path) {
+  return path === API_PREFIX || path.startsWith(`${API_PREFIX}/`)
+    ? path.slice(API_PREFIX.length) || '/'
+    : path;
+}
+
+module.exports = {
+  API_PREFIX,
+  createService
+};
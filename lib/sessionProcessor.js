@@ -0,0 +1,304 @@
+/**
+ * Session Processor
+ *
+ * What happens to a visit's recording once it is complete, as an ordered
+ * list of stages; each one builds on the output of the one before:
+ *
+ *   download      - fetch the recording's files from storage
+ *   transcode     - 16 kHz mono WAV of each file, with ffmpeg (FFMPEG_COMMAND,
+ *                   default `ffmpeg`)
+ *   speakers      - per-speaker audio: one file per participant track
+ *                   (composite recordings stay one mixed "Unknown" speaker)
+ *   transcription - speaker-attributed transcript (lib/transcription.js)
+ *   summary       - draft SOAP note from the transcript (lib/notes.js)
+ *   audio         - normalized, silence-trimmed and per-speaker audio
+ *                   (lib/audio.js), uploaded next to the recording under
+ *                   processed/<recordingId>/ and listed on the recording as
+ *                   processedAudio
+ *
+ * Each stage is a job in the durable queue (lib/jobQueue.js), run by
+ * worker.js: completing one enqueues the next, and a failed stage is
+ * retried with backoff until it is dead-lettered, holding up the stages
+ * after it. Stages are idempotent, so running one twice is harmless:
+ * outputs that exist already are kept, and the transcript and draft are
+ * replaced. Working files live in DATA_DIR/processing/<recordingId> until
+ * the last stage is done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { OUTPUT_FORMATS, getAudioOptions, processAudio } = require('./audio');
+const { getDataDir } = require('./fileStore');
+const { enqueueJob, listJobs, claimNextJob, keepJobLocked, completeJob, failJob } = require('./jobQueue');
+const { draftNote } = require('./notes');
+const { getRecordingStore } = require('./recordingStore');
+const { getRecordingParticipants } = require('./recordingLibrary');
+const { getRecordingSessionId } = require('./sessions');
+const { getStorage } = require('./storage');
+const { getAudioSources, transcribeRecording } = require('./transcription');
+const { HttpError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+const JOB_TYPE = 'session-stage';
+
+function getWorkDir(recordingId) {
+  return path.join(getDataDir(), 'processing', recordingId);
+}
+
+async function loadRecording(recordingId) {
+  const recording = await getRecordingStore().get(recordingId);
+  if (!recording || recording.status !== 'complete') {
+    throw new Error(`Recording ${recordingId} is not complete`);
+  }
+  return recording;
+}
+
+// The recording's audio files with where each stage keeps its copy; files
+// are numbered so tracks with the same name cannot collide
+async function getWorkFiles(recordingId) {
+  const workDir = getWorkDir(recordingId);
+  return getAudioSources(await loadRecording(recordingId)).map((source, index) => ({
+    ...source,
+    downloadPath: path.join(workDir, 'source', `${index}-${path.basename(source.filepath)}`),
+    wavPath: path.join(workDir, 'wav', `${index}.wav`)
+  }));
+}
+
+// Produce a file unless it exists. Output goes through a temporary file, so
+// an interrupted attempt never leaves a partial file that looks finished.
+async function produceOnce(file, produce) {
+  if (fs.existsSync(file)) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  await produce(tmpFile);
+  fs.renameSync(tmpFile, file);
+  return true;
+}
+
+async function downloadRecording(recordingId) {
+  const files = await getWorkFiles(recordingId);
+  let downloaded = 0;
+  for (const file of files) {
+    if (await produceOnce(file.downloadPath, async tmpFile => {
+      fs.writeFileSync(tmpFile, await getStorage().fetch(file.filepath));
+    })) {
+      downloaded++;
+    }
+  }
+  return { files: files.length, downloaded };
+}
+
+async function transcodeRecording(recordingId) {
+  const files = await getWorkFiles(recordingId);
+  let transcoded = 0;
+  for (const file of files) {
+    if (await produceOnce(file.wavPath, tmpFile => execFileAsync(process.env.FFMPEG_COMMAND || 'ffmpeg', [
+      '-y', '-loglevel', 'error',
+      '-i', file.downloadPath,
+      '-ac', '1', '-ar', '16000',
+      '-f', 'wav', tmpFile
+    ]))) {
+      transcoded++;
+    }
+  }
+  return { files: files.length, transcoded };
+}
+
+// speakers.json lists the per-speaker files for transcription
+async function extractSpeakers(recordingId) {
+  const speakers = (await getWorkFiles(recordingId)).map(({ filepath, speaker, offset, wavPath }) => {
+    if (!fs.existsSync(wavPath)) {
+      throw new Error(`Missing transcoded audio for ${filepath}`);
+    }
+    return { filepath, speaker, offset, localPath: wavPath };
+  });
+  fs.writeFileSync(path.join(getWorkDir(recordingId), 'speakers.json'), JSON.stringify(speakers, null, 2));
+  return { speakers: new Set(speakers.map(speaker => speaker.speaker)).size, files: speakers.length };
+}
+
+async function transcribeSpeakers(recordingId) {
+  const sources = JSON.parse(fs.readFileSync(path.join(getWorkDir(recordingId), 'speakers.json'), 'utf8'));
+  const transcript = await transcribeRecording(recordingId, { sources });
+  return { transcriptId: transcript.id, segments: transcript.segments.length };
+}
+
+async function summarizeRecording(recordingId) {
+  const note = await draftNote(recordingId);
+  return { noteId: note.id };
+}
+
+async function processRecordingAudio(recordingId) {
+  const recording = await loadRecording(recordingId);
+  const files = await getWorkFiles(recordingId);
+  const outDir = path.join(getWorkDir(recordingId), 'audio');
+  const manifest = await processAudio(files.map(file => ({
+    path: file.downloadPath,
+    // A composite file is everyone at once, so it gets no stem
+    speaker: recording.mode === 'tracks' ? file.speaker : null,
+    offset: file.offset
+  })), outDir, getAudioOptions());
+
+  const outputs = [
+    ...manifest.mix.files,
+    ...manifest.trimmed.files,
+    ...manifest.stems.flatMap(stem => stem.files)
+  ];
+  const prefix = `processed/${recordingId}`;
+  const storage = getStorage();
+  for (const file of outputs) {
+    await storage.upload(`${prefix}/${file}`, fs.readFileSync(path.join(outDir, file)), OUTPUT_FORMATS[path.extname(file).slice(1)].contentType);
+  }
+  await storage.upload(`${prefix}/manifest.json`, JSON.stringify(manifest, null, 2), 'application/json');
+
+  const keys = [...outputs, 'manifest.json'].map(file => `${prefix}/${file}`);
+  await getRecordingStore().update(recordingId, {
+    processedAudio: { manifest: `${prefix}/manifest.json`, keys, processedAt: new Date().toISOString() }
+  });
+  return { files: keys.length, loudness: manifest.mix.loudness };
+}
+
+const STAGES = [
+  { name: 'download', run: downloadRecording },
+  { name: 'transcode', run: transcodeRecording },
+  { name: 'speakers', run: extractSpeakers },
+  { name: 'transcription', run: transcribeSpeakers },
+  { name: 'summary', run: summarizeRecording },
+  { name: 'audio', run: processRecordingAudio }
+];
+
+function enqueueStage(recordingId, sessionId, stage) {
+  return enqueueJob({
+    type: JOB_TYPE,
+    key: `${recordingId}:${stage}`,
+    payload: { recordingId, sessionId, stage }
+  });
+}
+
+// Queue a completed recording for processing; safe to call more than once
+function enqueueSessionProcessing(recording, { stages = STAGES } = {}) {
+  return enqueueStage(recording.id, getRecordingSessionId(recording), stages[0].name);
+}
+
+/**
+ * Run the next due stage, if any. Returns the job as it ended up (complete,
+ * pending for a retry, or dead), or null when nothing was due.
+ */
+async function runNextJob(workerId, { stages = STAGES } = {}) {
+  const job = claimNextJob(workerId, { types: [JOB_TYPE] });
+  if (!job) {
+    return null;
+  }
+
+  const { recordingId, sessionId, stage: name } = job.payload;
+  const index = stages.findIndex(stage => stage.name === name);
+  const next = stages[index + 1];
+  const stopLocking = keepJobLocked(job.id);
+  let result;
+  try {
+    if (index === -1) {
+      throw new Error(`Unknown stage: ${name}`);
+    }
+    console.log(`Session processing: ${name} for recording ${recordingId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    result = (await stages[index].run(recordingId)) || null;
+
+    // Queued before this stage completes, so a failure to queue it retries
+    // this stage rather than leaving the chain stopped
+    if (next) {
+      enqueueStage(recordingId, sessionId, next.name);
+    }
+  } catch (error) {
+    const failed = failJob(job.id, error);
+    console.error(
+      `Session processing: ${name} for recording ${recordingId} failed` +
+        (failed.status === 'dead' ? ' for good' : `; retrying at ${failed.runAt}`) + ':',
+      error.message
+    );
+    return failed;
+  } finally {
+    stopLocking();
+  }
+
+  const completed = completeJob(job.id, result);
+  if (!next) {
+    fs.rmSync(getWorkDir(recordingId), { recursive: true, force: true });
+  }
+  return completed;
+}
+
+function toStageStatus(name, job) {
+  if (!job) {
+    return { name, status: 'waiting', attempts: 0 };
+  }
+  return {
+    name,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    runAt: job.runAt,
+    completedAt: job.completedAt
+  };
+}
+
+// Overall state of a recording's processing from its stages
+function getProgressStatus(stages) {
+  const statuses = stages.map(stage => stage.status);
+  if (statuses.includes('dead')) {
+    return 'dead';
+  }
+  if (statuses.every(status => status === 'complete')) {
+    return 'complete';
+  }
+  if (statuses.includes('running')) {
+    return 'running';
+  }
+  return statuses.includes('pending') ? 'pending' : 'not_started';
+}
+
+/**
+ * Processing progress for every recording of a session the principal may
+ * access (session participants and admins).
+ */
+async function getSessionJobs(principal, sessionId, { stages = STAGES } = {}) {
+  const recordings = await getRecordingStore().list(recording =>
+    recording.status === 'complete' && getRecordingSessionId(recording) === sessionId
+  );
+  if (recordings.length === 0) {
+    throw new HttpError(404, 'session_not_found', 'No completed recordings for this session');
+  }
+
+  const results = [];
+  for (const recording of recordings.sort((a, b) => a.startedAt.localeCompare(b.startedAt))) {
+    if (!principal.admin && !(await getRecordingParticipants(recording)).includes(principal.identity)) {
+      continue;
+    }
+    const jobs = listJobs(job => job.type === JOB_TYPE && job.payload.recordingId === recording.id);
+    const stageStatuses = stages.map(stage =>
+      toStageStatus(stage.name, jobs.find(job => job.payload.stage === stage.name))
+    );
+    results.push({
+      recordingId: recording.id,
+      status: getProgressStatus(stageStatuses),
+      completedStages: stageStatuses.filter(stage => stage.status === 'complete').length,
+      totalStages: stages.length,
+      stages: stageStatuses
+    });
+  }
+
+  if (results.length === 0) {
+    throw new HttpError(403, 'session_not_allowed', 'Only session participants can see its processing');
+  }
+  return { sessionId, recordings: results };
+}
+
+module.exports = {
+  STAGES,
+  enqueueSessionProcessing,
+  runNextJob,
+  getSessionJobs
+};
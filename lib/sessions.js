@@ -0,0 +1,120 @@
+/**
+ * Visit Session State
+ *
+ * What actually happened in each room, as reported by LiveKit webhooks:
+ * when the room started and finished, and who joined and left. Sessions are
+ * keyed by the LiveKit room SID, so a room name that is reused gets a new
+ * session each time it is opened.
+ *
+ * Recordings belong to the session that was open when they started. Without
+ * a session log (no participant webhooks arrived) the room name stands in.
+ *
+ * Participants in the waiting room are not in the visit: they are left out
+ * until a clinician admits them (see lib/waitingRoom.js), so someone denied
+ * never counts as having been in it, or in its recordings.
+ */
+
+const { createFileStore } = require('./fileStore');
+const { parseParticipantMetadata } = require('./roles');
+
+const store = createFileStore('sessions');
+
+async function getOrCreateSession(room, at) {
+  const existing = store.get(room.sid);
+  if (existing) {
+    return existing;
+  }
+  // Everyone joining a new room at once would create it
+  return store.insertIfAbsent({
+    id: room.sid,
+    room: room.name,
+    status: 'active',
+    startedAt: at,
+    endedAt: null,
+    participants: {},
+    createdAt: at,
+    updatedAt: at
+  });
+}
+
+// Replace one participant's entry, from their previous one, under the store lock
+async function updateParticipant(room, identity, at, change) {
+  const session = await getOrCreateSession(room, at);
+  return store.update(session.id, current => ({
+    participants: {
+      ...current.participants,
+      [identity]: change(current.participants[identity])
+    }
+  }));
+}
+
+async function recordParticipantJoined(room, participant, at) {
+  if (parseParticipantMetadata(participant).waiting) {
+    return null;
+  }
+  return updateParticipant(room, participant.identity, at, previous => ({
+    identity: participant.identity,
+    name: participant.name || participant.identity,
+    role: parseParticipantMetadata(participant).role || previous?.role || null,
+    joinedAt: previous?.joinedAt || at,
+    leftAt: null,
+    joinCount: (previous?.joinCount || 0) + 1
+  }));
+}
+
+async function recordParticipantLeft(room, participant, at) {
+  if (parseParticipantMetadata(participant).waiting) {
+    return null;
+  }
+  return updateParticipant(room, participant.identity, at, previous => ({
+    identity: participant.identity,
+    name: participant.name || previous?.name || participant.identity,
+    role: previous?.role || parseParticipantMetadata(participant).role || null,
+    joinedAt: previous?.joinedAt || null,
+    leftAt: at,
+    joinCount: previous?.joinCount || 0
+  }));
+}
+
+// Admission happens in the room's open session; there is no webhook for it
+async function recordParticipantAdmitted(roomName, participant, at) {
+  const session = listSessions({ room: roomName }).find(candidate => candidate.status === 'active');
+  if (!session) {
+    return null;
+  }
+  return recordParticipantJoined({ sid: session.id, name: roomName }, participant, at);
+}
+
+async function recordRoomFinished(room, at) {
+  const session = await getOrCreateSession(room, at);
+  return store.update(session.id, { status: 'finished', endedAt: at });
+}
+
+function getSession(id) {
+  return store.get(id);
+}
+
+function listSessions({ room } = {}) {
+  return store
+    .list(session => !room || session.room === room)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+// The session a recording was made in (see above)
+function getRecordingSessionId(recording) {
+  const session = listSessions({ room: recording.room }).find(candidate =>
+    candidate.startedAt <= recording.startedAt &&
+    (!candidate.endedAt || candidate.endedAt >= recording.startedAt)
+  );
+  return session ? session.id : recording.room;
+}
+
+module.exports = {
+  recordParticipantJoined,
+  recordParticipantLeft,
+  recordParticipantAdmitted,
+  recordRoomFinished,
+  getSession,
+  listSessions,
+  getRecordingSessionId
+};
@@ -0,0 +1,630 @@
+/**
+ * Recording Storage Providers
+ *
+ * Where egress writes recordings, and how we read them back. The provider
+ * is chosen with STORAGE_PROVIDER:
+ *
+ *   azure - Azure Blob Storage (default): AZURE_ACCOUNT_NAME, AZURE_ACCOUNT_KEY,
+ *           AZURE_CONTAINER_NAME, optional AZURE_BLOB_ENDPOINT (e.g. Azurite)
+ *   s3    - S3 or any S3-compatible store such as MinIO: S3_BUCKET,
+ *           S3_ACCESS_KEY, S3_SECRET_KEY, optional S3_REGION (us-east-1) and
+ *           S3_ENDPOINT (e.g. http://localhost:9000, uses path-style URLs)
+ *   gcs   - Google Cloud Storage: GCS_BUCKET and a service account key in
+ *           GCS_CREDENTIALS (JSON) or GCS_CREDENTIALS_FILE
+ *   local - a directory shared with the egress service: LOCAL_STORAGE_DIR,
+ *           optional LOCAL_STORAGE_EGRESS_DIR if egress sees it at another path
+ *
+ * Every provider supplies the egress output config and can upload, list,
+ * fetch and remove stored files by key, and hand out short-lived signed URLs
+ * for them (the local provider has none; the app serves those files itself).
+ * Uploads are for files the app stores itself, such as chat attachments;
+ * see getUploadMaxBytes for how large they may be. Keys come from
+ * RECORDING_FILEPATH_TEMPLATE (default `recordings/{room}/{timestamp}`) with
+ * {room}, {timestamp}, {date} and {recordingId} filled in.
+ *
+ * The cloud APIs are called directly over HTTPS with their own request
+ * signing, so no vendor SDKs are needed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILEPATH_TEMPLATE = 'recordings/{room}/{timestamp}';
+
+// Uploads arrive base64-encoded in a JSON body, a third larger than the
+// file; 3 MB keeps that request under serverless body limits
+const DEFAULT_UPLOAD_MAX_BYTES = 3 * 1024 * 1024;
+
+// Build the storage key (without extension) for a new recording
+function getRecordingFilepath({ room, recordingId, startedAt }) {
+  const template = process.env.RECORDING_FILEPATH_TEMPLATE || DEFAULT_FILEPATH_TEMPLATE;
+  const values = {
+    room,
+    recordingId,
+    timestamp: startedAt.replace(/[:.]/g, '-'),
+    date: startedAt.slice(0, 10)
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+// The largest file the app uploads, overridable per kind of file with the
+// given environment variable
+function getUploadMaxBytes(envName) {
+  const value = Number(process.env[envName]);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_UPLOAD_MAX_BYTES;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Percent-encode each segment of an object key, keeping the slashes
+function encodeKey(key) {
+  return key.split('/').map(segment => encodeRFC3986(segment)).join('/');
+}
+
+function encodeRFC3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// Contents of every <tag>...</tag> in an XML document
+function xmlBlocks(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+}
+
+function xmlValue(xml, tag) {
+  const block = xmlBlocks(xml, tag)[0];
+  return block === undefined ? null : decodeXml(block);
+}
+
+// Missing objects count as removed
+async function checkResponse(response, action) {
+  if (!response.ok && !(action === 'remove' && response.status === 404)) {
+    const details = await response.text();
+    throw new Error(`Storage ${action} failed: ${response.status} ${details.slice(0, 200)}`);
+  }
+  return response;
+}
+
+// ============================================
+// AZURE BLOB STORAGE (Shared Key auth)
+// ============================================
+
+function createAzureStorage() {
+  const accountName = process.env.AZURE_ACCOUNT_NAME;
+  const accountKey = process.env.AZURE_ACCOUNT_KEY;
+  const containerName = process.env.AZURE_CONTAINER_NAME;
+  const endpoint = (process.env.AZURE_BLOB_ENDPOINT || `https://${accountName}.blob.core.windows.net`).replace(/\/$/, '');
+
+  async function request(method, key, query = {}, { body, contentType } = {}) {
+    const url = new URL(`${endpoint}/${containerName}${key ? `/${encodeKey(key)}` : ''}`);
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const headers = {
+      'x-ms-date': new Date().toUTCString(),
+      'x-ms-version': '2021-08-06',
+      ...(body && { 'x-ms-blob-type': 'BlockBlob' })
+    };
+    const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+    const canonicalQuery = Object.keys(query).sort().map(name => `\n${name.toLowerCase()}:${query[name]}`).join('');
+    // Content-Length and Content-Type are the only standard headers we send
+    const standardHeaders = ['', '', body ? String(body.length) : '', '', contentType || '', '', '', '', '', '', ''];
+    const stringToSign = [method, ...standardHeaders].join('\n') + '\n' + canonicalHeaders +
+      `/${accountName}${url.pathname}${canonicalQuery}`;
+    const signature = hmac(Buffer.from(accountKey, 'base64'), stringToSign).toString('base64');
+
+    return fetch(url, {
+      method,
+      headers: {
+        ...headers,
+        ...(contentType && { 'Content-Type': contentType }),
+        Authorization: `SharedKey ${accountName}:${signature}`
+      },
+      body
+    });
+  }
+
+  return {
+    name: 'azure',
+
+    getEgressOutput() {
+      return { case: 'azure', value: { accountName, accountKey, containerName } };
+    },
+
+    getEgressFilepath(key) {
+      return key;
+    },
+
+    async list(prefix = '') {
+      const files = [];
+      let marker = '';
+      do {
+        const query = { restype: 'container', comp: 'list', prefix, ...(marker && { marker }) };
+        const response = await checkResponse(await request('GET', null, query), 'list');
+        const xml = await response.text();
+        for (const blob of xmlBlocks(xml, 'Blob')) {
+          files.push({
+            key: xmlValue(blob, 'Name'),
+            size: Number(xmlValue(blob, 'Content-Length')),
+            lastModified: new Date(xmlValue(blob, 'Last-Modified')).toISOString()
+          });
+        }
+        marker = xmlValue(xml, 'NextMarker') || '';
+      } while (marker);
+      return files;
+    },
+
+    async upload(key, body, contentType) {
+      await checkResponse(await request('PUT', key, {}, { body, contentType }), 'upload');
+    },
+
+    async fetch(key) {
+      const response = await checkResponse(await request('GET', key), 'fetch');
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await checkResponse(await request('DELETE', key), 'remove');
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      return presignAzureSas({ endpoint, accountName, accountKey, containerName, key, expiresIn });
+    }
+  };
+}
+
+// Read-only service SAS URL for one blob, valid for expiresIn seconds
+function presignAzureSas({ endpoint, accountName, accountKey, containerName, key, expiresIn, date = new Date() }) {
+  const query = {
+    sv: '2021-08-06',
+    sr: 'b',
+    sp: 'r',
+    se: new Date(date.getTime() + expiresIn * 1000).toISOString().replace(/\.\d{3}/, '')
+  };
+  const stringToSign = [
+    query.sp, '', query.se, `/blob/${accountName}/${containerName}/${key}`,
+    '', '', '', query.sv, query.sr, '', '', '', '', '', '', ''
+  ].join('\n');
+  const url = new URL(`${endpoint}/${containerName}/${encodeKey(key)}`);
+  Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+  url.searchParams.set('sig', hmac(Buffer.from(accountKey, 'base64'), stringToSign).toString('base64'));
+  return url.toString();
+}
+
+// ============================================
+// S3 / MINIO (AWS Signature Version 4)
+// ============================================
+
+// 20130524T000000Z
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+// Canonical request shared by SigV4 and GCS V4 signing (lowercase header names)
+function canonicalRequest(method, url, headers, payloadHash) {
+  const names = Object.keys(headers).sort();
+  const canonicalQuery = [...url.searchParams.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${encodeRFC3986(name)}=${encodeRFC3986(value)}`)
+    .join('&');
+  const canonicalHeaders = names.map(name => `${name}:${headers[name]}\n`).join('');
+  return [method, url.pathname, canonicalQuery, canonicalHeaders, names.join(';'), payloadHash].join('\n');
+}
+
+function awsV4Signature({ secretKey, region, amzDate, scope, request }) {
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(request)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretKey}`, amzDate.slice(0, 8)), region)
+  );
+  return hmac(signingKey, stringToSign).toString('hex');
+}
+
+// Headers for a SigV4-signed, empty-body S3 request
+function signAwsV4({ method, url, accessKey, secretKey, region, date = new Date(), body = '' }) {
+  const amzDate = toAmzDate(date);
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const payloadHash = sha256Hex(body);
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const request = canonicalRequest(method, url, headers, payloadHash);
+  const signature = awsV4Signature({ secretKey, region, amzDate, scope, request });
+
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// Presigned GET URL (query-string SigV4), valid for expiresIn seconds
+function presignAwsV4({ url, accessKey, secretKey, region, expiresIn, date = new Date() }) {
+  const amzDate = toAmzDate(date);
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const signed = new URL(url);
+  signed.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+  signed.searchParams.set('X-Amz-Credential', `${accessKey}/${scope}`);
+  signed.searchParams.set('X-Amz-Date', amzDate);
+  signed.searchParams.set('X-Amz-Expires', String(expiresIn));
+  signed.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const request = canonicalRequest('GET', signed, { host: signed.host }, 'UNSIGNED-PAYLOAD');
+  signed.searchParams.set('X-Amz-Signature', awsV4Signature({ secretKey, region, amzDate, scope, request }));
+  return signed.toString();
+}
+
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKey = process.env.S3_ACCESS_KEY;
+  const secretKey = process.env.S3_SECRET_KEY;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT?.replace(/\/$/, '');
+
+  // Custom endpoints (MinIO) use path-style URLs, AWS virtual-hosted ones
+  function objectUrl(key) {
+    return endpoint
+      ? new URL(`${endpoint}/${bucket}/${key ? encodeKey(key) : ''}`)
+      : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${key ? encodeKey(key) : ''}`);
+  }
+
+  async function request(method, url, { body, contentType } = {}) {
+    return fetch(url, {
+      method,
+      headers: {
+        ...signAwsV4({ method, url, accessKey, secretKey, region, body }),
+        ...(contentType && { 'Content-Type': contentType })
+      },
+      body
+    });
+  }
+
+  return {
+    name: 's3',
+
+    getEgressOutput() {
+      return {
+        case: 's3',
+        value: {
+          accessKey,
+          secret: secretKey,
+          region,
+          bucket,
+          ...(endpoint && { endpoint, forcePathStyle: true })
+        }
+      };
+    },
+
+    getEgressFilepath(key) {
+      return key;
+    },
+
+    async list(prefix = '') {
+      const files = [];
+      let continuationToken = '';
+      do {
+        const url = objectUrl('');
+        url.searchParams.set('list-type', '2');
+        url.searchParams.set('prefix', prefix);
+        if (continuationToken) {
+          url.searchParams.set('continuation-token', continuationToken);
+        }
+        const response = await checkResponse(await request('GET', url), 'list');
+        const xml = await response.text();
+        for (const object of xmlBlocks(xml, 'Contents')) {
+          files.push({
+            key: xmlValue(object, 'Key'),
+            size: Number(xmlValue(object, 'Size')),
+            lastModified: new Date(xmlValue(object, 'LastModified')).toISOString()
+          });
+        }
+        continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : '';
+      } while (continuationToken);
+      return files;
+    },
+
+    async upload(key, body, contentType) {
+      await checkResponse(await request('PUT', objectUrl(key), { body, contentType }), 'upload');
+    },
+
+    async fetch(key) {
+      const response = await checkResponse(await request('GET', objectUrl(key)), 'fetch');
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await checkResponse(await request('DELETE', objectUrl(key)), 'remove');
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      return presignAwsV4({ url: objectUrl(key), accessKey, secretKey, region, expiresIn });
+    }
+  };
+}
+
+// ============================================
+// GOOGLE CLOUD STORAGE (service account OAuth)
+// ============================================
+
+function createGcsStorage() {
+  const bucket = process.env.GCS_BUCKET;
+  const credentialsJson = process.env.GCS_CREDENTIALS || fs.readFileSync(process.env.GCS_CREDENTIALS_FILE, 'utf8');
+  const credentials = JSON.parse(credentialsJson);
+  let accessToken = null;
+
+  // Exchange a signed service-account JWT for an access token, cached until it expires
+  async function getAccessToken() {
+    if (accessToken && accessToken.expiresAt > Date.now() + 60000) {
+      return accessToken.value;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tokenUri = credentials.token_uri || 'https://oauth2.googleapis.com/token';
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+      iss: credentials.client_email,
+      scope: 'https://www.googleapis.com/auth/devstorage.read_write',
+      aud: tokenUri,
+      iat: now,
+      exp: now + 3600
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(credentials.private_key, 'base64url');
+
+    const response = await checkResponse(await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`
+      })
+    }), 'authentication');
+    const data = await response.json();
+    accessToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return accessToken.value;
+  }
+
+  async function request(url, method = 'GET', { body, contentType } = {}) {
+    return fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        ...(contentType && { 'Content-Type': contentType })
+      },
+      body
+    });
+  }
+
+  const objectsUrl = `https://storage.googleapis.com/storage/v1/b/${encodeURIComponent(bucket)}/o`;
+
+  return {
+    name: 'gcs',
+
+    getEgressOutput() {
+      return { case: 'gcp', value: { credentials: credentialsJson, bucket } };
+    },
+
+    getEgressFilepath(key) {
+      return key;
+    },
+
+    async list(prefix = '') {
+      const files = [];
+      let pageToken = '';
+      do {
+        const url = new URL(objectsUrl);
+        url.searchParams.set('prefix', prefix);
+        if (pageToken) {
+          url.searchParams.set('pageToken', pageToken);
+        }
+        const response = await checkResponse(await request(url), 'list');
+        const data = await response.json();
+        for (const item of data.items || []) {
+          files.push({ key: item.name, size: Number(item.size), lastModified: item.updated });
+        }
+        pageToken = data.nextPageToken || '';
+      } while (pageToken);
+      return files;
+    },
+
+    async upload(key, body, contentType) {
+      const url = new URL(`https://storage.googleapis.com/upload/storage/v1/b/${encodeURIComponent(bucket)}/o`);
+      url.searchParams.set('uploadType', 'media');
+      url.searchParams.set('name', key);
+      await checkResponse(await request(url, 'POST', { body, contentType }), 'upload');
+    },
+
+    async fetch(key) {
+      const response = await checkResponse(await request(`${objectsUrl}/${encodeURIComponent(key)}?alt=media`), 'fetch');
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await checkResponse(await request(`${objectsUrl}/${encodeURIComponent(key)}`, 'DELETE'), 'remove');
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      return presignGcsV4({ bucket, key, clientEmail: credentials.client_email, privateKey: credentials.private_key, expiresIn });
+    }
+  };
+}
+
+// V4 signed GET URL, signed with the service account's private key
+function presignGcsV4({ bucket, key, clientEmail, privateKey, expiresIn, date = new Date() }) {
+  const googDate = toAmzDate(date);
+  const scope = `${googDate.slice(0, 8)}/auto/storage/goog4_request`;
+  const url = new URL(`https://storage.googleapis.com/${bucket}/${encodeKey(key)}`);
+  url.searchParams.set('X-Goog-Algorithm', 'GOOG4-RSA-SHA256');
+  url.searchParams.set('X-Goog-Credential', `${clientEmail}/${scope}`);
+  url.searchParams.set('X-Goog-Date', googDate);
+  url.searchParams.set('X-Goog-Expires', String(expiresIn));
+  url.searchParams.set('X-Goog-SignedHeaders', 'host');
+
+  const stringToSign = [
+    'GOOG4-RSA-SHA256',
+    googDate,
+    scope,
+    sha256Hex(canonicalRequest('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD'))
+  ].join('\n');
+  url.searchParams.set('X-Goog-Signature', crypto.createSign('RSA-SHA256').update(stringToSign).sign(privateKey, 'hex'));
+  return url.toString();
+}
+
+// ============================================
+// LOCAL FILESYSTEM
+// ============================================
+
+function createLocalStorage() {
+  const rootDir = process.env.LOCAL_STORAGE_DIR;
+  const egressDir = process.env.LOCAL_STORAGE_EGRESS_DIR || rootDir;
+
+  // Resolve a key inside the storage directory, refusing paths that escape it
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  function walk(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(entryPath) : [entryPath];
+    });
+  }
+
+  return {
+    name: 'local',
+
+    // No upload: egress writes straight to the shared directory
+    getEgressOutput() {
+      return { case: undefined };
+    },
+
+    getEgressFilepath(key) {
+      return path.posix.join(egressDir, key);
+    },
+
+    async list(prefix = '') {
+      const root = path.resolve(rootDir);
+      return walk(root)
+        .map(filePath => ({ filePath, key: path.relative(root, filePath).split(path.sep).join('/') }))
+        .filter(({ key }) => key.startsWith(prefix))
+        .map(({ filePath, key }) => {
+          const stat = fs.statSync(filePath);
+          return { key, size: stat.size, lastModified: stat.mtime.toISOString() };
+        });
+    },
+
+    async upload(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async fetch(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    // Nothing to sign: callers serve local files through the app
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
+
+// Required and optional settings per provider; a nested list means any one of them
+const PROVIDERS = {
+  azure: {
+    create: createAzureStorage,
+    requiredEnv: ['AZURE_ACCOUNT_NAME', 'AZURE_ACCOUNT_KEY', 'AZURE_CONTAINER_NAME'],
+    optionalEnv: ['AZURE_BLOB_ENDPOINT']
+  },
+  s3: {
+    create: createS3Storage,
+    requiredEnv: ['S3_BUCKET', 'S3_ACCESS_KEY', 'S3_SECRET_KEY'],
+    optionalEnv: ['S3_REGION', 'S3_ENDPOINT']
+  },
+  gcs: {
+    create: createGcsStorage,
+    requiredEnv: ['GCS_BUCKET', ['GCS_CREDENTIALS', 'GCS_CREDENTIALS_FILE']],
+    optionalEnv: []
+  },
+  local: {
+    create: createLocalStorage,
+    requiredEnv: ['LOCAL_STORAGE_DIR'],
+    optionalEnv: ['LOCAL_STORAGE_EGRESS_DIR']
+  }
+};
+
+const providers = new Map();
+
+function getStorageProviderName() {
+  return process.env.STORAGE_PROVIDER || 'azure';
+}
+
+// Describe what is missing from the storage configuration, or null if it is complete
+function getStorageConfigError() {
+  const name = getStorageProviderName();
+  if (!PROVIDERS[name]) {
+    return `Unknown STORAGE_PROVIDER: ${name}. Use: ${Object.keys(PROVIDERS).join(', ')}`;
+  }
+  const missing = PROVIDERS[name].requiredEnv
+    .map(variables => [].concat(variables))
+    .filter(variables => !variables.some(variable => process.env[variable]))
+    .map(variables => variables.join(' or '));
+  return missing.length > 0
+    ? `Missing ${name} storage configuration: ${missing.join(', ')}`
+    : null;
+}
+
+// One provider per configuration, so what it caches (such as the GCS access
+// token) outlives a single request
+function getStorage() {
+  const name = getStorageProviderName();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown STORAGE_PROVIDER: ${name}`);
+  }
+  const { create, requiredEnv, optionalEnv } = PROVIDERS[name];
+  const config = JSON.stringify([name, ...[...requiredEnv.flat(), ...optionalEnv].map(variable => process.env[variable])]);
+  if (!providers.has(config)) {
+    providers.set(config, create());
+  }
+  return providers.get(config);
+}
+
+module.exports = {
+  getRecordingFilepath,
+  getUploadMaxBytes,
+  getStorage,
+  getStorageConfigError,
+  signAwsV4,
+  presignAwsV4,
+  presignAzureSas,
+  presignGcsV4
+};
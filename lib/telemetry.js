@@ -0,0 +1,168 @@
+/**
+ * Call Quality Telemetry
+ *
+ * During a visit each participant's app samples its own connection (LiveKit's
+ * quality rating plus WebRTC stats) and posts the samples here, so every
+ * visit keeps a quality timeline that support staff can review afterwards.
+ * Samples are JSON lines in DATA_DIR/telemetry.jsonl:
+ *
+ *   { at, receivedAt, room, identity, quality, sendKbps, receiveKbps,
+ *     packetLossPercent, jitterMs, rttMs, audioOnly }
+ *
+ * quality is LiveKit's rating: excellent, good, poor, lost or unknown.
+ * Metrics the browser could not measure are null; audioOnly is whether the
+ * app had dropped video to save the connection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./fileStore');
+const { HttpError } = require('./errors');
+
+const QUALITIES = ['excellent', 'good', 'poor', 'lost', 'unknown'];
+const METRICS = ['sendKbps', 'receiveKbps', 'packetLossPercent', 'jitterMs', 'rttMs'];
+
+// A client posts a batch every half minute or so; this bounds a single post
+const MAX_SAMPLES_PER_POST = 60;
+// Sample clocks may be off a little, but not into the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function getTelemetryFile() {
+  return path.join(getDataDir(), 'telemetry.jsonl');
+}
+
+function readSamples() {
+  let content;
+  try {
+    content = fs.readFileSync(getTelemetryFile(), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function toMetric(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new HttpError(400, 'invalid_sample', `${name} must be a non-negative number`);
+  }
+  return Math.round(value * 10) / 10;
+}
+
+function toSample(sample, now) {
+  if (!sample || typeof sample !== 'object') {
+    throw new HttpError(400, 'invalid_sample', 'Each sample must be an object');
+  }
+  const at = sample.at ? new Date(sample.at) : new Date(now);
+  if (isNaN(at) || at.getTime() > now + MAX_CLOCK_SKEW_MS) {
+    throw new HttpError(400, 'invalid_sample', 'at must be an ISO 8601 date that is not in the future');
+  }
+  const quality = sample.quality || 'unknown';
+  if (!QUALITIES.includes(quality)) {
+    throw new HttpError(400, 'invalid_sample', `quality must be one of: ${QUALITIES.join(', ')}`);
+  }
+
+  return {
+    at: at.toISOString(),
+    quality,
+    ...Object.fromEntries(METRICS.map(name => [name, toMetric(sample[name], name)])),
+    audioOnly: sample.audioOnly === true
+  };
+}
+
+/**
+ * Store a participant's samples for a visit. The whole batch is validated
+ * before anything is written. Returns how many were stored.
+ */
+function recordTelemetry(room, identity, samples, { now = Date.now() } = {}) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    throw new HttpError(400, 'invalid_samples', 'samples must be a non-empty array');
+  }
+  if (samples.length > MAX_SAMPLES_PER_POST) {
+    throw new HttpError(400, 'too_many_samples', `At most ${MAX_SAMPLES_PER_POST} samples per request`);
+  }
+
+  const receivedAt = new Date(now).toISOString();
+  const lines = samples
+    .map(sample => JSON.stringify({ ...toSample(sample, now), receivedAt, room, identity }))
+    .join('\n');
+
+  const file = getTelemetryFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${lines}\n`);
+  return samples.length;
+}
+
+function average(values) {
+  return values.length
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+    : null;
+}
+
+// One participant's visit at a glance: how often each quality was seen and
+// the average and worst of each metric
+function summarize(identity, samples) {
+  const metrics = {};
+  for (const name of METRICS) {
+    const values = samples.map(sample => sample[name]).filter(value => value !== null);
+    metrics[name] = { average: average(values), max: values.length ? Math.max(...values) : null };
+  }
+  return {
+    identity,
+    samples: samples.length,
+    from: samples[0].at,
+    to: samples[samples.length - 1].at,
+    quality: Object.fromEntries(QUALITIES.map(quality => [
+      quality,
+      samples.filter(sample => sample.quality === quality).length
+    ])),
+    audioOnlySamples: samples.filter(sample => sample.audioOnly).length,
+    metrics
+  };
+}
+
+/**
+ * A visit's quality timeline, oldest sample first, with a summary per
+ * participant. from/to bound the sample time; identity narrows it to one
+ * participant.
+ */
+function getTelemetry(room, { identity, from, to } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    throw new HttpError(400, 'invalid_date', 'from and to must be ISO 8601 dates');
+  }
+  const fromIso = fromDate?.toISOString();
+  const toIso = toDate?.toISOString();
+
+  const samples = readSamples()
+    .filter(sample =>
+      sample.room === room &&
+      (!identity || sample.identity === identity) &&
+      (!fromIso || sample.at >= fromIso) &&
+      (!toIso || sample.at <= toIso)
+    )
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  const byIdentity = new Map();
+  for (const sample of samples) {
+    if (!byIdentity.has(sample.identity)) {
+      byIdentity.set(sample.identity, []);
+    }
+    byIdentity.get(sample.identity).push(sample);
+  }
+  const participants = [...byIdentity].map(([name, own]) => summarize(name, own));
+
+  return { room, participants, samples };
+}
+
+module.exports = {
+  QUALITIES,
+  recordTelemetry,
+  getTelemetry
+};
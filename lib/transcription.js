@@ -0,0 +1,248 @@
+/**
+ * Transcription Pipeline
+ *
+ * Turns a finished recording into a timestamped, speaker-attributed
+ * transcript. Each audio file of the recording is run through a
+ * speech-to-text adapter (TRANSCRIPTION_ADAPTER):
+ *
+ *   whisper - a local Whisper-compatible CLI (default). WHISPER_COMMAND sets
+ *             the executable (default `whisper`), WHISPER_MODEL the model
+ *             (default `base`).
+ *   stub    - fixed output without touching any audio, for tests
+ *
+ * Per-track recordings give exact speaker labels: every file belongs to one
+ * participant and its segments are shifted by the track's start offset.
+ * Composite recordings are a single mixed file labelled "Unknown".
+ *
+ * Audio is fetched from the recording storage provider (see lib/storage.js),
+ * unless the caller has a local copy already: the session processor passes
+ * the transcoded files of its earlier stages.
+ *
+ * Transcripts are kept in the `transcripts` store and rendered as JSON,
+ * WebVTT or plain text on request. Transcription is a stage of the session
+ * processor (see lib/sessionProcessor.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createFileStore } = require('./fileStore');
+const { getRecordingStore } = require('./recordingStore');
+const { getStorage } = require('./storage');
+
+const execFileAsync = promisify(execFile);
+
+const TRANSCRIPT_FORMATS = {
+  json: 'application/json',
+  vtt: 'text/vtt',
+  txt: 'text/plain'
+};
+
+const UNKNOWN_SPEAKER = 'Unknown';
+
+const store = createFileStore('transcripts');
+
+// Download a recording file from storage for fn(localPath); sources that
+// carry a localPath are used as they are
+async function withLocalAudio(source, fn) {
+  if (source.localPath) {
+    return fn(source.localPath);
+  }
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-'));
+  try {
+    const localPath = path.join(tmpDir, path.basename(source.filepath));
+    fs.writeFileSync(localPath, await getStorage().fetch(source.filepath));
+    return await fn(localPath);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Run the Whisper CLI on an audio file; returns [{ start, end, text }] in seconds
+async function runWhisper(audioPath) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-'));
+  try {
+    await execFileAsync(process.env.WHISPER_COMMAND || 'whisper', [
+      audioPath,
+      '--model', process.env.WHISPER_MODEL || 'base',
+      '--output_format', 'json',
+      '--output_dir', outputDir
+    ], { maxBuffer: 64 * 1024 * 1024 });
+
+    const outputFile = path.join(outputDir, `${path.parse(audioPath).name}.json`);
+    const { segments = [] } = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+    return segments.map(({ start, end, text }) => ({ start, end, text: text.trim() }));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+const ADAPTERS = {
+  whisper: {
+    async transcribe(source) {
+      return withLocalAudio(source, runWhisper);
+    }
+  },
+
+  stub: {
+    async transcribe(source) {
+      return [
+        { start: 0, end: 2, text: `Transcript of ${path.basename(source.filepath)}` }
+      ];
+    }
+  }
+};
+
+function getAdapter() {
+  const name = process.env.TRANSCRIPTION_ADAPTER || 'whisper';
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown TRANSCRIPTION_ADAPTER: ${name}`);
+  }
+  return { name, ...ADAPTERS[name] };
+}
+
+// The audio files of a recording, each with its speaker and offset (seconds)
+function getAudioSources(recording) {
+  if (recording.mode === 'tracks') {
+    return recording.tracks
+      .filter(track => track.status === 'complete')
+      .map(track => ({
+        filepath: track.filepath,
+        speaker: track.identity,
+        offset: (track.offsetMs || 0) / 1000
+      }));
+  }
+  return [{
+    filepath: recording.filepath,
+    speaker: UNKNOWN_SPEAKER,
+    offset: 0
+  }];
+}
+
+/**
+ * Transcribe a completed recording. Re-running replaces the recording's
+ * previous transcript. sources defaults to the recording's stored files
+ * (see getAudioSources).
+ */
+async function transcribeRecording(recordingId, { sources } = {}) {
+  const recording = await getRecordingStore().get(recordingId);
+  if (!recording || recording.status !== 'complete') {
+    throw new Error(`Recording ${recordingId} is not complete`);
+  }
+
+  const adapter = getAdapter();
+  const now = new Date().toISOString();
+  const previous = store.list(transcript => transcript.recordingId === recordingId)[0];
+  const transcript = previous
+    ? await store.update(previous.id, { status: 'processing', adapter: adapter.name, error: null })
+    : await store.insert({
+      id: crypto.randomUUID(),
+      recordingId,
+      room: recording.room,
+      status: 'processing',
+      adapter: adapter.name,
+      segments: [],
+      createdAt: now,
+      updatedAt: now
+    });
+
+  try {
+    const segments = [];
+    for (const source of sources || getAudioSources(recording)) {
+      const fileSegments = await adapter.transcribe(source);
+      for (const segment of fileSegments) {
+        segments.push({
+          start: segment.start + source.offset,
+          end: segment.end + source.offset,
+          speaker: source.speaker,
+          text: segment.text
+        });
+      }
+    }
+    segments.sort((a, b) => a.start - b.start);
+
+    console.log(`Transcribed recording ${recordingId}: ${segments.length} segment(s)`);
+    return store.update(transcript.id, { status: 'complete', segments, completedAt: new Date().toISOString() });
+  } catch (error) {
+    await store.update(transcript.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// 00:01:02.345 (VTT) or 00:01:02 (plain text)
+function formatTimestamp(seconds, withMillis) {
+  const ms = Math.round(seconds * 1000);
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const mm = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const ss = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return withMillis
+    ? `${hh}:${mm}:${ss}.${String(ms % 1000).padStart(3, '0')}`
+    : `${hh}:${mm}:${ss}`;
+}
+
+function renderTranscript(transcript, format) {
+  if (format === 'vtt') {
+    const cues = transcript.segments.map(segment =>
+      `${formatTimestamp(segment.start, true)} --> ${formatTimestamp(segment.end, true)}\n<v ${segment.speaker}>${segment.text}`
+    );
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+  if (format === 'txt') {
+    return transcript.segments
+      .map(segment => `[${formatTimestamp(segment.start, false)}] ${segment.speaker}: ${segment.text}`)
+      .join('\n') + '\n';
+  }
+  return JSON.stringify(transcript);
+}
+
+/**
+ * Transcripts for a room, optionally for one recording. A single
+ * recording's transcript can also be rendered as vtt or txt.
+ * Returns { status, body, contentType? }.
+ */
+async function getTranscripts(room, recordingId, format = 'json') {
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return { status: 400, body: { error: 'Invalid format. Use: json, vtt, or txt' } };
+  }
+
+  const transcripts = store.list(transcript =>
+    transcript.room === room && (!recordingId || transcript.recordingId === recordingId)
+  );
+
+  if (format === 'json') {
+    return { status: 200, body: { transcripts } };
+  }
+
+  if (!recordingId) {
+    return { status: 400, body: { error: 'recordingId is required for vtt and txt transcripts' } };
+  }
+  if (transcripts[0]?.status !== 'complete') {
+    return { status: 404, body: { error: 'No completed transcript for this recording' } };
+  }
+  return {
+    status: 200,
+    contentType: TRANSCRIPT_FORMATS[format],
+    body: renderTranscript(transcripts[0], format)
+  };
+}
+
+// Remove a recording's transcripts, e.g. when the recording is deleted
+async function deleteTranscripts(recordingId) {
+  const transcripts = store.list(transcript => transcript.recordingId === recordingId);
+  for (const transcript of transcripts) {
+    await store.remove(transcript.id);
+  }
+  return transcripts.length;
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  getAudioSources,
+  transcribeRecording,
+  renderTranscript,
+  getTranscripts,
+  deleteTranscripts
+};
@@ -0,0 +1,76 @@
+/**
+ * Virtual Waiting Room
+ *
+ * Patients joining a visit with a waiting room connect with the lobby grant
+ * (no publish/subscribe). A clinician admits them by upgrading their
+ * permissions in place, so the patient moves into the visit without
+ * reconnecting, or denies them by removing them from the room. Only
+ * participants still in the waiting room can be admitted or denied; anyone
+ * else is removed through moderation (see lib/moderation.js).
+ *
+ * Admission is when a patient joins the visit's session (see
+ * lib/sessions.js). A patient admitted while a recording is running stays
+ * muted until they consent to it (see lib/consent.js). One who reconnects while still in the
+ * room keeps their place in the visit (see isAdmitted).
+ */
+
+const { getRoomServiceClient } = require('./livekit');
+const { getParticipantMetadata, getParticipantPermission, parseParticipantMetadata } = require('./roles');
+const { getRecordingStore } = require('./recordingStore');
+const { promptLateJoiner } = require('./consent');
+const { recordParticipantAdmitted } = require('./sessions');
+const { HttpError } = require('./errors');
+
+// The participant's metadata, if they are in the waiting room
+async function getWaitingMetadata(room, identity) {
+  let participant;
+  try {
+    participant = await getRoomServiceClient().getParticipant(room, identity);
+  } catch (error) {
+    throw new HttpError(404, 'participant_not_found', `${identity} is not in the visit`);
+  }
+  const metadata = parseParticipantMetadata(participant);
+  if (!metadata.waiting) {
+    throw new HttpError(409, 'not_waiting', `${identity} is not in the waiting room`);
+  }
+  return metadata;
+}
+
+async function admit(room, identity) {
+  const roomService = getRoomServiceClient();
+  const { role } = await getWaitingMetadata(room, identity);
+
+  const permission = getParticipantPermission(role || 'patient');
+  const recording = await getRecordingStore().getActiveByRoom(room);
+
+  const admitted = await roomService.updateParticipant(
+    room,
+    identity,
+    getParticipantMetadata(role || 'patient'),
+    recording?.consent ? { ...permission, canPublish: false } : permission
+  );
+  await recordParticipantAdmitted(room, admitted, new Date().toISOString());
+  await promptLateJoiner(room, admitted);
+  return admitted;
+}
+
+async function deny(room, identity) {
+  await getWaitingMetadata(room, identity);
+  await getRoomServiceClient().removeParticipant(room, identity);
+}
+
+// Whether a participant is in the room and past the waiting room
+async function isAdmitted(room, identity) {
+  try {
+    const participant = await getRoomServiceClient().getParticipant(room, identity);
+    return !parseParticipantMetadata(participant).waiting;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  admit,
+  deny,
+  isAdmitted
+};
@@ -0,0 +1,127 @@
+/**
+ * WAV Encoding
+ *
+ * Wraps 16-bit PCM samples in a RIFF/WAVE header so they can be handed to
+ * tools that read audio files (e.g. the Whisper CLI), and reads WAV files
+ * back as floating-point samples (-1..1) for lib/audio.js. Decoding handles
+ * 8/16/24/32-bit integer and 32/64-bit float PCM, including
+ * WAVE_FORMAT_EXTENSIBLE, and streamed files whose header has no real size
+ * (as ffmpeg writes to a pipe).
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function encodeWav(samples, sampleRate, channels = 1) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * 2, 28);
+  buffer.writeUInt16LE(channels * 2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], 44 + i * 2);
+  }
+  return buffer;
+}
+
+// Float samples (-1..1) to 16-bit PCM for encodeWav; out-of-range samples are clipped
+function floatToPcm16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff);
+  }
+  return pcm;
+}
+
+function sampleReader(format, bitsPerSample) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) {
+      return (buffer, offset) => buffer.readFloatLE(offset);
+    }
+    if (bitsPerSample === 64) {
+      return (buffer, offset) => buffer.readDoubleLE(offset);
+    }
+  } else if (format === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return (buffer, offset) => (buffer.readUInt8(offset) - 128) / 128;
+      case 16: return (buffer, offset) => buffer.readInt16LE(offset) / 0x8000;
+      case 24: return (buffer, offset) => buffer.readIntLE(offset, 3) / 0x800000;
+      case 32: return (buffer, offset) => buffer.readInt32LE(offset) / 0x80000000;
+      default: break;
+    }
+  }
+  throw new Error(`Unsupported WAV encoding: format ${format}, ${bitsPerSample}-bit`);
+}
+
+/**
+ * Decode a WAV file. Returns { sampleRate, channels }, where channels holds
+ * one Float32Array of samples per channel.
+ */
+function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = buffer.readUInt16LE(body);
+      if (format === FORMAT_EXTENSIBLE) {
+        // The sub-format GUID starts with the actual format code
+        format = buffer.readUInt16LE(body + 24);
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!fmt) {
+        throw new Error('WAV data chunk before fmt chunk');
+      }
+      const read = sampleReader(fmt.format, fmt.bitsPerSample);
+      const bytesPerSample = fmt.bitsPerSample / 8;
+      const frameSize = bytesPerSample * fmt.channels;
+      // Streamed files carry a placeholder size; the data runs to the end
+      const dataSize = Math.min(size, buffer.length - body);
+      const frames = Math.floor(dataSize / frameSize);
+
+      const channels = Array.from({ length: fmt.channels }, () => new Float32Array(frames));
+      for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < fmt.channels; channel++) {
+          channels[channel][frame] = read(buffer, body + frame * frameSize + channel * bytesPerSample);
+        }
+      }
+      return { sampleRate: fmt.sampleRate, channels };
+    }
+
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+module.exports = {
+  encodeWav,
+  floatToPcm16,
+  decodeWav
+};
@@ -0,0 +1,285 @@
+/**
+ * LiveKit Webhook Handling
+ *
+ * LiveKit tells us what really happened to rooms and egress: recordings that
+ * finish, fail or are cut off by the server, and participants joining and
+ * leaving. Each event is verified against our API key/secret and then applied
+ * to the recording registry and session state. Participants joining during a
+ * recording are asked for consent, and those leaving are no longer waited
+ * for (see lib/consent.js); microphone tracks published during a per-track
+ * recording are added to it. Completed
+ * recordings are queued for the session processor, which worker.js runs
+ * (see lib/sessionProcessor.js). Anyone joining on a revoked invite or
+ * with revoked access, or joining a locked visit they were not in, is
+ * removed again (see lib/invites.js, lib/revocations.js and
+ * lib/moderation.js); finished rooms are unlocked.
+ * Joins, leaves and finished rooms and recordings go to the audit log. Rooms
+ * of the pre-join network test are not visits and are ignored.
+ *
+ * Point the LiveKit server's webhook config at /api/webhook (token-server.js
+ * also answers on /webhook).
+ */
+
+const { WebhookReceiver, EgressStatus } = require('livekit-server-sdk');
+const { recordAuditEvent } = require('./audit');
+const { removeIfRevoked } = require('./invites');
+const { removeIfLockedOut, clearRoomLock } = require('./moderation');
+const { removeIfAccessRevoked } = require('./revocations');
+const { isNetworkTestRoom } = require('./livekit');
+const { getRecordingStore } = require('./recordingStore');
+const {
+  isMicrophoneTrack,
+  addRecordingTrack,
+  updateRecordingTrack,
+  finishTrackRecording
+} = require('./recordings');
+const { promptLateJoiner, dropLeavingParticipant, releaseRecordingConsent } = require('./consent');
+const { enqueueSessionProcessing } = require('./sessionProcessor');
+const {
+  recordParticipantJoined,
+  recordParticipantLeft,
+  recordRoomFinished
+} = require('./sessions');
+
+const EGRESS_STATUSES = {
+  [EgressStatus.EGRESS_STARTING]: 'starting',
+  [EgressStatus.EGRESS_ACTIVE]: 'active',
+  [EgressStatus.EGRESS_ENDING]: 'stopping',
+  [EgressStatus.EGRESS_COMPLETE]: 'complete',
+  [EgressStatus.EGRESS_LIMIT_REACHED]: 'complete',
+  [EgressStatus.EGRESS_FAILED]: 'failed',
+  [EgressStatus.EGRESS_ABORTED]: 'failed'
+};
+
+const FINAL_STATUSES = ['complete', 'failed'];
+
+// Verify the Authorization header signature and decode the event
+async function receiveWebhook(rawBody, authHeader) {
+  const receiver = new WebhookReceiver(process.env.LIVEKIT_API_KEY, process.env.LIVEKIT_API_SECRET);
+  return receiver.receive(rawBody, authHeader);
+}
+
+function eventTime(event) {
+  return event.createdAt
+    ? new Date(Number(event.createdAt) * 1000).toISOString()
+    : new Date().toISOString();
+}
+
+function getTrackId(egressInfo) {
+  return egressInfo.request?.case === 'track' ? egressInfo.request.value.trackId : null;
+}
+
+// Find our recording for an egress; the webhook can arrive before
+// startRecording has saved the egressId, so fall back to the room's pending recording
+async function findRecording(store, egressInfo) {
+  const recording = await store.findByEgressId(egressInfo.egressId);
+  if (recording) {
+    return recording;
+  }
+  const pending = await store.getActiveByRoom(egressInfo.roomName);
+  if (pending?.mode === 'tracks') {
+    return pending.tracks.some(track => track.trackSid === getTrackId(egressInfo)) ? pending : null;
+  }
+  return pending && !pending.egressId ? pending : null;
+}
+
+// Changes to apply to a recording (or one of its tracks) for an egress event
+function getEgressChanges(event, previous) {
+  const egressInfo = event.egressInfo;
+
+  let status = EGRESS_STATUSES[egressInfo.status] || previous.status;
+  if (event.event === 'egress_ended' && !FINAL_STATUSES.includes(status)) {
+    status = egressInfo.error ? 'failed' : 'complete';
+  }
+
+  const changes = { egressId: egressInfo.egressId, status };
+
+  if (FINAL_STATUSES.includes(status)) {
+    const file = egressInfo.fileResults?.[0] ||
+      (egressInfo.result?.case === 'file' ? egressInfo.result.value : null);
+
+    changes.endedAt = previous.endedAt || eventTime(event);
+    changes.error = egressInfo.error || null;
+    if (egressInfo.status === EgressStatus.EGRESS_LIMIT_REACHED) {
+      changes.endReason = 'limit_reached';
+    }
+    if (file) {
+      changes.filename = file.filename;
+      changes.location = file.location;
+      changes.fileSize = Number(file.size);
+      changes.durationMs = Number(file.duration / 1000000n);
+    }
+  }
+
+  return changes;
+}
+
+// A recording reached complete or failed
+async function handleRecordingFinished(recording) {
+  await recordAuditEvent({
+    action: `recording.${recording.status === 'complete' ? 'completed' : 'failed'}`,
+    room: recording.room,
+    target: recording.id,
+    details: { mode: recording.mode || 'composite', ...(recording.error && { error: recording.error }) }
+  });
+  await releaseRecordingConsent(recording);
+  if (recording.status === 'complete') {
+    enqueueSessionProcessing(recording);
+  }
+}
+
+async function handleTrackEgressEvent(event, recording) {
+  const egressInfo = event.egressInfo;
+  const track = recording.tracks.find(track =>
+    track.egressId === egressInfo.egressId || track.trackSid === getTrackId(egressInfo)
+  );
+
+  if (!track) {
+    return;
+  }
+
+  // Changes are worked out from the track as stored, since its own start and
+  // other events for it may be updating it at the same time
+  let changes = null;
+  await updateRecordingTrack(recording.id, track.trackSid, current => {
+    if (FINAL_STATUSES.includes(current.status) && event.event !== 'egress_ended') {
+      changes = null;
+      return null;
+    }
+    changes = getEgressChanges(event, current);
+    // Measure the offset from when the egress actually began writing
+    if (egressInfo.startedAt) {
+      changes.offsetMs = Number(egressInfo.startedAt / 1000000n) - Date.parse(recording.startedAt);
+    }
+    return changes;
+  });
+  if (!changes) {
+    return;
+  }
+  console.log(`Webhook: track ${track.trackSid} of recording ${recording.id} is now ${changes.status}`);
+
+  const finished = await finishTrackRecording(recording.id);
+  if (finished) {
+    console.log(`Webhook: recording ${recording.id} is now ${finished.status}`);
+    await handleRecordingFinished(finished);
+  }
+}
+
+async function handleEgressEvent(event) {
+  const store = getRecordingStore();
+  const egressInfo = event.egressInfo;
+  const recording = await findRecording(store, egressInfo);
+
+  if (!recording) {
+    console.log(`Webhook: ignoring ${event.event} for unknown egress ${egressInfo.egressId}`);
+    return;
+  }
+
+  if (recording.mode === 'tracks') {
+    await handleTrackEgressEvent(event, recording);
+    return;
+  }
+
+  // Never move a finished recording back to an earlier state
+  if (FINAL_STATUSES.includes(recording.status) && event.event !== 'egress_ended') {
+    return;
+  }
+
+  const changes = getEgressChanges(event, recording);
+  const { status } = changes;
+
+  const updated = await store.update(recording.id, changes);
+  console.log(`Webhook: recording ${recording.id} (${egressInfo.egressId}) is now ${status}`);
+
+  if (FINAL_STATUSES.includes(status) && !FINAL_STATUSES.includes(recording.status)) {
+    await handleRecordingFinished(updated);
+  }
+}
+
+async function handleRoomFinished(event) {
+  await recordRoomFinished(event.room, eventTime(event));
+  await clearRoomLock(event.room.name);
+  await recordAuditEvent({ action: 'room.finished', room: event.room.name, target: event.room.sid });
+
+  // The egress ends with the room; egress_ended will report the final state
+  const store = getRecordingStore();
+  const recording = await store.getActiveByRoom(event.room.name);
+  if (recording) {
+    await store.update(recording.id, { status: 'stopping' });
+  }
+
+  // Track egresses may all have ended already as participants left
+  if (recording?.mode === 'tracks') {
+    const finished = await finishTrackRecording(recording.id);
+    if (finished) {
+      await handleRecordingFinished(finished);
+    }
+  }
+}
+
+// Record microphone tracks published while a per-track recording is running
+async function handleTrackPublished(event) {
+  const recording = await getRecordingStore().getActiveByRoom(event.room.name);
+  if (recording?.mode === 'tracks' && isMicrophoneTrack(event.track)) {
+    await addRecordingTrack(recording.id, event.participant.identity, event.track.sid);
+  }
+}
+
+function auditParticipantEvent(action, event) {
+  return recordAuditEvent({
+    action,
+    actor: event.participant.identity,
+    room: event.room.name,
+    target: event.participant.sid,
+    details: { at: eventTime(event) }
+  });
+}
+
+async function handleWebhookEvent(event) {
+  if (isNetworkTestRoom(event.room?.name)) {
+    return;
+  }
+
+  switch (event.event) {
+    case 'egress_started':
+    case 'egress_updated':
+    case 'egress_ended':
+      await handleEgressEvent(event);
+      break;
+
+    case 'room_finished':
+      await handleRoomFinished(event);
+      break;
+
+    case 'participant_joined':
+      await recordParticipantJoined(event.room, event.participant, eventTime(event));
+      await auditParticipantEvent('participant.joined', event);
+      if (
+        (await removeIfRevoked(event.room.name, event.participant.identity)) ||
+        (await removeIfAccessRevoked(event.room.name, event.participant.identity)) ||
+        (await removeIfLockedOut(event.room.name, event.participant))
+      ) {
+        break;
+      }
+      await promptLateJoiner(event.room.name, event.participant);
+      break;
+
+    case 'participant_left':
+      await recordParticipantLeft(event.room, event.participant, eventTime(event));
+      await auditParticipantEvent('participant.left', event);
+      await dropLeavingParticipant(event.room.name, event.participant.identity);
+      break;
+
+    case 'track_published':
+      await handleTrackPublished(event);
+      break;
+
+    default:
+      break;
+  }
+}
+
+module.exports = {
+  receiveWebhook,
+  handleWebhookEvent
+};
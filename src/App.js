@@ -1,256 +1,3118 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import {
   LiveKitRoom,
-  VideoConference,
   GridLayout,
+  FocusLayoutContainer,
+  FocusLayout,
+  CarouselLayout,
   ParticipantTile,
+  VideoTrack,
   useTracks,
   RoomAudioRenderer,
   ControlBar,
   useRoomContext,
+  useParticipants,
+  useLocalParticipantPermissions,
+  useDataChannel,
+  useIsSpeaking,
+  useRoomInfo,
+  useTrackRefContext,
+  useConnectionState,
 } from '@livekit/components-react';
 import '@livekit/components-styles';
-import { Track } from 'livekit-client';
+import { Room, Track, ConnectionQuality, ConnectionState, DisconnectReason } from 'livekit-client';
+import { captureAuthToken, getAuthHeaders } from './auth';
+import {
+  MAX_RECONNECT_ATTEMPTS,
+  getTokenExpiry,
+  saveVisitSession,
+  loadVisitSession,
+  clearVisitSession,
+  getReconnectDelay,
+} from './session';
 import './App.css';
 
-// Helper function to get API base URL
-const getApiBaseUrl = () => {
-  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-  return isLocalhost ? 'http://localhost:7881' : '';
+// API requests go to /api everywhere: Vercel serves it and in development
+// the React dev server proxies it to token-server.js (package.json "proxy")
+const apiUrl = (path) => `/api${path}`;
+
+// Read the role and waiting-room state the token server wrote into participant metadata
+const getParticipantInfo = (participant) => {
+  try {
+    return JSON.parse(participant.metadata || '{}');
+  } catch (e) {
+    return {};
+  }
 };
 
-// Custom video conference component with end call and recording buttons
-function CustomVideoConference({ onEndCall, roomName, username }) {
-  const room = useRoomContext();
-  const [isRecording, setIsRecording] = useState(false);
-  const [recordingLoading, setRecordingLoading] = useState(false);
-  const [egressId, setEgressId] = useState(null);
-  const [recordingStartedBy, setRecordingStartedBy] = useState(null);
-  const [recordingError, setRecordingError] = useState('');
-  const [recordingStartTime, setRecordingStartTime] = useState(null);
-  const [canStopRecording, setCanStopRecording] = useState(false);
+// Live captions from the caption worker. Captions are collected for the whole
+// session so the history is complete even while the overlay is hidden.
+function LiveCaptions({ enabled }) {
+  const [interim, setInterim] = useState({});
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const historyEnd = useRef(null);
 
-  // Minimum time before allowing stop (to let egress initialize)
-  const MIN_RECORDING_TIME_MS = 10000; // 10 seconds
+  const handleCaption = useCallback((msg) => {
+    const caption = JSON.parse(new TextDecoder().decode(msg.payload));
+
+    setInterim((current) => {
+      const { [caption.id]: replaced, ...rest } = current;
+      return caption.final ? rest : { ...rest, [caption.id]: caption };
+    });
+    if (caption.final) {
+      setHistory((current) => [...current, caption]);
+    }
+  }, []);
+  useDataChannel('captions', handleCaption);
 
-  // Enable stop button after minimum time
   useEffect(() => {
-    if (isRecording && recordingStartTime) {
-      const elapsed = Date.now() - recordingStartTime;
-      if (elapsed >= MIN_RECORDING_TIME_MS) {
-        setCanStopRecording(true);
-      } else {
-        const timer = setTimeout(() => {
-          setCanStopRecording(true);
-        }, MIN_RECORDING_TIME_MS - elapsed);
-        return () => clearTimeout(timer);
+    historyEnd.current?.scrollIntoView({ block: 'end' });
+  }, [history, showHistory]);
+
+  if (!enabled) {
+    return null;
+  }
+
+  // The last couple of finished lines plus whatever is being said now
+  const lines = [...history.slice(-2), ...Object.values(interim)];
+
+  return (
+    <>
+      <div className="caption-overlay">
+        {lines.length === 0 ? (
+          <div className="caption-line interim">Captions will appear when someone speaks</div>
+        ) : (
+          lines.map((caption) => (
+            <div key={caption.id} className={`caption-line ${caption.final ? '' : 'interim'}`}>
+              <span className="caption-speaker">{caption.name}:</span> {caption.text}
+            </div>
+          ))
+        )}
+        <button className="caption-history-toggle" onClick={() => setShowHistory(!showHistory)}>
+          {showHistory ? 'Hide history' : 'History'}
+        </button>
+      </div>
+
+      {showHistory && (
+        <div className="caption-history">
+          <div className="caption-history-title">Captions</div>
+          <div className="caption-history-list">
+            {history.map((caption) => (
+              <div key={caption.id} className="caption-history-item">
+                <span className="caption-time">{new Date(caption.at).toLocaleTimeString()}</span>
+                <span className="caption-speaker">{caption.name}</span>
+                <span>{caption.text}</span>
+              </div>
+            ))}
+            <div ref={historyEnd} />
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Audio-focus layout for interpreters: everyone in the visit as a large
+// card that lights up while they speak, instead of a video grid
+function AudioFocusCard({ participant }) {
+  const isSpeaking = useIsSpeaking(participant);
+  const { role } = getParticipantInfo(participant);
+  const name = participant.isLocal ? 'You' : participant.name || participant.identity;
+
+  return (
+    <div className={`audio-focus-card ${isSpeaking ? 'speaking' : ''}`}>
+      <div className="audio-focus-avatar">{name.charAt(0).toUpperCase()}</div>
+      <div className="audio-focus-name">{name}</div>
+      {role && <span className="role-name">{role}</span>}
+      <div className="audio-focus-state">
+        {!participant.isMicrophoneEnabled ? 'Muted' : isSpeaking ? 'Speaking' : 'Listening'}
+      </div>
+    </div>
+  );
+}
+
+function AudioFocusLayout() {
+  const participants = useParticipants();
+
+  return (
+    <div className="audio-focus-layout">
+      {participants.map((participant) => (
+        <AudioFocusCard key={participant.identity} participant={participant} />
+      ))}
+    </div>
+  );
+}
+
+// Clinician moderation menu on a participant's tile (see lib/moderation.js).
+// What it offers is read when it opens, so it matches the tracks published then.
+function TileModerationMenu({ participant, onModerate }) {
+  const [open, setOpen] = useState(false);
+
+  const act = (action, options) => {
+    setOpen(false);
+    onModerate(action, participant, options);
+  };
+
+  const microphone = participant.getTrackPublication(Track.Source.Microphone);
+  const camera = participant.getTrackPublication(Track.Source.Camera);
+  const screenShare = participant.getTrackPublication(Track.Source.ScreenShare);
+
+  return (
+    <div className="tile-moderation">
+      <button
+        className="tile-moderation-toggle"
+        onClick={() => setOpen(!open)}
+        title={`Moderate ${participant.name || participant.identity}`}
+      >
+        ⋯
+      </button>
+      {open && (
+        <div className="tile-moderation-menu">
+          {microphone && (
+            <button onClick={() => act(microphone.isMuted ? 'unmute' : 'mute', { source: 'microphone' })}>
+              {microphone.isMuted ? 'Unmute microphone' : 'Mute microphone'}
+            </button>
+          )}
+          {camera && (
+            <button onClick={() => act(camera.isMuted ? 'unmute' : 'mute', { source: 'camera' })}>
+              {camera.isMuted ? 'Turn camera on' : 'Turn camera off'}
+            </button>
+          )}
+          {screenShare && !screenShare.isMuted && (
+            <button onClick={() => act('mute', { source: 'screen_share' })}>Pause screen share</button>
+          )}
+          <button className="danger" onClick={() => act('remove')}>
+            Remove from visit
+          </button>
+          <button className="danger" onClick={() => act('revoke')}>
+            Remove and revoke access
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A participant tile, with the moderation menu for clinicians on everyone else's
+function ModeratedParticipantTile({ onModerate }) {
+  const trackRef = useTrackRefContext();
+
+  if (!onModerate || trackRef.participant.isLocal) {
+    return <ParticipantTile />;
+  }
+  return (
+    <div className="moderated-tile">
+      <ParticipantTile />
+      <TileModerationMenu participant={trackRef.participant} onModerate={onModerate} />
+    </div>
+  );
+}
+
+// Video grid and media controls. Replaces the stock VideoConference, whose
+// chat is not saved; the visit chat below takes its place.
+function CallLayout({ audioFocus, onModerate }) {
+  const tracks = useTracks(
+    [
+      { source: Track.Source.Camera, withPlaceholder: true },
+      { source: Track.Source.ScreenShare, withPlaceholder: false },
+    ],
+    { onlySubscribed: false }
+  );
+
+  // Screen-share mode: the latest share fills the stage, cameras line up beside it
+  const screenShare = [...tracks].reverse().find((track) => track.source === Track.Source.ScreenShare);
+
+  return (
+    <div className="lk-video-conference">
+      <div className="lk-video-conference-inner">
+        {audioFocus ? (
+          <AudioFocusLayout />
+        ) : screenShare ? (
+          <div className="lk-focus-layout-wrapper">
+            <FocusLayoutContainer>
+              <CarouselLayout tracks={tracks.filter((track) => track !== screenShare)}>
+                <ModeratedParticipantTile onModerate={onModerate} />
+              </CarouselLayout>
+              <FocusLayout trackRef={screenShare} />
+            </FocusLayoutContainer>
+          </div>
+        ) : (
+          <div className="lk-grid-layout-wrapper">
+            <GridLayout tracks={tracks}>
+              <ModeratedParticipantTile onModerate={onModerate} />
+            </GridLayout>
+          </div>
+        )}
+        <ControlBar controls={{ chat: false }} />
+      </div>
+    </div>
+  );
+}
+
+// Keep each message once (history and live relay overlap), oldest first
+const mergeChatMessages = (current, incoming) => {
+  const byId = new Map(current.map((message) => [message.id, message]));
+  incoming.forEach((message) => byId.set(message.id, message));
+  return [...byId.values()].sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+};
+
+// Read a File as base64 for the JSON upload
+const readFileAsBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Attachments need the room token, so they are fetched and shown from a blob URL
+function ChatAttachment({ roomName, token, messageId, attachment }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(
+          apiUrl(`/chat/messages/${encodeURIComponent(messageId)}/attachment?room=${encodeURIComponent(roomName)}`),
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (response.ok && !cancelled) {
+          objectUrl = URL.createObjectURL(await response.blob());
+          setUrl(objectUrl);
+        }
+      } catch (error) {
+        console.error('Error loading attachment:', error);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [roomName, token, messageId]);
+
+  if (!url) {
+    return <div className="chat-attachment loading">{attachment.name}</div>;
+  }
+  return (
+    <a className="chat-attachment" href={url} download={attachment.name} target="_blank" rel="noreferrer">
+      {attachment.contentType.startsWith('image/') ? <img src={url} alt={attachment.name} /> : attachment.name}
+    </a>
+  );
+}
+
+// Visit chat: saved on the server and relayed over the `chat` data topic, so
+// the history is reloaded when someone rejoins. Messages are collected while
+// the panel is closed, and onUnread is called for each one from someone else.
+function VisitChat({ roomName, username, token, role, open, onClose, onUnread }) {
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState('');
+  const [file, setFile] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [chatError, setChatError] = useState('');
+  const fileInput = useRef(null);
+  const listEnd = useRef(null);
+
+  const handleChatMessage = useCallback((msg) => {
+    const data = JSON.parse(new TextDecoder().decode(msg.payload));
+    if (data.type === 'chat_message') {
+      setMessages((current) => mergeChatMessages(current, [data.message]));
+      if (data.message.sender !== username && !open) {
+        onUnread();
       }
-    } else {
-      setCanStopRecording(false);
     }
-  }, [isRecording, recordingStartTime]);
+  }, [username, open, onUnread]);
+  useDataChannel('chat', handleChatMessage);
 
-  // Check recording status on mount and periodically
+  // Load the history when joining and again whenever the panel is opened
   useEffect(() => {
-    const checkRecordingStatus = async () => {
+    const loadHistory = async () => {
       try {
-        const baseUrl = getApiBaseUrl();
-        const isLocalhost = baseUrl.includes('localhost');
-        const url = isLocalhost 
-          ? `${baseUrl}/recording-status?room=${encodeURIComponent(roomName)}`
-          : `/api/recording?action=status&room=${encodeURIComponent(roomName)}`;
-        
-        const response = await fetch(url);
+        const response = await fetch(apiUrl(`/chat/messages?room=${encodeURIComponent(roomName)}`), {
+          headers: { Authorization: `Bearer ${token}` }
+        });
         if (response.ok) {
           const data = await response.json();
-          setIsRecording(data.isRecording);
-          if (data.isRecording) {
-            setEgressId(data.egressId);
-            setRecordingStartedBy(data.startedBy);
-          }
+          setMessages((current) => mergeChatMessages(current, data.messages));
         }
       } catch (error) {
-        console.error('Error checking recording status:', error);
+        console.error('Error loading chat history:', error);
+      }
+    };
+
+    loadHistory();
+  }, [roomName, token, open]);
+
+  useEffect(() => {
+    if (open) {
+      listEnd.current?.scrollIntoView({ block: 'end' });
+    }
+  }, [messages, open]);
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    if (!text.trim() && !file) {
+      return;
+    }
+    setSending(true);
+    setChatError('');
+
+    try {
+      const attachment = file && { name: file.name, contentType: file.type, data: await readFileAsBase64(file) };
+      const response = await fetch(apiUrl('/chat/messages'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, text, attachment })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessages((current) => mergeChatMessages(current, [data.message]));
+        setText('');
+        setFile(null);
+        if (fileInput.current) {
+          fileInput.current.value = '';
+        }
+      } else {
+        setChatError(data.error || 'Failed to send message');
+      }
+    } catch (error) {
+      console.error('Error sending chat message:', error);
+      setChatError('Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Clinicians can download the chat merged with the visit's transcripts
+  const handleExport = async () => {
+    setChatError('');
+    try {
+      const response = await fetch(apiUrl(`/chat/export?room=${encodeURIComponent(roomName)}&format=txt`), {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setChatError(data.error || 'Failed to export chat');
+        return;
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${roomName}-chat.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting chat:', error);
+      setChatError('Failed to export chat');
+    }
+  };
+
+  if (!open) {
+    return null;
+  }
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-header">
+        <span className="chat-title">Visit chat</span>
+        {role === 'clinician' && (
+          <button className="chat-header-button" onClick={handleExport} title="Download the chat with the transcript">
+            Export
+          </button>
+        )}
+        <button className="chat-header-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="chat-messages">
+        {messages.length === 0 && <div className="chat-empty">No messages yet</div>}
+        {messages.map((message) => (
+          <div key={message.id} className={`chat-message ${message.sender === username ? 'own' : ''}`}>
+            <div className="chat-meta">
+              <span className="chat-sender">{message.senderName}</span>
+              <span className="chat-time">{new Date(message.sentAt).toLocaleTimeString()}</span>
+            </div>
+            {message.text && <div className="chat-text">{message.text}</div>}
+            {message.attachment && (
+              <ChatAttachment roomName={roomName} token={token} messageId={message.id} attachment={message.attachment} />
+            )}
+          </div>
+        ))}
+        <div ref={listEnd} />
+      </div>
+
+      {chatError && <div className="chat-error">{chatError}</div>}
+
+      {role !== 'observer' && (
+        <form className="chat-form" onSubmit={handleSend}>
+          <input
+            className="chat-input"
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            placeholder={file ? `Attach ${file.name}` : 'Type a message'}
+            maxLength={4000}
+            disabled={sending}
+          />
+          <label className="chat-attach-button" title="Attach a photo or PDF">
+            +
+            <input
+              ref={fileInput}
+              type="file"
+              accept="image/*,application/pdf"
+              onChange={(event) => setFile(event.target.files[0] || null)}
+              disabled={sending}
+            />
+          </label>
+          <button className="chat-send-button" type="submit" disabled={sending || (!text.trim() && !file)}>
+            {sending ? '...' : 'Send'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Call health: every few seconds each participant's connection quality
+// (LiveKit's rating) and WebRTC stats. The local participant's samples are
+// batched to /telemetry for the visit's quality timeline.
+const HEALTH_SAMPLE_MS = 5000;
+const TELEMETRY_POST_MS = 30000;
+
+// Video is dropped after this many poor samples in a row and comes back
+// after this many good ones
+const POOR_SAMPLES_BEFORE_AUDIO_ONLY = 3;
+const GOOD_SAMPLES_BEFORE_VIDEO = 6;
+
+const CONNECTION_QUALITY_LABELS = {
+  [ConnectionQuality.Excellent]: 'Excellent',
+  [ConnectionQuality.Good]: 'Good',
+  [ConnectionQuality.Poor]: 'Poor',
+  [ConnectionQuality.Lost]: 'Lost',
+  [ConnectionQuality.Unknown]: 'Unknown',
+};
+
+const isPoorQuality = (quality) => quality === ConnectionQuality.Poor || quality === ConnectionQuality.Lost;
+
+const emptyTrackStats = () => ({
+  bytesSent: 0,
+  packetsSent: 0,
+  remoteLost: 0,
+  bytesReceived: 0,
+  packetsReceived: 0,
+  packetsLost: 0,
+  jitter: null,
+  rtt: null,
+});
+
+// Add one set of cumulative counters to another; jitter is the worst seen
+const mergeTrackStats = (totals, stats) => {
+  ['bytesSent', 'packetsSent', 'remoteLost', 'bytesReceived', 'packetsReceived', 'packetsLost'].forEach((key) => {
+    totals[key] += stats[key];
+  });
+  if (stats.jitter !== null) {
+    totals.jitter = Math.max(totals.jitter ?? 0, stats.jitter);
+  }
+  totals.rtt = totals.rtt ?? stats.rtt;
+  return totals;
+};
+
+// Cumulative counters from the WebRTC stats of a participant's tracks:
+// what we send for the local participant, what we receive for remote ones
+async function readParticipantStats(participant) {
+  const totals = emptyTrackStats();
+  for (const publication of participant.trackPublications.values()) {
+    const report = await publication.track?.getRTCStatsReport();
+    const stats = emptyTrackStats();
+    report?.forEach((stat) => {
+      if (stat.type === 'outbound-rtp') {
+        stats.bytesSent += stat.bytesSent || 0;
+        stats.packetsSent += stat.packetsSent || 0;
+      } else if (stat.type === 'remote-inbound-rtp') {
+        stats.remoteLost += Math.max(0, stat.packetsLost || 0);
+        stats.rtt = stat.roundTripTime ?? stats.rtt;
+      } else if (stat.type === 'inbound-rtp') {
+        stats.bytesReceived += stat.bytesReceived || 0;
+        stats.packetsReceived += stat.packetsReceived || 0;
+        stats.packetsLost += Math.max(0, stat.packetsLost || 0);
+        stats.jitter = stat.jitter !== undefined ? Math.max(stats.jitter ?? 0, stat.jitter) : stats.jitter;
+      } else if (stat.type === 'candidate-pair' && stat.state === 'succeeded' && stat.nominated) {
+        stats.rtt = stats.rtt ?? stat.currentRoundTripTime ?? null;
+      }
+    });
+    mergeTrackStats(totals, stats);
+  }
+  return totals;
+}
+
+const roundMetric = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// Rates and loss since the previous reading; null until there is one.
+// Packet loss is the worse of the two directions.
+function toHealthMetrics(stats, previous, seconds) {
+  const delta = (key) => (previous && seconds > 0 ? Math.max(0, stats[key] - previous[key]) : null);
+  const kbps = (key) => (delta(key) === null ? null : roundMetric((delta(key) * 8) / seconds / 1000));
+  const lossPercent = (lost, delivered) =>
+    lost !== null && lost + delivered > 0 ? (lost / (lost + delivered)) * 100 : null;
+
+  const losses = [
+    lossPercent(delta('remoteLost'), Math.max(0, (delta('packetsSent') ?? 0) - (delta('remoteLost') ?? 0))),
+    lossPercent(delta('packetsLost'), delta('packetsReceived') ?? 0),
+  ].filter((loss) => loss !== null);
+
+  return {
+    sendKbps: kbps('bytesSent'),
+    receiveKbps: kbps('bytesReceived'),
+    packetLossPercent: losses.length ? roundMetric(Math.max(...losses)) : null,
+    jitterMs: stats.jitter === null ? null : roundMetric(stats.jitter * 1000),
+    rttMs: stats.rtt === null ? null : Math.round(stats.rtt * 1000),
+  };
+}
+
+function useCallHealth({ room, roomName, token, enabled }) {
+  const [health, setHealth] = useState(null);
+  const [audioOnly, setAudioOnly] = useState(false);
+  const audioOnlyRef = useRef(false);
+  const pausedCameraRef = useRef(false);
+  const streakRef = useRef({ poor: 0, good: 0 });
+  const previousRef = useRef({});
+  const pendingRef = useRef([]);
+
+  // Remote camera video on or off; screen shares are left alone
+  const setRemoteVideo = useCallback((subscribed) => {
+    room.remoteParticipants.forEach((participant) => {
+      participant.trackPublications.forEach((publication) => {
+        if (publication.source === Track.Source.Camera && publication.isSubscribed !== subscribed) {
+          publication.setSubscribed(subscribed);
+        }
+      });
+    });
+  }, [room]);
+
+  const enterAudioOnly = useCallback(async () => {
+    audioOnlyRef.current = true;
+    setAudioOnly(true);
+    streakRef.current = { poor: 0, good: 0 };
+    setRemoteVideo(false);
+    if (room.localParticipant.isCameraEnabled) {
+      pausedCameraRef.current = true;
+      await room.localParticipant.setCameraEnabled(false);
+    }
+  }, [room, setRemoteVideo]);
+
+  // Bring video back; the camera only if audio-only mode turned it off
+  const restoreVideo = useCallback(async () => {
+    audioOnlyRef.current = false;
+    setAudioOnly(false);
+    streakRef.current = { poor: 0, good: 0 };
+    setRemoteVideo(true);
+    if (pausedCameraRef.current) {
+      pausedCameraRef.current = false;
+      await room.localParticipant.setCameraEnabled(true);
+    }
+  }, [room, setRemoteVideo]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const sample = async () => {
+      const now = performance.now();
+      const previous = previousRef.current;
+      const current = {};
+      const measure = (key, stats) => {
+        current[key] = { ...stats, at: now };
+        const last = previous[key];
+        return toHealthMetrics(stats, last, last ? (now - last.at) / 1000 : 0);
+      };
+
+      try {
+        const remoteParticipants = Array.from(room.remoteParticipants.values());
+        const remoteStats = await Promise.all(remoteParticipants.map(readParticipantStats));
+        const localStats = remoteStats.reduce(mergeTrackStats, await readParticipantStats(room.localParticipant));
+
+        const local = {
+          identity: room.localParticipant.identity,
+          name: 'You',
+          quality: room.localParticipant.connectionQuality,
+          ...measure('local', localStats),
+        };
+        const remotes = remoteParticipants.map((participant, index) => ({
+          identity: participant.identity,
+          name: participant.name || participant.identity,
+          quality: participant.connectionQuality,
+          ...measure(`remote:${participant.identity}`, remoteStats[index]),
+        }));
+        previousRef.current = current;
+        setHealth({ local, remotes });
+
+        if (local.sendKbps !== null) {
+          const { identity, name, ...metrics } = local;
+          pendingRef.current.push({ at: new Date().toISOString(), ...metrics, audioOnly: audioOnlyRef.current });
+        }
+
+        const streak = streakRef.current;
+        if (isPoorQuality(local.quality)) {
+          streak.poor += 1;
+          streak.good = 0;
+        } else if (local.quality === ConnectionQuality.Excellent || local.quality === ConnectionQuality.Good) {
+          streak.good += 1;
+          streak.poor = 0;
+        }
+        if (!audioOnlyRef.current && streak.poor >= POOR_SAMPLES_BEFORE_AUDIO_ONLY) {
+          await enterAudioOnly();
+        } else if (audioOnlyRef.current && streak.good >= GOOD_SAMPLES_BEFORE_VIDEO) {
+          await restoreVideo();
+        } else if (audioOnlyRef.current) {
+          // Keep video off for anyone who joined since
+          setRemoteVideo(false);
+        }
+      } catch (error) {
+        console.error('Error reading call stats:', error);
+      }
+    };
+
+    sample();
+    const interval = setInterval(sample, HEALTH_SAMPLE_MS);
+    return () => clearInterval(interval);
+  }, [enabled, room, enterAudioOnly, restoreVideo, setRemoteVideo]);
+
+  // Send the samples in batches, and whatever is left when the call ends
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const sendSamples = (keepalive) => {
+      const samples = pendingRef.current.splice(0);
+      if (samples.length === 0) {
+        return;
+      }
+      fetch(apiUrl('/telemetry'), {
+        method: 'POST',
+        keepalive,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, samples })
+      }).catch((error) => console.error('Error sending call telemetry:', error));
+    };
+
+    const interval = setInterval(() => sendSamples(false), TELEMETRY_POST_MS);
+    return () => {
+      clearInterval(interval);
+      sendSamples(true);
+    };
+  }, [enabled, roomName, token]);
+
+  return { health, audioOnly, restoreVideo };
+}
+
+const formatMetric = (value, unit) => (value === null ? '–' : `${Math.round(value)} ${unit}`);
+
+function CallHealthPanel({ health, open, onClose }) {
+  if (!open) {
+    return null;
+  }
+
+  const rows = health ? [health.local, ...health.remotes] : [];
+  return (
+    <div className="call-health-panel">
+      <div className="chat-header">
+        <span className="chat-title">Call health</span>
+        <button className="chat-header-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {rows.length === 0 && <div className="call-health-empty">Measuring...</div>}
+      {rows.map((row, index) => (
+        <div key={row.identity} className="call-health-row">
+          <div className="call-health-name">
+            <span className={`quality-dot ${row.quality}`}></span>
+            <span>{row.name}</span>
+            <span className={`call-health-quality ${row.quality}`}>{CONNECTION_QUALITY_LABELS[row.quality]}</span>
+          </div>
+          <div className="call-health-metrics">
+            {index === 0 && <span>Up {formatMetric(row.sendKbps, 'kbps')}</span>}
+            <span>Down {formatMetric(row.receiveKbps, 'kbps')}</span>
+            <span>Loss {row.packetLossPercent === null ? '–' : `${row.packetLossPercent}%`}</span>
+            <span>Jitter {formatMetric(row.jitterMs, 'ms')}</span>
+            {index === 0 && <span>RTT {formatMetric(row.rttMs, 'ms')}</span>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Annotation: a whiteboard layer over a shared screen or an uploaded image.
+// Clinicians draw; each finished stroke goes to everyone on the annotation
+// data topic, with coordinates relative to the picture (0-1) so it lands
+// in the same place on every screen. Anyone joining asks for the board.
+const ANNOTATION_TOPIC = 'annotation';
+
+const ANNOTATION_TOOLS = [
+  ['pen', 'Pen'],
+  ['arrow', 'Arrow'],
+  ['highlight', 'Highlight'],
+];
+
+const ANNOTATION_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#ffffff'];
+
+// Keeps a stroke well inside a single data message
+const MAX_STROKE_POINTS = 400;
+const SNAPSHOT_MAX_WIDTH = 1920;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Draw a stroke on a canvas of the given size
+function drawStroke(context, stroke, width, height) {
+  const points = stroke.points.map(([x, y]) => [x * width, y * height]);
+  if (points.length === 0) {
+    return;
+  }
+  const lineWidth = Math.max(2, width * (stroke.tool === 'highlight' ? 0.02 : 0.004));
+
+  context.save();
+  context.strokeStyle = stroke.color;
+  context.fillStyle = stroke.color;
+  context.lineWidth = lineWidth;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.globalAlpha = stroke.tool === 'highlight' ? 0.35 : 1;
+  context.beginPath();
+  context.moveTo(points[0][0], points[0][1]);
+  points.slice(1).forEach(([x, y]) => context.lineTo(x, y));
+  if (points.length === 1) {
+    // A tap leaves a dot
+    context.lineTo(points[0][0] + 0.1, points[0][1]);
+  }
+  context.stroke();
+
+  if (stroke.tool === 'arrow' && points.length > 1) {
+    const [fromX, fromY] = points[points.length - 2];
+    const [toX, toY] = points[points.length - 1];
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    const head = lineWidth * 4;
+    context.beginPath();
+    context.moveTo(toX, toY);
+    context.lineTo(toX - head * Math.cos(angle - Math.PI / 6), toY - head * Math.sin(angle - Math.PI / 6));
+    context.lineTo(toX - head * Math.cos(angle + Math.PI / 6), toY - head * Math.sin(angle + Math.PI / 6));
+    context.closePath();
+    context.fill();
+  }
+  context.restore();
+}
+
+function AnnotationBoard({ roomName, token, canAnnotate, menuOpen, onMenuClose }) {
+  const room = useRoomContext();
+  const permissions = useLocalParticipantPermissions();
+  const screenShares = useTracks([Track.Source.ScreenShare]);
+  const [board, setBoard] = useState(null);
+  const [hiddenBoardId, setHiddenBoardId] = useState(null);
+  const [tool, setTool] = useState('pen');
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [mediaSize, setMediaSize] = useState(null);
+  const [stageSize, setStageSize] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const boardRef = useRef(null);
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const mediaRef = useRef(null);
+  const drawingRef = useRef(null);
+  const fileInput = useRef(null);
+  boardRef.current = board;
+
+  const publish = useCallback((message, destinationIdentities) =>
+    room.localParticipant
+      .publishData(new TextEncoder().encode(JSON.stringify(message)), {
+        reliable: true,
+        topic: ANNOTATION_TOPIC,
+        ...(destinationIdentities && { destinationIdentities }),
+      })
+      .catch((error) => console.error('Error sending annotation:', error)),
+  [room]);
+
+  // The whole board, one stroke per message, for someone who just joined
+  const sendBoard = useCallback(async (identity) => {
+    const current = boardRef.current;
+    await publish({ type: 'open', board: { id: current.id, background: current.background } }, [identity]);
+    for (const stroke of current.strokes) {
+      await publish({ type: 'stroke', boardId: current.id, stroke }, [identity]);
+    }
+  }, [publish]);
+
+  const handleMessage = useCallback((msg) => {
+    const message = JSON.parse(new TextDecoder().decode(msg.payload));
+    if (message.type === 'sync_request') {
+      if (canAnnotate && boardRef.current && msg.from) {
+        sendBoard(msg.from.identity);
+      }
+      return;
+    }
+    // Only clinicians draw
+    if (!msg.from || getParticipantInfo(msg.from).role !== 'clinician') {
+      return;
+    }
+
+    const forBoard = (update) => setBoard((current) => (current && current.id === message.boardId ? update(current) : current));
+    switch (message.type) {
+      case 'open':
+        setBoard({ id: message.board.id, background: message.board.background, strokes: [] });
+        break;
+      case 'stroke':
+        forBoard((current) => (current.strokes.some((stroke) => stroke.id === message.stroke.id)
+          ? current
+          : { ...current, strokes: [...current.strokes, message.stroke] }));
+        break;
+      case 'undo':
+        forBoard((current) => ({ ...current, strokes: current.strokes.filter((stroke) => stroke.id !== message.strokeId) }));
+        break;
+      case 'clear':
+        forBoard((current) => ({ ...current, strokes: [] }));
+        break;
+      case 'close':
+        forBoard(() => null);
+        break;
+      default:
+        break;
+    }
+  }, [canAnnotate, sendBoard]);
+  useDataChannel(ANNOTATION_TOPIC, handleMessage);
+
+  // Catch up with a board opened before we arrived
+  const canPublishData = !!permissions?.canPublishData;
+  useEffect(() => {
+    if (canPublishData) {
+      publish({ type: 'sync_request' });
+    }
+  }, [canPublishData, publish]);
+
+  // A shared screen's board closes with the share
+  const background = board?.background;
+  const screenTrack = background?.kind === 'screen'
+    ? screenShares.find((track) => track.publication.trackSid === background.trackSid)
+    : null;
+  useEffect(() => {
+    if (background?.kind !== 'screen') {
+      return;
+    }
+    const sharer = room.localParticipant.identity === background.identity
+      ? room.localParticipant
+      : room.remoteParticipants.get(background.identity);
+    if (!sharer?.getTrackPublication(Track.Source.ScreenShare)) {
+      setBoard(null);
+    }
+  }, [background, screenShares, room]);
+
+  // Uploaded images need the room token, so they are shown from a blob URL
+  const imageId = background?.kind === 'image' ? background.id : null;
+  useEffect(() => {
+    if (!imageId) {
+      return undefined;
+    }
+    let url = null;
+    let cancelled = false;
+    const loadImage = async () => {
+      try {
+        const response = await fetch(
+          apiUrl(`/annotations/${encodeURIComponent(imageId)}/file?room=${encodeURIComponent(roomName)}`),
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!response.ok) {
+          throw new Error(`Image request failed with ${response.status}`);
+        }
+        url = URL.createObjectURL(await response.blob());
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+        } else {
+          setImageUrl(url);
+        }
+      } catch (error) {
+        console.error('Error loading annotation image:', error);
+        setStatus('Could not load the image');
+      }
+    };
+    loadImage();
+    return () => {
+      cancelled = true;
+      setImageUrl(null);
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [imageId, roomName, token]);
+
+  // The picture is scaled to fit the stage, and the canvas laid over it
+  const boardId = board?.id;
+  useEffect(() => setMediaSize(null), [boardId]);
+  const open = !!board && hiddenBoardId !== board.id;
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!open || !stage) {
+      return undefined;
+    }
+    const observer = new ResizeObserver(() => setStageSize({ width: stage.clientWidth, height: stage.clientHeight }));
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, [open]);
+
+  const fit = useMemo(() => {
+    if (!mediaSize || !stageSize) {
+      return null;
+    }
+    const scale = Math.min(stageSize.width / mediaSize.width, stageSize.height / mediaSize.height);
+    return { width: Math.floor(mediaSize.width * scale), height: Math.floor(mediaSize.height * scale) };
+  }, [mediaSize, stageSize]);
+
+  const redraw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !fit || !board) {
+      return;
+    }
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = fit.width * ratio;
+    canvas.height = fit.height * ratio;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    [...board.strokes, ...(drawingRef.current ? [drawingRef.current] : [])]
+      .forEach((stroke) => drawStroke(context, stroke, fit.width, fit.height));
+  }, [board, fit]);
+  useEffect(() => redraw(), [redraw]);
+
+  const pointFromEvent = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const clamp = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+    return [clamp((event.clientX - rect.left) / rect.width), clamp((event.clientY - rect.top) / rect.height)];
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drawingRef.current = { id: createId(), by: room.localParticipant.identity, tool, color, points: [pointFromEvent(event)] };
+    redraw();
+  };
+
+  const handlePointerMove = (event) => {
+    const stroke = drawingRef.current;
+    if (!stroke) {
+      return;
+    }
+    const point = pointFromEvent(event);
+    const [lastX, lastY] = stroke.points[stroke.points.length - 1];
+    if (stroke.tool === 'arrow') {
+      stroke.points = [stroke.points[0], point];
+    } else if (stroke.points.length < MAX_STROKE_POINTS && Math.hypot(point[0] - lastX, point[1] - lastY) > 0.002) {
+      stroke.points.push(point);
+    }
+    redraw();
+  };
+
+  const handlePointerUp = () => {
+    const stroke = drawingRef.current;
+    drawingRef.current = null;
+    if (!stroke || !board) {
+      return;
+    }
+    setBoard({ ...board, strokes: [...board.strokes, stroke] });
+    publish({ type: 'stroke', boardId: board.id, stroke });
+  };
+
+  const openBoard = (newBackground) => {
+    const opened = { id: createId(), background: newBackground, strokes: [] };
+    setBoard(opened);
+    setStatus('');
+    publish({ type: 'open', board: { id: opened.id, background: newBackground } });
+    onMenuClose();
+  };
+
+  const handleUploadImage = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setBusy(true);
+    setStatus('');
+    try {
+      const response = await fetch(apiUrl('/annotations'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          room: roomName,
+          kind: 'image',
+          name: file.name,
+          contentType: file.type,
+          data: await readFileAsBase64(file),
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload the image');
+      }
+      openBoard({ kind: 'image', id: data.annotation.id, name: data.annotation.name });
+    } catch (error) {
+      console.error('Error uploading annotation image:', error);
+      setStatus(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUndo = () => {
+    const mine = board.strokes.filter((stroke) => stroke.by === room.localParticipant.identity);
+    const last = mine[mine.length - 1];
+    if (!last) {
+      return;
+    }
+    setBoard({ ...board, strokes: board.strokes.filter((stroke) => stroke !== last) });
+    publish({ type: 'undo', boardId: board.id, strokeId: last.id });
+  };
+
+  const handleClear = () => {
+    setBoard({ ...board, strokes: [] });
+    publish({ type: 'clear', boardId: board.id });
+  };
+
+  const handleClose = () => {
+    publish({ type: 'close', boardId: board.id });
+    setBoard(null);
+  };
+
+  // The picture with its annotations, saved to the visit record
+  const handleSaveSnapshot = async () => {
+    setBusy(true);
+    setStatus('');
+    try {
+      const scale = Math.min(1, SNAPSHOT_MAX_WIDTH / mediaSize.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(mediaSize.width * scale);
+      canvas.height = Math.round(mediaSize.height * scale);
+      const context = canvas.getContext('2d');
+      context.drawImage(mediaRef.current, 0, 0, canvas.width, canvas.height);
+      board.strokes.forEach((stroke) => drawStroke(context, stroke, canvas.width, canvas.height));
+
+      const name = `${background.kind === 'image' ? background.name.replace(/\.[^.]+$/, '') : 'screen'}-annotated.jpg`;
+      const response = await fetch(apiUrl('/annotations'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          room: roomName,
+          kind: 'snapshot',
+          name,
+          contentType: 'image/jpeg',
+          data: canvas.toDataURL('image/jpeg', 0.9).split(',')[1],
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save the snapshot');
+      }
+      setStatus('Snapshot saved to the visit record');
+    } catch (error) {
+      console.error('Error saving annotation snapshot:', error);
+      setStatus(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVideoSize = (event) => {
+    const { videoWidth, videoHeight } = event.currentTarget;
+    if (videoWidth && videoHeight) {
+      setMediaSize({ width: videoWidth, height: videoHeight });
+    }
+  };
+
+  return (
+    <>
+      {menuOpen && canAnnotate && (
+        <div className="annotation-menu">
+          {screenShares.map((track) => (
+            <button
+              key={track.publication.trackSid}
+              onClick={() => openBoard({
+                kind: 'screen',
+                identity: track.participant.identity,
+                trackSid: track.publication.trackSid,
+                name: track.participant.name || track.participant.identity,
+              })}
+            >
+              Annotate {track.participant.isLocal ? 'your' : `${track.participant.name || track.participant.identity}'s`} screen
+            </button>
+          ))}
+          <button onClick={() => fileInput.current.click()} disabled={busy}>
+            {busy ? 'Uploading...' : 'Upload an image'}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="image/png,image/jpeg,image/webp"
+            onChange={handleUploadImage}
+            hidden
+          />
+          <button className="annotation-menu-cancel" onClick={onMenuClose}>Cancel</button>
+          {!open && status && <div className="annotation-status">{status}</div>}
+        </div>
+      )}
+
+      {open && (
+        <div className="annotation-board">
+          <div className="annotation-toolbar">
+            {canAnnotate ? (
+              <>
+                {ANNOTATION_TOOLS.map(([value, label]) => (
+                  <button
+                    key={value}
+                    className={`annotation-tool ${tool === value ? 'on' : ''}`}
+                    onClick={() => setTool(value)}
+                  >
+                    {label}
+                  </button>
+                ))}
+                {ANNOTATION_COLORS.map((value) => (
+                  <button
+                    key={value}
+                    className={`annotation-color ${color === value ? 'on' : ''}`}
+                    style={{ background: value }}
+                    onClick={() => setColor(value)}
+                    title={value}
+                  />
+                ))}
+                <button className="annotation-tool" onClick={handleUndo}>Undo</button>
+                <button className="annotation-tool" onClick={handleClear}>Clear</button>
+                <button className="annotation-tool" onClick={handleSaveSnapshot} disabled={busy || !mediaSize}>
+                  {busy ? 'Saving...' : 'Save snapshot'}
+                </button>
+                <button className="annotation-tool" onClick={handleClose}>Close</button>
+              </>
+            ) : (
+              <>
+                <span className="annotation-title">
+                  Your clinician is annotating {background.kind === 'image' ? background.name : `${background.name}'s screen`}
+                </span>
+                <button className="annotation-tool" onClick={() => setHiddenBoardId(board.id)}>Hide</button>
+              </>
+            )}
+            {status && <span className="annotation-status">{status}</span>}
+          </div>
+          <div className="annotation-stage" ref={stageRef}>
+            <div className="annotation-surface" style={fit ? { width: fit.width, height: fit.height } : { width: '100%', height: '100%' }}>
+              {background.kind === 'image' ? (
+                imageUrl && (
+                  <img
+                    ref={mediaRef}
+                    src={imageUrl}
+                    alt={background.name}
+                    onLoad={(event) => setMediaSize({
+                      width: event.currentTarget.naturalWidth,
+                      height: event.currentTarget.naturalHeight,
+                    })}
+                  />
+                )
+              ) : (
+                screenTrack && (
+                  <VideoTrack
+                    ref={mediaRef}
+                    trackRef={screenTrack}
+                    onLoadedMetadata={handleVideoSize}
+                    onResize={handleVideoSize}
+                  />
+                )
+              )}
+              <canvas
+                ref={canvasRef}
+                className={canAnnotate ? 'drawable' : ''}
+                onPointerDown={canAnnotate ? handlePointerDown : undefined}
+                onPointerMove={canAnnotate ? handlePointerMove : undefined}
+                onPointerUp={canAnnotate ? handlePointerUp : undefined}
+                onPointerCancel={canAnnotate ? handlePointerUp : undefined}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+const INVITE_ROLE_LABELS = {
+  interpreter: 'Interpreter',
+  caregiver: 'Family caregiver',
+  specialist: 'Specialist',
+};
+
+const INVITE_STATUS_LABELS = {
+  pending: 'Not used yet',
+  used: 'Joined',
+  expired: 'Expired',
+  revoked: 'Revoked',
+};
+
+// Invite an interpreter, a family caregiver or a specialist to the visit
+// with a single-use link, and mute, remove or revoke whoever was invited.
+// Clinicians only.
+function InvitePanel({ roomName, token, open, onClose, onRemoved }) {
+  const participants = useParticipants();
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState('interpreter');
+  const [name, setName] = useState('');
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [inviteError, setInviteError] = useState('');
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const response = await fetch(apiUrl(`/invites?room=${encodeURIComponent(roomName)}`), {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setInvites(data.invites);
+      } else {
+        setInviteError(data.error || 'Failed to load invites');
+      }
+    } catch (error) {
+      console.error('Error loading invites:', error);
+      setInviteError('Failed to load invites');
+    }
+  }, [roomName, token]);
+
+  useEffect(() => {
+    if (open) {
+      loadInvites();
+    }
+  }, [open, loadInvites]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setInviteError('');
+    setCopied(false);
+
+    try {
+      const response = await fetch(apiUrl('/invites'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, role: inviteRole, name })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setLink(data.link);
+        setName('');
+        loadInvites();
+      } else {
+        setInviteError(data.error || 'Failed to create invite');
+      }
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      setInviteError('Failed to create invite');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying invite link:', error);
+    }
+  };
+
+  const handleAction = async (action, invite) => {
+    setInviteError('');
+    try {
+      const response = await fetch(apiUrl(`/invites/${encodeURIComponent(invite.id)}/${action}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setInviteError(data.error || `Failed to ${action} ${invite.name}`);
+      } else if (action !== 'mute') {
+        onRemoved(invite.identity);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} invited participant:`, error);
+      setInviteError(`Failed to ${action} ${invite.name}`);
+    }
+    loadInvites();
+  };
+
+  if (!open) {
+    return null;
+  }
+
+  const inCall = new Set(participants.map((participant) => participant.identity));
+  return (
+    <div className="invite-panel">
+      <div className="chat-header">
+        <span className="chat-title">Invite to this visit</span>
+        <button className="chat-header-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <form className="invite-form" onSubmit={handleCreate}>
+        <select value={inviteRole} onChange={(event) => setInviteRole(event.target.value)} disabled={busy}>
+          {Object.entries(INVITE_ROLE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Name (optional)"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          disabled={busy}
+        />
+        <button type="submit" disabled={busy}>
+          {busy ? '...' : 'Create link'}
+        </button>
+      </form>
+
+      {link && (
+        <div className="invite-link">
+          <span>Send this link; it works once:</span>
+          <input type="text" value={link} readOnly onFocus={(event) => event.target.select()} />
+          <button onClick={handleCopy}>{copied ? 'Copied' : 'Copy'}</button>
+        </div>
+      )}
+
+      {inviteError && <div className="waiting-queue-error">{inviteError}</div>}
+
+      <div className="invite-list">
+        {invites.map((invite) => {
+          const present = inCall.has(invite.identity);
+          return (
+            <div key={invite.id} className="invite-item">
+              <div className="invite-item-name">
+                {invite.name}
+                <span className="role-name">{INVITE_ROLE_LABELS[invite.role]}</span>
+              </div>
+              <div className="invite-item-status">
+                {present ? 'In the visit' : INVITE_STATUS_LABELS[invite.status]}
+              </div>
+              <div className="invite-item-actions">
+                {present && (
+                  <>
+                    <button onClick={() => handleAction('mute', invite)}>Mute</button>
+                    <button onClick={() => handleAction('remove', invite)}>Remove</button>
+                  </>
+                )}
+                {(invite.status === 'pending' || invite.status === 'used') && (
+                  <button className="deny-button" onClick={() => handleAction('revoke', invite)}>Revoke</button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const PRESENCE_TOPIC = 'presence';
+
+// How long someone whose connection dropped is shown as reconnecting
+const RECONNECT_GRACE_MS = 2 * 60 * 1000;
+
+// Participants whose connection dropped and who may be on their way back:
+// those still in the room with a lost connection, and those gone from it
+// without saying goodbye on the presence topic (for RECONNECT_GRACE_MS).
+// markLeft(identity) tells it someone was removed rather than dropped.
+function useReconnectingParticipants() {
+  const participants = useParticipants();
+  const [dropped, setDropped] = useState([]);
+  const previousRef = useRef(new Map());
+  const leftRef = useRef(new Set());
+
+  const markLeft = useCallback((identity) => {
+    leftRef.current.add(identity);
+  }, []);
+
+  const handlePresence = useCallback((msg) => {
+    const message = JSON.parse(new TextDecoder().decode(msg.payload));
+    if (message.type === 'leaving' && msg.from) {
+      markLeft(msg.from.identity);
+    }
+  }, [markLeft]);
+  useDataChannel(PRESENCE_TOPIC, handlePresence);
+
+  useEffect(() => {
+    const present = new Map(participants.map((participant) => [participant.identity, participant]));
+    const newlyDropped = [...previousRef.current.values()]
+      .filter((participant) => !present.has(participant.identity))
+      .filter((participant) => !leftRef.current.delete(participant.identity))
+      .filter((participant) => !getParticipantInfo(participant).waiting)
+      .map((participant) => ({
+        identity: participant.identity,
+        name: participant.name || participant.identity,
+        role: getParticipantInfo(participant).role,
+        since: Date.now(),
+      }));
+    previousRef.current = new Map([...present].filter(([, participant]) => !participant.isLocal));
+
+    setDropped((current) => {
+      const stillAway = current.filter((entry) => !present.has(entry.identity));
+      return newlyDropped.length === 0 && stillAway.length === current.length ? current : [...stillAway, ...newlyDropped];
+    });
+  }, [participants]);
+
+  // Stop expecting those who did not come back
+  const anyDropped = dropped.length > 0;
+  useEffect(() => {
+    if (!anyDropped) {
+      return;
+    }
+    const timer = setInterval(() => {
+      setDropped((current) => current.filter((entry) => Date.now() - entry.since < RECONNECT_GRACE_MS));
+    }, 10000);
+    return () => clearInterval(timer);
+  }, [anyDropped]);
+
+  const lost = participants
+    .filter((participant) => !participant.isLocal && participant.connectionQuality === ConnectionQuality.Lost)
+    .map((participant) => ({
+      identity: participant.identity,
+      name: participant.name || participant.identity,
+      role: getParticipantInfo(participant).role,
+    }));
+  return { reconnecting: [...lost, ...dropped], markLeft };
+}
+
+// Custom video conference component with end call and recording buttons
+function CustomVideoConference({ onEndCall, roomName, username, role, token, waiting, mediaChoices, rejoining }) {
+  const room = useRoomContext();
+  const participants = useParticipants();
+  const permissions = useLocalParticipantPermissions();
+  const canRecord = role === 'clinician';
+  const [waitingRoomError, setWaitingRoomError] = useState('');
+
+  // Patients stay in the waiting room until the clinician grants them subscribe permission
+  const inWaitingRoom = permissions ? role === 'patient' && !permissions.canSubscribe : waiting;
+  const waitingPatients = participants.filter(
+    (participant) => participant !== room.localParticipant && getParticipantInfo(participant).waiting
+  );
+
+  // Turn on camera and microphone once we have been admitted, or once the
+  // server lets us publish again after a recording consent prompt
+  const [resumeMedia, setResumeMedia] = useState(waiting);
+  const canPublish = !!permissions?.canPublish;
+  useEffect(() => {
+    if (resumeMedia && !inWaitingRoom && canPublish) {
+      setResumeMedia(false);
+      room.localParticipant.setMicrophoneEnabled(mediaChoices.micEnabled);
+      room.localParticipant.setCameraEnabled(mediaChoices.cameraEnabled);
+    }
+  }, [resumeMedia, inWaitingRoom, canPublish, room, mediaChoices]);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingLoading, setRecordingLoading] = useState(false);
+  const [egressId, setEgressId] = useState(null);
+  const [recordingStartedBy, setRecordingStartedBy] = useState(null);
+  const [recordingError, setRecordingError] = useState('');
+  const [recordingStartTime, setRecordingStartTime] = useState(null);
+  const [canStopRecording, setCanStopRecording] = useState(false);
+  const [consentRequest, setConsentRequest] = useState(null);
+  const [awaitingConsent, setAwaitingConsent] = useState(null);
+  const [consentNotice, setConsentNotice] = useState('');
+  const [captionsOn, setCaptionsOn] = useState(false);
+  const [captionsStarted, setCaptionsStarted] = useState(false);
+  const [chatOpen, setChatOpen] = useState(false);
+  const [unreadChat, setUnreadChat] = useState(0);
+  const [healthOpen, setHealthOpen] = useState(false);
+  const [annotationMenuOpen, setAnnotationMenuOpen] = useState(false);
+  const [invitesOpen, setInvitesOpen] = useState(false);
+  const [moderationError, setModerationError] = useState('');
+
+  // Whether the clinician locked the visit, mirrored in the room metadata
+  const { metadata: roomMetadata } = useRoomInfo();
+  const roomLocked = useMemo(() => {
+    try {
+      return !!JSON.parse(roomMetadata || '{}').locked;
+    } catch (e) {
+      return false;
+    }
+  }, [roomMetadata]);
+  const [screenShareError, setScreenShareError] = useState('');
+  const { health, audioOnly, restoreVideo } = useCallHealth({ room, roomName, token, enabled: !inWaitingRoom });
+  const localQuality = health?.local.quality;
+
+  const handleUnreadChat = useCallback(() => {
+    setUnreadChat((count) => count + 1);
+  }, []);
+
+  const handleToggleChat = () => {
+    setChatOpen(!chatOpen);
+    setUnreadChat(0);
+  };
+
+  // Recording consent prompts and outcomes from the server
+  const handleConsentMessage = useCallback((msg) => {
+    const message = JSON.parse(new TextDecoder().decode(msg.payload));
+
+    switch (message.type) {
+      case 'consent_request':
+        setConsentRequest(message);
+        break;
+      case 'consent_granted':
+        setConsentRequest(null);
+        setAwaitingConsent(null);
+        setIsRecording(true);
+        break;
+      case 'consent_declined':
+        setConsentRequest(null);
+        setAwaitingConsent(null);
+        setRecordingError(`Recording was not started: ${message.identity} declined`);
+        break;
+      case 'publishing_restored':
+        setConsentNotice('');
+        setResumeMedia(true);
+        break;
+      default:
+        break;
+    }
+  }, []);
+  useDataChannel('recording-consent', handleConsentMessage);
+
+  // Minimum time before allowing stop (to let egress initialize)
+  const MIN_RECORDING_TIME_MS = 10000; // 10 seconds
+
+  // Enable stop button after minimum time
+  useEffect(() => {
+    if (isRecording && recordingStartTime) {
+      const elapsed = Date.now() - recordingStartTime;
+      if (elapsed >= MIN_RECORDING_TIME_MS) {
+        setCanStopRecording(true);
+      } else {
+        const timer = setTimeout(() => {
+          setCanStopRecording(true);
+        }, MIN_RECORDING_TIME_MS - elapsed);
+        return () => clearTimeout(timer);
+      }
+    } else {
+      setCanStopRecording(false);
+    }
+  }, [isRecording, recordingStartTime]);
+
+  // Check recording status on mount and periodically
+  useEffect(() => {
+    const checkRecordingStatus = async () => {
+      try {
+        const url = apiUrl(`/recording-status?room=${encodeURIComponent(roomName)}`);
+        
+        const response = await fetch(url);
+        if (response.ok) {
+          const data = await response.json();
+          setIsRecording(data.isRecording);
+          if (data.isRecording) {
+            setEgressId(data.egressId);
+            setRecordingStartedBy(data.startedBy);
+          }
+        }
+      } catch (error) {
+        console.error('Error checking recording status:', error);
+      }
+    };
+
+    checkRecordingStatus();
+    const interval = setInterval(checkRecordingStatus, 5000); // Check every 5 seconds
+    return () => clearInterval(interval);
+  }, [roomName]);
+
+  const handleEndCall = useCallback(async () => {
+    // Say goodbye, so the others do not wait for us to reconnect
+    if (room.state === ConnectionState.Connected) {
+      await room.localParticipant
+        .publishData(new TextEncoder().encode(JSON.stringify({ type: 'leaving' })), { reliable: true, topic: PRESENCE_TOPIC })
+        .catch((error) => console.error('Error sending goodbye:', error));
+    }
+    room.disconnect();
+    onEndCall();
+  }, [room, onEndCall]);
+
+  // Our own connection: reconnecting within the SDK, or rejoining after a drop
+  const connectionState = useConnectionState();
+  const reconnecting = connectionState === ConnectionState.Reconnecting ||
+    (rejoining && connectionState !== ConnectionState.Connected);
+  const { reconnecting: reconnectingParticipants, markLeft } = useReconnectingParticipants();
+
+  // Moderation (clinicians; the server checks the room admin grant)
+  const postModeration = useCallback(async (action, body) => {
+    const response = await fetch(apiUrl(`/moderation/${action}`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ room: roomName, ...body })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to ${action}`);
+    }
+    return data;
+  }, [roomName, token]);
+
+  const handleModerate = useCallback(async (action, participant, options = {}) => {
+    const name = participant.name || participant.identity;
+    if (action === 'remove' && !window.confirm(`Remove ${name} from the visit?`)) {
+      return;
+    }
+    if (action === 'revoke' && !window.confirm(`Remove ${name} and stop them rejoining this visit?`)) {
+      return;
+    }
+    setModerationError('');
+    try {
+      if (action === 'revoke') {
+        // Revocations have their own route (see lib/revocations.js)
+        const response = await fetch(apiUrl('/revocations'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ room: roomName, identity: participant.identity })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to revoke access');
+        }
+      } else {
+        await postModeration(action, { identity: participant.identity, ...options });
+      }
+      if (action === 'remove' || action === 'revoke') {
+        markLeft(participant.identity);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} ${participant.identity}:`, error);
+      setModerationError(error.message);
+    }
+  }, [postModeration, markLeft, roomName, token]);
+
+  const handleToggleLock = async () => {
+    setModerationError('');
+    try {
+      await postModeration(roomLocked ? 'unlock' : 'lock', {});
+    } catch (error) {
+      console.error('Error changing the visit lock:', error);
+      setModerationError(error.message);
+    }
+  };
+
+  const handleEndVisit = async () => {
+    if (!window.confirm('End the visit for everyone? Any recording is stopped.')) {
+      return;
+    }
+    setModerationError('');
+    try {
+      await postModeration('end', {});
+      handleEndCall();
+    } catch (error) {
+      console.error('Error ending the visit:', error);
+      setModerationError(error.message);
+    }
+  };
+
+  const handleStartRecording = async () => {
+    // Check if there are participants with audio tracks
+    const participants = Array.from(room.remoteParticipants.values());
+    const localParticipant = room.localParticipant;
+    
+    // Check if local participant has audio enabled
+    const hasLocalAudio = localParticipant?.isMicrophoneEnabled;
+    const hasRemoteAudio = participants.some(p => 
+      Array.from(p.audioTrackPublications.values()).some(pub => pub.isSubscribed)
+    );
+    
+    if (!hasLocalAudio && !hasRemoteAudio && participants.length === 0) {
+      setRecordingError('Cannot start recording: No audio tracks available. Make sure your microphone is enabled.');
+      return;
+    }
+    
+    setRecordingLoading(true);
+    setRecordingError('');
+    
+    try {
+      const url = apiUrl('/start-recording');
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, identity: username })
+      });
+      
+      const data = await response.json();
+      
+      if (response.status === 202) {
+        // Recording starts once everyone has consented
+        setAwaitingConsent(data.waitingFor);
+      } else if (response.ok) {
+        setIsRecording(true);
+        setEgressId(data.egressId);
+        setRecordingStartedBy(username);
+        console.log('Recording started:', data);
+      } else {
+        if (response.status === 409) {
+          // Recording already in progress
+          setIsRecording(true);
+          setEgressId(data.egressId);
+          setRecordingStartedBy(data.startedBy);
+          setRecordingError(`Recording already started by ${data.startedBy}`);
+        } else {
+          setRecordingError(data.error || 'Failed to start recording');
+        }
+      }
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      setRecordingError('Failed to start recording');
+    } finally {
+      setRecordingLoading(false);
+    }
+  };
+
+  const handleConsentResponse = async (decision) => {
+    const request = consentRequest;
+    setConsentRequest(null);
+
+    try {
+      const url = apiUrl('/consent/respond');
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, requestId: request.requestId, decision })
+      });
+      
+      if (!response.ok) {
+        const data = await response.json();
+        setRecordingError(data.error || 'Failed to send your consent response');
+      } else if (decision === 'decline' && request.midRecording) {
+        setConsentNotice('You declined to be recorded. Your microphone and camera stay off until the recording ends.');
+      }
+    } catch (error) {
+      console.error('Error sending consent response:', error);
+      setRecordingError('Failed to send your consent response');
+    }
+  };
+
+  // Turning captions on shows them. For clinicians it also asks the server to
+  // start a caption worker for the room; others see captions once one runs.
+  const handleToggleCaptions = async () => {
+    if (captionsOn) {
+      setCaptionsOn(false);
+      return;
+    }
+    setCaptionsOn(true);
+    if (captionsStarted || role !== 'clinician') {
+      return;
+    }
+
+    try {
+      const url = apiUrl('/captions/start');
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName })
+      });
+      
+      if (response.ok) {
+        setCaptionsStarted(true);
+      } else {
+        const data = await response.json();
+        setRecordingError(data.error || 'Failed to start captions');
+      }
+    } catch (error) {
+      console.error('Error starting captions:', error);
+      setRecordingError('Failed to start captions');
+    }
+  };
+
+  const handleWaitingRoom = async (action, identity) => {
+    setWaitingRoomError('');
+
+    try {
+      const url = apiUrl(`/waiting-room/${action}`);
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, identity })
+      });
+      
+      if (!response.ok) {
+        const data = await response.json();
+        setWaitingRoomError(data.error || `Failed to ${action} patient`);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} patient:`, error);
+      setWaitingRoomError(`Failed to ${action} patient`);
+    }
+  };
+
+  // Let a patient share their screen, or stop them
+  const handleScreenSharePermission = async (action, identity) => {
+    setScreenShareError('');
+
+    try {
+      const response = await fetch(apiUrl(`/screen-share/${action}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, identity })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setScreenShareError(data.error || 'Failed to change screen sharing');
+      }
+    } catch (error) {
+      console.error('Error changing screen sharing:', error);
+      setScreenShareError('Failed to change screen sharing');
+    }
+  };
+
+  const handleStopRecording = async () => {
+    setRecordingLoading(true);
+    setRecordingError('');
+    
+    try {
+      const url = apiUrl('/stop-recording');
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ room: roomName, egressId, identity: username })
+      });
+      
+      const data = await response.json();
+      
+      if (response.ok) {
+        setIsRecording(false);
+        setEgressId(null);
+        setRecordingStartedBy(null);
+        console.log('Recording stopped:', data);
+      } else {
+        setRecordingError(data.error || 'Failed to stop recording');
+      }
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      setRecordingError('Failed to stop recording');
+    } finally {
+      setRecordingLoading(false);
+    }
+  };
+
+  if (inWaitingRoom) {
+    return (
+      <div className="waiting-room">
+        <div className="join-card">
+          <div className="logo-section">
+            <div className="logo-icon"></div>
+            <h1>Waiting Room</h1>
+          </div>
+          <p className="waiting-room-message">
+            Your clinician will let you in shortly. Please keep this page open.
+          </p>
+          <button className="end-call-button" onClick={handleEndCall}>
+            Leave
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="custom-video-conference">
+      <CallLayout
+        audioFocus={role === 'interpreter'}
+        onModerate={role === 'clinician' ? handleModerate : undefined}
+      />
+      
+      {/* Waiting room queue (clinicians only) */}
+      {role === 'clinician' && waitingPatients.length > 0 && (
+        <div className="waiting-queue">
+          <div className="waiting-queue-title">Waiting Room</div>
+          {waitingPatients.map((participant) => (
+            <div key={participant.identity} className="waiting-queue-item">
+              <span>{participant.name || participant.identity}</span>
+              <div className="waiting-queue-actions">
+                <button className="admit-button" onClick={() => handleWaitingRoom('admit', participant.identity)}>
+                  Admit
+                </button>
+                <button className="deny-button" onClick={() => handleWaitingRoom('deny', participant.identity)}>
+                  Deny
+                </button>
+              </div>
+            </div>
+          ))}
+          {waitingRoomError && <div className="waiting-queue-error">{waitingRoomError}</div>}
+        </div>
+      )}
+      
+      {/* Recording consent prompt */}
+      {consentRequest && (
+        <div className="consent-overlay">
+          <div className="consent-modal">
+            <h2>Recording consent</h2>
+            <p>
+              {consentRequest.midRecording
+                ? `This visit is being recorded by ${consentRequest.requestedBy}. Your microphone and camera are off until you consent.`
+                : `${consentRequest.requestedBy} would like to record this visit. Recording starts only if everyone agrees.`}
+            </p>
+            <div className="consent-actions">
+              <button className="consent-accept" onClick={() => handleConsentResponse('accept')}>
+                I consent
+              </button>
+              <button className="consent-decline" onClick={() => handleConsentResponse('decline')}>
+                Decline
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* Waiting for participants to consent (clinicians only) */}
+      {awaitingConsent && (
+        <div className="recording-indicator consent-pending">
+          <span>Waiting for consent from {awaitingConsent.join(', ')}</span>
+        </div>
+      )}
+      
+      {/* Recording indicator */}
+      {isRecording && (
+        <div className="recording-indicator">
+          <span className="recording-dot"></span>
+          <span>Recording{recordingStartedBy ? ` (by ${recordingStartedBy})` : ''}</span>
+        </div>
+      )}
+      
+      {roomLocked && <div className="lock-indicator">Visit locked</div>}
+      
+      {/* Participant roles */}
+      <div className="participant-roles">
+        {participants.map((participant) => {
+          const info = getParticipantInfo(participant);
+          const participantRole = info.role;
+          return (
+            <span key={participant.identity} className={`role-badge ${participantRole || ''}`}>
+              {participant.name || participant.identity}
+              {participantRole && <span className="role-name">{participantRole}</span>}
+              {role === 'clinician' && participantRole === 'patient' && !info.waiting && (
+                <button
+                  className={`screen-share-grant ${info.screenShare ? 'on' : ''}`}
+                  onClick={() => handleScreenSharePermission(info.screenShare ? 'revoke' : 'allow', participant.identity)}
+                  title={info.screenShare ? 'Stop this patient sharing their screen' : 'Let this patient share their screen'}
+                >
+                  {info.screenShare ? 'Sharing allowed' : 'Allow sharing'}
+                </button>
+              )}
+            </span>
+          );
+        })}
+        {/* Whose connection dropped, while they may come back (clinicians only) */}
+        {role === 'clinician' && reconnectingParticipants.map((participant) => (
+          <span key={`reconnecting-${participant.identity}`} className="role-badge reconnecting">
+            <span className="reconnecting-dot"></span>
+            {participant.name}
+            {participant.role && <span className="role-name">{participant.role}</span>}
+            <span className="reconnecting-label">reconnecting…</span>
+          </span>
+        ))}
+        {screenShareError && <div className="waiting-queue-error">{screenShareError}</div>}
+        {moderationError && <div className="waiting-queue-error">{moderationError}</div>}
+      </div>
+      
+      <LiveCaptions enabled={captionsOn} />
+      
+      <VisitChat
+        roomName={roomName}
+        username={username}
+        token={token}
+        role={role}
+        open={chatOpen}
+        onClose={handleToggleChat}
+        onUnread={handleUnreadChat}
+      />
+      
+      <CallHealthPanel health={health} open={healthOpen} onClose={() => setHealthOpen(false)} />
+      
+      {role === 'clinician' && (
+        <InvitePanel
+          roomName={roomName}
+          token={token}
+          open={invitesOpen}
+          onClose={() => setInvitesOpen(false)}
+          onRemoved={markLeft}
+        />
+      )}
+      
+      <AnnotationBoard
+        roomName={roomName}
+        token={token}
+        canAnnotate={role === 'clinician'}
+        menuOpen={annotationMenuOpen}
+        onMenuClose={() => setAnnotationMenuOpen(false)}
+      />
+      
+      {/* Poor connection warning, and video paused to keep audio going */}
+      {reconnecting ? (
+        <div className="connection-warning reconnecting">
+          <span>Reconnecting…</span>
+        </div>
+      ) : audioOnly ? (
+        <div className="connection-warning">
+          <span>Your connection is weak, so video is paused to keep the audio clear.</span>
+          <button onClick={restoreVideo}>Turn video back on</button>
+        </div>
+      ) : isPoorQuality(localQuality) && (
+        <div className="connection-warning">
+          <span>Your connection is poor. Others may not see or hear you clearly.</span>
+        </div>
+      )}
+      
+      {consentNotice && (
+        <div className="consent-notice">
+          {consentNotice}
+        </div>
+      )}
+      
+      {/* Recording error message */}
+      {recordingError && (
+        <div className="recording-error">
+          {recordingError}
+        </div>
+      )}
+      
+      <div className="end-call-container">
+        {/* Recording button (clinicians only) */}
+        {canRecord && (
+          <button 
+            className={`recording-button ${isRecording ? 'stop' : 'start'}`}
+            onClick={isRecording ? handleStopRecording : handleStartRecording}
+            disabled={recordingLoading || !!awaitingConsent}
+          >
+            {recordingLoading ? (
+              'Loading...'
+            ) : awaitingConsent ? (
+              'Waiting for consent...'
+            ) : isRecording ? (
+              <>
+                <span className="recording-icon stop"></span>
+                Stop Recording
+              </>
+            ) : (
+              <>
+                <span className="recording-icon start"></span>
+                Start Recording
+              </>
+            )}
+          </button>
+        )}
+        
+        <button
+          className={`captions-button ${captionsOn ? 'on' : ''}`}
+          onClick={handleToggleCaptions}
+          title={captionsOn ? 'Turn captions off' : 'Turn captions on'}
+        >
+          CC
+        </button>
+        
+        <button
+          className={`chat-button ${chatOpen ? 'on' : ''}`}
+          onClick={handleToggleChat}
+          title={chatOpen ? 'Close chat' : 'Open chat'}
+        >
+          Chat
+          {unreadChat > 0 && <span className="chat-unread">{unreadChat}</span>}
+        </button>
+        
+        {role === 'clinician' && (
+          <button
+            className={`invite-button ${invitesOpen ? 'on' : ''}`}
+            onClick={() => setInvitesOpen(!invitesOpen)}
+            title="Invite an interpreter, a family member or a specialist"
+          >
+            Invite
+          </button>
+        )}
+        
+        {role === 'clinician' && (
+          <button
+            className={`annotate-button ${annotationMenuOpen ? 'on' : ''}`}
+            onClick={() => setAnnotationMenuOpen(!annotationMenuOpen)}
+            title="Draw on a shared screen or an image"
+          >
+            Annotate
+          </button>
+        )}
+        
+        <button
+          className={`health-button ${healthOpen ? 'on' : ''}`}
+          onClick={() => setHealthOpen(!healthOpen)}
+          title={healthOpen ? 'Hide call health' : 'Show call health'}
+        >
+          <span className={`quality-dot ${localQuality || ConnectionQuality.Unknown}`}></span>
+          Health
+        </button>
+        
+        {role === 'clinician' && (
+          <button
+            className={`lock-button ${roomLocked ? 'on' : ''}`}
+            onClick={handleToggleLock}
+            title={roomLocked ? 'Let new people join again' : 'Keep anyone new out of the visit'}
+          >
+            {roomLocked ? 'Unlock' : 'Lock'}
+          </button>
+        )}
+        
+        <button className="end-call-button" onClick={handleEndCall}>
+          End Call
+        </button>
+        
+        {role === 'clinician' && (
+          <button className="end-call-button end-for-all" onClick={handleEndVisit}>
+            End for All
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Recordings library URLs: the list (with a filter query) or one recording
+const getRecordingsUrl = (id, query = '') =>
+  apiUrl(`/recordings${id ? `/${encodeURIComponent(id)}` : ''}${query ? `?${query}` : ''}`);
+
+const NOTE_SECTIONS = [
+  ['subjective', 'Subjective'],
+  ['objective', 'Objective'],
+  ['assessment', 'Assessment'],
+  ['plan', 'Plan'],
+];
+
+// SOAP note drafted from a recording's transcript. Clinicians edit the
+// draft and sign it off; signed versions are read-only, and amending starts
+// a new version. Shown only to those the server lets open the note.
+function NoteEditor({ recordingId }) {
+  const [note, setNote] = useState(null);
+  const [content, setContent] = useState(null);
+  const [versionIndex, setVersionIndex] = useState(null);
+  const [hidden, setHidden] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [noteError, setNoteError] = useState('');
+
+  const showNote = useCallback((loaded) => {
+    setNote(loaded);
+    setContent(loaded ? loaded.current.content : null);
+    setVersionIndex(loaded ? loaded.versions.length - 1 : null);
+  }, []);
+
+  useEffect(() => {
+    const loadNote = async () => {
+      setNoteError('');
+      try {
+        const response = await fetch(apiUrl(`/notes?recordingId=${encodeURIComponent(recordingId)}`), {
+          headers: getAuthHeaders()
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setHidden(false);
+          showNote(data.notes[0] || null);
+        } else {
+          setHidden(true);
+        }
+      } catch (e) {
+        console.error('Error loading note:', e);
+        setNoteError('Failed to load the clinical note');
+      }
+    };
+
+    loadNote();
+  }, [recordingId, showNote]);
+
+  const noteAction = async (path, body = {}) => {
+    setBusy(true);
+    setNoteError('');
+    try {
+      const response = await fetch(apiUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (response.ok) {
+        showNote(data.note);
+        return true;
+      }
+      if (response.status === 403 && !note) {
+        // Not a clinician from this visit: nothing to show
+        setHidden(true);
+      }
+      setNoteError(data.error || 'Clinical note operation failed');
+    } catch (e) {
+      console.error('Error updating note:', e);
+      setNoteError('Clinical note operation failed');
+    } finally {
+      setBusy(false);
+    }
+    return false;
+  };
+
+  const noteUrl = (action) => `/notes/${encodeURIComponent(note.id)}/${action}`;
+
+  const handleSignOff = async () => {
+    if (!window.confirm('Sign this note? Signed notes cannot be edited; changes need an amendment.')) {
+      return;
+    }
+    if (await noteAction(noteUrl('draft'), { content })) {
+      await noteAction(noteUrl('sign'));
+    }
+  };
+
+  if (hidden) {
+    return null;
+  }
+
+  if (!note) {
+    return (
+      <div className="note-editor">
+        <h3>Clinical note</h3>
+        <p className="recordings-item-meta">No note has been drafted for this recording yet.</p>
+        {noteError && <div className="error-message">{noteError}</div>}
+        <button className="note-button" onClick={() => noteAction('/notes', { recordingId })} disabled={busy}>
+          Draft note from transcript
+        </button>
+      </div>
+    );
+  }
+
+  const viewed = note.versions[versionIndex];
+  const isLatest = versionIndex === note.versions.length - 1;
+  const editable = isLatest && viewed.status === 'draft';
+  const shownContent = editable ? content : viewed.content;
+
+  return (
+    <div className="note-editor">
+      <div className="note-header">
+        <h3>Clinical note</h3>
+        {note.versions.length > 1 && (
+          <select value={versionIndex} onChange={(event) => setVersionIndex(Number(event.target.value))}>
+            {note.versions.map((version, index) => (
+              <option key={version.version} value={index}>
+                Version {version.version} ({version.status})
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <p className="recordings-item-meta">
+        {viewed.status === 'signed'
+          ? `Signed by ${viewed.signedBy} on ${new Date(viewed.signedAt).toLocaleString()}`
+          : `Draft${viewed.updatedBy === 'system' ? ` generated by the ${note.adapter} summarizer` : `, last edited by ${viewed.updatedBy}`}`}
+      </p>
+
+      {NOTE_SECTIONS.map(([section, label]) => (
+        <label key={section} className="note-section">
+          <span>{label}</span>
+          <textarea
+            value={shownContent[section]}
+            readOnly={!editable}
+            rows={4}
+            onChange={(event) => setContent((current) => ({ ...current, [section]: event.target.value }))}
+          />
+        </label>
+      ))}
+
+      {noteError && <div className="error-message">{noteError}</div>}
+
+      {isLatest && (
+        <div className="note-actions">
+          {editable ? (
+            <>
+              <button className="note-button" onClick={() => noteAction(noteUrl('draft'), { content })} disabled={busy}>
+                Save draft
+              </button>
+              <button className="note-button primary" onClick={handleSignOff} disabled={busy}>
+                Sign off
+              </button>
+            </>
+          ) : (
+            <button className="note-button" onClick={() => noteAction(noteUrl('amend'))} disabled={busy}>
+              Amend
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const PROCESSING_STAGE_LABELS = {
+  download: 'Download',
+  transcode: 'Transcode',
+  speakers: 'Per-speaker audio',
+  transcription: 'Transcription',
+  summary: 'Note draft',
+  audio: 'Audio outputs',
+};
+
+const PROCESSING_STATUS_LABELS = {
+  waiting: 'Waiting',
+  pending: 'Queued',
+  running: 'Running',
+  complete: 'Done',
+  dead: 'Failed',
+};
+
+// Post-visit processing of a recording (transcode, transcribe, draft the
+// note), as reported by the job worker. Refreshes while stages are still
+// due; hidden when the recording has no processing to show.
+function ProcessingProgress({ sessionId, recordingId }) {
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    let timer = null;
+    let cancelled = false;
+
+    const loadProgress = async () => {
+      try {
+        const response = await fetch(apiUrl(`/sessions/${encodeURIComponent(sessionId)}/jobs`), {
+          headers: getAuthHeaders()
+        });
+        const data = await response.json();
+        const current = response.ok
+          ? data.recordings.find((recording) => recording.recordingId === recordingId) || null
+          : null;
+        if (cancelled) {
+          return;
+        }
+        setProgress(current);
+        if (current && (current.status === 'pending' || current.status === 'running')) {
+          timer = setTimeout(loadProgress, 5000);
+        }
+      } catch (e) {
+        console.error('Error loading processing progress:', e);
+      }
+    };
+
+    loadProgress();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionId, recordingId]);
+
+  if (!progress || progress.status === 'not_started') {
+    return null;
+  }
+
+  return (
+    <div className="processing-progress">
+      <div className="processing-header">
+        <h3>Processing</h3>
+        <span className="recordings-item-meta">
+          {progress.completedStages} of {progress.totalStages} stages done
+        </span>
+      </div>
+      <div className="processing-bar">
+        <div
+          className={`processing-bar-fill ${progress.status}`}
+          style={{ width: `${(progress.completedStages / progress.totalStages) * 100}%` }}
+        />
+      </div>
+      <ul className="processing-stages">
+        {progress.stages.map((stage) => (
+          <li key={stage.name} className={`processing-stage ${stage.status}`}>
+            <span>{PROCESSING_STAGE_LABELS[stage.name] || stage.name}</span>
+            <span className="processing-stage-status">
+              {PROCESSING_STATUS_LABELS[stage.status] || stage.status}
+              {stage.status === 'pending' && stage.attempts > 0 && ` (retry ${stage.attempts + 1} of ${stage.maxAttempts})`}
+            </span>
+            {stage.lastError && stage.status !== 'complete' && (
+              <span className="processing-stage-error">{stage.lastError}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Recordings library: browse, play, download and delete past recordings.
+// The server only lists recordings from sessions the signed-in user was in
+// (admins see all); playback URLs are short-lived, so they are fetched on open.
+function RecordingsPage() {
+  const [filters, setFilters] = useState({ room: '', from: '', to: '', participant: '' });
+  const [recordings, setRecordings] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadRecordings = useCallback(async (currentFilters) => {
+    setLoading(true);
+    setError('');
+    const query = new URLSearchParams();
+    Object.entries(currentFilters).forEach(([name, value]) => {
+      if (value) {
+        query.set(name, name === 'to' ? `${value}T23:59:59.999Z` : value);
+      }
+    });
+
+    try {
+      const response = await fetch(getRecordingsUrl(null, query.toString()), { headers: getAuthHeaders() });
+      const data = await response.json();
+      if (response.ok) {
+        setRecordings(data.recordings);
+      } else {
+        setError(data.code === 'missing_credentials' ? 'Please sign in to view recordings.' : data.error);
+      }
+    } catch (e) {
+      console.error('Error loading recordings:', e);
+      setError('Failed to load recordings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRecordings({ room: '', from: '', to: '', participant: '' });
+  }, [loadRecordings]);
+
+  const openRecording = async (id) => {
+    setError('');
+    try {
+      const response = await fetch(getRecordingsUrl(id), { headers: getAuthHeaders() });
+      const data = await response.json();
+      if (response.ok) {
+        setSelected(data);
+      } else {
+        setError(data.error || 'Failed to open recording');
+      }
+    } catch (e) {
+      console.error('Error opening recording:', e);
+      setError('Failed to open recording');
+    }
+  };
+
+  const deleteSelected = async () => {
+    const { recording } = selected;
+    if (!window.confirm(`Delete the recording of ${recording.room} from ${new Date(recording.startedAt).toLocaleString()}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(getRecordingsUrl(recording.id), { method: 'DELETE', headers: getAuthHeaders() });
+      const data = await response.json();
+      if (response.ok) {
+        setSelected(null);
+        setRecordings((current) => current.filter((item) => item.id !== recording.id));
+      } else {
+        setError(data.error || 'Failed to delete recording');
+      }
+    } catch (e) {
+      console.error('Error deleting recording:', e);
+      setError('Failed to delete recording');
+    }
+  };
+
+  const updateFilter = (name) => (event) => {
+    setFilters((current) => ({ ...current, [name]: event.target.value }));
+  };
+
+  return (
+    <div className="recordings-page">
+      <div className="recordings-header">
+        <h1>Recordings</h1>
+        <a className="recordings-back" href="/">Back to visits</a>
+      </div>
+
+      <form
+        className="recordings-filters"
+        onSubmit={(event) => {
+          event.preventDefault();
+          loadRecordings(filters);
+        }}
+      >
+        <input placeholder="Room" value={filters.room} onChange={updateFilter('room')} />
+        <input placeholder="Participant" value={filters.participant} onChange={updateFilter('participant')} />
+        <input type="date" aria-label="From" value={filters.from} onChange={updateFilter('from')} />
+        <input type="date" aria-label="To" value={filters.to} onChange={updateFilter('to')} />
+        <button type="submit" disabled={loading}>{loading ? 'Loading...' : 'Search'}</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="recordings-content">
+        <div className="recordings-list">
+          {recordings.length === 0 && !loading && (
+            <div className="recordings-empty">No recordings found.</div>
+          )}
+          {recordings.map((recording) => (
+            <button
+              key={recording.id}
+              className={`recordings-item ${selected?.recording.id === recording.id ? 'active' : ''}`}
+              onClick={() => openRecording(recording.id)}
+            >
+              <span className="recordings-item-room">{recording.room}</span>
+              <span className="recordings-item-meta">
+                {new Date(recording.startedAt).toLocaleString()} · {recording.status}
+              </span>
+              <span className="recordings-item-meta">{recording.participants.join(', ')}</span>
+            </button>
+          ))}
+        </div>
+
+        {selected && (
+          <div className="recordings-detail">
+            <h2>{selected.recording.room}</h2>
+            <p className="recordings-item-meta">
+              {new Date(selected.recording.startedAt).toLocaleString()}
+              {selected.recording.endedAt && ` – ${new Date(selected.recording.endedAt).toLocaleTimeString()}`}
+              {' · '}started by {selected.recording.startedBy}
+            </p>
+
+            {selected.files.length === 0 && (
+              <div className="recordings-empty">No playable files yet.</div>
+            )}
+            {selected.files.map((file) => (
+              <div key={file.key} className="recordings-file">
+                <div className="recordings-file-name">{file.participant || 'All participants'}</div>
+                <audio controls preload="none" src={file.url} />
+                <a className="recordings-download" href={file.url} download={file.name}>Download</a>
+              </div>
+            ))}
+
+            <ProcessingProgress
+              key={`progress-${selected.recording.id}`}
+              sessionId={selected.recording.sessionId}
+              recordingId={selected.recording.id}
+            />
+
+            <NoteEditor key={selected.recording.id} recordingId={selected.recording.id} />
+
+            <button className="recordings-delete" onClick={deleteSelected}>
+              Delete recording
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// What a getUserMedia failure means for the user, and how to fix it
+const describeMediaError = (error) => {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera and microphone access is blocked. Allow it from the camera icon in the address bar (or your browser\'s site settings), then try again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'The selected camera or microphone was not found. Plug it in or pick another one.';
+    case 'NotReadableError':
+      return 'Your camera or microphone is in use by another app. Close that app (e.g. another call), then try again.';
+    default:
+      return 'Could not start your camera or microphone. Check they are connected, then try again.';
+  }
+};
+
+// Connection quality from the network test; thresholds are what a stable
+// 720p call with audio needs, and what audio alone can survive
+const rateConnection = ({ bandwidthKbps, lossPercent }) => {
+  if (bandwidthKbps >= 1500 && lossPercent < 2) {
+    return 'good';
+  }
+  if (bandwidthKbps >= 300 && lossPercent < 8) {
+    return 'fair';
+  }
+  return 'poor';
+};
+
+const NETWORK_TEST_SECONDS = 6;
+
+// Publish a synthetic video track to a throwaway room and read the sender's
+// WebRTC stats: the bandwidth estimate, packet loss and round-trip time
+async function runNetworkTest(serverUrl, linkQuery) {
+  const response = await fetch(apiUrl(`/token/network-test${linkQuery}`), { headers: getAuthHeaders() });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not start the network test');
+  }
+
+  // Noise keeps the encoder busy, so the connection is actually loaded
+  const canvas = document.createElement('canvas');
+  canvas.width = 640;
+  canvas.height = 360;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(canvas.width, canvas.height);
+  const draw = setInterval(() => {
+    for (let i = 0; i < image.data.length; i += 4) {
+      const value = Math.random() * 255;
+      image.data[i] = value;
+      image.data[i + 1] = value;
+      image.data[i + 2] = value;
+      image.data[i + 3] = 255;
+    }
+    context.putImageData(image, 0, 0);
+  }, 1000 / 15);
+  const [mediaTrack] = canvas.captureStream(15).getVideoTracks();
+
+  const room = new Room();
+  try {
+    await room.connect(serverUrl, data.token);
+    const publication = await room.localParticipant.publishTrack(mediaTrack, {
+      simulcast: false,
+      videoEncoding: { maxBitrate: 2500000, maxFramerate: 15 },
+    });
+
+    const readStats = async () => {
+      const stats = { bytesSent: 0, packetsSent: 0, packetsLost: 0, bandwidth: null, rtt: null };
+      const report = await publication.track.getRTCStatsReport();
+      report?.forEach((stat) => {
+        if (stat.type === 'outbound-rtp') {
+          stats.bytesSent += stat.bytesSent || 0;
+          stats.packetsSent += stat.packetsSent || 0;
+        } else if (stat.type === 'remote-inbound-rtp') {
+          stats.packetsLost += Math.max(0, stat.packetsLost || 0);
+          stats.rtt = stat.roundTripTime ?? stats.rtt;
+        } else if (stat.type === 'candidate-pair' && stat.state === 'succeeded' && stat.nominated) {
+          stats.bandwidth = stat.availableOutgoingBitrate ?? stats.bandwidth;
+          stats.rtt = stats.rtt ?? stat.currentRoundTripTime;
+        }
+      });
+      return stats;
+    };
+
+    const first = await readStats();
+    const startedAt = performance.now();
+    await new Promise((resolve) => setTimeout(resolve, NETWORK_TEST_SECONDS * 1000));
+    const last = await readStats();
+    const seconds = (performance.now() - startedAt) / 1000;
+
+    const sentKbps = ((last.bytesSent - first.bytesSent) * 8) / seconds / 1000;
+    const packets = last.packetsSent - first.packetsSent;
+    const result = {
+      bandwidthKbps: Math.round(last.bandwidth ? last.bandwidth / 1000 : sentKbps),
+      lossPercent: packets > 0 ? Math.round(((last.packetsLost - first.packetsLost) / packets) * 1000) / 10 : 0,
+      rttMs: last.rtt !== null && last.rtt !== undefined ? Math.round(last.rtt * 1000) : null,
+    };
+    return { ...result, rating: rateConnection(result) };
+  } finally {
+    clearInterval(draw);
+    mediaTrack.stop();
+    await room.disconnect();
+  }
+}
+
+// Pre-join check between the join screen and the call: pick and preview the
+// camera, watch the microphone level, play a test tone on the speakers and
+// measure the connection. The choices carry into the room.
+function PreJoinCheck({ serverUrl, linkQuery, initialChoices, onBack, onJoin, isLoading, joinError }) {
+  const [choices, setChoices] = useState(initialChoices);
+  const [devices, setDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+  const [stream, setStream] = useState(null);
+  // What the browser opened when no device was picked yet
+  const [openedDevices, setOpenedDevices] = useState({ videoInput: '', audioInput: '' });
+  const [mediaError, setMediaError] = useState('');
+  const [attempt, setAttempt] = useState(0);
+  const [micHeard, setMicHeard] = useState(false);
+  const [micQuiet, setMicQuiet] = useState(false);
+  const [toneState, setToneState] = useState('idle');
+  const [network, setNetwork] = useState({ status: 'idle' });
+  const videoRef = useRef(null);
+  const meterRef = useRef(null);
+
+  const canPickSpeaker = typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+  const loadDevices = useCallback(async () => {
+    const list = await navigator.mediaDevices.enumerateDevices();
+    setDevices({
+      videoinput: list.filter((device) => device.kind === 'videoinput'),
+      audioinput: list.filter((device) => device.kind === 'audioinput'),
+      audiooutput: list.filter((device) => device.kind === 'audiooutput'),
+    });
+  }, []);
+
+  useEffect(() => {
+    navigator.mediaDevices.addEventListener('devicechange', loadDevices);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', loadDevices);
+  }, [loadDevices]);
+
+  // (Re)open the chosen camera and microphone for the preview
+  const { cameraEnabled, micEnabled, videoInput, audioInput } = choices;
+  useEffect(() => {
+    let cancelled = false;
+    let opened = null;
+
+    const openMedia = async () => {
+      setMediaError('');
+      if (!cameraEnabled && !micEnabled) {
+        setStream(null);
+        return;
+      }
+      try {
+        opened = await navigator.mediaDevices.getUserMedia({
+          video: cameraEnabled && (videoInput ? { deviceId: { exact: videoInput } } : true),
+          audio: micEnabled && (audioInput ? { deviceId: { exact: audioInput } } : true),
+        });
+        if (cancelled) {
+          opened.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        setStream(opened);
+        // Labels are only readable once access is granted
+        await loadDevices();
+        const settingsOf = (kind) => opened.getTracks().find((track) => track.kind === kind)?.getSettings().deviceId || '';
+        setOpenedDevices({ videoInput: settingsOf('video'), audioInput: settingsOf('audio') });
+      } catch (e) {
+        console.error('Error opening media devices:', e);
+        if (!cancelled) {
+          setStream(null);
+          setMediaError(describeMediaError(e));
+        }
+      }
+    };
+
+    openMedia();
+    return () => {
+      cancelled = true;
+      opened?.getTracks().forEach((track) => track.stop());
+    };
+  }, [cameraEnabled, micEnabled, videoInput, audioInput, attempt, loadDevices]);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  // Microphone level meter
+  useEffect(() => {
+    if (!stream || stream.getAudioTracks().length === 0) {
+      return undefined;
+    }
+    const audioContext = new AudioContext();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    let frame;
+    const measure = () => {
+      analyser.getFloatTimeDomainData(samples);
+      const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+      const level = Math.min(1, rms * 8);
+      if (meterRef.current) {
+        meterRef.current.style.width = `${Math.round(level * 100)}%`;
+      }
+      if (level > 0.1) {
+        setMicHeard(true);
       }
+      frame = requestAnimationFrame(measure);
     };
+    measure();
+    // Give the user a moment to say something before warning
+    setMicQuiet(false);
+    const quietTimer = setTimeout(() => setMicQuiet(true), 5000);
 
-    checkRecordingStatus();
-    const interval = setInterval(checkRecordingStatus, 5000); // Check every 5 seconds
-    return () => clearInterval(interval);
-  }, [roomName]);
-
-  const handleEndCall = useCallback(() => {
-    room.disconnect();
-    onEndCall();
-  }, [room, onEndCall]);
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(quietTimer);
+      audioContext.close();
+    };
+  }, [stream]);
 
-  const handleStartRecording = async () => {
-    // Check if there are participants with audio tracks
-    const participants = Array.from(room.remoteParticipants.values());
-    const localParticipant = room.localParticipant;
-    
-    // Check if local participant has audio enabled
-    const hasLocalAudio = localParticipant?.isMicrophoneEnabled;
-    const hasRemoteAudio = participants.some(p => 
-      Array.from(p.audioTrackPublications.values()).some(pub => pub.isSubscribed)
-    );
-    
-    if (!hasLocalAudio && !hasRemoteAudio && participants.length === 0) {
-      setRecordingError('Cannot start recording: No audio tracks available. Make sure your microphone is enabled.');
-      return;
-    }
-    
-    setRecordingLoading(true);
-    setRecordingError('');
-    
+  const playTestTone = async () => {
+    setToneState('playing');
+    const audioContext = new AudioContext();
     try {
-      const baseUrl = getApiBaseUrl();
-      const isLocalhost = baseUrl.includes('localhost');
-      const url = isLocalhost 
-        ? `${baseUrl}/start-recording`
-        : `/api/recording?action=start`;
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ room: roomName, identity: username })
-      });
-      
-      const data = await response.json();
-      
-      if (response.ok) {
-        setIsRecording(true);
-        setEgressId(data.egressId);
-        setRecordingStartedBy(username);
-        console.log('Recording started:', data);
-      } else {
-        if (response.status === 409) {
-          // Recording already in progress
-          setIsRecording(true);
-          setEgressId(data.egressId);
-          setRecordingStartedBy(data.startedBy);
-          setRecordingError(`Recording already started by ${data.startedBy}`);
-        } else {
-          setRecordingError(data.error || 'Failed to start recording');
-        }
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const destination = audioContext.createMediaStreamDestination();
+      oscillator.frequency.value = 440;
+      gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 1.5);
+      oscillator.connect(gain).connect(destination);
+
+      const audio = new Audio();
+      audio.srcObject = destination.stream;
+      if (canPickSpeaker && choices.audioOutput) {
+        await audio.setSinkId(choices.audioOutput);
       }
-    } catch (error) {
-      console.error('Error starting recording:', error);
-      setRecordingError('Failed to start recording');
+      await audio.play();
+      oscillator.start();
+      oscillator.stop(audioContext.currentTime + 1.5);
+      await new Promise((resolve) => { oscillator.onended = resolve; });
+      audio.pause();
+      setToneState('played');
+    } catch (e) {
+      console.error('Error playing test tone:', e);
+      setToneState('failed');
     } finally {
-      setRecordingLoading(false);
+      audioContext.close();
     }
   };
 
-  const handleStopRecording = async () => {
-    setRecordingLoading(true);
-    setRecordingError('');
-    
+  const testNetwork = async () => {
+    setNetwork({ status: 'running' });
     try {
-      const baseUrl = getApiBaseUrl();
-      const isLocalhost = baseUrl.includes('localhost');
-      const url = isLocalhost 
-        ? `${baseUrl}/stop-recording`
-        : `/api/recording?action=stop`;
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ room: roomName, egressId })
-      });
-      
-      const data = await response.json();
-      
-      if (response.ok) {
-        setIsRecording(false);
-        setEgressId(null);
-        setRecordingStartedBy(null);
-        console.log('Recording stopped:', data);
-      } else {
-        setRecordingError(data.error || 'Failed to stop recording');
-      }
-    } catch (error) {
-      console.error('Error stopping recording:', error);
-      setRecordingError('Failed to stop recording');
-    } finally {
-      setRecordingLoading(false);
+      setNetwork({ status: 'done', ...(await runNetworkTest(serverUrl, linkQuery)) });
+    } catch (e) {
+      console.error('Network test failed:', e);
+      setNetwork({ status: 'failed', error: e.message || 'Could not reach the video server' });
     }
   };
 
+  const choose = (name) => (event) => {
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    setChoices((current) => ({ ...current, [name]: value }));
+  };
+
+  const selected = {
+    ...choices,
+    videoInput: choices.videoInput || openedDevices.videoInput,
+    audioInput: choices.audioInput || openedDevices.audioInput,
+  };
+
+  const deviceOptions = (kind) => devices[kind].map((device, index) => (
+    <option key={device.deviceId || index} value={device.deviceId}>
+      {device.label || `Device ${index + 1}`}
+    </option>
+  ));
+
+  const problems = [
+    mediaError,
+    choices.micEnabled && stream && micQuiet && !micHeard && 'We have not heard anything from your microphone yet. Say something, check it is not muted, or pick another one.',
+    toneState === 'unheard' && 'If you cannot hear the tone, turn up the volume or pick other speakers or headphones.',
+    toneState === 'failed' && 'The test tone could not be played on the selected speakers.',
+    network.status === 'failed' && `Network test failed: ${network.error}. Check your internet connection or firewall.`,
+    network.rating === 'poor' && 'Your connection is weak. Move closer to your Wi-Fi router, close other apps using the internet, or join with your camera off.',
+  ].filter(Boolean);
+
   return (
-    <div className="custom-video-conference">
-      <VideoConference />
-      
-      {/* Recording indicator */}
-      {isRecording && (
-        <div className="recording-indicator">
-          <span className="recording-dot"></span>
-          <span>Recording{recordingStartedBy ? ` (by ${recordingStartedBy})` : ''}</span>
-        </div>
-      )}
-      
-      {/* Recording error message */}
-      {recordingError && (
-        <div className="recording-error">
-          {recordingError}
+    <div className="join-card precheck-card">
+      <h2>Check your setup</h2>
+
+      <div className="precheck-preview">
+        {choices.cameraEnabled && stream?.getVideoTracks().length ? (
+          <video ref={videoRef} autoPlay playsInline muted />
+        ) : (
+          <div className="precheck-preview-off">Camera off</div>
+        )}
+      </div>
+
+      <div className="precheck-section">
+        <label className="precheck-toggle">
+          <input type="checkbox" checked={choices.cameraEnabled} onChange={choose('cameraEnabled')} />
+          Camera
+        </label>
+        <select value={selected.videoInput} onChange={choose('videoInput')} disabled={!choices.cameraEnabled}>
+          {deviceOptions('videoinput')}
+        </select>
+      </div>
+
+      <div className="precheck-section">
+        <label className="precheck-toggle">
+          <input type="checkbox" checked={choices.micEnabled} onChange={choose('micEnabled')} />
+          Microphone
+        </label>
+        <select value={selected.audioInput} onChange={choose('audioInput')} disabled={!choices.micEnabled}>
+          {deviceOptions('audioinput')}
+        </select>
+        <div className="precheck-meter" aria-label="Microphone level">
+          <div ref={meterRef} className="precheck-meter-fill" />
         </div>
-      )}
-      
-      <div className="end-call-container">
-        {/* Recording button */}
-        <button 
-          className={`recording-button ${isRecording ? 'stop' : 'start'}`}
-          onClick={isRecording ? handleStopRecording : handleStartRecording}
-          disabled={recordingLoading}
-        >
-          {recordingLoading ? (
-            'Loading...'
-          ) : isRecording ? (
-            <>
-              <span className="recording-icon stop"></span>
-              Stop Recording
-            </>
-          ) : (
+      </div>
+
+      <div className="precheck-section">
+        <span className="precheck-label">Speakers</span>
+        {canPickSpeaker && devices.audiooutput.length > 0 && (
+          <select value={choices.audioOutput} onChange={choose('audioOutput')}>
+            {deviceOptions('audiooutput')}
+          </select>
+        )}
+        <div className="precheck-actions">
+          <button className="precheck-button" onClick={playTestTone} disabled={toneState === 'playing'}>
+            {toneState === 'playing' ? 'Playing...' : 'Play test tone'}
+          </button>
+          {toneState === 'played' && (
             <>
-              <span className="recording-icon start"></span>
-              Start Recording
+              <button className="precheck-button" onClick={() => setToneState('heard')}>I heard it</button>
+              <button className="precheck-button" onClick={() => setToneState('unheard')}>I didn't</button>
             </>
           )}
+        </div>
+      </div>
+
+      <div className="precheck-section">
+        <span className="precheck-label">Connection</span>
+        {network.status === 'done' && (
+          <div className={`precheck-network ${network.rating}`}>
+            <span>{network.rating}</span>
+            <span>{(network.bandwidthKbps / 1000).toFixed(1)} Mbps up</span>
+            <span>{network.lossPercent}% packet loss</span>
+            {network.rttMs !== null && <span>{network.rttMs} ms round trip</span>}
+          </div>
+        )}
+        <button className="precheck-button" onClick={testNetwork} disabled={network.status === 'running'}>
+          {network.status === 'running' ? `Testing (${NETWORK_TEST_SECONDS}s)...` : network.status === 'idle' ? 'Test connection' : 'Test again'}
         </button>
-        
-        <button className="end-call-button" onClick={handleEndCall}>
-          End Call
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="precheck-problems">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      {mediaError && (
+        <button className="precheck-button" onClick={() => setAttempt((count) => count + 1)}>Try again</button>
+      )}
+      {joinError && <div className="error-message">{joinError}</div>}
+
+      <div className="precheck-footer">
+        <button className="precheck-button" onClick={onBack} disabled={isLoading}>Back</button>
+        <button className="join-button" onClick={() => onJoin(selected)} disabled={isLoading}>
+          {isLoading ? 'Connecting...' : 'Join visit'}
         </button>
       </div>
     </div>
   );
 }
 
+// Roles whose token allows no camera
+const AUDIO_ONLY_ROLES = ['interpreter'];
+
+// Disconnections not worth reconnecting from: we left, were removed, the
+// visit ended, or we joined again from somewhere else
+const FINAL_DISCONNECT_REASONS = [
+  DisconnectReason.CLIENT_INITIATED,
+  DisconnectReason.PARTICIPANT_REMOVED,
+  DisconnectReason.ROOM_DELETED,
+  DisconnectReason.DUPLICATE_IDENTITY,
+];
+
 function App() {
   const [connected, setConnected] = useState(false);
   const [username, setUsername] = useState('');
+  const [role, setRole] = useState('');
   const [token, setToken] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [roomName, setRoomName] = useState('');
+  const [waiting, setWaiting] = useState(false);
+  const [appointment, setAppointment] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [mediaChoices, setMediaChoices] = useState({
+    cameraEnabled: true,
+    micEnabled: true,
+    videoInput: '',
+    audioInput: '',
+    audioOutput: '',
+  });
 
   const wsUrl = 'wss://livekit.simarjeet.dev';
-  const roomName = 'test-room';
-
-  // Generate a token for the user
-  const generateToken = async (identity) => {
-    // Determine the API URL based on environment
-    const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-    const tokenUrl = isLocalhost 
-      ? `http://localhost:7881/token?identity=${encodeURIComponent(identity)}&room=${roomName}`
-      : `/api/token?identity=${encodeURIComponent(identity)}&room=${roomName}`;
+
+  // The token the room connected with; `token` is kept fresh for the API
+  // and for reconnecting, without reconnecting the room each time
+  const [roomToken, setRoomToken] = useState('');
+  // Reconnect attempt under way after a dropped connection, or null
+  const [reconnectAttempt, setReconnectAttempt] = useState(null);
+  // A visit this tab was in before the page reloaded
+  const [resumable, setResumable] = useState(() => loadVisitSession());
+  const inRoomRef = useRef(false);
+
+  // Signed visit link from the appointment invitation (?visit=...)
+  const [visit] = useState(() => new URLSearchParams(window.location.search).get('visit'));
+  const [view] = useState(() => new URLSearchParams(window.location.search).get('view'));
+  // Single-use invite link from a clinician (?invite=...)
+  const [invite] = useState(() => new URLSearchParams(window.location.search).get('invite'));
+  const [inviteDetails, setInviteDetails] = useState(null);
+
+  // The link the app was opened from, passed on to the token server
+  const linkQuery = visit
+    ? `?visit=${encodeURIComponent(visit)}`
+    : invite ? `?invite=${encodeURIComponent(invite)}` : '';
+
+  // Pick up a credential handed back by the IdP sign-in redirect
+  useEffect(() => {
+    captureAuthToken();
+  }, []);
+
+  // Load the appointment the visit link points to
+  useEffect(() => {
+    if (!visit) {
+      return;
+    }
+
+    const loadAppointment = async () => {
+      const url = apiUrl(`/appointments/join?visit=${encodeURIComponent(visit)}`);
+
+      try {
+        const response = await fetch(url);
+        const data = await response.json();
+        if (response.ok) {
+          setAppointment(data.appointment);
+          setUsername(data.identity);
+          setRole(data.role);
+        } else {
+          setError(data.error || 'This visit link is not valid');
+        }
+      } catch (e) {
+        console.error('Error loading appointment:', e);
+        setError('Failed to load your visit details');
+      }
+    };
+
+    loadAppointment();
+  }, [visit]);
+
+  // Load who the invite is for
+  useEffect(() => {
+    if (!invite) {
+      return;
+    }
+
+    const loadInvite = async () => {
+      try {
+        const response = await fetch(apiUrl(`/invites/join?invite=${encodeURIComponent(invite)}`));
+        const data = await response.json();
+        if (response.ok) {
+          setInviteDetails(data.invite);
+          setUsername(data.invite.identity);
+          setRole(data.invite.role);
+        } else {
+          setError(data.error || 'This invite link is not valid');
+        }
+      } catch (e) {
+        console.error('Error loading invite:', e);
+        setError('Failed to load your invite');
+      }
+    };
+
+    loadInvite();
+  }, [invite]);
+
+  // Generate a token for the signed-in user, or for the visit or invite link
+  const generateToken = async () => {
+    const tokenUrl = apiUrl(`/token${linkQuery}`);
     
     try {
-      const response = await fetch(tokenUrl);
+      const response = await fetch(tokenUrl, { headers: getAuthHeaders() });
       if (response.ok) {
-        const data = await response.json();
-        return data.token;
+        return await response.json();
       } else {
         const errorData = await response.json();
+        if (errorData.code === 'missing_credentials' || errorData.code === 'credentials_expired') {
+          throw new Error('Please sign in through the patient portal to join your visit.');
+        }
         throw new Error(errorData.error || 'Failed to get token');
       }
     } catch (e) {
@@ -259,19 +3121,41 @@ function App() {
     }
   };
 
-  const handleJoin = async () => {
-    if (!username.trim()) {
-      setError('Please enter your name');
-      return;
+  // A fresh token for the one held (see POST /token/refresh). Errors carry
+  // the response status, if the server answered.
+  const refreshToken = useCallback(async (currentToken) => {
+    const response = await fetch(apiUrl('/token/refresh'), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${currentToken}` }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error || 'Failed to refresh token');
+      error.status = response.status;
+      throw error;
     }
+    return data;
+  }, []);
+
+  // Connect with a token response: { token, identity, room, role, waiting }
+  const enterRoom = useCallback((data) => {
+    setUsername(data.identity);
+    setRole(data.role);
+    setRoomName(data.room);
+    setWaiting(!!data.waiting);
+    setToken(data.token);
+    setRoomToken(data.token);
+    inRoomRef.current = true;
+    setConnected(true);
+  }, []);
 
+  const handleJoin = async (choices) => {
+    setMediaChoices(choices);
     setIsLoading(true);
     setError('');
 
     try {
-      const generatedToken = await generateToken(username.trim());
-      setToken(generatedToken);
-      setConnected(true);
+      enterRoom(await generateToken());
     } catch (err) {
       setError(err.message || 'Failed to connect. Please try again.');
       console.error(err);
@@ -280,90 +3164,297 @@ function App() {
     }
   };
 
-  const handleDisconnect = () => {
+  // Rejoin the visit this tab was in, with the same devices
+  const handleResume = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const data = await refreshToken(resumable.token);
+      setMediaChoices(resumable.mediaChoices);
+      enterRoom(data);
+    } catch (err) {
+      console.error('Error resuming visit:', err);
+      clearVisitSession();
+      setResumable(null);
+      setError(err.message || 'Failed to rejoin your visit. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDisconnect = useCallback(() => {
+    inRoomRef.current = false;
+    clearVisitSession();
+    setResumable(null);
+    setReconnectAttempt(null);
     setConnected(false);
+    setChecking(false);
     setToken('');
-  };
+    setRoomToken('');
+  }, []);
+
+  // Keep the session resumable while in the visit
+  useEffect(() => {
+    if (connected && token) {
+      saveVisitSession({ token, identity: username, room: roomName, role, waiting, mediaChoices });
+    }
+  }, [connected, token, username, roomName, role, waiting, mediaChoices]);
+
+  // Refresh the token before it expires. The LiveKit server keeps the
+  // connection's own token fresh; this one is for the API and for rejoining.
+  useEffect(() => {
+    if (!connected || !token) {
+      return;
+    }
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleJoin();
+    const expiresAt = getTokenExpiry(token);
+    let timer;
+    const refresh = async () => {
+      try {
+        setToken((await refreshToken(token)).token);
+      } catch (err) {
+        console.error('Token refresh failed:', err);
+        // Retry unless the server turned us away (session ended, access revoked)
+        if (!(err.status < 500) && Date.now() + 30000 < expiresAt) {
+          timer = setTimeout(refresh, 30000);
+        }
+      }
+    };
+    timer = setTimeout(refresh, Math.max(0, (expiresAt - Date.now()) * 0.8));
+    return () => clearTimeout(timer);
+  }, [connected, token, refreshToken]);
+
+  // The connection dropped: leave the room and start reconnecting
+  const startReconnect = useCallback(() => {
+    if (!inRoomRef.current) {
+      return;
+    }
+    inRoomRef.current = false;
+    setConnected(false);
+    setReconnectAttempt((attempt) => (attempt === null ? 0 : attempt + 1));
+  }, []);
+
+  // Each reconnect attempt waits out its backoff, then rejoins with a fresh
+  // token; the room's onConnected ends the run, another drop starts the next
+  useEffect(() => {
+    if (reconnectAttempt === null || connected) {
+      return;
+    }
+    if (reconnectAttempt >= MAX_RECONNECT_ATTEMPTS) {
+      setReconnectAttempt(null);
+      setResumable(loadVisitSession());
+      setError('We could not reconnect you. Check your connection, then rejoin your visit.');
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await refreshToken(token);
+        if (!cancelled) {
+          enterRoom(data);
+        }
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        console.error('Reconnect attempt failed:', err);
+        // The server turned us away: the token expired, or the visit is locked
+        if (err.status && err.status < 500) {
+          handleDisconnect();
+          setError(err.message);
+          return;
+        }
+        setReconnectAttempt((attempt) => attempt + 1);
+      }
+    }, getReconnectDelay(reconnectAttempt));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [reconnectAttempt, connected, token, refreshToken, enterRoom, handleDisconnect]);
+
+  // The devices picked in the pre-join check, for the room to capture from.
+  // Video adapts to the connection: subscribers get the layer that fits
+  // their tile and bandwidth, and publishers stop sending unused layers.
+  const roomOptions = useMemo(() => ({
+    adaptiveStream: true,
+    dynacast: true,
+    videoCaptureDefaults: mediaChoices.videoInput ? { deviceId: mediaChoices.videoInput } : undefined,
+    audioCaptureDefaults: mediaChoices.audioInput ? { deviceId: mediaChoices.audioInput } : undefined,
+    audioOutput: mediaChoices.audioOutput ? { deviceId: mediaChoices.audioOutput } : undefined,
+  }), [mediaChoices]);
+
+  const handleRoomDisconnected = (reason) => {
+    if (!FINAL_DISCONNECT_REASONS.includes(reason)) {
+      startReconnect();
+      return;
+    }
+    if (reason === DisconnectReason.PARTICIPANT_REMOVED) {
+      setError('You were removed from the visit by the clinician.');
+    } else if (reason === DisconnectReason.ROOM_DELETED) {
+      setError('The visit has ended.');
+    } else if (reason === DisconnectReason.DUPLICATE_IDENTITY) {
+      setError('You joined this visit from another window.');
     }
+    handleDisconnect();
+  };
+
+  // A failed (re)connection is retried like a dropped one
+  const handleRoomError = (err) => {
+    console.error('Room connection error:', err);
+    startReconnect();
   };
 
   return (
     <div className="app-container">
-      {!connected ? (
+      {view === 'recordings' ? (
+        <RecordingsPage />
+      ) : !connected && reconnectAttempt !== null ? (
+        <div className="join-screen">
+          <div className="join-card reconnect-card">
+            <div className="reconnect-spinner"></div>
+            <h2>Reconnecting…</h2>
+            <p className="waiting-room-message">
+              Your connection dropped. Trying to get you back into the visit
+              (attempt {reconnectAttempt + 1} of {MAX_RECONNECT_ATTEMPTS}).
+            </p>
+            <button className="end-call-button" onClick={handleDisconnect}>
+              Leave
+            </button>
+          </div>
+        </div>
+      ) : !connected && checking ? (
+        <div className="join-screen">
+          <PreJoinCheck
+            serverUrl={wsUrl}
+            linkQuery={linkQuery}
+            initialChoices={mediaChoices}
+            onBack={() => setChecking(false)}
+            onJoin={handleJoin}
+            isLoading={isLoading}
+            joinError={error}
+          />
+        </div>
+      ) : !connected ? (
         <div className="join-screen">
           <div className="join-card">
             <div className="logo-section">
               <div className="logo-icon"></div>
               <h1>livekit test app</h1>
             </div>
-            
-            <div className="input-section">
-              <label className="input-label">Your Name</label>
-              <input
-                type="text"
-                className="username-input"
-                placeholder="Enter your name..."
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                // onKeyPress={handleKeyPress}
-                disabled={isLoading}
-              />
-            </div>
 
             <div className="room-info">
-              <div className="info-item">
-                <span className="label">Room:</span>
-                <span className="value">{roomName}</span>
-              </div>
+              {appointment && (
+                <>
+                  <div className="info-item">
+                    <span className="label">Visit:</span>
+                    <span className="value">
+                      {role === 'clinician' ? `with ${appointment.patient}` : `with ${appointment.clinician}`}
+                    </span>
+                  </div>
+                  <div className="info-item">
+                    <span className="label">Scheduled:</span>
+                    <span className="value">
+                      {new Date(appointment.startsAt).toLocaleString()} – {new Date(appointment.endsAt).toLocaleTimeString()}
+                    </span>
+                  </div>
+                  <div className="info-item">
+                    <span className="label">Joining as:</span>
+                    <span className="value">{username}</span>
+                  </div>
+                </>
+              )}
+              {inviteDetails && (
+                <>
+                  <div className="info-item">
+                    <span className="label">Invited as:</span>
+                    <span className="value">{INVITE_ROLE_LABELS[inviteDetails.role]}</span>
+                  </div>
+                  <div className="info-item">
+                    <span className="label">Joining as:</span>
+                    <span className="value">{inviteDetails.name}</span>
+                  </div>
+                  <div className="info-item">
+                    <span className="label">Link expires:</span>
+                    <span className="value">{new Date(inviteDetails.expiresAt).toLocaleTimeString()}</span>
+                  </div>
+                </>
+              )}
               <div className="info-item">
                 <span className="label">Server:</span>
                 <span className="value">livekit.simarjeet.dev</span>
               </div>
             </div>
 
+            {appointment?.status === 'cancelled' && (
+              <div className="error-message">
+                This visit has been cancelled.
+              </div>
+            )}
+
+            {appointment && appointment.status !== 'cancelled' && Date.now() < new Date(appointment.opensAt).getTime() && (
+              <div className="visit-notice">
+                You can join from {new Date(appointment.opensAt).toLocaleTimeString()}.
+              </div>
+            )}
+
             {error && (
               <div className="error-message">
                 {error}
               </div>
             )}
 
+            {resumable && (
+              <div className="resume-visit">
+                <span>You were in a visit in this window.</span>
+                <button className="join-button" onClick={handleResume} disabled={isLoading}>
+                  {isLoading ? 'Rejoining...' : 'Rejoin visit'}
+                </button>
+              </div>
+            )}
+
             <button 
               className="join-button" 
-              onClick={handleJoin}
-              disabled={isLoading || !username.trim()}
+              onClick={() => {
+                setError('');
+                setChecking(true);
+              }}
+              disabled={isLoading}
             >
-              {isLoading ? (
-                <>
-                  <span className="button-icon"></span>
-                  Connecting...
-                </>
-              ) : (
-                <>
-                  <span className="button-icon"></span>
-                  Join Room
-                </>
-              )}
+              <span className="button-icon"></span>
+              Check devices & join
             </button>
+
+            {!visit && !invite && (
+              <a className="recordings-link" href="?view=recordings">View recordings</a>
+            )}
           </div>
         </div>
       ) : (
         <LiveKitRoom
           serverUrl={wsUrl}
-          token={token}
+          token={roomToken}
           connect={true}
-          audio={true}
-          video={true}
-          onDisconnected={handleDisconnect}
+          audio={!waiting && mediaChoices.micEnabled}
+          video={!waiting && mediaChoices.cameraEnabled && !AUDIO_ONLY_ROLES.includes(role)}
+          options={roomOptions}
+          onConnected={() => setReconnectAttempt(null)}
+          onDisconnected={handleRoomDisconnected}
+          onError={handleRoomError}
           className="livekit-room"
         >
           <CustomVideoConference 
             onEndCall={handleDisconnect} 
             roomName={roomName}
             username={username}
+            role={role}
+            token={token}
+            waiting={waiting}
+            mediaChoices={mediaChoices}
+            rejoining={reconnectAttempt !== null}
           />
           <RoomAudioRenderer />
         </LiveKitRoom>
@@ -0,0 +1,20 @@
+// Credential used to request room tokens from the token server.
+// Our IdP redirects back with `#token=<JWT>`; a signed `session` cookie set
+// by the portal also works and is sent by the browser automatically.
+const AUTH_TOKEN_KEY = 'authToken';
+
+// Store a token handed back in the URL fragment and strip it from the address bar
+export const captureAuthToken = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('token');
+  if (token) {
+    sessionStorage.setItem(AUTH_TOKEN_KEY, token);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+};
+
+// Headers carrying the stored credential, if any
+export const getAuthHeaders = () => {
+  const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
@@ -0,0 +1,41 @@
+// Resumable visit session. Kept for the tab, so after a page reload the
+// participant can rejoin the same visit as the same identity, with the
+// devices they picked, instead of going through their link again.
+const VISIT_SESSION_KEY = 'visitSession';
+
+// Reconnect attempts after a dropped connection before giving up
+export const MAX_RECONNECT_ATTEMPTS = 8;
+
+// When a JWT expires (ms since the epoch), read from its unverified payload
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch (e) {
+    return 0;
+  }
+};
+
+// { token, identity, name, room, role, waiting, mediaChoices }
+export const saveVisitSession = (session) => {
+  sessionStorage.setItem(VISIT_SESSION_KEY, JSON.stringify(session));
+};
+
+// The stored session, while its token is still good
+export const loadVisitSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(VISIT_SESSION_KEY));
+    return session && getTokenExpiry(session.token) > Date.now() ? session : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const clearVisitSession = () => {
+  sessionStorage.removeItem(VISIT_SESSION_KEY);
+};
+
+// Wait before reconnect attempt n (from 0): 1s, 2s, 4s ... up to 30s, with
+// jitter so everyone dropped by the same outage does not retry at once
+export const getReconnectDelay = (attempt) =>
+  Math.min(30000, 1000 * 2 ** attempt) * (0.8 + Math.random() * 0.4);
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'annotations-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+process.env.ANNOTATION_MAX_BYTES = '64';
+
+const { createAppointment } = require('../lib/appointments');
+const { saveAnnotationFile, listAnnotations, getAnnotationFile } = require('../lib/annotations');
+const { getParticipantPermission, getParticipantMetadata, getVideoGrant } = require('../lib/roles');
+
+const xray = { name: '../chest x-ray.png', contentType: 'image/png', data: Buffer.from('png-bytes').toString('base64') };
+
+let appointment;
+
+before(async () => {
+  appointment = await createAppointment({
+    clinician: 'dr-smith',
+    patient: 'patient-1',
+    startsAt: '2030-01-01T10:00:00Z',
+    endsAt: '2030-01-01T10:30:00Z'
+  });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('keeps images and annotated snapshots with the visit', async () => {
+  const { room } = appointment;
+  const image = await saveAnnotationFile(room, 'dr-smith', 'image', xray);
+  const snapshot = await saveAnnotationFile(room, 'dr-smith', 'snapshot', {
+    contentType: 'image/jpeg',
+    data: Buffer.from('jpeg-bytes').toString('base64')
+  });
+
+  assert.equal(image.name, 'chest x-ray.png');
+  assert.equal(image.appointmentId, appointment.id);
+  assert.equal(image.key, undefined);
+  assert.equal(snapshot.name, 'snapshot');
+  assert.equal(snapshot.createdBy, 'dr-smith');
+
+  assert.deepEqual(listAnnotations(room).map(annotation => annotation.id), [image.id, snapshot.id]);
+  assert.deepEqual(listAnnotations(room, { kind: 'snapshot' }).map(annotation => annotation.id), [snapshot.id]);
+  assert.deepEqual(listAnnotations('another-room'), []);
+
+  const file = await getAnnotationFile(room, snapshot.id);
+  assert.equal(file.body.toString(), 'jpeg-bytes');
+  assert.equal(file.contentType, 'image/jpeg');
+  await assert.rejects(getAnnotationFile('another-room', snapshot.id), { status: 404, code: 'annotation_not_found' });
+});
+
+test('rejects files that are not suitable images', async () => {
+  const { room } = appointment;
+  await assert.rejects(saveAnnotationFile(room, 'dr-smith', 'drawing', xray), { status: 400, code: 'invalid_kind' });
+  await assert.rejects(
+    saveAnnotationFile(room, 'dr-smith', 'image', { ...xray, contentType: 'application/pdf' }),
+    { status: 415, code: 'unsupported_image' }
+  );
+  await assert.rejects(saveAnnotationFile(room, 'dr-smith', 'image', { ...xray, data: '' }), { code: 'empty_image' });
+  await assert.rejects(
+    saveAnnotationFile(room, 'dr-smith', 'image', { ...xray, data: Buffer.alloc(65).toString('base64') }),
+    { status: 413, code: 'image_too_large' }
+  );
+});
+
+test('patients share their screen only once allowed', () => {
+  assert.deepEqual(getVideoGrant('patient', 'visit-1').canPublishSources, ['camera', 'microphone']);
+  assert.equal(getVideoGrant('clinician', 'visit-1').canPublishSources, undefined);
+
+  assert.deepEqual(getParticipantPermission('patient').canPublishSources, [1, 2]);
+  assert.deepEqual(getParticipantPermission('patient', { screenShare: true }).canPublishSources, [1, 2, 3, 4]);
+  assert.equal(getParticipantPermission('clinician').canPublishSources, undefined);
+
+  assert.deepEqual(JSON.parse(getParticipantMetadata('patient', { screenShare: true })), { role: 'patient', screenShare: true });
+  assert.deepEqual(JSON.parse(getParticipantMetadata('patient', { waiting: true })), { role: 'patient', waiting: true });
+});
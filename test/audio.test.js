@@ -0,0 +1,107 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { decodeWav } = require('../lib/wav');
+const {
+  resample,
+  readAudioFile,
+  measureLoudness,
+  normalizeLoudness,
+  trimSilence,
+  toOriginalTime,
+  processAudio
+} = require('../lib/audio');
+
+// speech.wav: 16 kHz mono, sound at 0.5-1.0 s and 2.0-2.4 s of 2.6 s.
+// stereo-24bit-48k.wav: 0.25 s, a 440 Hz tone on the left channel only.
+const fixture = name => path.join(__dirname, 'fixtures', 'audio', name);
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-test-'));
+
+after(() => {
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+function sine(frequency, amplitude, seconds, sampleRate) {
+  return Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+}
+
+test('decodes 24-bit stereo WAV and resamples it to mono', async () => {
+  const wav = decodeWav(fs.readFileSync(fixture('stereo-24bit-48k.wav')));
+  assert.equal(wav.sampleRate, 48000);
+  assert.equal(wav.channels.length, 2);
+  assert.ok(Math.abs(Math.max(...wav.channels[0]) - 0.5) < 0.001);
+
+  const mono = await readAudioFile(fixture('stereo-24bit-48k.wav'), 16000);
+  assert.equal(mono.length, 4000);
+  // Half the left channel's level after downmixing
+  assert.ok(Math.abs(Math.max(...mono.subarray(100, 3900)) - 0.25) < 0.01);
+});
+
+test('keeps frequencies above the new Nyquist limit out when downsampling', () => {
+  const peak = samples => Math.max(...samples.subarray(200, samples.length - 200).map(Math.abs));
+  assert.ok(peak(resample(sine(1000, 0.5, 0.5, 48000), 48000, 16000)) > 0.45);
+  assert.ok(peak(resample(sine(12000, 0.5, 0.5, 48000), 48000, 16000)) < 0.02);
+});
+
+test('measures integrated loudness per BS.1770', () => {
+  // The spec's reference: a full-scale 997 Hz sine reads -3.01 LUFS
+  assert.ok(Math.abs(measureLoudness(sine(997, 1, 2, 48000), 48000) + 3.01) < 0.01);
+  // A 1 kHz sine at -20 dBFS reads about -23 LUFS, at any sample rate
+  assert.ok(Math.abs(measureLoudness(sine(1000, 0.1, 2, 48000), 48000) + 23) < 0.2);
+  assert.ok(Math.abs(measureLoudness(sine(1000, 0.1, 2, 16000), 16000) + 23) < 0.2);
+  assert.equal(measureLoudness(new Float32Array(16000), 16000), -Infinity);
+});
+
+test('normalizes loudness without going past the peak ceiling', () => {
+  const quiet = normalizeLoudness(sine(1000, 0.05, 2, 16000), 16000, { targetLufs: -23, peakDb: -1 });
+  assert.ok(Math.abs(quiet.outputLufs + 23) < 0.2);
+  assert.ok(Math.abs(quiet.gainDb - 6) < 0.3);
+
+  const limited = normalizeLoudness(sine(1000, 0.5, 2, 16000), 16000, { targetLufs: 0, peakDb: -1 });
+  const peak = Math.max(...limited.samples);
+  assert.ok(peak <= 10 ** (-1 / 20) + 1e-6);
+  assert.ok(limited.outputLufs < 0);
+});
+
+test('trims silence and maps trimmed time back to the original', async () => {
+  const samples = await readAudioFile(fixture('speech.wav'), 16000);
+  const { samples: trimmed, segments } = trimSilence(samples, 16000, { minSilenceMs: 500, paddingMs: 100 });
+
+  assert.deepEqual(segments.map(segment => [segment.originalStart, segment.originalEnd]), [[0.4, 1.1], [1.9, 2.5]]);
+  assert.equal(trimmed.length / 16000, 1.3);
+  assert.ok(Math.abs(toOriginalTime(segments, 0.2) - 0.6) < 1e-9);
+  assert.ok(Math.abs(toOriginalTime(segments, 0.8) - 2.0) < 1e-9);
+
+  // Gaps shorter than minSilenceMs stay in
+  assert.equal(trimSilence(samples, 16000, { minSilenceMs: 1500, paddingMs: 0 }).segments.length, 1);
+});
+
+test('writes a normalized mix, trimmed mix and per-speaker stems', async () => {
+  const manifest = await processAudio([
+    { path: fixture('speech.wav'), speaker: 'dr-smith', offset: 0 },
+    { path: fixture('speech.wav'), speaker: 'patient-1', offset: 3 },
+    { path: fixture('stereo-24bit-48k.wav'), speaker: 'dr-smith', offset: 6 }
+  ], outDir, { formats: ['wav'], sampleRate: 16000, targetLufs: -20 });
+
+  assert.equal(manifest.duration, 6.25);
+  assert.deepEqual(manifest.mix.files, ['mix.wav']);
+  assert.ok(Math.abs(manifest.mix.loudness.outputLufs + 20) <= 0.2);
+  assert.deepEqual(manifest.stems.map(stem => [stem.speaker, stem.files]), [
+    ['dr-smith', ['stems/dr-smith.wav']],
+    ['patient-1', ['stems/patient-1.wav']]
+  ]);
+  assert.equal(manifest.trimmed.segments.length, 5);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8')), manifest);
+
+  // Stems are mono, at the chosen rate and aligned to the recording start
+  const stem = decodeWav(fs.readFileSync(path.join(outDir, 'stems', 'patient-1.wav')));
+  assert.deepEqual([stem.sampleRate, stem.channels.length, stem.channels[0].length], [16000, 1, 100000]);
+  assert.equal(Math.max(...stem.channels[0].subarray(0, 3 * 16000)), 0);
+
+  await assert.rejects(processAudio([], outDir, { formats: ['ogg'] }), /Unsupported output format: ogg/);
+});
@@ -0,0 +1,94 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { recordAuditEvent, queryAuditLog, verifyAuditLog, renderAuditLog } = require('../lib/audit');
+
+const auditFile = path.join(dataDir, 'audit.jsonl');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('chains each entry to the one before it', async () => {
+  const first = await recordAuditEvent({ action: 'token.issued', actor: 'dr-smith', room: 'visit-1', details: { role: 'clinician' } });
+  const second = await recordAuditEvent({ action: 'participant.joined', actor: 'patient-1', room: 'visit-1' });
+  const third = await recordAuditEvent({ action: 'recording.started', actor: 'dr-smith', room: 'visit-1', target: 'rec-1' });
+  await recordAuditEvent({ action: 'room.finished', room: 'visit-2' });
+
+  assert.equal(first.seq, 1);
+  assert.equal(first.prevHash, '0'.repeat(64));
+  assert.equal(second.prevHash, first.hash);
+  assert.equal(third.prevHash, second.hash);
+  assert.deepEqual(verifyAuditLog(), { valid: true, entries: 4, brokenAt: null });
+});
+
+test('filters by action, actor, room and target', () => {
+  assert.deepEqual(queryAuditLog({ room: 'visit-1' }).map(entry => entry.seq), [1, 2, 3]);
+  assert.deepEqual(queryAuditLog({ actor: 'dr-smith' }).map(entry => entry.action), ['token.issued', 'recording.started']);
+  assert.deepEqual(queryAuditLog({ action: 'recording.' }).map(entry => entry.target), ['rec-1']);
+  assert.deepEqual(queryAuditLog({ action: 'recording' }), []);
+  assert.equal(queryAuditLog({ room: 'visit-2' })[0].actor, 'system');
+  assert.deepEqual(queryAuditLog({ limit: 2 }).map(entry => entry.seq), [3, 4]);
+  assert.equal(queryAuditLog({ to: '2000-01-01' }).length, 0);
+  assert.throws(() => queryAuditLog({ from: 'last week' }), { status: 400, code: 'invalid_date' });
+});
+
+test('exports JSON Lines and quoted CSV', () => {
+  const entries = queryAuditLog({ room: 'visit-1' });
+
+  const jsonl = renderAuditLog(entries, 'jsonl').trim().split('\n');
+  assert.deepEqual(jsonl.map(line => JSON.parse(line)), entries);
+
+  const csv = renderAuditLog(entries, 'csv').trim().split('\n');
+  assert.equal(csv[0], 'seq,at,action,actor,room,target,details,prevHash,hash');
+  assert.equal(csv.length, 4);
+  assert.ok(csv[1].includes('"{""role"":""clinician""}"'));
+});
+
+test('detects edited and deleted entries', () => {
+  const original = fs.readFileSync(auditFile, 'utf8');
+  const lines = original.trim().split('\n');
+
+  const edited = JSON.parse(lines[1]);
+  edited.actor = 'someone-else';
+  fs.writeFileSync(auditFile, [lines[0], JSON.stringify(edited), ...lines.slice(2)].join('\n') + '\n');
+  assert.deepEqual(verifyAuditLog(), { valid: false, entries: 4, brokenAt: 2 });
+
+  fs.writeFileSync(auditFile, [lines[0], ...lines.slice(2)].join('\n') + '\n');
+  assert.deepEqual(verifyAuditLog(), { valid: false, entries: 3, brokenAt: 3 });
+
+  fs.writeFileSync(auditFile, original);
+  assert.equal(verifyAuditLog().valid, true);
+});
+
+test('keeps the chain intact when several processes append at once', async () => {
+  const sharedDir = path.join(dataDir, 'shared');
+  const script = `
+    const { recordAuditEvent } = require(${JSON.stringify(path.join(__dirname, '../lib/audit'))});
+    (async () => {
+      for (let i = 0; i < 50; i++) {
+        await recordAuditEvent({ action: 'participant.joined', actor: 'process-' + process.pid });
+      }
+    })();
+  `;
+  const appendFrom = () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { env: { ...process.env, DATA_DIR: sharedDir } }, error =>
+      (error ? reject(error) : resolve())
+    );
+  });
+  await Promise.all([appendFrom(), appendFrom(), appendFrom(), appendFrom()]);
+
+  process.env.DATA_DIR = sharedDir;
+  try {
+    assert.deepEqual(verifyAuditLog(), { valid: true, entries: 200, brokenAt: null });
+  } finally {
+    process.env.DATA_DIR = dataDir;
+  }
+});
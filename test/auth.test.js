@@ -0,0 +1,76 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const jwksFile = path.join(dir, 'jwks.json');
+// key-2 is not a usable public key, as a mangled JWKS file might have
+fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ kid: 'key-2', kty: 'RSA', n: 'x' }] }));
+
+process.env.AUTH_JWT_SECRET = 'auth-secret';
+process.env.AUTH_JWKS_FILE = jwksFile;
+process.env.AUTH_ISSUER = 'https://idp.example.com';
+process.env.AUTH_AUDIENCE = 'telehealth';
+
+const { authenticate } = require('../lib/auth');
+const { base64UrlEncode, signJwt } = require('../lib/jwt');
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function bearer(claims, secret = process.env.AUTH_JWT_SECRET) {
+  const token = signJwt({
+    sub: 'dr-smith',
+    iss: 'https://idp.example.com',
+    aud: 'telehealth',
+    exp: Math.floor(Date.now() / 1000) + 60,
+    ...claims
+  }, secret);
+  return { authorization: `Bearer ${token}` };
+}
+
+test('accepts credentials from the trusted issuer for this audience', () => {
+  const principal = authenticate(bearer({ rooms: ['visit-1'], role: 'clinician', aud: ['portal', 'telehealth'] }));
+  assert.deepEqual(principal, { identity: 'dr-smith', name: 'dr-smith', rooms: ['visit-1'], roles: ['clinician'], admin: false });
+});
+
+test('rejects expired, forged and misdirected credentials', () => {
+  assert.throws(() => authenticate(bearer({ exp: Math.floor(Date.now() / 1000) - 1 })), {
+    status: 401,
+    code: 'credentials_expired'
+  });
+  assert.throws(() => authenticate(bearer({}, 'another-secret')), {
+    status: 401,
+    code: 'invalid_credentials',
+    message: 'Bearer token signature is invalid'
+  });
+  assert.throws(() => authenticate(bearer({ iss: 'https://elsewhere.example.com' })), {
+    status: 401,
+    code: 'invalid_credentials',
+    message: 'Bearer token issuer is not trusted'
+  });
+  assert.throws(() => authenticate(bearer({ aud: 'another-app' })), {
+    status: 401,
+    code: 'invalid_credentials',
+    message: 'Bearer token audience does not match'
+  });
+  assert.throws(() => authenticate({ authorization: 'Bearer not-a-jwt' }), {
+    status: 401,
+    code: 'invalid_credentials',
+    message: 'Malformed bearer token'
+  });
+});
+
+test('rejects tokens that fail to verify for any other reason with a message', () => {
+  const signingInput = `${base64UrlEncode(JSON.stringify({ alg: 'RS256', kid: 'key-2' }))}.${base64UrlEncode(JSON.stringify({ sub: 'dr-smith' }))}`;
+  const token = `${signingInput}.${crypto.randomBytes(32).toString('base64url')}`;
+  assert.throws(() => authenticate({ authorization: `Bearer ${token}` }), {
+    status: 401,
+    code: 'invalid_credentials',
+    message: 'Bearer token is invalid'
+  });
+});
@@ -0,0 +1,189 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+const whisperLog = path.join(dataDir, 'whisper.log');
+process.env.DATA_DIR = dataDir;
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+process.env.CAPTION_ADAPTER = 'whisper';
+process.env.CAPTION_WHISPER_COMMAND = `"${process.execPath}" "${path.join(dataDir, 'whisper-server.js')}"`;
+process.env.CAPTION_WINDOW_SECONDS = '4';
+process.env.CAPTION_STEP_SECONDS = '1';
+process.env.WHISPER_LOG = whisperLog;
+
+// Stands in for tools/whisper-server.py: answers each request with the
+// number of samples it was sent, after WHISPER_DELAY_MS, and records the
+// sample counts in WHISPER_LOG
+const whisperServerScript = `
+  const fs = require('fs');
+  let input = Buffer.alloc(0);
+  let answering = Promise.resolve();
+  process.stdin.on('data', chunk => {
+    input = Buffer.concat([input, chunk]);
+    while (input.length >= 4 && input.length >= 4 + input.readUInt32LE(0)) {
+      const samples = input.readUInt32LE(0) / 2;
+      input = input.subarray(4 + samples * 2);
+      answering = answering.then(async () => {
+        await new Promise(resolve => setTimeout(resolve, Number(process.env.WHISPER_DELAY_MS) || 0));
+        fs.appendFileSync(process.env.WHISPER_LOG, samples + '\\n');
+        process.stdout.write(JSON.stringify({ text: samples + ' samples' }) + '\\n');
+      });
+    }
+  });
+  process.on('exit', () => fs.appendFileSync(process.env.WHISPER_LOG, 'exit\\n'));
+`;
+fs.writeFileSync(path.join(dataDir, 'whisper-server.js'), whisperServerScript);
+
+const { captionFrames, getAdapter, startCaptionWorker, CAPTION_WORKER_IDENTITY } = require('../lib/captions');
+
+// LiveKit's room service (Twirp over JSON), with the caption worker in visit-1
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data || '{}');
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url.endsWith('/GetParticipant') && body.room === 'visit-1' && body.identity === CAPTION_WORKER_IDENTITY) {
+        res.end(JSON.stringify({ identity: CAPTION_WORKER_IDENTITY }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ code: 'not_found', msg: 'participant not found' }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LIVEKIT_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  fs.writeFileSync(whisperLog, '');
+  delete process.env.WHISPER_DELAY_MS;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A stream at 100 samples a second: steps of 100 samples, windows of 400
+function openStream() {
+  const results = [];
+  const stream = getAdapter().createStream({ sampleRate: 100, onResult: result => results.push(result) });
+  return { stream, results };
+}
+
+const speech = length => new Int16Array(length).fill(1000);
+const requests = () => fs.readFileSync(whisperLog, 'utf8').split('\n').filter(Boolean);
+
+async function until(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('sends interim results every step and a final one for each window', async () => {
+  const { stream, results } = openStream();
+
+  for (let i = 1; i <= 4; i++) {
+    stream.write(speech(100));
+    await until(() => results.length === i);
+  }
+  stream.close();
+  await until(() => requests().includes('exit'));
+
+  assert.deepEqual(results, [
+    { text: '100 samples', final: false },
+    { text: '200 samples', final: false },
+    { text: '300 samples', final: false },
+    { text: '400 samples', final: true }
+  ]);
+  assert.deepEqual(requests(), ['100', '200', '300', '400', 'exit']);
+});
+
+test('merges audio that arrives while Whisper is busy, dropping the oldest beyond two windows', async () => {
+  process.env.WHISPER_DELAY_MS = '100';
+  const { stream, results } = openStream();
+
+  stream.write(speech(100));
+  for (let i = 0; i < 8; i++) {
+    stream.write(speech(100));
+  }
+  await until(() => results.length === 2);
+  stream.close();
+  await until(() => requests().includes('exit'));
+
+  assert.deepEqual(results, [
+    { text: '100 samples', final: false },
+    { text: '800 samples', final: true }
+  ]);
+  assert.deepEqual(requests(), ['100', '800', 'exit']);
+});
+
+test('does not send silence to Whisper', async () => {
+  const { stream, results } = openStream();
+
+  for (let i = 0; i < 5; i++) {
+    stream.write(new Int16Array(100));
+  }
+  stream.close();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(results, []);
+  assert.deepEqual(requests(), []);
+});
+
+test('finishes the segment on close and then stops the Whisper server', async () => {
+  const { stream, results } = openStream();
+
+  stream.write(speech(150));
+  stream.close();
+  await until(() => requests().includes('exit'));
+
+  assert.deepEqual(results, [
+    { text: '150 samples', final: false },
+    { text: '150 samples', final: true }
+  ]);
+});
+
+test('publishes interim captions under the id of the segment they end in', async () => {
+  const adapter = {
+    createStream: ({ onResult }) => ({
+      write: samples => onResult({ text: `${samples.length}`, final: samples.length > 1 }),
+      close() {}
+    })
+  };
+  async function* frames() {
+    for (const length of [1, 2, 1, 1, 2]) {
+      yield { data: new Int16Array(length) };
+    }
+  }
+
+  const published = [];
+  await captionFrames(frames(), {
+    trackSid: 'TR_a',
+    participant: { identity: 'patient-1', name: '' },
+    adapter,
+    publish: message => published.push(message)
+  });
+
+  assert.deepEqual(published.map(message => [message.id, message.text, message.final]), [
+    ['TR_a-0', '1', false],
+    ['TR_a-0', '2', true],
+    ['TR_a-1', '1', false],
+    ['TR_a-1', '1', false],
+    ['TR_a-1', '2', true]
+  ]);
+  assert.ok(published.every(message => message.type === 'caption' && message.speaker === 'patient-1' && message.name === 'patient-1'));
+});
+
+test('leaves a room alone while a caption worker is in it', async () => {
+  assert.deepEqual(await startCaptionWorker('visit-1'), { status: 200, body: { success: true, message: 'Captions already running' } });
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+process.env.TRANSCRIPTION_ADAPTER = 'stub';
+process.env.CHAT_ATTACHMENT_MAX_BYTES = '64';
+// Nothing listens here, so relaying to the call fails fast
+process.env.LIVEKIT_URL = 'http://127.0.0.1:9';
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+
+const { createAppointment } = require('../lib/appointments');
+const { getRecordingStore } = require('../lib/recordingStore');
+const { transcribeRecording } = require('../lib/transcription');
+const { sendChatMessage, listChatMessages, getChatAttachment, exportChat } = require('../lib/chat');
+
+const clinician = { identity: 'dr-smith', name: 'Dr Smith' };
+const patient = { identity: 'patient-1', name: 'patient-1' };
+const photo = { name: 'rash.png', contentType: 'image/png', data: Buffer.from('png-bytes').toString('base64') };
+
+let room;
+
+before(async () => {
+  ({ room } = await createAppointment({
+    clinician: 'dr-smith',
+    patient: 'patient-1',
+    startsAt: '2030-01-01T10:00:00Z',
+    endsAt: '2030-01-01T10:30:00Z'
+  }));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('keeps messages and attachments for when someone rejoins', async () => {
+  const first = await sendChatMessage(room, patient, { text: '  I take metformin 500mg  ' });
+  const second = await sendChatMessage(room, patient, { text: 'Here it is', attachment: photo });
+
+  assert.equal(first.text, 'I take metformin 500mg');
+  assert.deepEqual(second.attachment, { name: 'rash.png', contentType: 'image/png', size: 9 });
+
+  const history = listChatMessages(room);
+  assert.deepEqual(history.map(message => message.id), [first.id, second.id]);
+  assert.equal(history[0].senderName, 'patient-1');
+
+  const attachment = await getChatAttachment(room, second.id);
+  assert.equal(attachment.body.toString(), 'png-bytes');
+  assert.equal(attachment.contentType, 'image/png');
+  await assert.rejects(getChatAttachment('another-room', second.id), { code: 'attachment_not_found' });
+  await assert.rejects(getChatAttachment(room, first.id), { code: 'attachment_not_found' });
+});
+
+test('rejects empty messages and unsuitable attachments', async () => {
+  await assert.rejects(sendChatMessage(room, patient, { text: '   ' }), { status: 400, code: 'empty_message' });
+  await assert.rejects(
+    sendChatMessage(room, patient, { attachment: { ...photo, contentType: 'text/html' } }),
+    { status: 415, code: 'unsupported_attachment' }
+  );
+  await assert.rejects(
+    sendChatMessage(room, patient, { attachment: { ...photo, data: Buffer.alloc(65).toString('base64') } }),
+    { status: 413, code: 'attachment_too_large' }
+  );
+});
+
+test('exports the chat merged with the transcript', async () => {
+  await getRecordingStore().create({
+    id: 'rec-1',
+    mode: 'tracks',
+    room,
+    status: 'complete',
+    startedAt: '2000-01-01T10:00:00.000Z',
+    filepath: 'recordings/ts/',
+    tracks: [{ trackSid: 'TR_a', identity: 'dr-smith', filepath: 'recordings/ts/dr-smith-TR_a.ogg', status: 'complete', offsetMs: 0 }]
+  });
+  await transcribeRecording('rec-1');
+  await sendChatMessage(room, clinician, { text: 'Noted' });
+
+  const { body } = await exportChat(room);
+  assert.ok(body.appointmentId);
+  assert.deepEqual(body.entries.map(entry => [entry.kind, entry.speaker]), [
+    ['speech', 'dr-smith'],
+    ['chat', 'patient-1'],
+    ['chat', 'patient-1'],
+    ['chat', 'Dr Smith']
+  ]);
+
+  const txt = await exportChat(room, { recordingId: 'rec-1', format: 'txt' });
+  assert.equal(txt.contentType, 'text/plain');
+  const lines = txt.body.trim().split('\n');
+  assert.equal(lines[0], '[2000-01-01T10:00:00.000Z] dr-smith (spoken): Transcript of dr-smith-TR_a.ogg');
+  assert.match(lines[2], /patient-1 \(chat\): Here it is \[attachment: rash.png\]$/);
+
+  await assert.rejects(exportChat(room, { format: 'pdf' }), { code: 'invalid_format' });
+});
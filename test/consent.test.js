@@ -0,0 +1,133 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+
+const { requestRecordingConsent, respondToConsent, promptLateJoiner, dropLeavingParticipant } = require('../lib/consent');
+const { getRecordingStore } = require('../lib/recordingStore');
+
+// LiveKit's room and egress services (Twirp over JSON) with whoever is in
+// `participants`; every call is kept
+const calls = [];
+let participants = [];
+let server;
+
+function answer(method, body) {
+  switch (method) {
+    case 'ListParticipants':
+      return { participants };
+    case 'StartRoomCompositeEgress':
+      return { egressId: `EG_${body.roomName}`, roomName: body.roomName, status: 'EGRESS_ACTIVE' };
+    default:
+      return {};
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      const body = JSON.parse(data || '{}');
+      calls.push({ method, body });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(answer(method, body)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LIVEKIT_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  calls.length = 0;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function inRoom(...identities) {
+  participants = identities.map(identity => ({ identity, metadata: JSON.stringify({ role: identity.startsWith('dr-') ? 'clinician' : 'patient' }) }));
+}
+
+test('starts recording once everyone has accepted, and not before', async () => {
+  inRoom('dr-smith', 'patient-1', 'patient-2');
+  participants.push(
+    { identity: 'EG_recorder', permission: { hidden: true, recorder: true } },
+    { identity: 'waiting-1', metadata: JSON.stringify({ role: 'patient', waiting: true }) }
+  );
+
+  const requested = await requestRecordingConsent('visit-1', 'dr-smith');
+  assert.equal(requested.status, 202);
+  assert.deepEqual(requested.body.waitingFor, ['patient-1', 'patient-2']);
+  const { consentRequestId } = requested.body;
+
+  assert.equal((await respondToConsent(consentRequestId, 'visit-1', 'waiting-1', 'accept')).status, 403);
+  assert.deepEqual((await respondToConsent(consentRequestId, 'visit-1', 'patient-1', 'accept')).body, { status: 'pending', waitingFor: ['patient-2'] });
+  assert.equal(calls.filter(call => call.method === 'StartRoomCompositeEgress').length, 0);
+
+  const granted = await respondToConsent(consentRequestId, 'visit-1', 'patient-2', 'accept');
+  assert.equal(granted.body.status, 'granted');
+  const recording = await getRecordingStore().get(granted.body.recordingId);
+  assert.deepEqual(recording.consent.acknowledgements.map(ack => ack.identity).sort(), ['dr-smith', 'patient-1', 'patient-2']);
+  assert.equal((await respondToConsent(consentRequestId, 'visit-1', 'patient-2', 'accept')).status, 409);
+  await getRecordingStore().update(recording.id, { status: 'complete' });
+});
+
+test('a single decline cancels the request', async () => {
+  inRoom('dr-smith', 'patient-1');
+  const { body: { consentRequestId } } = await requestRecordingConsent('visit-2', 'dr-smith');
+
+  assert.equal((await respondToConsent(consentRequestId, 'visit-2', 'patient-1', 'decline')).body.status, 'declined');
+  assert.equal(await getRecordingStore().getActiveByRoom('visit-2'), null);
+  const declined = calls.find(call => call.method === 'SendData' && call.body.topic === 'recording-consent' && !call.body.destinationIdentities?.length);
+  assert.ok(declined);
+});
+
+test('stops waiting for participants who leave before answering', async () => {
+  inRoom('dr-smith', 'patient-1', 'patient-2');
+  const { body: { consentRequestId } } = await requestRecordingConsent('visit-3', 'dr-smith');
+  await respondToConsent(consentRequestId, 'visit-3', 'patient-1', 'accept');
+
+  inRoom('dr-smith', 'patient-1');
+  await dropLeavingParticipant('visit-3', 'patient-2');
+
+  const recording = await getRecordingStore().getActiveByRoom('visit-3');
+  assert.ok(recording);
+  assert.deepEqual(recording.consent.acknowledgements.map(ack => ack.identity).sort(), ['dr-smith', 'patient-1']);
+  assert.equal((await respondToConsent(consentRequestId, 'visit-3', 'patient-2', 'accept')).status, 403);
+
+  // Someone who joins now is asked, and their request goes when they do
+  inRoom('dr-smith', 'patient-1', 'patient-3');
+  await promptLateJoiner('visit-3', participants[2]);
+  const suspended = calls.find(call => call.method === 'UpdateParticipant' && call.body.identity === 'patient-3');
+  // Twirp JSON leaves out false fields
+  assert.equal(suspended.body.permission.canSubscribe, true);
+  assert.equal(suspended.body.permission.canPublish, undefined);
+  const joinRequest = calls.find(call => call.method === 'SendData' && call.body.destinationIdentities?.includes('patient-3'));
+  assert.ok(joinRequest);
+
+  await dropLeavingParticipant('visit-3', 'patient-3');
+  const requestId = JSON.parse(Buffer.from(joinRequest.body.data, 'base64')).requestId;
+  assert.deepEqual((await respondToConsent(requestId, 'visit-3', 'patient-3', 'accept')).body, { error: 'Consent request is expired' });
+});
+
+test('cancels the request when the clinician who asked leaves', async () => {
+  inRoom('dr-smith', 'patient-1');
+  const { body: { consentRequestId } } = await requestRecordingConsent('visit-4', 'dr-smith');
+
+  await dropLeavingParticipant('visit-4', 'dr-smith');
+  assert.deepEqual((await respondToConsent(consentRequestId, 'visit-4', 'patient-1', 'accept')).body, { error: 'Consent request is cancelled' });
+  assert.equal(await getRecordingStore().getActiveByRoom('visit-4'), null);
+});
@@ -0,0 +1,63 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { createFileStore } = require('../lib/fileStore');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('updates records with changes computed from the current one', async () => {
+  const store = createFileStore('records');
+  await store.insert({ id: 'a', count: 1 });
+
+  assert.equal((await store.update('a', current => ({ count: current.count + 1 }))).count, 2);
+  const unchanged = await store.update('a', () => null);
+  assert.equal(unchanged.count, 2);
+  assert.equal(unchanged.updatedAt, store.get('a').updatedAt);
+  assert.equal(await store.update('missing', { count: 1 }), null);
+  assert.equal((await store.insertIfAbsent({ id: 'a', count: 5 })).count, 2);
+  assert.equal(await store.remove('a'), true);
+  assert.deepEqual(store.list(), []);
+});
+
+test('waits for a lock held elsewhere without blocking other work', async () => {
+  const store = createFileStore('locked');
+  const lockFile = path.join(dataDir, 'locked.json.lock');
+  fs.writeFileSync(lockFile, '');
+
+  let inserted = false;
+  const insert = store.insert({ id: 'a' }).then(() => { inserted = true; });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(inserted, false);
+
+  fs.rmSync(lockFile);
+  await insert;
+  assert.equal(store.get('a').id, 'a');
+});
+
+test('keeps every process its changes when several write at once', async () => {
+  const script = `
+    const { createFileStore } = require(${JSON.stringify(path.join(__dirname, '../lib/fileStore'))});
+    const store = createFileStore('shared');
+    (async () => {
+      for (let i = 0; i < 25; i++) {
+        await store.insert({ id: process.pid + '-' + i });
+      }
+    })();
+  `;
+  const writeFrom = () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], error => (error ? reject(error) : resolve()));
+  });
+  await Promise.all([writeFrom(), writeFrom(), writeFrom(), writeFrom()]);
+
+  assert.equal(createFileStore('shared').list().length, 100);
+  assert.deepEqual(fs.readdirSync(dataDir).sort(), ['locked.json', 'records.json', 'shared.json']);
+});
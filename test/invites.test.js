@@ -0,0 +1,79 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invites-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.APP_URL = 'https://visits.example.com/';
+// Nothing listens here, so removing people from the call fails fast
+process.env.LIVEKIT_URL = 'http://127.0.0.1:9';
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+
+const {
+  createInvite,
+  verifyInviteCode,
+  redeemInvite,
+  listInvites,
+  revokeInvite,
+  muteInvitee
+} = require('../lib/invites');
+const { isRevoked } = require('../lib/revocations');
+
+const codeOf = link => new URL(link).searchParams.get('invite');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('invites work once, with their own role and identity', async () => {
+  const { invite, link } = await createInvite('visit-1', 'dr-smith', { role: 'interpreter', name: '  Ana (Spanish)  ' });
+  assert.match(link, /^https:\/\/visits\.example\.com\/\?invite=/);
+  assert.equal(invite.name, 'Ana (Spanish)');
+  assert.equal(invite.identity, `interpreter-${invite.id.slice(0, 8)}`);
+  assert.equal(invite.status, 'pending');
+  assert.equal(invite.codeHash, undefined);
+
+  assert.equal(verifyInviteCode(codeOf(link)).id, invite.id);
+  const redeemed = await redeemInvite(codeOf(link));
+  assert.equal(redeemed.role, 'interpreter');
+  await assert.rejects(redeemInvite(codeOf(link)), { status: 403, code: 'invite_used' });
+  assert.equal(listInvites('visit-1')[0].status, 'used');
+
+  assert.throws(() => verifyInviteCode('made-up'), { status: 401, code: 'invalid_invite' });
+  assert.throws(() => verifyInviteCode(undefined), { code: 'invalid_invite' });
+});
+
+test('invites expire', async () => {
+  const { invite, link } = await createInvite('visit-1', 'dr-smith', { role: 'caregiver', expiresInMinutes: 5 });
+  assert.equal(invite.name, 'Caregiver');
+  const afterExpiry = Date.parse(invite.expiresAt) + 1;
+  await assert.rejects(redeemInvite(codeOf(link), afterExpiry), { code: 'invite_expired' });
+  assert.equal((await redeemInvite(codeOf(link))).id, invite.id);
+});
+
+test('rejects roles and lifetimes invites cannot have', async () => {
+  await assert.rejects(createInvite('visit-1', 'dr-smith', { role: 'clinician' }), { status: 400, code: 'invalid_role' });
+  await assert.rejects(createInvite('visit-1', 'dr-smith', { role: 'specialist', expiresInMinutes: 0 }), { code: 'invalid_expiry' });
+  await assert.rejects(
+    createInvite('visit-1', 'dr-smith', { role: 'specialist', expiresInMinutes: 24 * 60 + 1 }),
+    { code: 'invalid_expiry' }
+  );
+});
+
+test('revoked invites cannot be used', async () => {
+  const { invite, link } = await createInvite('visit-2', 'dr-smith', { role: 'specialist', name: 'Dr Jones' });
+  await assert.rejects(revokeInvite('visit-1', invite.id, 'dr-smith'), { status: 404, code: 'invite_not_found' });
+
+  const revoked = await revokeInvite('visit-2', invite.id, 'dr-smith');
+  assert.equal(revoked.status, 'revoked');
+  assert.equal(revoked.revokedBy, 'dr-smith');
+  await assert.rejects(redeemInvite(codeOf(link)), { code: 'invite_revoked' });
+  assert.equal(isRevoked('visit-2', invite.identity), true);
+  await assert.rejects(muteInvitee('visit-2', invite.id), { status: 409, code: 'not_in_call' });
+
+  assert.deepEqual(listInvites('visit-2').map(item => item.id), [invite.id]);
+  assert.deepEqual(listInvites('visit-3'), []);
+});
@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.JOB_RETRY_BASE_MS = '1000';
+process.env.JOB_LOCK_TIMEOUT_MS = '60000';
+
+const {
+  enqueueJob,
+  getJob,
+  claimNextJob,
+  keepJobLocked,
+  completeJob,
+  failJob,
+  retryJob,
+  getRetryDelay
+} = require('../lib/jobQueue');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('enqueues each key once and hands a job to one worker', () => {
+  const job = enqueueJob({ type: 'test', key: 'rec-1:download', payload: { n: 1 } });
+  assert.equal(enqueueJob({ type: 'test', key: 'rec-1:download', payload: { n: 2 } }).id, job.id);
+
+  const claimed = claimNextJob('worker-a', { types: ['test'] });
+  assert.equal(claimed.id, job.id);
+  assert.deepEqual([claimed.status, claimed.attempts, claimed.lockedBy], ['running', 1, 'worker-a']);
+  assert.equal(claimNextJob('worker-b', { types: ['test'] }), null);
+
+  const completed = completeJob(job.id, { files: 2 });
+  assert.equal(completed.status, 'complete');
+  assert.deepEqual(getJob(job.id).result, { files: 2 });
+  assert.equal(claimNextJob('worker-b', { types: ['test'] }), null);
+});
+
+test('retries with exponential backoff, then dead-letters', () => {
+  const now = Date.now();
+  const job = enqueueJob({ type: 'flaky', maxAttempts: 3 });
+  assert.deepEqual([1, 2, 3].map(getRetryDelay), [1000, 2000, 4000]);
+
+  claimNextJob('worker-a', { types: ['flaky'], now });
+  const retry = failJob(job.id, new Error('storage unavailable'), { now });
+  assert.equal(retry.status, 'pending');
+  assert.equal(retry.lastError, 'storage unavailable');
+  assert.equal(retry.runAt, new Date(now + 1000).toISOString());
+
+  assert.equal(claimNextJob('worker-a', { types: ['flaky'], now: now + 999 }), null);
+  claimNextJob('worker-a', { types: ['flaky'], now: now + 1000 });
+  assert.equal(failJob(job.id, new Error('again'), { now: now + 1000 }).runAt, new Date(now + 3000).toISOString());
+
+  claimNextJob('worker-a', { types: ['flaky'], now: now + 3000 });
+  const dead = failJob(job.id, new Error('still failing'), { now: now + 3000 });
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(claimNextJob('worker-a', { types: ['flaky'], now: now + 60000 }), null);
+
+  const revived = retryJob(job.id);
+  assert.deepEqual([revived.status, revived.attempts], ['pending', 0]);
+  assert.equal(claimNextJob('worker-a', { types: ['flaky'], now: now + 60000 }).id, job.id);
+  completeJob(job.id);
+});
+
+test('picks up a job whose worker stopped responding', () => {
+  const now = Date.now();
+  const job = enqueueJob({ type: 'abandoned' });
+  claimNextJob('worker-a', { types: ['abandoned'], now });
+
+  assert.equal(claimNextJob('worker-b', { types: ['abandoned'], now: now + 1000 }), null);
+  const reclaimed = claimNextJob('worker-b', { types: ['abandoned'], now: now + 61000 });
+  assert.equal(reclaimed.id, job.id);
+  assert.deepEqual([reclaimed.lockedBy, reclaimed.attempts], ['worker-b', 2]);
+});
+
+test('keeps the lock of a long-running job fresh until told to stop', async () => {
+  process.env.JOB_LOCK_TIMEOUT_MS = '90';
+  try {
+    const job = enqueueJob({ type: 'long' });
+    claimNextJob('worker-a', { types: ['long'] });
+    const stopLocking = keepJobLocked(job.id);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(claimNextJob('worker-b', { types: ['long'] }), null);
+
+    stopLocking();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(claimNextJob('worker-b', { types: ['long'] }).lockedBy, 'worker-b');
+  } finally {
+    process.env.JOB_LOCK_TIMEOUT_MS = '60000';
+  }
+});
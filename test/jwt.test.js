@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { base64UrlEncode, signJwt, decodeJwt, verifyJwt } = require('../lib/jwt');
+
+const secret = 'jwt-secret';
+const now = Date.parse('2030-01-01T10:00:00Z');
+const seconds = now / 1000;
+
+// Sign with a key pair the way an IdP would
+function signWithKey(alg, privateKey, payload) {
+  const signingInput = `${base64UrlEncode(JSON.stringify({ alg, kid: 'key-1' }))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  const signature = crypto.sign(
+    'sha256',
+    Buffer.from(signingInput),
+    alg === 'ES256' ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey
+  );
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+test('signs HS256 tokens that verify with the same secret', () => {
+  const token = signJwt({ sub: 'dr-smith', nbf: seconds, exp: seconds + 60 }, secret);
+  assert.deepEqual(decodeJwt(token).header, { alg: 'HS256', typ: 'JWT' });
+  assert.equal(verifyJwt(token, { secret, now }).sub, 'dr-smith');
+
+  assert.throws(() => verifyJwt(token, { secret: 'another-secret', now }), { code: 'invalid_signature' });
+  assert.throws(() => verifyJwt(token, { now }), { code: 'invalid_signature' });
+
+  const [header, , signature] = token.split('.');
+  const tampered = `${header}.${base64UrlEncode(JSON.stringify({ sub: 'someone-else', exp: seconds + 60 }))}.${signature}`;
+  assert.throws(() => verifyJwt(tampered, { secret, now }), { code: 'invalid_signature' });
+});
+
+test('checks the validity window', () => {
+  const token = signJwt({ sub: 'patient-1', nbf: seconds, exp: seconds + 60 }, secret);
+  assert.throws(() => verifyJwt(token, { secret, now: now + 60 * 1000 }), { code: 'expired' });
+  assert.throws(() => verifyJwt(token, { secret, now: now - 1000 }), { code: 'not_yet_valid' });
+  assert.throws(() => verifyJwt(signJwt({ sub: 'patient-1' }, secret), { secret, now }), { code: 'expired' });
+});
+
+test('rejects malformed tokens and unsigned ones', () => {
+  for (const token of [undefined, '', 'a.b', 'a.b.c', 'a..c']) {
+    assert.throws(() => verifyJwt(token, { secret, now }), { code: 'malformed' });
+  }
+
+  const unsigned = `${base64UrlEncode(JSON.stringify({ alg: 'none' }))}.${base64UrlEncode(JSON.stringify({ exp: seconds + 60 }))}.x`;
+  assert.throws(() => verifyJwt(unsigned, { secret, now }), { code: 'invalid_signature' });
+});
+
+test('verifies RS256 and ES256 with the key the caller finds', () => {
+  const payload = { sub: 'dr-smith', exp: seconds + 60 };
+  for (const [alg, type, options] of [['RS256', 'rsa', { modulusLength: 2048 }], ['ES256', 'ec', { namedCurve: 'P-256' }]]) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    const token = signWithKey(alg, privateKey, payload);
+
+    assert.equal(verifyJwt(token, { getKey: header => (header.kid === 'key-1' ? publicKey : null), now }).sub, 'dr-smith', alg);
+    assert.throws(() => verifyJwt(token, { getKey: () => null, now }), { code: 'invalid_signature' });
+    // A key pair's token is not an HS256 token signed with the public key
+    assert.throws(() => verifyJwt(token, { secret: publicKey.export({ type: 'spki', format: 'pem' }), now }), { code: 'invalid_signature' });
+  }
+});
@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-test-'));
+process.env.DATA_DIR = dataDir;
+// Nothing listens here, so room service calls fail fast
+process.env.LIVEKIT_URL = 'http://127.0.0.1:9';
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+
+const { createFileStore } = require('../lib/fileStore');
+const {
+  setTrackMuted,
+  removeParticipant,
+  setRoomLocked,
+  assertNotLockedOut,
+  removeIfLockedOut,
+  clearRoomLock,
+  endVisit
+} = require('../lib/moderation');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('locked visits keep out only those who were not in them', async () => {
+  await createFileStore('room-locks').insert({
+    id: 'visit-1',
+    room: 'visit-1',
+    lockedBy: 'dr-smith',
+    lockedAt: new Date().toISOString(),
+    identities: ['dr-smith', 'patient-1']
+  });
+
+  assert.doesNotThrow(() => assertNotLockedOut('visit-1', 'patient-1'));
+  assert.doesNotThrow(() => assertNotLockedOut('visit-2', 'stranger'));
+  assert.throws(() => assertNotLockedOut('visit-1', 'stranger'), { status: 423, code: 'room_locked' });
+
+  assert.equal(await removeIfLockedOut('visit-1', { identity: 'patient-1' }), false);
+  assert.equal(await removeIfLockedOut('visit-1', { identity: 'caption-worker', permission: { hidden: true } }), false);
+
+  await clearRoomLock('visit-1');
+  assert.doesNotThrow(() => assertNotLockedOut('visit-1', 'stranger'));
+});
+
+test('rejects moderation the room service cannot carry out', async () => {
+  await assert.rejects(
+    setTrackMuted('visit-1', 'patient-1', { source: 'data' }, true),
+    { status: 400, code: 'invalid_source' }
+  );
+  await assert.rejects(setTrackMuted('visit-1', 'patient-1', {}, true), { status: 404, code: 'participant_not_found' });
+  await assert.rejects(removeParticipant('visit-1', 'dr-smith', 'dr-smith'), { status: 400, code: 'cannot_remove_self' });
+  await assert.rejects(removeParticipant('visit-1', 'patient-1', 'dr-smith'), { code: 'participant_not_found' });
+  await assert.rejects(setRoomLocked('visit-1', true, 'dr-smith'), { status: 404, code: 'room_not_found' });
+  await assert.rejects(endVisit('visit-1', 'dr-smith'), { status: 404, code: 'room_not_found' });
+});
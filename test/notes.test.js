@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.TRANSCRIPTION_ADAPTER = 'stub';
+
+const { getRecordingStore } = require('../lib/recordingStore');
+const { transcribeRecording } = require('../lib/transcription');
+const { draftNote, requestNote, listNotes, getNote, saveDraft, signNote, amendNote } = require('../lib/notes');
+
+const clinician = { identity: 'dr-smith', roles: ['clinician'], admin: false };
+const patient = { identity: 'patient-1', roles: ['patient'], admin: false };
+const otherClinician = { identity: 'dr-jones', roles: ['clinician'], admin: false };
+const admin = { identity: 'ops', roles: [], admin: true };
+
+// Stands in for the stub transcript so the rules have something to sort
+function writeTranscript(recordingId, room, segments) {
+  const file = path.join(dataDir, 'transcripts.json');
+  const transcripts = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  transcripts[`t-${recordingId}`] = { id: `t-${recordingId}`, recordingId, room, status: 'complete', segments };
+  fs.writeFileSync(file, JSON.stringify(transcripts));
+}
+
+before(async () => {
+  const store = getRecordingStore();
+  for (const id of ['rec-1', 'rec-2']) {
+    await store.create({
+      id,
+      mode: 'tracks',
+      room: 'visit-1',
+      status: 'complete',
+      startedBy: 'dr-smith',
+      startedAt: '2026-01-01T10:00:00.000Z',
+      endedAt: '2026-01-01T10:20:00.000Z',
+      filepath: `recordings/${id}/`,
+      tracks: [
+        { trackSid: 'TR_a', identity: 'dr-smith', filepath: `recordings/${id}/dr-smith.ogg`, status: 'complete', offsetMs: 0 },
+        { trackSid: 'TR_b', identity: 'patient-1', filepath: `recordings/${id}/patient-1.ogg`, status: 'complete', offsetMs: 0 }
+      ]
+    });
+  }
+  writeTranscript('rec-1', 'visit-1', [
+    { start: 0, end: 4, speaker: 'patient-1', text: 'I have had a cough for two weeks. It is worse at night.' },
+    { start: 5, end: 9, speaker: 'dr-smith', text: 'Your temperature is 38.2 degrees. This is likely bronchitis.' },
+    { start: 10, end: 14, speaker: 'dr-smith', text: 'Take 500 mg amoxicillin twice a day. Thanks for coming in.' }
+  ]);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('drafts a SOAP note from the speaker-attributed transcript', async () => {
+  const note = await draftNote('rec-1');
+  const { content, status, version } = note.versions[0];
+
+  assert.equal(note.adapter, 'rules');
+  assert.equal(note.clinician, 'dr-smith');
+  assert.deepEqual({ status, version }, { status: 'draft', version: 1 });
+  assert.deepEqual(content, {
+    subjective: '- patient-1: I have had a cough for two weeks.\n- patient-1: It is worse at night.',
+    objective: '- Your temperature is 38.2 degrees.',
+    assessment: '- This is likely bronchitis.',
+    plan: '- Take 500 mg amoxicillin twice a day.'
+  });
+});
+
+test('limits notes to clinicians from the visit, and admins read-only', async () => {
+  const [note] = listNotes(clinician, { recordingId: 'rec-1' });
+  assert.ok(note);
+  assert.deepEqual(listNotes(otherClinician), []);
+  assert.deepEqual(listNotes(patient), []);
+  assert.throws(() => getNote(patient, note.id), { code: 'note_not_allowed' });
+
+  assert.equal(getNote(admin, note.id).id, note.id);
+  await assert.rejects(saveDraft(admin, note.id, { plan: 'x' }), { code: 'note_not_allowed' });
+});
+
+test('signed notes are read-only; amending starts a new version', async () => {
+  const [{ id }] = listNotes(clinician, { recordingId: 'rec-1' });
+
+  const edited = await saveDraft(clinician, id, { plan: '- Amoxicillin 500 mg twice daily for 7 days' });
+  assert.equal(edited.current.content.plan, '- Amoxicillin 500 mg twice daily for 7 days');
+  assert.equal(edited.current.content.assessment, '- This is likely bronchitis.');
+
+  // A clinician's edits survive the stage running again
+  await draftNote('rec-1');
+  assert.equal(getNote(clinician, id).current.updatedBy, 'dr-smith');
+
+  const signed = await signNote(clinician, id);
+  assert.equal(signed.current.status, 'signed');
+  assert.equal(signed.current.signedBy, 'dr-smith');
+  assert.match(signed.current.contentHash, /^[0-9a-f]{64}$/);
+
+  await assert.rejects(saveDraft(clinician, id, { plan: 'changed' }), { status: 409, code: 'note_signed' });
+  await assert.rejects(signNote(clinician, id), { code: 'note_signed' });
+
+  const amended = await amendNote(clinician, id);
+  assert.equal(amended.current.version, 2);
+  assert.equal(amended.current.status, 'draft');
+  assert.deepEqual(amended.current.content, signed.current.content);
+  assert.equal(amended.versions[0].status, 'signed');
+
+  await saveDraft(clinician, id, { plan: '- Amoxicillin 500 mg twice daily for 10 days' });
+  const history = getNote(clinician, id).versions;
+  assert.equal(history[0].content.plan, '- Amoxicillin 500 mg twice daily for 7 days');
+  assert.equal(history[1].content.plan, '- Amoxicillin 500 mg twice daily for 10 days');
+});
+
+test('drafts from the transcription stage output', async () => {
+  await transcribeRecording('rec-2');
+  await draftNote('rec-2');
+  const [note] = listNotes(clinician, { recordingId: 'rec-2' });
+  assert.equal(note.current.content.subjective, '- patient-1: Transcript of patient-1.ogg');
+});
+
+test('drafting on request needs a finished transcript', async () => {
+  await getRecordingStore().create({
+    id: 'rec-3',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-02T10:00:00.000Z',
+    filepath: 'recordings/rec-3.ogg'
+  });
+  await assert.rejects(requestNote(clinician, 'rec-3'), { status: 409, code: 'transcript_not_ready' });
+  await assert.rejects(requestNote(patient, 'rec-3'), { code: 'note_not_allowed' });
+  await assert.rejects(requestNote(clinician, 'missing'), { code: 'recording_not_found' });
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-library-test-'));
+const storageDir = path.join(dataDir, 'storage');
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.RECORDING_URL_SECRET = 'test-secret';
+
+const { getRecordingStore } = require('../lib/recordingStore');
+const { recordParticipantJoined, recordParticipantLeft } = require('../lib/sessions');
+const { queryAuditLog } = require('../lib/audit');
+const {
+  listRecordings,
+  getRecording,
+  getSignedRecordingFile,
+  deleteRecording
+} = require('../lib/recordingLibrary');
+
+const clinician = { identity: 'dr-smith', roles: ['clinician'], admin: false };
+const patient = { identity: 'patient-1', roles: ['patient'], admin: false };
+const stranger = { identity: 'dr-jones', roles: ['clinician'], admin: false };
+const admin = { identity: 'ops', roles: [], admin: true };
+
+const fileUrl = (id, query) => `/recordings/${id}/file?${query}`;
+
+before(async () => {
+  fs.mkdirSync(path.join(storageDir, 'recordings/visit-1'), { recursive: true });
+  fs.writeFileSync(path.join(storageDir, 'recordings/visit-1/a.ogg'), 'audio');
+
+  const room = { sid: 'RM_1', name: 'visit-1' };
+  await recordParticipantJoined(room, { identity: 'patient-1' }, '2026-01-01T09:55:00.000Z');
+  await recordParticipantLeft(room, { identity: 'patient-1' }, '2026-01-01T10:30:00.000Z');
+
+  const store = getRecordingStore();
+  await store.create({
+    id: 'rec-1',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-01T10:00:00.000Z',
+    endedAt: '2026-01-01T10:20:00.000Z',
+    filepath: 'recordings/visit-1/a.ogg'
+  });
+  await store.create({
+    id: 'rec-2',
+    room: 'visit-2',
+    status: 'complete',
+    startedBy: 'dr-jones',
+    startedAt: '2026-02-01T10:00:00.000Z',
+    endedAt: '2026-02-01T10:20:00.000Z',
+    filepath: 'recordings/visit-2/b.ogg'
+  });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('lists only recordings from sessions the user was in', async () => {
+  assert.deepEqual((await listRecordings(clinician)).map(recording => recording.id), ['rec-1']);
+  assert.deepEqual((await listRecordings(patient)).map(recording => recording.id), ['rec-1']);
+  assert.deepEqual((await listRecordings(admin)).map(recording => recording.id), ['rec-2', 'rec-1']);
+});
+
+test('filters by room, date range and participant', async () => {
+  assert.deepEqual((await listRecordings(admin, { room: 'visit-2' })).map(recording => recording.id), ['rec-2']);
+  assert.deepEqual((await listRecordings(admin, { from: '2026-01-15' })).map(recording => recording.id), ['rec-2']);
+  assert.deepEqual((await listRecordings(admin, { to: '2026-01-15' })).map(recording => recording.id), ['rec-1']);
+  assert.deepEqual((await listRecordings(admin, { participant: 'patient-1' })).map(recording => recording.id), ['rec-1']);
+  await assert.rejects(listRecordings(admin, { from: 'yesterday' }), { status: 400 });
+});
+
+test('signs playback URLs that expire', async () => {
+  await assert.rejects(getRecording(stranger, 'rec-1', { fileUrl }), { status: 403 });
+
+  const { recording, files } = await getRecording(patient, 'rec-1', { fileUrl });
+  assert.deepEqual(recording.participants.sort(), ['dr-smith', 'patient-1']);
+  assert.equal(files.length, 1);
+
+  const query = Object.fromEntries(new URL(files[0].url, 'http://localhost').searchParams);
+  const file = await getSignedRecordingFile('rec-1', query);
+  assert.equal(file.body.toString(), 'audio');
+  assert.equal(file.contentType, 'audio/ogg');
+  assert.deepEqual(queryAuditLog({ target: 'rec-1' }).map(entry => [entry.action, entry.actor]), [
+    ['recording.viewed', 'patient-1'],
+    ['recording.downloaded', 'patient-1']
+  ]);
+
+  await assert.rejects(getSignedRecordingFile('rec-1', { ...query, key: 'recordings/visit-2/b.ogg' }), { code: 'invalid_signature' });
+  await assert.rejects(getSignedRecordingFile('rec-2', query), { code: 'invalid_signature' });
+  await assert.rejects(getSignedRecordingFile('rec-1', { ...query, by: 'dr-smith' }), { code: 'invalid_signature' });
+});
+
+test('only participating clinicians and admins can delete', async () => {
+  await assert.rejects(deleteRecording(patient, 'rec-1'), { code: 'role_not_allowed' });
+  await assert.rejects(deleteRecording(stranger, 'rec-1'), { code: 'recording_not_allowed' });
+
+  assert.deepEqual(await deleteRecording(clinician, 'rec-1'), { deleted: 'rec-1' });
+  assert.equal(await getRecordingStore().get('rec-1'), null);
+  assert.equal(fs.existsSync(path.join(storageDir, 'recordings/visit-1/a.ogg')), false);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-store-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { createRecordingStore } = require('../lib/recordingStore');
+
+// A Redis REST endpoint (Upstash style) that knows the commands the store
+// sends, including its compare-and-set script
+const strings = new Map();
+const sets = new Map();
+const commands = {
+  GET: key => strings.get(key) ?? null,
+  SET: (key, value) => {
+    strings.set(key, value);
+    return 'OK';
+  },
+  DEL: key => Number(strings.delete(key)),
+  SADD: (key, member) => {
+    sets.set(key, (sets.get(key) || new Set()).add(member));
+    return 1;
+  },
+  SREM: (key, member) => Number(sets.get(key)?.delete(member) || false),
+  SMEMBERS: key => [...(sets.get(key) || [])],
+  EVAL: (script, keyCount, key, expected, value) => {
+    if (strings.get(key) !== expected) {
+      return 0;
+    }
+    strings.set(key, value);
+    return 1;
+  }
+};
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const [name, ...args] = JSON.parse(data);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ result: commands[name](...args) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.REDIS_REST_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.REDIS_REST_TOKEN = 'redis-token';
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (const backend of ['file', 'redis']) {
+  test(`${backend}: keeps recordings findable by egress and active room`, async () => {
+    const store = createRecordingStore(backend);
+    await store.create({
+      id: 'rec-1',
+      room: 'visit-1',
+      status: 'starting',
+      tracks: [{ identity: 'dr-smith', egressId: 'EG_track' }]
+    });
+
+    assert.equal((await store.getActiveByRoom('visit-1')).id, 'rec-1');
+    assert.equal((await store.findByEgressId('EG_track')).id, 'rec-1');
+
+    await store.update('rec-1', { status: 'active', egressId: 'EG_room' });
+    assert.equal((await store.findByEgressId('EG_room')).status, 'active');
+
+    await store.update('rec-1', { status: 'complete' });
+    assert.equal(await store.getActiveByRoom('visit-1'), null);
+    assert.deepEqual((await store.list(recording => recording.room === 'visit-1')).map(recording => recording.id), ['rec-1']);
+
+    assert.equal(await store.remove('rec-1'), true);
+    assert.equal(await store.get('rec-1'), null);
+    assert.equal(await store.findByEgressId('EG_track'), null);
+    assert.equal(await store.update('rec-1', { status: 'failed' }), null);
+  });
+
+  test(`${backend}: updates with changes computed from the current record`, async () => {
+    const store = createRecordingStore(backend);
+    await store.create({ id: 'rec-2', room: 'visit-2', status: 'active', count: 0 });
+
+    const unchanged = await store.update('rec-2', () => null);
+    assert.equal(unchanged.count, 0);
+    assert.equal(unchanged.updatedAt, undefined);
+
+    const increment = () => store.update('rec-2', current => ({ count: current.count + 1 }));
+    await Promise.all([increment(), increment(), increment(), increment(), increment()]);
+    assert.equal((await store.get('rec-2')).count, 5);
+  });
+}
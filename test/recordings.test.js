@@ -0,0 +1,180 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+process.env.RECORDING_MODE = 'tracks';
+
+const { WebhookEvent } = require('livekit-server-sdk');
+const { startRecording, stopRecording, addRecordingTrack, getRecordingManifest } = require('../lib/recordings');
+const { handleWebhookEvent } = require('../lib/webhooks');
+const { getRecordingStore } = require('../lib/recordingStore');
+
+// LiveKit's room and egress services (Twirp over JSON). Track egresses
+// start, except those in `failing`; one in `held` waits until released.
+const calls = [];
+let participants = [];
+const failing = new Set();
+const held = new Map();
+let server;
+
+async function answer(method, body) {
+  switch (method) {
+    case 'ListParticipants':
+      return { participants };
+    case 'StartTrackEgress':
+      if (failing.has(body.trackId)) {
+        return null;
+      }
+      if (held.has(body.trackId)) {
+        await held.get(body.trackId).promise;
+      }
+      return { egressId: `EG_${body.trackId}`, roomName: body.roomName, status: 'EGRESS_STARTING' };
+    default:
+      return {};
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', async () => {
+      const method = req.url.split('/').pop();
+      const body = JSON.parse(data || '{}');
+      calls.push({ method, body });
+      const result = await answer(method, body);
+      res.setHeader('Content-Type', 'application/json');
+      if (!result) {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ code: 'internal', msg: 'egress unavailable' }));
+      } else {
+        res.end(JSON.stringify(result));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LIVEKIT_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  calls.length = 0;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const microphone = sid => ({ sid, type: 'AUDIO', source: 'MICROPHONE' });
+const stopped = () => calls.filter(call => call.method === 'StopEgress').map(call => call.body.egressId);
+
+function egressEnded(room, trackId) {
+  return WebhookEvent.fromJson({
+    event: 'egress_ended',
+    room: { sid: `RM_${room}`, name: room },
+    egressInfo: {
+      egressId: `EG_${trackId}`,
+      roomName: room,
+      status: 'EGRESS_COMPLETE',
+      track: { trackId },
+      fileResults: [{ filename: `${trackId}.ogg`, size: '1024', duration: '60000000000' }]
+    }
+  });
+}
+
+test('records each microphone in its own file', async () => {
+  participants = [
+    { identity: 'dr-smith', tracks: [microphone('TR_a'), { sid: 'TR_cam', type: 'VIDEO', source: 'CAMERA' }] },
+    { identity: 'patient-1', tracks: [microphone('TR_b')] }
+  ];
+
+  const started = await startRecording('visit-1', 'dr-smith');
+  assert.equal(started.status, 200);
+  assert.deepEqual(started.body.egressIds, ['EG_TR_a', 'EG_TR_b']);
+
+  const manifest = await getRecordingManifest(started.body.recordingId);
+  assert.deepEqual(manifest.body.files.map(file => [file.participant, file.trackSid, file.status]), [
+    ['dr-smith', 'TR_a', 'starting'],
+    ['patient-1', 'TR_b', 'starting']
+  ]);
+
+  await stopRecording('visit-1', 'dr-smith');
+  assert.deepEqual(stopped(), ['EG_TR_a', 'EG_TR_b']);
+
+  await Promise.all([handleWebhookEvent(egressEnded('visit-1', 'TR_a')), handleWebhookEvent(egressEnded('visit-1', 'TR_b'))]);
+  const recording = await getRecordingStore().get(started.body.recordingId);
+  assert.equal(recording.status, 'complete');
+  assert.deepEqual(recording.tracks.map(track => [track.status, track.durationMs]), [['complete', 60000], ['complete', 60000]]);
+});
+
+test('a track whose egress failed to start does not hold the recording up', async () => {
+  participants = [
+    { identity: 'dr-smith', tracks: [microphone('TR_c')] },
+    { identity: 'patient-1', tracks: [microphone('TR_d')] }
+  ];
+  failing.add('TR_d');
+
+  const { body: { recordingId } } = await startRecording('visit-2', 'dr-smith');
+  const { tracks } = await getRecordingStore().get(recordingId);
+  assert.deepEqual(tracks.map(track => [track.trackSid, track.status]), [['TR_c', 'starting'], ['TR_d', 'failed']]);
+
+  await stopRecording('visit-2', 'dr-smith');
+  await handleWebhookEvent(egressEnded('visit-2', 'TR_c'));
+  assert.equal((await getRecordingStore().get(recordingId)).status, 'complete');
+});
+
+test('a track still starting when the recording stops is given up on, and its egress stopped', async () => {
+  participants = [];
+  const { body: { recordingId } } = await startRecording('visit-3', 'dr-smith');
+
+  let release;
+  held.set('TR_e', { promise: new Promise(resolve => { release = resolve; }) });
+  const adding = addRecordingTrack(recordingId, 'patient-1', 'TR_e');
+  while (!calls.some(call => call.method === 'StartTrackEgress')) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  await stopRecording('visit-3', 'dr-smith');
+  const recording = await getRecordingStore().get(recordingId);
+  assert.equal(recording.status, 'failed');
+  assert.equal(recording.tracks[0].status, 'failed');
+
+  release();
+  await adding;
+  assert.deepEqual(stopped(), ['EG_TR_e']);
+  assert.equal((await getRecordingStore().get(recordingId)).tracks[0].egressId, 'EG_TR_e');
+});
+
+test('a track left starting by a lost egress start does not block stopping', async () => {
+  const store = getRecordingStore();
+  await store.create({
+    id: 'rec-stuck',
+    mode: 'tracks',
+    room: 'visit-4',
+    status: 'active',
+    startedBy: 'dr-smith',
+    startedAt: new Date().toISOString(),
+    filepath: 'recordings/visit-4/',
+    tracks: [
+      { trackSid: 'TR_f', identity: 'dr-smith', egressId: 'EG_TR_f', status: 'active' },
+      { trackSid: 'TR_g', identity: 'patient-1', egressId: null, status: 'starting' }
+    ]
+  });
+
+  await stopRecording('visit-4', 'dr-smith');
+  assert.deepEqual(stopped(), ['EG_TR_f']);
+  await handleWebhookEvent(egressEnded('visit-4', 'TR_f'));
+
+  const recording = await store.get('rec-stuck');
+  assert.equal(recording.status, 'complete');
+  assert.deepEqual(recording.tracks.map(track => track.status), ['complete', 'failed']);
+});
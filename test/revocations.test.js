@@ -0,0 +1,63 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revocations-test-'));
+process.env.DATA_DIR = dataDir;
+// Nothing listens here, so removing people from the call fails fast
+process.env.LIVEKIT_URL = 'http://127.0.0.1:9';
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+
+const {
+  isRevoked,
+  assertNotRevoked,
+  revokeAccess,
+  listRevocations,
+  liftRevocation,
+  removeIfAccessRevoked
+} = require('../lib/revocations');
+const { createRoomToken, verifyRoomGrant } = require('../lib/livekit');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('revokes an identity in one room only, until lifted', async () => {
+  const { revocation, removed } = await revokeAccess('visit-1', 'patient-1', 'dr-smith', { reason: '  Shared the link  ' });
+  assert.equal(removed, false);
+  assert.equal(revocation.reason, 'Shared the link');
+  assert.equal(revocation.revokedBy, 'dr-smith');
+
+  assert.equal(isRevoked('visit-1', 'patient-1'), true);
+  assert.equal(isRevoked('visit-2', 'patient-1'), false);
+  assert.throws(() => assertNotRevoked('visit-1', 'patient-1'), { status: 403, code: 'access_revoked' });
+  assert.doesNotThrow(() => assertNotRevoked('visit-1', 'patient-2'));
+  assert.equal(await removeIfAccessRevoked('visit-1', 'patient-2'), false);
+
+  const again = await revokeAccess('visit-1', 'patient-1', 'dr-jones');
+  assert.equal(again.revocation.id, revocation.id);
+  assert.deepEqual(listRevocations('visit-1').map(item => item.id), [revocation.id]);
+
+  await assert.rejects(liftRevocation('visit-2', revocation.id), { status: 404, code: 'revocation_not_found' });
+  assert.equal((await liftRevocation('visit-1', revocation.id)).identity, 'patient-1');
+  assert.equal(isRevoked('visit-1', 'patient-1'), false);
+});
+
+test('clinicians cannot revoke themselves', async () => {
+  await assert.rejects(revokeAccess('visit-1', 'dr-smith', 'dr-smith'), { status: 400, code: 'cannot_revoke_self' });
+});
+
+test('room tokens stop working once their holder is revoked', async () => {
+  const headers = { authorization: `Bearer ${await createRoomToken('dr-jones', 'visit-3', 'clinician')}` };
+  assert.equal((await verifyRoomGrant(headers, 'visit-3', 'roomAdmin')).sub, 'dr-jones');
+
+  const { revocation } = await revokeAccess('visit-3', 'dr-jones', 'dr-smith');
+  await assert.rejects(verifyRoomGrant(headers, 'visit-3', 'roomAdmin'), { status: 403, code: 'access_revoked' });
+  await assert.rejects(verifyRoomGrant(headers, null, 'roomJoin'), { status: 403, code: 'access_revoked' });
+
+  await liftRevocation('visit-3', revocation.id);
+  assert.ok(await verifyRoomGrant(headers, null, 'roomJoin'));
+});
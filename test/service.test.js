@@ -0,0 +1,484 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Contract tests: the same requests against the Node and the Vercel adapter
+// must get the same answers
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.AUTH_JWT_SECRET = 'auth-secret';
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+// Nothing listens here, so room service calls fail fast
+process.env.LIVEKIT_URL = 'http://127.0.0.1:9';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+
+const { createService } = require('../lib/service');
+const { createFileStore } = require('../lib/fileStore');
+const { signJwt } = require('../lib/jwt');
+const { createNodeHandler } = require('../lib/adapters/node');
+const { createVercelHandler } = require('../lib/adapters/vercel');
+
+// The response helpers the Vercel Node runtime adds
+function withVercelRuntime(handler) {
+  return (req, res) => {
+    res.status = code => {
+      res.statusCode = code;
+      return res;
+    };
+    res.send = body => res.end(body);
+    return handler(req, res);
+  };
+}
+
+const adapters = {
+  node: createNodeHandler(createService({ longLived: true })),
+  vercel: withVercelRuntime(createVercelHandler(createService({ longLived: false })))
+};
+
+const servers = {};
+const baseUrls = {};
+
+function credential(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...claims
+  })}`;
+  const signature = crypto.createHmac('sha256', process.env.AUTH_JWT_SECRET).update(signingInput).digest('base64url');
+  return `Bearer ${signingInput}.${signature}`;
+}
+
+const clinician = credential({ sub: 'dr-smith', rooms: ['visit-1'], role: 'clinician' });
+const admin = credential({ sub: 'ops', admin: true });
+
+before(async () => {
+  for (const [name, handler] of Object.entries(adapters)) {
+    servers[name] = http.createServer(handler);
+    await new Promise(resolve => servers[name].listen(0, '127.0.0.1', resolve));
+    baseUrls[name] = `http://127.0.0.1:${servers[name].address().port}`;
+  }
+});
+
+after(() => {
+  Object.values(servers).forEach(server => server.close());
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function call(adapter, method, path, { headers = {}, body } = {}) {
+  const response = await fetch(`${baseUrls[adapter]}${path}`, {
+    method,
+    headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    body: typeof body === 'string' ? body : body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+}
+
+for (const adapter of Object.keys(adapters)) {
+  test(`${adapter}: answers CORS preflight`, async () => {
+    const response = await call(adapter, 'OPTIONS', '/api/token');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.match(response.headers.get('access-control-allow-methods'), /DELETE/);
+    assert.equal(response.headers.get('access-control-allow-credentials'), null);
+  });
+
+  test(`${adapter}: lets only allowed origins send credentials`, async () => {
+    process.env.CORS_ALLOWED_ORIGINS = 'https://portal.example.com, https://visits.example.com';
+    try {
+      const allowed = await call(adapter, 'OPTIONS', '/api/token', { headers: { origin: 'https://visits.example.com' } });
+      assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://visits.example.com');
+      assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+      assert.equal(allowed.headers.get('vary'), 'Origin');
+
+      const other = await call(adapter, 'OPTIONS', '/api/token', { headers: { origin: 'https://elsewhere.example.com' } });
+      assert.equal(other.headers.get('access-control-allow-origin'), '*');
+      assert.equal(other.headers.get('access-control-allow-credentials'), null);
+    } finally {
+      delete process.env.CORS_ALLOWED_ORIGINS;
+    }
+  });
+
+  test(`${adapter}: issues room tokens only for verified credentials`, async () => {
+    const anonymous = await call(adapter, 'GET', '/api/token?room=visit-1');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'missing_credentials');
+
+    const badRole = await call(adapter, 'GET', '/api/token?role=wizard', { headers: { authorization: clinician } });
+    assert.equal(badRole.status, 400);
+    assert.equal(badRole.body.code, 'invalid_role');
+
+    const issued = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    assert.equal(issued.status, 200);
+    assert.deepEqual(
+      { identity: issued.body.identity, room: issued.body.room, role: issued.body.role },
+      { identity: 'dr-smith', room: 'visit-1', role: 'clinician' }
+    );
+
+    // The room token grants access to the visit's clinician endpoints
+    const transcripts = await call(adapter, 'GET', '/api/transcripts?room=visit-1', {
+      headers: { authorization: `Bearer ${issued.body.token}` }
+    });
+    assert.equal(transcripts.status, 200);
+    assert.deepEqual(transcripts.body, { transcripts: [] });
+
+    const forbidden = await call(adapter, 'GET', '/api/transcripts?room=visit-1');
+    assert.equal(forbidden.status, 403);
+  });
+
+  test(`${adapter}: issues network test tokens for a throwaway room`, async () => {
+    assert.equal((await call(adapter, 'GET', '/api/token/network-test')).status, 401);
+
+    const { status, body } = await call(adapter, 'GET', '/api/token/network-test', { headers: { authorization: clinician } });
+    assert.equal(status, 200);
+    const claims = JSON.parse(Buffer.from(body.token.split('.')[1], 'base64url').toString());
+    assert.match(body.room, /^network-test-/);
+    assert.equal(claims.sub, 'dr-smith');
+    assert.deepEqual(
+      { room: claims.video.room, canPublish: claims.video.canPublish, canSubscribe: claims.video.canSubscribe, hidden: claims.video.hidden },
+      { room: body.room, canPublish: true, canSubscribe: false, hidden: true }
+    );
+    assert.ok(claims.exp - claims.nbf <= 600);
+  });
+
+  test(`${adapter}: refreshes room tokens for whoever holds one`, async () => {
+    const { body: issued } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const refreshed = await call(adapter, 'POST', '/api/token/refresh', { headers: { authorization: `Bearer ${issued.token}` } });
+    assert.equal(refreshed.status, 200);
+    assert.deepEqual(
+      { identity: refreshed.body.identity, room: refreshed.body.room, role: refreshed.body.role, waiting: refreshed.body.waiting },
+      { identity: 'dr-smith', room: 'visit-1', role: 'clinician', waiting: false }
+    );
+    const claims = JSON.parse(Buffer.from(refreshed.body.token.split('.')[1], 'base64url').toString());
+    assert.equal(claims.video.roomAdmin, true);
+    assert.equal(claims.exp - claims.nbf, 15 * 60);
+    const issuedClaims = JSON.parse(Buffer.from(issued.token.split('.')[1], 'base64url').toString());
+    assert.equal(claims.sessionExp, issuedClaims.sessionExp);
+    assert.equal(issuedClaims.sessionExp - issuedClaims.nbf, 240 * 60);
+
+    // Past the end of its session, a token that is still valid is not refreshed
+    const now = Math.floor(Date.now() / 1000);
+    const ended = signJwt({ ...claims, nbf: now, exp: now + 60, sessionExp: now - 1 }, process.env.LIVEKIT_API_SECRET);
+    const expired = await call(adapter, 'POST', '/api/token/refresh', { headers: { authorization: `Bearer ${ended}` } });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'session_expired');
+
+    const anonymous = await call(adapter, 'POST', '/api/token/refresh');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'invalid_token');
+
+    const { body: networkTest } = await call(adapter, 'GET', '/api/token/network-test', { headers: { authorization: clinician } });
+    const notRefreshable = await call(adapter, 'POST', '/api/token/refresh', { headers: { authorization: `Bearer ${networkTest.token}` } });
+    assert.equal(notRefreshable.status, 400);
+  });
+
+  test(`${adapter}: stops refreshing visit link tokens once the visit is cancelled`, async () => {
+    const { body: created } = await call(adapter, 'POST', '/api/appointments', {
+      headers: { authorization: clinician },
+      body: { patient: 'patient-1', startsAt: new Date().toISOString(), endsAt: new Date(Date.now() + 30 * 60 * 1000).toISOString() }
+    });
+    const visit = new URL(created.links.patient).searchParams.get('visit');
+    const { body: patient } = await call(adapter, 'GET', `/api/token?visit=${encodeURIComponent(visit)}`);
+    const headers = { authorization: `Bearer ${patient.token}` };
+    assert.equal((await call(adapter, 'POST', '/api/token/refresh', { headers })).status, 200);
+
+    await call(adapter, 'POST', `/api/appointments/${created.appointment.id}/cancel`, { headers: { authorization: clinician } });
+    const refused = await call(adapter, 'POST', '/api/token/refresh', { headers });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'appointment_cancelled');
+  });
+
+  test(`${adapter}: keeps revoked participants out`, async () => {
+    const { body: { token } } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const { body: invited } = await call(adapter, 'POST', '/api/invites', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', role: 'caregiver' }
+    });
+    const code = new URL(invited.link).searchParams.get('invite');
+    const { body: caregiver } = await call(adapter, 'GET', `/api/token?invite=${encodeURIComponent(code)}`);
+
+    const forbidden = await call(adapter, 'POST', '/api/revocations', {
+      headers: { authorization: `Bearer ${caregiver.token}` },
+      body: { room: 'visit-1', identity: 'dr-smith' }
+    });
+    assert.equal(forbidden.status, 403);
+
+    const revoked = await call(adapter, 'POST', '/api/revocations', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', identity: caregiver.identity, reason: 'Wrong visit' }
+    });
+    assert.equal(revoked.status, 201);
+    assert.equal(revoked.body.removed, false);
+
+    const refused = await call(adapter, 'POST', '/api/token/refresh', { headers: { authorization: `Bearer ${caregiver.token}` } });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'access_revoked');
+
+    const { body: { revocations } } = await call(adapter, 'GET', '/api/revocations?room=visit-1', {
+      headers: { authorization: `Bearer ${token}` }
+    });
+    const lifted = await call(adapter, 'DELETE', `/api/revocations/${revocations[0].id}?room=visit-1`, {
+      headers: { authorization: `Bearer ${token}` }
+    });
+    assert.equal(lifted.status, 200);
+    assert.equal((await call(adapter, 'POST', '/api/token/refresh', { headers: { authorization: `Bearer ${caregiver.token}` } })).status, 200);
+  });
+
+  test(`${adapter}: keeps a call quality timeline for admins`, async () => {
+    const { body: { token } } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const sample = { at: new Date().toISOString(), quality: 'poor', packetLossPercent: 12, rttMs: 340, note: adapter };
+
+    assert.equal((await call(adapter, 'POST', '/api/telemetry', { body: { room: 'visit-1', samples: [sample] } })).status, 401);
+    const posted = await call(adapter, 'POST', '/api/telemetry', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', samples: [sample] }
+    });
+    assert.equal(posted.status, 200);
+    assert.deepEqual(posted.body, { accepted: 1 });
+
+    const invalid = await call(adapter, 'POST', '/api/telemetry', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', samples: [{ quality: 'awful' }] }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_sample');
+
+    assert.equal((await call(adapter, 'GET', '/api/telemetry?room=visit-1', { headers: { authorization: clinician } })).status, 403);
+    const timeline = await call(adapter, 'GET', '/api/telemetry?room=visit-1', { headers: { authorization: admin } });
+    assert.equal(timeline.status, 200);
+    const stored = timeline.body.samples.find(entry => entry.at === sample.at);
+    assert.equal(stored.identity, 'dr-smith');
+    assert.equal(stored.quality, 'poor');
+    assert.equal(stored.note, undefined);
+    assert.ok(timeline.body.participants[0].quality.poor >= 1);
+  });
+
+  test(`${adapter}: lets clinicians invite an interpreter once`, async () => {
+    const { body: { token } } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const created = await call(adapter, 'POST', '/api/invites', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', role: 'interpreter', name: 'Ana' }
+    });
+    assert.equal(created.status, 201);
+    const code = new URL(created.body.link).searchParams.get('invite');
+
+    const details = await call(adapter, 'GET', `/api/invites/join?invite=${encodeURIComponent(code)}`);
+    assert.deepEqual(
+      { name: details.body.invite.name, role: details.body.invite.role },
+      { name: 'Ana', role: 'interpreter' }
+    );
+
+    const issued = await call(adapter, 'GET', `/api/token?invite=${encodeURIComponent(code)}`);
+    assert.equal(issued.status, 200);
+    const claims = JSON.parse(Buffer.from(issued.body.token.split('.')[1], 'base64url').toString());
+    assert.equal(claims.sub, created.body.invite.identity);
+    assert.equal(claims.name, 'Ana');
+    assert.deepEqual(claims.video.canPublishSources, ['microphone']);
+    assert.equal(claims.video.roomAdmin, undefined);
+
+    const reused = await call(adapter, 'GET', `/api/token?invite=${encodeURIComponent(code)}`);
+    assert.equal(reused.status, 403);
+    assert.equal(reused.body.code, 'invite_used');
+
+    const listed = await call(adapter, 'GET', '/api/invites?room=visit-1', { headers: { authorization: `Bearer ${token}` } });
+    assert.equal(listed.body.invites.find(invite => invite.id === created.body.invite.id).status, 'used');
+    const forbidden = await call(adapter, 'POST', '/api/invites', {
+      headers: { authorization: `Bearer ${issued.body.token}` },
+      body: { room: 'visit-1', role: 'caregiver' }
+    });
+    assert.equal(forbidden.status, 403);
+  });
+
+  test(`${adapter}: lets only clinicians moderate the visit`, async () => {
+    const { body: { token } } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const { body: invited } = await call(adapter, 'POST', '/api/invites', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1', role: 'specialist' }
+    });
+    const code = new URL(invited.link).searchParams.get('invite');
+    const { body: specialist } = await call(adapter, 'GET', `/api/token?invite=${encodeURIComponent(code)}`);
+
+    for (const action of ['mute', 'unmute', 'remove', 'lock', 'unlock', 'end']) {
+      const response = await call(adapter, 'POST', `/api/moderation/${action}`, {
+        headers: { authorization: `Bearer ${specialist.token}` },
+        body: { room: 'visit-1', identity: 'dr-smith' }
+      });
+      assert.equal(response.status, 403, action);
+    }
+
+    const missing = await call(adapter, 'POST', '/api/moderation/mute', {
+      headers: { authorization: `Bearer ${token}` },
+      body: { room: 'visit-1' }
+    });
+    assert.equal(missing.status, 400);
+  });
+
+  test(`${adapter}: issues no tokens to newcomers of a locked visit`, async () => {
+    const locks = createFileStore('room-locks');
+    await locks.insert({ id: 'visit-1', room: 'visit-1', lockedBy: 'ops', lockedAt: new Date().toISOString(), identities: ['someone-else'] });
+    try {
+      const refused = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+      assert.equal(refused.status, 423);
+      assert.equal(refused.body.code, 'room_locked');
+
+      await locks.update('visit-1', { identities: ['dr-smith'] });
+      assert.equal((await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } })).status, 200);
+    } finally {
+      await locks.remove('visit-1');
+    }
+  });
+
+  test(`${adapter}: schedules visits and resolves their join links`, async () => {
+    const created = await call(adapter, 'POST', '/api/appointments', {
+      headers: { authorization: clinician },
+      body: { patient: 'patient-1', startsAt: '2030-01-01T10:00:00Z', endsAt: '2030-01-01T10:30:00Z' }
+    });
+    assert.equal(created.status, 201);
+
+    const visit = new URL(created.body.links.patient).searchParams.get('visit');
+    const joined = await call(adapter, 'GET', `/api/appointments/join?visit=${encodeURIComponent(visit)}`);
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.identity, 'patient-1');
+    assert.equal(joined.body.appointment.id, created.body.appointment.id);
+
+    const colleague = credential({ sub: 'dr-jones', role: 'clinician' });
+    for (const action of ['reschedule', 'cancel']) {
+      const forbidden = await call(adapter, 'POST', `/api/appointments/${created.body.appointment.id}/${action}`, {
+        headers: { authorization: colleague },
+        body: { startsAt: '2030-01-02T10:00:00Z', endsAt: '2030-01-02T10:30:00Z' }
+      });
+      assert.equal(forbidden.status, 403, action);
+      assert.equal(forbidden.body.code, 'not_your_appointment');
+    }
+
+    const rescheduled = await call(adapter, 'POST', `/api/appointments/${created.body.appointment.id}/reschedule`, {
+      headers: { authorization: admin },
+      body: { startsAt: '2030-01-02T10:00:00Z', endsAt: '2030-01-02T10:30:00Z' }
+    });
+    assert.equal(rescheduled.body.appointment.startsAt, '2030-01-02T10:00:00.000Z');
+
+    const cancelled = await call(adapter, 'POST', `/api/appointments/${created.body.appointment.id}/cancel`, {
+      headers: { authorization: clinician }
+    });
+    assert.equal(cancelled.body.appointment.status, 'cancelled');
+  });
+
+  test(`${adapter}: stops recordings only in rooms the token is for`, async () => {
+    const { body: { token } } = await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+    const recordings = createFileStore('recordings');
+    await recordings.insert({ id: `other-${adapter}`, room: 'visit-2', egressId: `EG_other_${adapter}`, status: 'active' });
+    try {
+      const crossRoom = await call(adapter, 'POST', '/api/stop-recording', {
+        headers: { authorization: `Bearer ${token}` },
+        body: { egressId: `EG_other_${adapter}` }
+      });
+      assert.equal(crossRoom.status, 403);
+
+      const unknown = await call(adapter, 'POST', '/api/stop-recording', {
+        headers: { authorization: `Bearer ${token}` },
+        body: { egressId: 'EG_unknown' }
+      });
+      assert.equal(unknown.status, 404);
+      assert.equal(recordings.get(`other-${adapter}`).status, 'active');
+    } finally {
+      await recordings.remove(`other-${adapter}`);
+    }
+  });
+
+  test(`${adapter}: reports recording status`, async () => {
+    const response = await call(adapter, 'GET', '/api/recording-status?room=visit-1');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { isRecording: false });
+
+    const missing = await call(adapter, 'GET', '/api/recording-status');
+    assert.equal(missing.status, 400);
+  });
+
+  test(`${adapter}: serves the audit log to admins only`, async () => {
+    await call(adapter, 'GET', '/api/token?room=visit-1', { headers: { authorization: clinician } });
+
+    const forbidden = await call(adapter, 'GET', '/api/audit', { headers: { authorization: clinician } });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'admin_required');
+
+    const { body } = await call(adapter, 'GET', '/api/audit?action=token.issued&actor=dr-smith', { headers: { authorization: admin } });
+    assert.ok(body.entries.length > 0);
+    assert.equal(body.entries.at(-1).room, 'visit-1');
+
+    const csv = await call(adapter, 'GET', '/api/audit?format=csv', { headers: { authorization: admin } });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.body, /^seq,at,action,/);
+
+    const verified = await call(adapter, 'GET', '/api/audit/verify', { headers: { authorization: admin } });
+    assert.equal(verified.body.valid, true);
+  });
+
+  test(`${adapter}: rejects bad requests the same way`, async () => {
+    assert.equal((await call(adapter, 'POST', '/api/start-recording', { body: '{nope' })).status, 400);
+    assert.equal((await call(adapter, 'GET', '/api/nothing-here')).status, 404);
+    assert.equal((await call(adapter, 'DELETE', '/api/token')).status, 405);
+    assert.equal((await call(adapter, 'GET', '/api/chat/messages?room=visit-1')).status, 401);
+
+    const webhook = await call(adapter, 'POST', '/api/webhook', {
+      headers: { authorization: 'not-a-signature', 'content-type': 'application/webhook+json' },
+      body: '{"event":"room_started"}'
+    });
+    assert.equal(webhook.status, 401);
+    assert.equal(webhook.body.code, 'invalid_signature');
+  });
+
+  test(`${adapter}: refuses bodies larger than the largest upload`, async () => {
+    process.env.CHAT_ATTACHMENT_MAX_BYTES = '3000';
+    process.env.ANNOTATION_MAX_BYTES = '3000';
+    try {
+      const body = JSON.stringify({ room: 'visit-1', data: 'x'.repeat(100 * 1024) });
+      const declared = await call(adapter, 'POST', '/api/chat/messages', { body });
+      assert.equal(declared.status, 413);
+      assert.equal(declared.body.code, 'payload_too_large');
+
+      // Without a Content-Length it is noticed while reading
+      const chunked = await fetch(`${baseUrls[adapter]}/api/chat/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: new Blob([body]).stream(),
+        duplex: 'half'
+      });
+      assert.equal(chunked.status, 413);
+      assert.equal(chunked.headers.get('connection'), 'close');
+    } finally {
+      delete process.env.CHAT_ATTACHMENT_MAX_BYTES;
+      delete process.env.ANNOTATION_MAX_BYTES;
+    }
+  });
+}
+
+test('captions need a long-lived host', async () => {
+  const response = await call('vercel', 'POST', '/api/captions/start', { body: { room: 'visit-1' } });
+  assert.equal(response.status, 501);
+});
+
+test('only clinicians start captions', async () => {
+  const patient = credential({ sub: 'patient-1', rooms: ['visit-1'], role: 'patient' });
+  const { body: { token } } = await call('node', 'GET', '/api/token?room=visit-1', { headers: { authorization: patient } });
+  assert.ok(token);
+  const response = await call('node', 'POST', '/api/captions/start', {
+    headers: { authorization: `Bearer ${token}` },
+    body: { room: 'visit-1' }
+  });
+  assert.equal(response.status, 403);
+});
+
+test('the Node adapter also serves paths without the /api prefix', async () => {
+  const response = await call('node', 'GET', '/recording-status?room=visit-1');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { isRecording: false });
+});
@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-processor-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.JOB_MAX_ATTEMPTS = '2';
+process.env.JOB_RETRY_BASE_MS = '1';
+
+const { getRecordingStore } = require('../lib/recordingStore');
+const { enqueueSessionProcessing, runNextJob, getSessionJobs } = require('../lib/sessionProcessor');
+
+const clinician = { identity: 'dr-smith', roles: ['clinician'], admin: false };
+const stranger = { identity: 'someone-else', roles: ['patient'], admin: false };
+
+// Stand-ins for the real stages, which need ffmpeg and Whisper
+const calls = [];
+let failTranscription = 1;
+
+function stage(name, fail = () => false) {
+  return {
+    name,
+    run: async id => {
+      calls.push(`${name} ${id}`);
+      if (fail()) {
+        throw new Error('whisper crashed');
+      }
+      return { ok: true };
+    }
+  };
+}
+
+const stages = [
+  stage('download'),
+  stage('transcription', () => failTranscription-- > 0),
+  stage('summary')
+];
+
+// Run jobs until none is left due; retries are due after a millisecond
+async function drain(chain = stages) {
+  for (let idle = 0; idle < 3;) {
+    if (await runNextJob('test-worker', { stages: chain })) {
+      idle = 0;
+    } else {
+      idle++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+}
+
+let recording;
+
+before(async () => {
+  recording = await getRecordingStore().create({
+    id: 'rec-1',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-01T10:00:00.000Z',
+    filepath: 'recordings/rec-1.ogg'
+  });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('runs the stages in order, retrying a failed one', async () => {
+  enqueueSessionProcessing(recording, { stages });
+  enqueueSessionProcessing(recording, { stages });
+
+  const before = await getSessionJobs(clinician, 'visit-1', { stages });
+  assert.deepEqual(before.recordings[0].stages.map(stage => stage.status), ['pending', 'waiting', 'waiting']);
+
+  await drain();
+  assert.deepEqual(calls, ['download rec-1', 'transcription rec-1', 'transcription rec-1', 'summary rec-1']);
+
+  const { sessionId, recordings: [progress] } = await getSessionJobs(clinician, 'visit-1', { stages });
+  assert.equal(sessionId, 'visit-1');
+  assert.deepEqual(
+    { status: progress.status, completedStages: progress.completedStages, totalStages: progress.totalStages },
+    { status: 'complete', completedStages: 3, totalStages: 3 }
+  );
+  assert.equal(progress.stages[1].attempts, 2);
+});
+
+test('dead-letters a stage and holds up the rest', async () => {
+  await getRecordingStore().create({
+    id: 'rec-2',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-01T10:10:00.000Z',
+    filepath: 'recordings/rec-2.ogg'
+  });
+  calls.length = 0;
+  failTranscription = 5;
+  enqueueSessionProcessing(await getRecordingStore().get('rec-2'), { stages });
+  await drain();
+
+  assert.deepEqual(calls, ['download rec-2', 'transcription rec-2', 'transcription rec-2']);
+  const { recordings } = await getSessionJobs(clinician, 'visit-1', { stages });
+  const progress = recordings.find(item => item.recordingId === 'rec-2');
+  assert.equal(progress.status, 'dead');
+  assert.deepEqual(progress.stages.map(stage => stage.status), ['complete', 'dead', 'waiting']);
+  assert.equal(progress.stages[1].lastError, 'whisper crashed');
+});
+
+test('retries a stage, rather than completing it, when the next one cannot be queued', async () => {
+  await getRecordingStore().create({
+    id: 'rec-3',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-01T10:20:00.000Z',
+    filepath: 'recordings/rec-3.ogg'
+  });
+  calls.length = 0;
+  // An unreadable job file makes queueing fail
+  const brokenJob = path.join(dataDir, 'jobs', 'broken.json');
+  const chain = [
+    stage('download'),
+    { name: 'break-queue', run: async () => fs.writeFileSync(brokenJob, '{') },
+    stage('summary')
+  ];
+  enqueueSessionProcessing(await getRecordingStore().get('rec-3'), { stages: chain });
+  await runNextJob('test-worker', { stages: chain });
+
+  const failed = await runNextJob('test-worker', { stages: chain });
+  assert.equal(failed.payload.stage, 'break-queue');
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.completedAt, null);
+
+  fs.rmSync(brokenJob);
+  await drain(chain.map(item => (item.name === 'break-queue' ? stage('break-queue') : item)));
+  assert.deepEqual(calls, ['download rec-3', 'break-queue rec-3', 'summary rec-3']);
+});
+
+test('limits progress to session participants', async () => {
+  await assert.rejects(getSessionJobs(stranger, 'visit-1', { stages }), { status: 403, code: 'session_not_allowed' });
+  await assert.rejects(getSessionJobs(clinician, 'unknown', { stages }), { status: 404, code: 'session_not_found' });
+});
@@ -0,0 +1,76 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { recordTelemetry, getTelemetry } = require('../lib/telemetry');
+
+const now = Date.parse('2030-01-01T10:05:00Z');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('stores samples per visit and participant', () => {
+  assert.equal(recordTelemetry('visit-1', 'patient-1', [
+    { at: '2030-01-01T10:00:10Z', quality: 'good', sendKbps: 800, receiveKbps: 1200.26, packetLossPercent: 0.5, jitterMs: 8, rttMs: 60 },
+    { at: '2030-01-01T10:00:00Z', quality: 'excellent', sendKbps: 900, packetLossPercent: 0, jitterMs: 4, rttMs: 40 }
+  ], { now }), 2);
+  recordTelemetry('visit-1', 'dr-smith', [{ at: '2030-01-01T10:00:05Z', quality: 'excellent', rttMs: 30 }], { now });
+  recordTelemetry('visit-2', 'patient-2', [{ at: '2030-01-01T10:00:00Z' }], { now });
+
+  const { samples } = getTelemetry('visit-1');
+  assert.deepEqual(samples.map(sample => [sample.at, sample.identity]), [
+    ['2030-01-01T10:00:00.000Z', 'patient-1'],
+    ['2030-01-01T10:00:05.000Z', 'dr-smith'],
+    ['2030-01-01T10:00:10.000Z', 'patient-1']
+  ]);
+  assert.equal(samples[2].receiveKbps, 1200.3);
+  assert.equal(samples[1].sendKbps, null);
+  assert.equal(samples[1].audioOnly, false);
+  assert.equal(getTelemetry('visit-2').samples[0].quality, 'unknown');
+});
+
+test('summarizes each participant', () => {
+  recordTelemetry('visit-1', 'patient-1', [
+    { at: '2030-01-01T10:00:20Z', quality: 'poor', sendKbps: 150, packetLossPercent: 14.5, jitterMs: 60, rttMs: 420, audioOnly: true }
+  ], { now });
+
+  const patient = getTelemetry('visit-1').participants.find(participant => participant.identity === 'patient-1');
+  assert.equal(patient.samples, 3);
+  assert.equal(patient.from, '2030-01-01T10:00:00.000Z');
+  assert.equal(patient.to, '2030-01-01T10:00:20.000Z');
+  assert.deepEqual(patient.quality, { excellent: 1, good: 1, poor: 1, lost: 0, unknown: 0 });
+  assert.equal(patient.audioOnlySamples, 1);
+  assert.deepEqual(patient.metrics.packetLossPercent, { average: 5, max: 14.5 });
+  assert.deepEqual(patient.metrics.receiveKbps, { average: 1200.3, max: 1200.3 });
+});
+
+test('filters by participant and time', () => {
+  assert.deepEqual(getTelemetry('visit-1', { identity: 'dr-smith' }).participants.map(p => p.identity), ['dr-smith']);
+  assert.equal(getTelemetry('visit-1', { from: '2030-01-01T10:00:06Z' }).samples.length, 2);
+  assert.equal(getTelemetry('visit-1', { to: '2030-01-01T10:00:05Z' }).samples.length, 2);
+  assert.deepEqual(getTelemetry('visit-3'), { room: 'visit-3', participants: [], samples: [] });
+  assert.throws(() => getTelemetry('visit-1', { from: 'yesterday' }), { status: 400, code: 'invalid_date' });
+});
+
+test('rejects invalid batches without storing any of them', () => {
+  const before = getTelemetry('visit-1').samples.length;
+  assert.throws(() => recordTelemetry('visit-1', 'patient-1', [], { now }), { status: 400, code: 'invalid_samples' });
+  assert.throws(
+    () => recordTelemetry('visit-1', 'patient-1', Array.from({ length: 61 }, () => ({})), { now }),
+    { code: 'too_many_samples' }
+  );
+  assert.throws(
+    () => recordTelemetry('visit-1', 'patient-1', [{ quality: 'good' }, { quality: 'awful' }], { now }),
+    { status: 400, code: 'invalid_sample' }
+  );
+  assert.throws(() => recordTelemetry('visit-1', 'patient-1', [{ rttMs: -1 }], { now }), { code: 'invalid_sample' });
+  assert.throws(() => recordTelemetry('visit-1', 'patient-1', [{ jitterMs: '8' }], { now }), { code: 'invalid_sample' });
+  assert.throws(() => recordTelemetry('visit-1', 'patient-1', [{ at: '2030-01-02T00:00:00Z' }], { now }), { code: 'invalid_sample' });
+  assert.equal(getTelemetry('visit-1').samples.length, before);
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.TRANSCRIPTION_ADAPTER = 'stub';
+
+const { getRecordingStore } = require('../lib/recordingStore');
+const { transcribeRecording, getTranscripts } = require('../lib/transcription');
+
+const startedAt = '2026-01-01T10:00:00.000Z';
+
+before(async () => {
+  const store = getRecordingStore();
+  await store.create({
+    id: 'rec-tracks',
+    mode: 'tracks',
+    room: 'visit-1',
+    status: 'complete',
+    startedAt,
+    filepath: 'recordings/visit-1/ts/',
+    tracks: [
+      { trackSid: 'TR_b', identity: 'patient-1', filepath: 'recordings/visit-1/ts/patient-1-TR_b.ogg', status: 'complete', offsetMs: 4500 },
+      { trackSid: 'TR_a', identity: 'dr-smith', filepath: 'recordings/visit-1/ts/dr-smith-TR_a.ogg', status: 'complete', offsetMs: 0 },
+      { trackSid: 'TR_c', identity: 'late', filepath: 'recordings/visit-1/ts/late-TR_c.ogg', status: 'failed', offsetMs: 9000 }
+    ]
+  });
+  await store.create({
+    id: 'rec-live',
+    mode: 'composite',
+    room: 'visit-1',
+    status: 'active',
+    startedAt,
+    filepath: 'recordings/visit-1/ts.ogg'
+  });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('attributes segments to each track and applies its offset', async () => {
+  const transcript = await transcribeRecording('rec-tracks');
+
+  assert.equal(transcript.status, 'complete');
+  assert.equal(transcript.adapter, 'stub');
+  assert.deepEqual(transcript.segments, [
+    { start: 0, end: 2, speaker: 'dr-smith', text: 'Transcript of dr-smith-TR_a.ogg' },
+    { start: 4.5, end: 6.5, speaker: 'patient-1', text: 'Transcript of patient-1-TR_b.ogg' }
+  ]);
+});
+
+test('refuses recordings that have not completed', async () => {
+  await assert.rejects(transcribeRecording('rec-live'), /not complete/);
+});
+
+test('renders WebVTT with speaker voice tags', async () => {
+  const result = await getTranscripts('visit-1', 'rec-tracks', 'vtt');
+
+  assert.equal(result.contentType, 'text/vtt');
+  assert.equal(result.body, [
+    'WEBVTT',
+    '00:00:00.000 --> 00:00:02.000\n<v dr-smith>Transcript of dr-smith-TR_a.ogg',
+    '00:00:04.500 --> 00:00:06.500\n<v patient-1>Transcript of patient-1-TR_b.ogg'
+  ].join('\n\n') + '\n');
+});
+
+test('renders plain text with timestamps', async () => {
+  const result = await getTranscripts('visit-1', 'rec-tracks', 'txt');
+
+  assert.equal(result.body,
+    '[00:00:00] dr-smith: Transcript of dr-smith-TR_a.ogg\n' +
+    '[00:00:04] patient-1: Transcript of patient-1-TR_b.ogg\n'
+  );
+});
+
+test('lists transcripts for a room and validates the format', async () => {
+  const list = await getTranscripts('visit-1');
+  assert.equal(list.status, 200);
+  assert.equal(list.body.transcripts.length, 1);
+
+  assert.equal((await getTranscripts('other-room')).body.transcripts.length, 0);
+  assert.equal((await getTranscripts('visit-1', undefined, 'vtt')).status, 400);
+  assert.equal((await getTranscripts('visit-1', 'rec-tracks', 'srt')).status, 400);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'waiting-room-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+
+const { admit, deny } = require('../lib/waitingRoom');
+
+// A LiveKit room service (Twirp over JSON) with two participants in visit-1
+const participants = {
+  'patient-1': { identity: 'patient-1', metadata: JSON.stringify({ role: 'patient', waiting: true }) },
+  'dr-jones': { identity: 'dr-jones', metadata: JSON.stringify({ role: 'clinician' }) }
+};
+const removed = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const { room, identity } = JSON.parse(data || '{}');
+      const participant = room === 'visit-1' && participants[identity];
+      res.setHeader('Content-Type', 'application/json');
+      if (!participant) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ code: 'not_found', msg: 'participant not found' }));
+      } else if (req.url.endsWith('/RemoveParticipant')) {
+        removed.push(identity);
+        res.end('{}');
+      } else {
+        res.end(JSON.stringify(participant));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LIVEKIT_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('admits and denies only participants still in the waiting room', async () => {
+  await assert.rejects(admit('visit-1', 'dr-jones'), { status: 409, code: 'not_waiting' });
+  await assert.rejects(deny('visit-1', 'dr-jones'), { status: 409, code: 'not_waiting' });
+  await assert.rejects(deny('visit-1', 'patient-2'), { status: 404, code: 'participant_not_found' });
+  assert.deepEqual(removed, []);
+
+  await deny('visit-1', 'patient-1');
+  assert.deepEqual(removed, ['patient-1']);
+});
@@ -0,0 +1,217 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LIVEKIT_API_KEY = 'APItest';
+process.env.LIVEKIT_API_SECRET = 'livekit-secret';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'storage');
+
+const { WebhookEvent } = require('livekit-server-sdk');
+const { handleWebhookEvent } = require('../lib/webhooks');
+const { getRecordingStore } = require('../lib/recordingStore');
+const { getSession } = require('../lib/sessions');
+const { admit } = require('../lib/waitingRoom');
+const { revokeAccess } = require('../lib/revocations');
+const { listRecordings } = require('../lib/recordingLibrary');
+const { queryAuditLog } = require('../lib/audit');
+const { listJobs } = require('../lib/jobQueue');
+const { createFileStore } = require('../lib/fileStore');
+
+// LiveKit's room and egress services (Twirp over JSON): every call is kept,
+// participants are whoever is in `participants`, and track egresses start
+const calls = [];
+const participants = {};
+let server;
+
+function answer(method, body) {
+  switch (method) {
+    case 'GetParticipant':
+      return participants[body.identity] || null;
+    case 'UpdateParticipant':
+      participants[body.identity] = { ...participants[body.identity], metadata: body.metadata, permission: body.permission };
+      return participants[body.identity];
+    case 'ListParticipants':
+      return { participants: Object.values(participants) };
+    case 'StartTrackEgress':
+      return { egressId: `EG_${body.trackId}`, roomName: body.roomName, status: 'EGRESS_STARTING' };
+    default:
+      return {};
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      const body = JSON.parse(data || '{}');
+      calls.push({ method, body });
+      const result = answer(method, body);
+      res.setHeader('Content-Type', 'application/json');
+      if (!result) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ code: 'not_found', msg: 'participant not found' }));
+      } else {
+        res.end(JSON.stringify(result));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LIVEKIT_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const room = { sid: 'RM_1', name: 'visit-1' };
+const seconds = iso => String(Date.parse(iso) / 1000);
+
+// Events as LiveKit posts them
+function event(json) {
+  return WebhookEvent.fromJson({ room, ...json });
+}
+
+function participantEvent(name, identity, metadata, at) {
+  return event({ event: name, createdAt: seconds(at), participant: { sid: `PA_${identity}`, identity, metadata: JSON.stringify(metadata) } });
+}
+
+test('records who joined and left, leaving the waiting room out until admitted', async () => {
+  participants['dr-smith'] = { identity: 'dr-smith', metadata: JSON.stringify({ role: 'clinician' }) };
+  participants['patient-1'] = { identity: 'patient-1', metadata: JSON.stringify({ role: 'patient', waiting: true }) };
+  participants['patient-2'] = { identity: 'patient-2', metadata: JSON.stringify({ role: 'patient', waiting: true }) };
+
+  await handleWebhookEvent(participantEvent('participant_joined', 'dr-smith', { role: 'clinician' }, '2026-01-01T10:00:00Z'));
+  await handleWebhookEvent(participantEvent('participant_joined', 'patient-1', { role: 'patient', waiting: true }, '2026-01-01T10:01:00Z'));
+  await handleWebhookEvent(participantEvent('participant_joined', 'patient-2', { role: 'patient', waiting: true }, '2026-01-01T10:01:00Z'));
+  assert.deepEqual(Object.keys(getSession('RM_1').participants), ['dr-smith']);
+
+  await admit('visit-1', 'patient-1');
+  // patient-2 is denied, and leaves from the waiting room
+  await handleWebhookEvent(participantEvent('participant_left', 'patient-2', { role: 'patient', waiting: true }, '2026-01-01T10:02:00Z'));
+
+  const session = getSession('RM_1');
+  assert.deepEqual(Object.keys(session.participants).sort(), ['dr-smith', 'patient-1']);
+  assert.equal(session.participants['patient-1'].role, 'patient');
+  assert.deepEqual(
+    queryAuditLog({ room: 'visit-1' }).map(entry => `${entry.action} ${entry.actor}`),
+    ['participant.joined dr-smith', 'participant.joined patient-1', 'participant.joined patient-2', 'participant.left patient-2']
+  );
+
+  await getRecordingStore().create({
+    id: 'rec-waiting',
+    room: 'visit-1',
+    status: 'complete',
+    startedBy: 'dr-smith',
+    startedAt: new Date().toISOString(),
+    filepath: 'recordings/visit-1/waiting.ogg'
+  });
+  const patient = identity => ({ identity, roles: ['patient'], admin: false });
+  assert.deepEqual((await listRecordings(patient('patient-1'))).map(recording => recording.id), ['rec-waiting']);
+  assert.deepEqual(await listRecordings(patient('patient-2')), []);
+  await getRecordingStore().remove('rec-waiting');
+});
+
+test('removes participants whose access was revoked as they join', async () => {
+  await revokeAccess('visit-1', 'patient-3', 'dr-smith');
+  calls.length = 0;
+
+  await handleWebhookEvent(participantEvent('participant_joined', 'patient-3', { role: 'patient' }, '2026-01-01T10:05:00Z'));
+  assert.deepEqual(calls.map(call => [call.method, call.body.identity]), [['RemoveParticipant', 'patient-3']]);
+});
+
+test('follows a composite recording from egress_started to egress_ended', async () => {
+  const store = getRecordingStore();
+  await store.create({
+    id: 'rec-1',
+    egressId: 'EG_room',
+    room: 'visit-1',
+    status: 'starting',
+    startedBy: 'dr-smith',
+    startedAt: '2026-01-01T10:10:00.000Z',
+    filepath: 'recordings/visit-1/rec-1.ogg'
+  });
+
+  await handleWebhookEvent(event({ event: 'egress_started', egressInfo: { egressId: 'EG_room', roomName: 'visit-1', status: 'EGRESS_ACTIVE' } }));
+  assert.equal((await store.get('rec-1')).status, 'active');
+
+  await handleWebhookEvent(event({
+    event: 'egress_ended',
+    createdAt: seconds('2026-01-01T10:30:00Z'),
+    egressInfo: {
+      egressId: 'EG_room',
+      roomName: 'visit-1',
+      status: 'EGRESS_COMPLETE',
+      fileResults: [{ filename: 'rec-1.ogg', location: 'recordings/visit-1/rec-1.ogg', size: '2048', duration: '1200000000000' }]
+    }
+  }));
+
+  const recording = await store.get('rec-1');
+  assert.equal(recording.status, 'complete');
+  assert.equal(recording.endedAt, '2026-01-01T10:30:00.000Z');
+  assert.equal(recording.fileSize, 2048);
+  assert.equal(recording.durationMs, 1200000);
+  assert.equal(queryAuditLog({ action: 'recording.completed' })[0].target, 'rec-1');
+  assert.deepEqual(listJobs().map(job => job.payload.recordingId), ['rec-1']);
+
+  // A late egress_updated never moves it back
+  await handleWebhookEvent(event({ event: 'egress_updated', egressInfo: { egressId: 'EG_room', roomName: 'visit-1', status: 'EGRESS_ACTIVE' } }));
+  assert.equal((await store.get('rec-1')).status, 'complete');
+});
+
+test('adds microphone tracks published during a per-track recording', async () => {
+  const store = getRecordingStore();
+  await store.create({
+    id: 'rec-2',
+    mode: 'tracks',
+    room: 'visit-1',
+    status: 'active',
+    startedBy: 'dr-smith',
+    startedAt: new Date().toISOString(),
+    filepath: 'recordings/visit-1/rec-2/',
+    tracks: []
+  });
+
+  const published = (sid, source) => event({
+    event: 'track_published',
+    participant: { sid: 'PA_patient-1', identity: 'patient-1' },
+    track: { sid, type: 'AUDIO', source }
+  });
+  await handleWebhookEvent(published('TR_screen', 'SCREEN_SHARE_AUDIO'));
+  await handleWebhookEvent(published('TR_mic', 'MICROPHONE'));
+  await handleWebhookEvent(published('TR_mic', 'MICROPHONE'));
+
+  const { tracks } = await store.get('rec-2');
+  assert.deepEqual(tracks.map(track => [track.identity, track.trackSid, track.egressId, track.status]), [
+    ['patient-1', 'TR_mic', 'EG_TR_mic', 'starting']
+  ]);
+  assert.equal(calls.filter(call => call.method === 'StartTrackEgress').length, 1);
+
+  await handleWebhookEvent(event({
+    event: 'egress_started',
+    egressInfo: { egressId: 'EG_TR_mic', roomName: 'visit-1', status: 'EGRESS_ACTIVE', track: { trackId: 'TR_mic' } }
+  }));
+  assert.equal((await store.get('rec-2')).tracks[0].status, 'active');
+});
+
+test('finishes the session, unlocks the room and stops its recording when the room finishes', async () => {
+  const locks = createFileStore('room-locks');
+  await locks.insert({ id: 'visit-1', room: 'visit-1', lockedBy: 'dr-smith', lockedAt: new Date().toISOString(), identities: ['dr-smith'] });
+
+  await handleWebhookEvent(event({ event: 'room_finished', createdAt: seconds('2026-01-01T11:00:00Z') }));
+
+  const session = getSession('RM_1');
+  assert.equal(session.status, 'finished');
+  assert.equal(session.endedAt, '2026-01-01T11:00:00.000Z');
+  assert.equal(locks.get('visit-1'), null);
+  assert.equal((await getRecordingStore().get('rec-2')).status, 'stopping');
+  assert.equal(queryAuditLog({ action: 'room.finished' })[0].target, 'RM_1');
+});
@@ -0,0 +1,69 @@
+/**
+ * Audio post-processing from the command line
+ *
+ * Runs the same processing as the session processor's audio stage (see
+ * lib/audio.js) on local files: a loudness-normalized mix, a
+ * silence-trimmed mix with its timestamp mapping, and per-speaker stems.
+ * Name a file's speaker to get a stem for it, and give its start offset
+ * in seconds when the files do not all start together.
+ *
+ * Usage: node tools/audio.js process <output dir> [speaker=]<file>[@offset]... [options]
+ *        node tools/audio.js loudness <file>
+ *
+ * Options: --rate <Hz>, --formats <wav,flac,mp3>, --lufs <target>
+ * (defaults from AUDIO_SAMPLE_RATE, AUDIO_FORMATS and AUDIO_TARGET_LUFS)
+ *
+ *   node tools/audio.js process out dr-smith=dr-smith.ogg patient-1=patient-1.ogg@2.5 --formats wav,mp3
+ */
+
+import dotenv from 'dotenv';
+import { getAudioOptions, measureLoudness, processAudio, readAudioFile } from '../lib/audio.js';
+
+dotenv.config({ quiet: true });
+
+const args = process.argv.slice(2);
+const options = getAudioOptions();
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--rate') {
+    options.sampleRate = Number(args[++i]);
+  } else if (args[i] === '--formats') {
+    options.formats = String(args[++i]).split(',');
+  } else if (args[i] === '--lufs') {
+    options.targetLufs = Number(args[++i]);
+  } else {
+    positional.push(args[i]);
+  }
+}
+
+const [command, ...rest] = positional;
+
+const validCommand = (command === 'process' && rest.length >= 2) || (command === 'loudness' && rest.length === 1);
+const validOptions = Number.isInteger(options.sampleRate) && options.sampleRate > 0 && Number.isFinite(options.targetLufs);
+
+if (!validCommand || !validOptions) {
+  console.error('Usage: node tools/audio.js process <output dir> [speaker=]<file>[@offset]... [options]');
+  console.error('       node tools/audio.js loudness <file>');
+  console.error('Options: --rate <Hz>, --formats <wav,flac,mp3>, --lufs <target>');
+  process.exit(1);
+}
+
+if (command === 'loudness') {
+  const samples = await readAudioFile(rest[0], options.sampleRate);
+  console.log(`${measureLoudness(samples, options.sampleRate).toFixed(1)} LUFS`);
+} else {
+  const [outDir, ...files] = rest;
+  const sources = files.map(arg => {
+    const [, speaker = null, file, offset = '0'] = arg.match(/^(?:([^=]+)=)?(.+?)(?:@([\d.]+))?$/);
+    return { path: file, speaker, offset: Number(offset) };
+  });
+
+  const manifest = await processAudio(sources, outDir, options);
+  const { inputLufs, outputLufs, gainDb } = manifest.mix.loudness;
+  console.log(`Mix: ${manifest.duration.toFixed(1)}s, ${inputLufs} -> ${outputLufs} LUFS (${gainDb} dB)`);
+  console.log(`Trimmed: ${manifest.trimmed.duration.toFixed(1)}s in ${manifest.trimmed.segments.length} segment(s)`);
+  for (const stem of manifest.stems) {
+    console.log(`Stem ${stem.speaker}: ${stem.files.join(', ')}`);
+  }
+  console.log(`Wrote ${outDir}/manifest.json`);
+}
@@ -0,0 +1,47 @@
+/**
+ * Development helper: issue a bearer credential for the token server
+ *
+ * Signs an HS256 JWT with AUTH_JWT_SECRET, standing in for our IdP when
+ * running locally. Open the app with the printed `#token=` link.
+ *
+ * Usage: node tools/issue-credential.js <identity> <room|*> [role] [hours]
+ *   node tools/issue-credential.js dr-smith test-room clinician
+ *
+ * The role `admin` issues a clinician credential with the admin claim.
+ */
+
+import dotenv from 'dotenv';
+import { signJwt } from '../lib/jwt.js';
+
+dotenv.config({ quiet: true });
+
+const [identity, room, role = 'patient', hours = '8'] = process.argv.slice(2);
+
+if (!identity || !room) {
+  console.error('Usage: node tools/issue-credential.js <identity> <room|*> [role] [hours]');
+  process.exit(1);
+}
+
+if (!process.env.AUTH_JWT_SECRET) {
+  console.error('Set AUTH_JWT_SECRET in .env');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const admin = role === 'admin';
+const payload = {
+  sub: identity,
+  rooms: [room],
+  role: admin ? 'clinician' : role,
+  ...(admin && { admin: true }),
+  iat: now,
+  exp: now + Number(hours) * 60 * 60,
+  ...(process.env.AUTH_ISSUER && { iss: process.env.AUTH_ISSUER }),
+  ...(process.env.AUTH_AUDIENCE && { aud: process.env.AUTH_AUDIENCE })
+};
+
+const token = signJwt(payload, process.env.AUTH_JWT_SECRET);
+
+console.log(token);
+console.log('');
+console.log(`Join link: http://localhost:3000/#token=${token}`);
@@ -0,0 +1,42 @@
+/**
+ * Development helper: list or download stored recordings
+ *
+ * Uses the configured storage provider (STORAGE_PROVIDER, see lib/storage.js),
+ * handy for checking what egress wrote to a local MinIO or directory.
+ *
+ * Usage: node tools/storage.js list [prefix]
+ *        node tools/storage.js fetch <key> [output file]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { getStorage, getStorageConfigError } from '../lib/storage.js';
+
+dotenv.config({ quiet: true });
+
+const [command, arg, output] = process.argv.slice(2);
+
+if (command !== 'list' && !(command === 'fetch' && arg)) {
+  console.error('Usage: node tools/storage.js list [prefix]');
+  console.error('       node tools/storage.js fetch <key> [output file]');
+  process.exit(1);
+}
+
+const configError = getStorageConfigError();
+if (configError) {
+  console.error(configError);
+  process.exit(1);
+}
+
+const storage = getStorage();
+
+if (command === 'list') {
+  for (const file of await storage.list(arg || '')) {
+    console.log(`${file.lastModified}  ${String(file.size).padStart(10)}  ${file.key}`);
+  }
+} else {
+  const target = output || path.basename(arg);
+  fs.writeFileSync(target, await storage.fetch(arg));
+  console.log(`Saved ${arg} to ${target}`);
+}
@@ -0,0 +1,32 @@
+"""
+Whisper server for live captions
+
+Loads a Whisper model once and transcribes requests from stdin until it
+closes: each request is a 4-byte little-endian length followed by that many
+bytes of 16 kHz, 16-bit mono PCM, and is answered with a JSON line
+{"text": ...} on stdout (see lib/captions.js). Needs the openai-whisper
+package; WHISPER_MODEL sets the model (default `base`).
+
+Usage: python3 tools/whisper-server.py
+"""
+
+import json
+import os
+import struct
+import sys
+
+import numpy as np
+import whisper
+
+model = whisper.load_model(os.environ.get("WHISPER_MODEL", "base"))
+
+while True:
+    header = sys.stdin.buffer.read(4)
+    if len(header) < 4:
+        break
+    (length,) = struct.unpack("<I", header)
+    pcm = sys.stdin.buffer.read(length)
+    audio = np.frombuffer(pcm, dtype=np.int16).astype(np.float32) / 32768.0
+    result = model.transcribe(audio, fp16=False)
+    sys.stdout.write(json.dumps({"text": result["text"].strip()}) + "\n")
+    sys.stdout.flush()
@@ -0,0 +1,46 @@
+/**
+ * Session Processing Worker
+ *
+ * Runs the post-visit stages queued in DATA_DIR/jobs (see
+ * lib/sessionProcessor.js and lib/jobQueue.js): start it next to
+ * token-server.js, sharing its DATA_DIR. Several workers can run at once;
+ * each job is claimed by one of them. When the queue is empty the worker
+ * looks again every JOB_POLL_INTERVAL_MS (default 2000). On SIGINT/SIGTERM
+ * the current job is finished before exiting.
+ *
+ * Usage: node worker.js [--once]
+ *
+ * --once works through the jobs that are due and exits.
+ */
+
+import os from 'os';
+import dotenv from 'dotenv';
+import { runNextJob } from './lib/sessionProcessor.js';
+
+dotenv.config();
+
+const once = process.argv.includes('--once');
+const workerId = `${os.hostname()}:${process.pid}`;
+const pollInterval = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+let stopping = false;
+const stop = () => {
+  console.log('Stopping after the current job...');
+  stopping = true;
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+console.log(`Session processing worker ${workerId} started`);
+
+while (!stopping) {
+  const job = await runNextJob(workerId);
+  if (!job) {
+    if (once) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+}
+
+process.exit(0);